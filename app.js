@@ -1,5 +1,21 @@
 // API Configuration
 const API_BASE_URL = 'http://localhost:3000';
+const USER_ID_STORAGE_KEY = 'speakx-user-id';
+const AUTH_STORAGE_KEY = 'speakx-auth';
+const COACHING_STORAGE_KEY = 'speakx-coaching';
+const RUBRIC_STORAGE_KEY = 'speakx-rubric';
+const LANGUAGE_STORAGE_KEY = 'speakx-language';
+const DEVICE_STORAGE_KEY = 'speakx-devices';
+// face-api is bundled by scripts/fetch-face-api.js; the CDN is the fallback
+const FACE_API_LOCAL_URL = 'vendor/face-api/';
+const FACE_API_CDN_URL = 'https://cdn.jsdelivr.net/npm/@vladmandic/face-api/';
+// Queued recordings the server rejects are retried this many times
+const MAX_QUEUE_ATTEMPTS = 3;
+// How long a coaching nudge stays on screen (ms)
+const NUDGE_DISPLAY_MS = 4000;
+// Setup dialog: lighting and framing re-checked this often, room noise sampled this long (ms)
+const SETUP_CHECK_MS = 500;
+const NOISE_SAMPLE_MS = 2000;
 
 // Speaking Practice Evaluator - Main Application
 class SpeakingEvaluator {
@@ -17,21 +33,82 @@ class SpeakingEvaluator {
         this.sessionInterval = null;
         this.mediaRecorder = null;
         this.audioChunks = [];
+        this.replayRecorder = null;
+        this.replayChunks = [];
+        this.replayMarkers = [];
+        this.replay = null;
         this.transcriptBuffer = [];
+        this.transcriptionStream = null;
+        this.featureTracker = new AcousticScoring.AcousticFeatureTracker();
+        this.vad = null;
+        this.speechAnalytics = null;
+        this.nonverbalTracker = new NonverbalAnalysis.NonverbalTracker();
+        this.prosodyTracker = new ProsodyAnalysis.ProsodyTracker();
+        this.coach = new LiveCoach.Coach({
+            translate: (key) => I18n.t(key),
+            onNudge: (nudge) => this.showNudge(nudge)
+        });
+        this.lastVoiceTime = null;
+        this.lastDeliveryTime = null;
+        this.currentDelivery = '';
+        this.recentWpm = undefined;
+        this.windowEvaluations = [];
+        this.windowStart = 0;
+        this.windowIndex = 0;
+        this.lastEvaluatedAt = 0;
+        this.sessionEvaluations = [];
+        this.lastHistory = null;
+        this.evaluationRequests = new Set();
+        this.offlineQueue = OfflineQueue.isSupported() ? new OfflineQueue() : null;
+        this.flushingQueue = false;
+        this.auth = this.loadAuth();
+        this.accountMode = 'login';
+        this.reviewSession = null;
+        this.userId = this.auth ? this.auth.user.id : this.getUserId();
+        this.sessionId = null;
+        this.recordingUrl = null;
+        this.prompts = [];
+        this.practicePrompt = null;
+        this.rubrics = [];
+        this.rubricId = localStorage.getItem(RUBRIC_STORAGE_KEY) || 'default';
+        this.editingRubricId = null;
+        this.readAloud = false;
+        // Pre-flight device choice, audio processing and noise calibration
+        this.deviceSettings = this.loadDeviceSettings();
+        this.setupStream = null;
+        this.setupInterval = null;
+        this.setupCanvas = document.createElement('canvas');
+        this.setupResults = { lighting: 'checking', framing: 'checking' };
+        this.checkingSetup = false;
+        this.calibrating = false;
+        // Practice and UI language; until the learner picks one, the server's
+        // Accept-Language default (or the browser's languages offline) applies
+        this.languageChosen = !!localStorage.getItem(LANGUAGE_STORAGE_KEY);
+        this.language = localStorage.getItem(LANGUAGE_STORAGE_KEY)
+            || I18n.match(navigator.languages || [navigator.language])
+            || I18n.DEFAULT_LANGUAGE;
+        this.systemStatus = null;
 
         this.state = {
             isRecording: false,
             faceDetected: false,
             voiceDetected: false,
             evaluationCount: 0,
-            totalClarity: 0,
-            totalConfidence: 0,
+            weightedClarity: 0,
+            weightedConfidence: 0,
+            totalWeight: 0,
             sessionDuration: 0,
-            backendAvailable: false
+            backendAvailable: false,
+            transcriptionAvailable: false
         };
 
+        this.renderLanguageOptions();
+        this.setLanguage(this.language);
         this.initializeEventListeners();
+        this.renderAccount();
+        this.loadCoachingSettings();
         this.loadFaceDetectionModels();
+        this.updateQueueStatus();
         this.checkBackendStatus();
     }
 
@@ -42,47 +119,179 @@ class SpeakingEvaluator {
 
             if (data.success) {
                 this.state.backendAvailable = true;
+                this.state.transcriptionAvailable = !!data.transcriptionAvailable;
                 console.log('✅ Backend connected:', data);
 
-                if (data.geminiAvailable) {
-                    this.updateSystemStatus('AI-Powered Mode Active', 'success');
+                if (!this.languageChosen && data.language) {
+                    this.setLanguage(data.language);
+                }
+
+                if (data.aiAvailable) {
+                    this.updateSystemStatus('status.aiActive', 'success');
                 } else {
-                    this.updateSystemStatus('Backend Ready (Add API Key)', 'warning');
+                    this.updateSystemStatus('status.addApiKey', 'warning');
                 }
+
+                this.loadHistory();
+                this.loadPrompts();
+                this.loadRubrics();
+                this.refreshAccount();
+                this.flushOfflineQueue();
             }
         } catch (error) {
             console.log('ℹ️ Backend not available, using local evaluation');
             this.state.backendAvailable = false;
-            this.updateSystemStatus('Local Mode', 'success');
+            this.updateSystemStatus('status.local', 'success');
+            this.renderHistory(null);
+        }
+    }
+
+    // Anonymous learner id so history survives reloads on this browser
+    getUserId() {
+        let userId = localStorage.getItem(USER_ID_STORAGE_KEY);
+        if (!userId) {
+            userId = crypto.randomUUID();
+            localStorage.setItem(USER_ID_STORAGE_KEY, userId);
         }
+        return userId;
     }
 
     initializeEventListeners() {
-        document.getElementById('startBtn').addEventListener('click', () => this.startPractice());
+        document.getElementById('startBtn').addEventListener('click', () => this.openSetupDialog());
+        document.getElementById('languageSelect').addEventListener('change', (event) => {
+            this.languageChosen = true;
+            localStorage.setItem(LANGUAGE_STORAGE_KEY, event.target.value);
+            this.setLanguage(event.target.value);
+        });
         document.getElementById('stopBtn').addEventListener('click', () => this.stopPractice());
         document.getElementById('evaluateBtn').addEventListener('click', () => this.evaluatePerformance());
+        document.getElementById('historyRange').addEventListener('change', () => this.loadHistory());
+        document.getElementById('promptCategory').addEventListener('change', () => this.renderPromptOptions());
+        document.getElementById('promptSelect').addEventListener('change', (event) => this.selectPrompt(event.target.value));
+        document.getElementById('shufflePromptBtn').addEventListener('click', () => this.shufflePrompt());
+        document.getElementById('readAloudToggle').addEventListener('change', (event) => this.setReadAloud(event.target.checked));
+        document.getElementById('coachingToggle').addEventListener('change', () => this.saveCoachingSettings());
+        document.getElementById('accountBtn').addEventListener('click', () => this.openAccountDialog());
+        document.getElementById('accountForm').addEventListener('submit', (event) => this.submitAccount(event));
+        document.getElementById('accountSwitch').addEventListener('click', () =>
+            this.renderAccountDialog(this.accountMode === 'register' ? 'login' : 'register'));
+        document.getElementById('accountClose').addEventListener('click', () => document.getElementById('accountDialog').close());
+        document.getElementById('signOutBtn').addEventListener('click', () => this.signOut());
+        document.getElementById('addCoachBtn').addEventListener('click', () => this.addCoach());
+        document.getElementById('reviewLearner').addEventListener('change', () => this.loadReviewSessions());
+        document.getElementById('reviewSession').addEventListener('change', (event) => this.loadReviewSession(event.target.value));
+        document.getElementById('rubricSelect').addEventListener('change', (event) => this.selectRubric(event.target.value));
+        document.getElementById('exportPdfBtn').addEventListener('click', () => this.exportReport('pdf'));
+        document.getElementById('exportCsvBtn').addEventListener('click', () => this.exportReport('csv'));
+        document.getElementById('exportJsonBtn').addEventListener('click', () => this.exportReport('json'));
+        document.getElementById('editRubricBtn').addEventListener('click', () => this.openRubricDialog());
+        document.getElementById('addCriterionBtn').addEventListener('click', () => this.addCriterionRow());
+        document.getElementById('rubricForm').addEventListener('submit', (event) => this.saveRubric(event));
+        document.getElementById('deleteRubricBtn').addEventListener('click', () => this.deleteRubric());
+        document.getElementById('rubricClose').addEventListener('click', () => document.getElementById('rubricDialog').close());
+        document.getElementById('setupForm').addEventListener('submit', (event) => this.startFromSetup(event));
+        document.getElementById('setupDialog').addEventListener('close', () => this.stopSetupPreview());
+        document.getElementById('setupClose').addEventListener('click', () => document.getElementById('setupDialog').close());
+        document.getElementById('setupRetry').addEventListener('click', () => this.startSetupPreview());
+        document.getElementById('calibrateBtn').addEventListener('click', () => this.calibrateNoise());
+        document.getElementById('cameraSelect').addEventListener('change', (event) =>
+            this.updateDeviceSettings({ cameraId: event.target.value }));
+        document.getElementById('microphoneSelect').addEventListener('change', (event) =>
+            this.updateDeviceSettings({ microphoneId: event.target.value }));
+        ['echoCancellation', 'noiseSuppression', 'autoGainControl'].forEach(setting => {
+            document.getElementById(`${setting}Toggle`).addEventListener('change', (event) =>
+                this.updateDeviceSettings({ [setting]: event.target.checked }));
+        });
+
+        // Devices plugged in or out while the setup dialog is open
+        if (navigator.mediaDevices) {
+            navigator.mediaDevices.addEventListener('devicechange', () => {
+                if (this.setupStream) this.renderDeviceOptions();
+            });
+        }
+
+        // Back online: reconnect and evaluate recordings queued meanwhile
+        window.addEventListener('online', () => this.checkBackendStatus());
     }
 
     async loadFaceDetectionModels() {
         try {
-            const MODEL_URL = 'https://cdn.jsdelivr.net/npm/@vladmandic/face-api/model/';
+            // The bundled copy is loaded by index.html; fall back to the CDN without it
+            let baseUrl = FACE_API_LOCAL_URL;
+            if (typeof faceapi === 'undefined') {
+                baseUrl = FACE_API_CDN_URL;
+                await this.loadScript(`${FACE_API_CDN_URL}dist/face-api.min.js`);
+            }
+
+            const MODEL_URL = `${baseUrl}model/`;
             await faceapi.nets.tinyFaceDetector.loadFromUri(MODEL_URL);
             await faceapi.nets.faceLandmark68Net.loadFromUri(MODEL_URL);
+            await faceapi.nets.faceExpressionNet.loadFromUri(MODEL_URL);
             console.log('✅ Face detection models loaded successfully');
         } catch (error) {
             console.error('❌ Error loading face detection models:', error);
         }
     }
 
-    async startPractice() {
+    renderLanguageOptions() {
+        const select = document.getElementById('languageSelect');
+        select.replaceChildren(...Object.entries(I18n.LANGUAGES).map(([code, name]) => new Option(name, code)));
+    }
+
+    // Switch the UI strings and the language sent with transcription and evaluation requests
+    setLanguage(language) {
+        I18n.setLanguage(language);
+        this.language = I18n.language;
+        document.getElementById('languageSelect').value = this.language;
+
+        // Re-render what app.js wrote in the previous language
+        if (this.systemStatus) {
+            this.updateSystemStatus(this.systemStatus.key, this.systemStatus.type, this.systemStatus.params);
+        }
+        if (this.state.evaluationCount === 0) {
+            document.getElementById('clarityFeedback').textContent = I18n.t('feedback.placeholder');
+            document.getElementById('confidenceFeedback').textContent = I18n.t('feedback.placeholder');
+        }
+        document.getElementById('historySummary').textContent = I18n.t('history.loading');
+        if (this.lastHistory || (this.systemStatus && !this.state.backendAvailable)) {
+            this.renderHistory(this.lastHistory);
+        }
+        if (this.sessionStartTime) {
+            this.renderTranscript();
+        } else {
+            document.getElementById('transcriptText').textContent = I18n.t('transcript.placeholder');
+        }
+        this.renderAccount();
+        this.updateQueueStatus();
+        this.loadCoachingSettings();
+        if (this.reviewSession && this.auth) this.renderReviewEvaluations();
+        this.renderWindowTimeline();
+        // Reading passages follow the practice language; keep the prompt of a running session
+        if (this.state.backendAvailable && !this.state.isRecording) {
+            this.loadPrompts();
+        }
+    }
+
+    loadScript(src) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.onload = resolve;
+            script.onerror = () => reject(new Error(`Could not load ${src}`));
+            document.head.appendChild(script);
+        });
+    }
+
+    async startPractice(stream = null) {
         try {
             console.log('🚀 startPractice called - Requesting media access...');
 
-            // Get user media
-            this.stream = await navigator.mediaDevices.getUserMedia({
-                video: { width: 1280, height: 720 },
-                audio: true
-            });
+            // Results still streaming in belong to the previous practice
+            this.cancelEvaluations();
+
+            // The setup dialog hands over its preview stream; otherwise open the saved devices
+            this.stream = stream
+                || await navigator.mediaDevices.getUserMedia(DeviceCheck.buildConstraints(this.deviceSettings));
             console.log('✅ Media access granted - Stream:', this.stream);
 
             this.videoElement.srcObject = this.stream;
@@ -105,29 +314,229 @@ class SpeakingEvaluator {
 
             // Update UI
             this.sessionStartTime = Date.now();
+            this.sessionEvaluations = [];
+            this.updateSessionStats();
             this.startSessionTimer();
+            this.startHistorySession();
 
             document.getElementById('startBtn').disabled = true;
             document.getElementById('stopBtn').disabled = false;
             document.getElementById('evaluateBtn').disabled = false;
+            document.getElementById('languageSelect').disabled = true;
+            this.setPromptPickerEnabled(false);
 
             if (this.state.backendAvailable) {
-                this.updateSystemStatus('Recording with AI Analysis...', 'danger');
+                this.updateSystemStatus('status.recordingAi', 'danger');
             } else {
-                this.updateSystemStatus('Recording (Local Mode)...', 'danger');
+                this.updateSystemStatus('status.recordingLocal', 'danger');
             }
 
             console.log('✅ startPractice completed successfully');
 
         } catch (error) {
             console.error('❌ Error starting practice:', error);
-            alert('Could not access camera/microphone. Please grant permissions and try again.');
+            alert(I18n.t(`setup.error.${DeviceCheck.classifyError(error)}`, { name: error.name }));
+        }
+    }
+
+    loadDeviceSettings() {
+        try {
+            return { ...DeviceCheck.DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(DEVICE_STORAGE_KEY)) };
+        } catch (error) {
+            return { ...DeviceCheck.DEFAULT_SETTINGS };
+        }
+    }
+
+    saveDeviceSettings() {
+        localStorage.setItem(DEVICE_STORAGE_KEY, JSON.stringify(this.deviceSettings));
+    }
+
+    // Pre-flight: preview the chosen devices and check noise, lighting and framing
+    async openSetupDialog() {
+        document.getElementById('echoCancellationToggle').checked = this.deviceSettings.echoCancellation;
+        document.getElementById('noiseSuppressionToggle').checked = this.deviceSettings.noiseSuppression;
+        document.getElementById('autoGainControlToggle').checked = this.deviceSettings.autoGainControl;
+        this.setupResults = { lighting: 'checking', framing: 'checking' };
+        this.renderSetupChecks();
+
+        document.getElementById('setupDialog').showModal();
+        await this.startSetupPreview();
+    }
+
+    async startSetupPreview() {
+        this.stopSetupPreview();
+        const errorText = document.getElementById('setupError');
+        errorText.textContent = '';
+        document.getElementById('setupRetry').classList.add('hidden');
+        document.getElementById('setupStart').disabled = true;
+        document.getElementById('calibrateBtn').disabled = true;
+
+        try {
+            let stream;
+            try {
+                stream = await navigator.mediaDevices.getUserMedia(DeviceCheck.buildConstraints(this.deviceSettings));
+            } catch (error) {
+                // A saved camera or microphone that has been unplugged: use the defaults
+                const savedDevice = this.deviceSettings.cameraId || this.deviceSettings.microphoneId;
+                if (error.name !== 'OverconstrainedError' || !savedDevice) throw error;
+
+                this.deviceSettings.cameraId = '';
+                this.deviceSettings.microphoneId = '';
+                this.deviceSettings.noiseFloorDb = null;
+                this.saveDeviceSettings();
+                stream = await navigator.mediaDevices.getUserMedia(DeviceCheck.buildConstraints(this.deviceSettings));
+            }
+
+            // Closed while the permission prompt was up
+            if (!document.getElementById('setupDialog').open) {
+                stream.getTracks().forEach(track => track.stop());
+                return;
+            }
+
+            this.setupStream = stream;
+            document.getElementById('setupPreview').srcObject = stream;
+            await this.renderDeviceOptions();
+            document.getElementById('setupStart').disabled = false;
+            document.getElementById('calibrateBtn').disabled = false;
+            this.setupInterval = setInterval(() => this.runSetupChecks(), SETUP_CHECK_MS);
+
+            // First use, or the microphone or its processing changed
+            if (this.deviceSettings.noiseFloorDb === null) {
+                this.calibrateNoise();
+            }
+        } catch (error) {
+            console.error('❌ Device setup failed:', error);
+            errorText.textContent = I18n.t(`setup.error.${DeviceCheck.classifyError(error)}`, { name: error.name });
+            document.getElementById('setupRetry').classList.remove('hidden');
+        }
+    }
+
+    stopSetupPreview() {
+        clearInterval(this.setupInterval);
+        this.setupInterval = null;
+        if (this.setupStream) {
+            this.setupStream.getTracks().forEach(track => track.stop());
+            this.setupStream = null;
+        }
+        document.getElementById('setupPreview').srcObject = null;
+    }
+
+    // Hand the preview stream over to the practice, so closing the dialog doesn't stop it
+    startFromSetup(event) {
+        event.preventDefault();
+        const stream = this.setupStream;
+        if (!stream) return;
+
+        this.setupStream = null;
+        document.getElementById('setupDialog').close();
+        this.startPractice(stream);
+    }
+
+    async renderDeviceOptions() {
+        const { cameras, microphones } = await DeviceCheck.listDevices();
+
+        const fill = (id, devices, unnamedKey, track) => {
+            const select = document.getElementById(id);
+            select.replaceChildren(...devices.map((device, index) =>
+                new Option(device.label || I18n.t(unnamedKey, { index: index + 1 }), device.deviceId)));
+            // The device actually in use, which is the system default until one is picked
+            select.value = track ? track.getSettings().deviceId || '' : '';
+        };
+
+        const stream = this.setupStream;
+        fill('cameraSelect', cameras, 'setup.unnamedCamera', stream && stream.getVideoTracks()[0]);
+        fill('microphoneSelect', microphones, 'setup.unnamedMicrophone', stream && stream.getAudioTracks()[0]);
+    }
+
+    updateDeviceSettings(changes) {
+        Object.assign(this.deviceSettings, changes);
+        // The noise floor depends on the microphone and its processing
+        if (!('cameraId' in changes)) {
+            this.deviceSettings.noiseFloorDb = null;
+        }
+        this.saveDeviceSettings();
+        this.startSetupPreview();
+    }
+
+    async calibrateNoise() {
+        if (!this.setupStream || this.calibrating) return;
+
+        const stream = this.setupStream;
+        this.calibrating = true;
+        document.getElementById('calibrateBtn').disabled = true;
+        this.renderSetupChecks();
+
+        try {
+            const noiseFloorDb = await DeviceCheck.measureNoiseFloor(stream, NOISE_SAMPLE_MS);
+            // Measured a microphone that has since been replaced
+            if (stream === this.setupStream) {
+                this.deviceSettings.noiseFloorDb = noiseFloorDb;
+                this.saveDeviceSettings();
+            }
+        } catch (error) {
+            console.error('Noise calibration failed:', error);
+        } finally {
+            this.calibrating = false;
+            document.getElementById('calibrateBtn').disabled = !this.setupStream;
+            this.renderSetupChecks();
+        }
+
+        // The preview restarted mid-measurement: measure the new microphone
+        if (this.setupStream && this.setupStream !== stream && this.deviceSettings.noiseFloorDb === null) {
+            this.calibrateNoise();
+        }
+    }
+
+    async runSetupChecks() {
+        const video = document.getElementById('setupPreview');
+        if (!video.videoWidth || this.checkingSetup) return;
+
+        this.checkingSetup = true;
+        try {
+            this.setupResults.lighting = DeviceCheck.checkLighting(DeviceCheck.measureBrightness(video, this.setupCanvas));
+
+            if (typeof faceapi !== 'undefined' && faceapi.nets.tinyFaceDetector.isLoaded) {
+                const detection = await faceapi.detectSingleFace(video, new faceapi.TinyFaceDetectorOptions());
+                this.setupResults.framing = DeviceCheck.checkFraming(
+                    detection ? detection.box : null, video.videoWidth, video.videoHeight);
+            } else {
+                this.setupResults.framing = 'unavailable';
+            }
+
+            this.renderSetupChecks();
+        } catch (error) {
+            console.error('Setup check error:', error);
+        } finally {
+            this.checkingSetup = false;
         }
     }
 
+    renderSetupChecks() {
+        const show = (id, group, result, params) => {
+            const item = document.getElementById(id);
+            item.textContent = I18n.t(`setup.${group}.${result}`, params);
+            if (result === 'ok') {
+                item.dataset.state = 'ok';
+            } else if (['pending', 'measuring', 'checking', 'unavailable'].includes(result)) {
+                item.dataset.state = '';
+            } else {
+                item.dataset.state = 'warn';
+            }
+        };
+
+        const { noiseFloorDb } = this.deviceSettings;
+        show('noiseCheck', 'noise', this.calibrating ? 'measuring' : DeviceCheck.checkNoise(noiseFloorDb), {
+            noise: noiseFloorDb,
+            seconds: NOISE_SAMPLE_MS / 1000
+        });
+        show('lightingCheck', 'lighting', this.setupResults.lighting);
+        show('framingCheck', 'framing', this.setupResults.framing);
+    }
+
     setupAudioRecording() {
         try {
-            this.mediaRecorder = new MediaRecorder(this.stream);
+            // Audio tracks only, so the full-session upload stays small
+            this.mediaRecorder = new MediaRecorder(new MediaStream(this.stream.getAudioTracks()));
             this.audioChunks = [];
 
             this.mediaRecorder.ondataavailable = (event) => {
@@ -140,14 +549,132 @@ class SpeakingEvaluator {
         } catch (error) {
             console.error('Error setting up audio recording:', error);
         }
+
+        // Audio and video for the session replay, kept in the browser only
+        try {
+            this.replayRecorder = new MediaRecorder(this.stream, { videoBitsPerSecond: 1000000 });
+            this.replayChunks = [];
+            this.replayMarkers = [];
+
+            this.replayRecorder.ondataavailable = (event) => {
+                if (event.data.size > 0) {
+                    this.replayChunks.push(event.data);
+                }
+            };
+
+            this.replayRecorder.start(1000);
+        } catch (error) {
+            console.error('Error setting up replay recording:', error);
+            this.replayRecorder = null;
+        }
+
+        this.transcriptBuffer = [];
+        this.renderTranscript();
+
+        if (this.state.backendAvailable && this.state.transcriptionAvailable) {
+            this.startTranscription();
+        }
+    }
+
+    startTranscription() {
+        try {
+            this.transcriptionStream = new TranscriptionStream({
+                stream: this.stream,
+                endpoint: `${API_BASE_URL}/api/transcribe`,
+                fields: { language: this.language },
+                onSegments: (segments) => this.addTranscriptSegments(segments),
+                onError: (error) => console.error('Transcription error:', error)
+            });
+            this.transcriptionStream.start();
+            console.log('📝 Live transcription started');
+        } catch (error) {
+            console.error('Error starting transcription:', error);
+            this.transcriptionStream = null;
+        }
+    }
+
+    addTranscriptSegments(segments) {
+        // Uploads can resolve out of order, keep the buffer sorted by start time
+        this.transcriptBuffer.push(...segments);
+        this.transcriptBuffer.sort((a, b) => a.start - b.start);
+        this.renderTranscript();
+    }
+
+    // Whole transcript, or only the segments starting inside an evaluation window
+    getTranscriptText(range) {
+        return this.transcriptBuffer
+            .filter(segment => !range || (segment.start >= range.start && segment.start < range.end))
+            .map(segment => segment.text)
+            .join(' ');
+    }
+
+    renderTranscript() {
+        const transcriptText = document.getElementById('transcriptText');
+        if (!transcriptText) return;
+
+        if (this.transcriptBuffer.length === 0) {
+            transcriptText.textContent = I18n.t(this.state.transcriptionAvailable
+                ? 'transcript.placeholder'
+                : 'transcript.unavailable');
+            return;
+        }
+
+        transcriptText.textContent = this.getTranscriptText();
+        transcriptText.scrollTop = transcriptText.scrollHeight;
     }
 
     stopPractice() {
-        // Stop media recorder
+        // Stop media recorder, optionally uploading the full recording once
+        // the final chunk has been flushed
         if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+            const analyzeRecording = document.getElementById('analyzeRecordingToggle').checked;
+
+            if (analyzeRecording && (this.state.backendAvailable || this.offlineQueue)) {
+                const features = this.measureAudioFeatures();
+                const recording = {
+                    sessionId: this.sessionId,
+                    promptId: this.practicePrompt ? this.practicePrompt.id : null,
+                    rubricId: this.rubricId,
+                    duration: (Date.now() - this.sessionStartTime) / 1000,
+                    hasFace: features.facePresence !== null && features.facePresence > 0.2,
+                    hasVoice: features.speechRatio > 0.05,
+                    language: this.language,
+                    features,
+                    nonverbal: this.measureNonverbal(),
+                    prosody: this.measureProsody()
+                };
+                // Without a backend the recording waits in the offline queue
+                const onStop = this.state.backendAvailable
+                    ? () => this.analyzeRecording(recording)
+                    : () => this.queueRecording(recording);
+                this.mediaRecorder.addEventListener('stop', onStop, { once: true });
+            }
+
             this.mediaRecorder.stop();
         }
 
+        // Snapshot the timelines for the replay; the transcript and marker
+        // arrays are shared so late segments and evaluations still show up
+        if (this.replayRecorder && this.replayRecorder.state !== 'inactive') {
+            this.replay = {
+                duration: (Date.now() - this.sessionStartTime) / 1000,
+                transcript: this.transcriptBuffer,
+                activity: this.vad.segments.map(segment => ({ ...segment })),
+                faceSamples: this.nonverbalTracker.samples.map(sample => ({ time: sample.time, visible: !!sample.face })),
+                feedback: this.replayMarkers,
+                serverMarkers: null,
+                language: this.language
+            };
+            this.replayRecorder.addEventListener('stop', () => this.showReplay(), { once: true });
+            this.replayRecorder.stop();
+        }
+
+        // Stop live transcription (the last window still uploads)
+        if (this.transcriptionStream) {
+            this.transcriptionStream.stop();
+            this.transcriptionStream = null;
+        }
+
         // Stop all streams
         if (this.stream) {
             this.stream.getTracks().forEach(track => track.stop());
@@ -172,6 +699,16 @@ class SpeakingEvaluator {
             this.sessionInterval = null;
         }
 
+        // Score the trailing partial window if it is long enough to mean something
+        const windowSeconds = Number(document.getElementById('autoEvaluateSelect').value);
+        const lastFrameTime = this.featureTracker.lastTime;
+        if (windowSeconds && !this.readAloud && lastFrameTime !== null &&
+            lastFrameTime - this.windowStart >= windowSeconds / 2) {
+            this.evaluateWindow(lastFrameTime);
+        }
+
+        this.finishHistorySession();
+
         // Clear video
         this.videoElement.srcObject = null;
         this.videoOverlay.classList.remove('hidden');
@@ -188,11 +725,13 @@ class SpeakingEvaluator {
         document.getElementById('startBtn').disabled = false;
         document.getElementById('stopBtn').disabled = true;
         document.getElementById('evaluateBtn').disabled = true;
+        document.getElementById('languageSelect').disabled = false;
+        this.setPromptPickerEnabled(true);
 
         if (this.state.backendAvailable) {
-            this.updateSystemStatus('AI-Powered Mode Active', 'success');
+            this.updateSystemStatus('status.aiActive', 'success');
         } else {
-            this.updateSystemStatus('Local Mode', 'success');
+            this.updateSystemStatus('status.local', 'success');
         }
         this.updateDetectionStatus();
     }
@@ -208,6 +747,18 @@ class SpeakingEvaluator {
         source.connect(this.analyser);
         console.log('✅ Audio source connected to analyser');
 
+        // Fresh feature timeline for deterministic local scoring, with speech
+        // decided from the room noise measured in the setup dialog
+        this.vad = new VoiceActivity.VoiceActivityDetector({ noiseFloorDb: this.deviceSettings.noiseFloorDb });
+        this.featureTracker.reset();
+        this.prosodyTracker.reset();
+        this.coach.reset();
+        this.lastVoiceTime = null;
+        this.lastDeliveryTime = null;
+        this.recentWpm = undefined;
+        this.resetEvaluationWindows();
+        this.analysisStartTime = performance.now();
+
         this.visualizeAudio();
         console.log('✅ visualizeAudio() called');
     }
@@ -217,6 +768,7 @@ class SpeakingEvaluator {
         const ctx = canvas.getContext('2d');
         const bufferLength = this.analyser.frequencyBinCount;
         const dataArray = new Uint8Array(bufferLength);
+        const sampleData = new Float32Array(this.analyser.fftSize);
 
         console.log('🎤 Audio visualization started');
 
@@ -235,6 +787,17 @@ class SpeakingEvaluator {
             // Also get time domain data for waveform
             this.analyser.getByteTimeDomainData(dataArray);
 
+            // Voice detection, then signal features for local scoring and prosody
+            this.analyser.getFloatTimeDomainData(sampleData);
+            const frameTime = (performance.now() - this.analysisStartTime) / 1000;
+            const voice = this.vad.process(frameTime, sampleData, this.audioContext.sampleRate);
+            // Scoring frames follow the prosody tracker's rate and reuse its YIN pitch,
+            // so each frame's pitch is estimated once
+            const prosodyFrame = this.prosodyTracker.addFrame(frameTime, sampleData, this.audioContext.sampleRate, voice.speech);
+            if (prosodyFrame) {
+                this.featureTracker.addFrame(frameTime, sampleData, this.audioContext.sampleRate, voice.speech, prosodyFrame.pitch);
+            }
+
             // Calculate average volume from frequency data
             let sum = 0;
             let maxValue = 0;
@@ -244,27 +807,23 @@ class SpeakingEvaluator {
             }
             const average = sum / bufferLength;
 
-            // Calculate dB level (0-60 scale)
+            // Calculate dB level (0-60 scale) for the meter
             const displayDb = Math.round((average / 255) * 60);
             const maxDb = Math.round((maxValue / 255) * 60);
             const finalDb = Math.max(displayDb, Math.round(maxDb * 0.7));
 
-            // Voice detection
-            this.state.voiceDetected = finalDb > 3;
-
-            // Emotion detection
-            let emotionTone = 'Neutral';
-            if (finalDb > 40) {
-                emotionTone = 'Energetic';
-            } else if (finalDb > 25) {
-                emotionTone = 'Confident';
-            } else if (finalDb > 10) {
-                emotionTone = 'Calm';
-            } else if (finalDb > 3) {
-                emotionTone = 'Soft';
+            this.state.voiceDetected = voice.speech;
+            if (this.state.voiceDetected) {
+                this.lastVoiceTime = frameTime;
             }
+            this.updateCoaching(frameTime, voice);
 
-            this.currentEmotion = emotionTone;
+            // Delivery from pitch and energy over the last few seconds, refreshed once a second
+            if (this.lastDeliveryTime === null || frameTime - this.lastDeliveryTime >= 1) {
+                const { tone, traits } = ProsodyAnalysis.describeDelivery(this.prosodyTracker.summary(5));
+                this.currentDelivery = [tone, ...traits].map(name => I18n.t(`delivery.${name}`)).join(' · ');
+                this.lastDeliveryTime = frameTime;
+            }
             this.updateDetectionStatus();
 
             // Update dB display
@@ -274,10 +833,10 @@ class SpeakingEvaluator {
             const audioStatus = document.getElementById('audioStatus');
             if (audioStatus) {
                 if (this.state.voiceDetected) {
-                    audioStatus.textContent = `🎤 ${emotionTone}`;
+                    audioStatus.textContent = `🎤 ${this.currentDelivery}`;
                     audioStatus.style.color = 'var(--color-success)';
                 } else {
-                    audioStatus.textContent = 'Monitoring...';
+                    audioStatus.textContent = I18n.t('audio.monitoring');
                     audioStatus.style.color = 'var(--text-tertiary)';
                 }
             }
@@ -329,16 +888,130 @@ class SpeakingEvaluator {
                 ctx.stroke();
                 ctx.shadowBlur = 0;
             }
+
+            this.drawPitchContour(ctx, canvas);
         };
 
         draw();
     }
 
+    // Pitch contour of the last few seconds over the waveform (log scale, 60-500 Hz)
+    drawPitchContour(ctx, canvas, seconds = 5) {
+        const points = this.prosodyTracker.contour(seconds);
+        if (points.length < 2) return;
+
+        const end = this.prosodyTracker.lastTime;
+        const minLog = Math.log(60);
+        const maxLog = Math.log(500);
+        const xFor = (time) => ((time - (end - seconds)) / seconds) * canvas.width;
+        const yFor = (pitch) => canvas.height - ((Math.log(pitch) - minLog) / (maxLog - minLog)) * canvas.height;
+
+        ctx.strokeStyle = 'hsl(320, 100%, 60%)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        points.forEach((point, index) => {
+            // Break the line across unvoiced gaps
+            const gap = index > 0 && point.time - points[index - 1].time > 0.25;
+            if (index === 0 || gap) {
+                ctx.moveTo(xFor(point.time), yFor(point.pitch));
+            } else {
+                ctx.lineTo(xFor(point.time), yFor(point.pitch));
+            }
+        });
+        ctx.stroke();
+    }
+
+    // Feed the live coach the signals measured this frame; `voice` is the VAD's decision
+    updateCoaching(time, voice) {
+        if (!document.getElementById('coachingToggle').checked) return;
+
+        const samples = this.nonverbalTracker.samples;
+        const lastFace = samples.length > 0 ? samples[samples.length - 1].face : undefined;
+
+        this.coach.update({
+            time,
+            speaking: voice.speech,
+            levelDb: voice.energyDb,
+            noiseFloorDb: voice.noiseFloorDb,
+            silenceSeconds: this.lastVoiceTime === null ? 0 : time - this.lastVoiceTime,
+            faceVisible: lastFace === undefined ? undefined : !!lastFace,
+            lookingAtCamera: lastFace ? lastFace.lookingAtCamera : undefined,
+            wordsPerMinute: this.recentWpm
+        });
+    }
+
+    showNudge(nudge) {
+        this.replayMarkers.push({ time: nudge.time, type: 'nudge', text: nudge.message });
+
+        const container = document.getElementById('coachNudges');
+        const element = document.createElement('div');
+        element.className = 'coach-nudge';
+        element.textContent = nudge.message;
+        container.appendChild(element);
+
+        // Keep at most two on screen
+        while (container.children.length > 2) {
+            container.firstElementChild.remove();
+        }
+
+        setTimeout(() => {
+            element.classList.add('fading');
+            setTimeout(() => element.remove(), 500);
+        }, NUDGE_DISPLAY_MS);
+    }
+
+    // Coaching on/off and per-rule toggles persist in this browser
+    loadCoachingSettings() {
+        let settings = {};
+        try {
+            settings = JSON.parse(localStorage.getItem(COACHING_STORAGE_KEY)) || {};
+        } catch (error) {
+            settings = {};
+        }
+
+        const disabledRules = settings.disabledRules || [];
+        document.getElementById('coachingToggle').checked = settings.enabled !== false;
+
+        const list = document.getElementById('coachingRules');
+        list.innerHTML = '';
+        this.coach.rules.forEach(rule => {
+            const enabled = !disabledRules.includes(rule.id);
+            this.coach.setEnabled(rule.id, enabled);
+
+            const label = document.createElement('label');
+            label.className = 'toggle-option';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = enabled;
+            checkbox.dataset.ruleId = rule.id;
+            checkbox.addEventListener('change', () => {
+                this.coach.setEnabled(rule.id, checkbox.checked);
+                this.saveCoachingSettings();
+            });
+            label.append(checkbox, ` ${I18n.t(rule.label)}`);
+            list.appendChild(label);
+        });
+    }
+
+    saveCoachingSettings() {
+        const disabledRules = [...document.querySelectorAll('#coachingRules input')]
+            .filter(checkbox => !checkbox.checked)
+            .map(checkbox => checkbox.dataset.ruleId);
+
+        localStorage.setItem(COACHING_STORAGE_KEY, JSON.stringify({
+            enabled: document.getElementById('coachingToggle').checked,
+            disabledRules
+        }));
+    }
+
     async startFaceDetection() {
         // Set canvas size
         this.faceCanvas.width = this.videoElement.videoWidth || 1280;
         this.faceCanvas.height = this.videoElement.videoHeight || 720;
 
+        // Fresh nonverbal timeline for this session
+        this.nonverbalTracker.reset();
+
         const detectFace = async () => {
             if (!this.state.isRecording) return;
 
@@ -346,11 +1019,17 @@ class SpeakingEvaluator {
                 const detection = await faceapi.detectSingleFace(
                     this.videoElement,
                     new faceapi.TinyFaceDetectorOptions()
-                ).withFaceLandmarks();
+                ).withFaceLandmarks().withFaceExpressions();
 
                 const ctx = this.faceCanvas.getContext('2d');
                 ctx.clearRect(0, 0, this.faceCanvas.width, this.faceCanvas.height);
 
+                this.featureTracker.addFaceSample(!!detection);
+                this.nonverbalTracker.addSample(
+                    (performance.now() - this.analysisStartTime) / 1000,
+                    detection ? { points: detection.landmarks.positions, expressions: detection.expressions } : null
+                );
+
                 if (detection) {
                     this.state.faceDetected = true;
 
@@ -399,10 +1078,10 @@ class SpeakingEvaluator {
 
         if (this.state.faceDetected) {
             faceCard.classList.add('active');
-            faceStatus.textContent = 'Detected';
+            faceStatus.textContent = I18n.t('detection.detected');
         } else {
             faceCard.classList.remove('active');
-            faceStatus.textContent = 'Not Detected';
+            faceStatus.textContent = I18n.t('detection.notDetected');
         }
     }
 
@@ -414,191 +1093,1825 @@ class SpeakingEvaluator {
         document.getElementById('clarityScore').textContent = '...';
         document.getElementById('confidenceScore').textContent = '...';
 
-        if (this.state.backendAvailable) {
+        if (this.readAloud && this.practicePrompt && this.state.backendAvailable) {
+            await this.evaluateReadAloud();
+        } else if (this.state.backendAvailable) {
             await this.evaluateWithBackend(hasFace, hasVoice);
         } else {
             this.evaluateLocally(hasFace, hasVoice);
         }
     }
 
-    async evaluateWithBackend(hasFace, hasVoice) {
+    // `range` limits the evaluation to one auto-evaluation window
+    async evaluateWithBackend(hasFace, hasVoice, range = null) {
+        // The session may finish while the request is in flight
+        const sessionId = this.sessionId;
+
         try {
             // Prepare evaluation data
             const evaluationData = {
-                transcript: this.transcriptBuffer.join(' ') || 'User is speaking...',
+                transcript: this.getTranscriptText(range),
                 hasFace,
                 hasVoice,
-                audioFeatures: {
-                    duration: this.audioChunks.length,
-                    hasAudio: hasVoice
-                }
+                audioFeatures: this.measureAudioFeatures(range),
+                nonverbalFeatures: this.measureNonverbal(range),
+                prosodyFeatures: this.measureProsody(range),
+                promptId: this.practicePrompt ? this.practicePrompt.id : undefined,
+                rubricId: this.rubricId,
+                language: this.language
             };
 
-            // Call backend API
-            const response = await fetch(`${API_BASE_URL}/api/evaluate`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(evaluationData)
-            });
-
-            const result = await response.json();
+            // Stream the evaluation so scores and feedback appear as the model writes them
+            const result = await this.streamEvaluation(evaluationData);
 
             if (result.success) {
-                const { clarity, confidence, clarityFeedback, confidenceFeedback } = result.evaluation;
-
-                // Update statistics
-                this.state.evaluationCount++;
-                this.state.totalClarity += clarity;
-                this.state.totalConfidence += confidence;
+                const {
+                    clarity, confidence, relevance, structure, clarityFeedback, confidenceFeedback, analysis,
+                    scores, total, rubric
+                } = result.evaluation;
 
                 // Display results
                 this.displayResults(clarity, confidence, result.mode);
+                this.displayPromptScores(relevance, structure);
+                this.displayRubricBreakdown(result.evaluation);
 
                 // Display AI-generated feedback
                 document.getElementById('clarityFeedback').textContent = clarityFeedback;
                 document.getElementById('confidenceFeedback').textContent = confidenceFeedback;
-
-                this.updateSessionStats();
+                document.getElementById('analysisText').textContent = analysis;
+
+                this.recordEvaluation({
+                    clarity,
+                    confidence,
+                    relevance,
+                    structure,
+                    mode: result.mode,
+                    clarityFeedback,
+                    confidenceFeedback,
+                    analysis,
+                    rubricId: rubric.id,
+                    scores,
+                    total,
+                    window: range || undefined
+                }, sessionId);
             } else {
                 throw new Error(result.error || 'Evaluation failed');
             }
 
         } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log('Evaluation cancelled');
+                return;
+            }
             console.error('Backend evaluation error:', error);
             console.log('Falling back to local evaluation');
-            this.evaluateLocally(hasFace, hasVoice);
+            this.evaluateLocally(hasFace, hasVoice, range, sessionId);
         }
     }
 
-    evaluateLocally(hasFace, hasVoice) {
+    /**
+     * POST to /api/evaluate/stream and render its Server-Sent Events as they
+     * arrive: early scores fill the score cells, feedback text fills the cards.
+     * Resolves with the final result (the /api/evaluate body).
+     */
+    async streamEvaluation(evaluationData) {
+        const controller = new AbortController();
+        this.evaluationRequests.add(controller);
+        const cards = document.querySelectorAll('.feedback-card, .feedback-analysis');
+        const textTargets = { clarityFeedback: 'clarityFeedback', confidenceFeedback: 'confidenceFeedback', analysis: 'analysisText' };
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/evaluate/stream`, {
+                method: 'POST',
+                headers: this.authHeaders({
+                    'Content-Type': 'application/json'
+                }),
+                body: JSON.stringify(evaluationData),
+                signal: controller.signal
+            });
+
+            // Errors before streaming starts come back as plain JSON
+            if (!(response.headers.get('Content-Type') || '').startsWith('text/event-stream')) {
+                return await response.json();
+            }
+
+            cards.forEach(card => card.classList.add('streaming'));
+            const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+            let buffer = '';
+            let result = null;
+
+            while (!result) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                buffer += value;
+
+                const events = buffer.split('\n\n');
+                buffer = events.pop();
+                events.forEach(block => {
+                    const event = (block.match(/^event: (.*)$/m) || [])[1];
+                    const data = block.split('\n').filter(line => line.startsWith('data: ')).map(line => line.slice(6)).join('\n');
+                    if (!data) return;
+                    const payload = JSON.parse(data);
+
+                    if (event === 'score' && ['clarity', 'confidence'].includes(payload.key)) {
+                        document.getElementById(`${payload.key}Score`).textContent = payload.tenPoint;
+                        document.getElementById(`${payload.key}Bar`).style.width = `${payload.tenPoint * 10}%`;
+                    } else if (event === 'text' && textTargets[payload.field]) {
+                        document.getElementById(textTargets[payload.field]).textContent = payload.text;
+                    } else if (event === 'result' || event === 'error') {
+                        result = payload;
+                    }
+                });
+            }
+
+            return result || { success: false, error: 'Evaluation stream ended early' };
+        } finally {
+            this.evaluationRequests.delete(controller);
+            if (this.evaluationRequests.size === 0) {
+                cards.forEach(card => card.classList.remove('streaming'));
+            }
+        }
+    }
+
+    cancelEvaluations() {
+        this.evaluationRequests.forEach(controller => controller.abort());
+        this.evaluationRequests.clear();
+        document.querySelectorAll('.streaming').forEach(card => card.classList.remove('streaming'));
+    }
+
+    evaluateLocally(hasFace, hasVoice, range = null, sessionId = this.sessionId) {
         let clarity = 0;
         let confidence = 0;
         let mode = '';
 
-        // ALWAYS GIVE SCORES - Never show 0
+        // Scores come from the measured feature timeline, so identical
+        // recordings always score the same
+        const nonverbal = this.measureNonverbal(range);
+        const acoustic = this.featureTracker.features(range ? { from: range.start, to: range.end } : undefined);
+        const { clarity: measuredClarity, confidence: measuredConfidence, features } =
+            AcousticScoring.scoreFeatures({ ...acoustic, nonverbalScore: nonverbal.nonverbalScore });
+        this.lastFeatures = features;
+        console.log('📐 Acoustic features:', features);
+
         // Determine mode
         if (hasFace && hasVoice) {
             mode = 'Human Face + Voice';
-            clarity = this.calculateClarity();
-            confidence = this.calculateConfidence();
+            clarity = measuredClarity;
+            confidence = measuredConfidence;
         } else if (!hasFace && hasVoice) {
             mode = 'Only Voice';
-            clarity = this.calculateClarity();
-            confidence = Math.round(this.calculateConfidence() * 0.5); // 50% deduction
+            clarity = measuredClarity;
+            confidence = Math.round(measuredConfidence * 0.5); // 50% deduction
         } else {
             mode = 'No Voice';
-            // ALWAYS SHOW SCORES - Give minimum scores instead of 0
-            clarity = 5 + Math.round(Math.random() * 2); // 5-7 range
-            confidence = 3 + Math.round(Math.random() * 2); // 3-5 range
         }
 
-        // Update statistics
-        this.state.evaluationCount++;
-        this.state.totalClarity += clarity;
-        this.state.totalConfidence += confidence;
-
-        // Display results
+        // Display results (relevance, structure, rubrics and analysis need the AI backend)
         this.displayResults(clarity, confidence, mode);
-        this.generateFeedback(clarity, confidence, mode);
-        this.updateSessionStats();
+        this.displayPromptScores();
+        this.displayRubricBreakdown(null);
+        document.getElementById('analysisText').textContent = '';
+        const { clarityFeedback, confidenceFeedback } = this.generateFeedback(clarity, confidence, mode);
+
+        this.recordEvaluation({
+            clarity,
+            confidence,
+            mode,
+            clarityFeedback,
+            confidenceFeedback,
+            features: { ...this.measureAudioFeatures(range), nonverbal, prosody: this.measureProsody(range) },
+            window: range || undefined
+        }, sessionId);
     }
 
-    calculateClarity() {
-        const baseClarity = 5 + Math.random() * 3;
-        const voiceBonus = this.state.voiceDetected ? 2 : 0;
-        return Math.min(10, Math.round(baseClarity + voiceBonus));
-    }
+    // Align what was read against the reading passage
+    async evaluateReadAloud() {
+        const accuracy = document.getElementById('readAloudAccuracy');
+        const summary = document.getElementById('readAloudSummary');
+
+        document.getElementById('evaluationResults').classList.add('read-aloud');
+        accuracy.textContent = '...';
+        summary.textContent = I18n.t('readAloud.checking');
+
+        const formData = new FormData();
+        formData.append('promptId', this.practicePrompt.id);
+        formData.append('language', this.language);
+
+        // Fall back to server-side transcription when there is no live transcript yet
+        const transcript = this.getTranscriptText();
+        formData.append('transcript', transcript);
+        if (!transcript && this.audioChunks.length > 0) {
+            const blob = new Blob(this.audioChunks, { type: this.audioChunks[0].type || 'audio/webm' });
+            formData.append('audio', blob, 'recording.webm');
+        }
 
-    calculateConfidence() {
-        const baseFaceConfidence = this.state.faceDetected ? 4 + Math.random() * 3 : 0;
-        const voiceConfidence = this.state.voiceDetected ? 2 + Math.random() * 2 : 0;
-        return Math.min(10, Math.round(baseFaceConfidence + voiceConfidence));
-    }
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/read-aloud`, {
+                method: 'POST',
+                headers: this.authHeaders(),
+                body: formData
+            });
+            const result = await response.json();
 
-    displayResults(clarity, confidence, mode) {
-        // Update scores
-        document.getElementById('clarityScore').textContent = clarity;
-        document.getElementById('confidenceScore').textContent = confidence;
+            if (!result.success) {
+                throw new Error(result.error || 'Read-aloud check failed');
+            }
 
-        // Update progress bars
-        document.getElementById('clarityBar').style.width = `${clarity * 10}%`;
-        document.getElementById('confidenceBar').style.width = `${confidence * 10}%`;
+            const { alignment, feedback } = result;
+            const { counts } = alignment;
+
+            accuracy.textContent = `${alignment.accuracy}%`;
+            this.renderAlignment(alignment.words);
+            summary.textContent = `${I18n.t('readAloud.summary', {
+                correct: counts.correct,
+                misread: counts.substitutions,
+                skipped: counts.omissions,
+                added: counts.insertions
+            })} ${feedback.analysis}`;
+
+            document.getElementById('clarityFeedback').textContent = feedback.pronunciationFeedback;
+            document.getElementById('confidenceFeedback').textContent = feedback.fluencyFeedback;
+        } catch (error) {
+            console.error('Read-aloud error:', error);
+            accuracy.textContent = '-';
+            summary.textContent = I18n.t('readAloud.failed', { error: error.message });
+        }
     }
 
-    generateFeedback(clarity, confidence, mode) {
-        const clarityFeedback = document.getElementById('clarityFeedback');
-        const confidenceFeedback = document.getElementById('confidenceFeedback');
+    // Passage words coloured by alignment result
+    renderAlignment(words) {
+        const passage = document.getElementById('readAloudPassage');
+        passage.innerHTML = '';
 
-        const clarityTips = [
-            "Try to articulate each word more clearly and avoid mumbling.",
-            "Speak with more structured sentences to boost clarity.",
-            "Reduce filler words like 'um' and 'uh' for better clarity.",
-            "Practice enunciating consonants more precisely.",
-            "Slow down your speaking pace to improve clarity.",
-            "Focus on completing your thoughts before moving to the next point."
-        ];
-
-        const confidenceTips = [
-            "Maintain eye contact with the camera to project confidence.",
-            "Reduce pauses and hesitations while speaking.",
-            "Speak with a stronger, more assertive tone.",
-            "Keep your posture upright and face the camera directly.",
-            "Practice deep breathing to reduce nervousness in your voice.",
-            "Use hand gestures naturally to enhance your message."
-        ];
+        words.forEach(word => {
+            const span = document.createElement('span');
+            span.className = `word-${word.type}`;
 
-        if (mode === 'Only Voice') {
-            confidenceFeedback.textContent = "Enable your camera to receive full confidence scoring and feedback.";
-        } else if (mode === 'No Voice') {
-            clarityFeedback.textContent = "Please speak clearly into your microphone to receive clarity feedback.";
-            confidenceFeedback.textContent = "Start speaking and enable your camera for a complete evaluation.";
-            return;
-        } else {
-            confidenceFeedback.textContent = confidenceTips[Math.floor(Math.random() * confidenceTips.length)];
-        }
+            if (word.type === 'insertion') {
+                span.textContent = `+${word.spoken}`;
+                span.title = I18n.t('readAloud.notInPassage');
+            } else {
+                span.textContent = word.reference;
+                if (word.type === 'substitution') span.title = I18n.t('readAloud.heard', { word: word.spoken });
+                if (word.type === 'omission') span.title = I18n.t('readAloud.skipped');
+            }
 
-        clarityFeedback.textContent = clarityTips[Math.floor(Math.random() * clarityTips.length)];
+            passage.append(span, ' ');
+        });
     }
 
-    updateSessionStats() {
-        document.getElementById('evaluationCount').textContent = this.state.evaluationCount;
+    // Update session statistics and persist the evaluation to history.
+    // Averages are weighted by the seconds each evaluation covers: its window,
+    // or the time since the previous evaluation for a manual one.
+    recordEvaluation(evaluation, sessionId = this.sessionId) {
+        const now = this.featureTracker.lastTime || 0;
+        let weight = evaluation.weight;
+        if (weight === undefined) {
+            weight = evaluation.window
+                ? evaluation.window.end - evaluation.window.start
+                : now - this.lastEvaluatedAt;
+            this.lastEvaluatedAt = Math.max(this.lastEvaluatedAt, evaluation.window ? evaluation.window.end : now);
+        }
+        evaluation = { ...evaluation, weight: Math.max(1, Math.round(weight * 10) / 10) };
 
-        if (this.state.evaluationCount > 0) {
-            const avgClarity = (this.state.totalClarity / this.state.evaluationCount).toFixed(1);
-            const avgConfidence = (this.state.totalConfidence / this.state.evaluationCount).toFixed(1);
+        this.state.evaluationCount++;
+        this.state.weightedClarity += evaluation.clarity * evaluation.weight;
+        this.state.weightedConfidence += evaluation.confidence * evaluation.weight;
+        this.state.totalWeight += evaluation.weight;
+        // Late results from a previous session stay out of this session's report
+        if (sessionId === this.sessionId) {
+            this.sessionEvaluations.push({ ...evaluation, time: evaluation.window ? evaluation.window.end : now });
+        }
+        this.updateSessionStats();
 
-            document.getElementById('avgClarity').textContent = avgClarity;
-            document.getElementById('avgConfidence').textContent = avgConfidence;
+        // Marked on the replay timeline at the moment it covers
+        if (evaluation.window || this.state.isRecording) {
+            this.replayMarkers.push({
+                time: evaluation.window ? evaluation.window.end : now,
+                type: 'evaluation',
+                text: I18n.t('replay.evaluationMarker', { clarity: evaluation.clarity, confidence: evaluation.confidence })
+            });
+            if (!this.state.isRecording) this.renderReplayMarkers();
         }
-    }
 
-    startSessionTimer() {
-        this.sessionInterval = setInterval(() => {
-            const elapsed = Math.floor((Date.now() - this.sessionStartTime) / 1000);
-            const minutes = Math.floor(elapsed / 60);
-            const seconds = elapsed % 60;
+        if (evaluation.window) {
+            this.windowEvaluations.push({ ...evaluation.window, clarity: evaluation.clarity, confidence: evaluation.confidence });
+            this.windowEvaluations.sort((a, b) => a.start - b.start);
+            this.renderWindowTimeline();
+        }
 
-            document.getElementById('sessionDuration').textContent =
-                `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
-        }, 1000);
+        if (!this.state.backendAvailable || !sessionId) return;
+
+        fetch(`${API_BASE_URL}/api/sessions/${sessionId}/evaluations`, {
+            method: 'POST',
+            headers: this.authHeaders({
+                'Content-Type': 'application/json'
+            }),
+            body: JSON.stringify(evaluation)
+        }).catch(error => console.error('Error saving evaluation:', error));
     }
 
-    updateSystemStatus(text, type = 'success') {
-        const statusIndicator = document.getElementById('systemStatus');
-        const statusText = statusIndicator.querySelector('.status-text');
-        const statusDot = statusIndicator.querySelector('.status-dot');
+    // Upload the whole session recording for multimodal evaluation
+    async analyzeRecording(recording) {
+        if (this.audioChunks.length === 0) return;
 
-        statusText.textContent = text;
+        const { sessionId, duration, features, nonverbal, prosody } = recording;
+        const blob = new Blob(this.audioChunks, { type: this.audioChunks[0].type || 'audio/webm' });
 
-        const colors = {
-            success: 'hsl(140, 70%, 55%)',
-            warning: 'hsl(45, 100%, 60%)',
-            danger: 'hsl(0, 85%, 60%)'
-        };
+        const reviewStatus = document.getElementById('reviewStatus');
+        reviewStatus.textContent = I18n.t('replay.analyzing');
 
-        statusDot.style.background = colors[type] || colors.success;
+        try {
+            const result = await this.requestRecordingAnalysis(blob, recording);
+
+            const {
+                clarity, confidence, relevance, structure, clarityFeedback, confidenceFeedback, analysis,
+                scores, total, rubric
+            } = result.evaluation;
+            this.displayResults(clarity, confidence, result.mode);
+            this.displayPromptScores(relevance, structure);
+            this.displayRubricBreakdown(result.evaluation);
+            document.getElementById('clarityFeedback').textContent = clarityFeedback;
+            document.getElementById('confidenceFeedback').textContent = confidenceFeedback;
+
+            this.recordEvaluation({
+                clarity,
+                confidence,
+                relevance,
+                structure,
+                mode: result.mode,
+                clarityFeedback,
+                confidenceFeedback,
+                analysis,
+                rubricId: rubric.id,
+                scores,
+                total,
+                features: { ...features, nonverbal, prosody },
+                weight: duration
+            }, sessionId);
+
+            this.setReplayMarkers(result.markers);
+            reviewStatus.textContent = analysis || '';
+        } catch (error) {
+            console.error('Recording analysis error:', error);
+            if (error.offline && this.offlineQueue) {
+                this.queueRecording(recording, blob);
+                return;
+            }
+            reviewStatus.textContent = I18n.t('replay.analysisFailed');
+        }
+    }
+
+    // POST a recording to /api/analyze-audio. Network failures reject with
+    // `offline` set, server errors with the response `status`.
+    async requestRecordingAnalysis(blob, { promptId, rubricId, language, hasFace, hasVoice, features, nonverbal, prosody }) {
+        const formData = new FormData();
+        formData.append('audio', blob, 'session.webm');
+        formData.append('hasFace', String(hasFace));
+        formData.append('hasVoice', String(hasVoice));
+        formData.append('audioFeatures', JSON.stringify(features));
+        formData.append('nonverbalFeatures', JSON.stringify(nonverbal));
+        formData.append('prosodyFeatures', JSON.stringify(prosody));
+        if (promptId) {
+            formData.append('promptId', promptId);
+        }
+        formData.append('rubricId', rubricId);
+        if (language) {
+            formData.append('language', language);
+        }
+
+        const result = await this.sendRequest(`${API_BASE_URL}/api/analyze-audio`, {
+            method: 'POST',
+            headers: this.authHeaders(),
+            body: formData
+        });
+        return result;
+    }
+
+    // fetch() a JSON API route, rejecting on network errors (`offline`) and unsuccessful responses (`status`)
+    async sendRequest(url, options) {
+        let response;
+        try {
+            response = await fetch(url, options);
+        } catch (error) {
+            error.offline = true;
+            throw error;
+        }
+
+        const result = await response.json();
+        if (!result.success) {
+            const error = new Error(result.error || `Request failed (${response.status})`);
+            error.status = response.status;
+            throw error;
+        }
+        return result;
+    }
+
+    // Keep a recording for evaluation once the backend is reachable again
+    async queueRecording(recording, blob = null) {
+        if (!blob) {
+            if (this.audioChunks.length === 0) return;
+            blob = new Blob(this.audioChunks, { type: this.audioChunks[0].type || 'audio/webm' });
+        }
+
+        const reviewStatus = document.getElementById('reviewStatus');
+        try {
+            await this.offlineQueue.add({
+                ...recording,
+                blob,
+                userId: this.userId,
+                recordedAt: new Date(this.sessionStartTime).toISOString(),
+                attempts: 0
+            });
+            reviewStatus.textContent = I18n.t('queue.queued');
+        } catch (error) {
+            console.error('Error queueing recording:', error);
+            reviewStatus.textContent = I18n.t('queue.saveFailed');
+        }
+        this.updateQueueStatus();
+    }
+
+    // Evaluate queued recordings, oldest first, and save them to history
+    async flushOfflineQueue() {
+        if (!this.offlineQueue || this.flushingQueue || !this.state.backendAvailable) return;
+        this.flushingQueue = true;
+        let evaluated = 0;
+
+        try {
+            const items = await this.offlineQueue.list();
+            for (const item of items.filter(entry => entry.attempts < MAX_QUEUE_ATTEMPTS)) {
+                try {
+                    await this.uploadQueuedRecording(item);
+                    await this.offlineQueue.remove(item.id);
+                    evaluated++;
+                } catch (error) {
+                    console.error('Queued recording upload error:', error);
+                    // Lost the connection or hit a limit: leave the rest for next time
+                    if (error.offline || error.status === 429) break;
+                    await this.offlineQueue.update({ ...item, attempts: item.attempts + 1, lastError: error.message });
+                }
+            }
+        } catch (error) {
+            console.error('Offline queue error:', error);
+        } finally {
+            this.flushingQueue = false;
+        }
+
+        this.updateQueueStatus();
+        if (evaluated > 0) {
+            this.updateSystemStatus('status.offlineEvaluated', 'success', { count: evaluated });
+            this.loadHistory();
+        }
+    }
+
+    async uploadQueuedRecording(item) {
+        // Recorded without a backend: file it under a session of its own, dated when it was recorded
+        if (!item.sessionId) {
+            const created = await this.sendRequest(`${API_BASE_URL}/api/sessions`, {
+                method: 'POST',
+                headers: this.authHeaders({
+                    'Content-Type': 'application/json'
+                }),
+                body: JSON.stringify({
+                    userId: item.userId,
+                    promptId: item.promptId || undefined,
+                    startedAt: item.recordedAt
+                })
+            });
+            item.sessionId = created.session.id;
+            item.ownSession = true;
+            // A retry reuses the session instead of creating another
+            await this.offlineQueue.update(item);
+        }
+
+        const result = await this.requestRecordingAnalysis(item.blob, item);
+        const { evaluation } = result;
+
+        await this.sendRequest(`${API_BASE_URL}/api/sessions/${item.sessionId}/evaluations`, {
+            method: 'POST',
+            headers: this.authHeaders({
+                'Content-Type': 'application/json'
+            }),
+            body: JSON.stringify({
+                clarity: evaluation.clarity,
+                confidence: evaluation.confidence,
+                relevance: evaluation.relevance,
+                structure: evaluation.structure,
+                mode: result.mode,
+                clarityFeedback: evaluation.clarityFeedback,
+                confidenceFeedback: evaluation.confidenceFeedback,
+                analysis: evaluation.analysis,
+                rubricId: evaluation.rubric.id,
+                scores: evaluation.scores,
+                total: evaluation.total,
+                features: { ...item.features, nonverbal: item.nonverbal, prosody: item.prosody },
+                weight: item.duration,
+                recordedAt: item.recordedAt
+            })
+        });
+
+        if (item.ownSession) {
+            await this.sendRequest(`${API_BASE_URL}/api/sessions/${item.sessionId}`, {
+                method: 'PATCH',
+                headers: this.authHeaders({
+                    'Content-Type': 'application/json'
+                }),
+                body: JSON.stringify({ duration: Math.floor(item.duration) })
+            });
+        }
+    }
+
+    async updateQueueStatus() {
+        const status = document.getElementById('offlineQueueStatus');
+        if (!this.offlineQueue) return;
+
+        try {
+            const count = await this.offlineQueue.count();
+            status.textContent = I18n.t('queue.waiting', { count });
+            status.classList.toggle('hidden', count === 0);
+        } catch (error) {
+            console.error('Offline queue error:', error);
+        }
+    }
+
+    // Play back the session video with its transcript, face track and feedback markers
+    showReplay() {
+        if (!this.replay || this.replayChunks.length === 0) return;
+
+        const { duration } = this.replay;
+        const player = document.getElementById('recordingPlayer');
+        const playhead = document.getElementById('timelinePlayhead');
+
+        if (this.recordingUrl) {
+            URL.revokeObjectURL(this.recordingUrl);
+        }
+        const blob = new Blob(this.replayChunks, { type: this.replayChunks[0].type || 'video/webm' });
+        this.recordingUrl = URL.createObjectURL(blob);
+        player.src = this.recordingUrl;
+
+        // MediaRecorder output often reports an Infinity duration, use the session length
+        player.ontimeupdate = () => {
+            playhead.style.left = `${Math.min(100, (player.currentTime / duration) * 100)}%`;
+            this.highlightReplayTranscript(player.currentTime);
+        };
+
+        this.renderFaceTrack();
+        this.renderReplayTranscript();
+        this.renderReplayMarkers();
+        document.getElementById('recordingReview').classList.remove('hidden');
+    }
+
+    seekReplay(time) {
+        const player = document.getElementById('recordingPlayer');
+        player.currentTime = time;
+        player.play();
+    }
+
+    // Grey gaps wherever face detection lost the speaker
+    renderFaceTrack() {
+        const track = document.getElementById('faceTrack');
+        const { faceSamples, duration } = this.replay;
+        const percent = (seconds) => `${Math.min(100, (seconds / duration) * 100)}%`;
+
+        track.replaceChildren();
+        let gapStart = null;
+        faceSamples.forEach((sample, index) => {
+            if (!sample.visible && gapStart === null) gapStart = sample.time;
+
+            const next = faceSamples[index + 1];
+            if (gapStart !== null && (!next || next.visible)) {
+                const end = next ? next.time : duration;
+                const gap = document.createElement('div');
+                gap.className = 'face-gap';
+                gap.style.left = percent(gapStart);
+                gap.style.width = percent(end - gapStart);
+                gap.title = I18n.t('replay.noFace', { start: gapStart.toFixed(1), end: end.toFixed(1) });
+                track.appendChild(gap);
+                gapStart = null;
+            }
+        });
+    }
+
+    renderReplayTranscript() {
+        const container = document.getElementById('replayTranscript');
+        container.replaceChildren();
+
+        this.replay.transcript.forEach(segment => {
+            const line = document.createElement('button');
+            line.className = 'transcript-line';
+            line.dataset.start = segment.start;
+
+            const time = document.createElement('span');
+            time.className = 'transcript-time';
+            time.textContent = `${Math.floor(segment.start / 60)}:${String(Math.floor(segment.start % 60)).padStart(2, '0')}`;
+
+            line.append(time, segment.text);
+            line.addEventListener('click', () => this.seekReplay(segment.start));
+            container.appendChild(line);
+        });
+    }
+
+    // The segment being spoken at the playback position
+    highlightReplayTranscript(time) {
+        const lines = [...document.querySelectorAll('#replayTranscript .transcript-line')];
+        const current = lines.filter(line => Number(line.dataset.start) <= time).pop();
+
+        lines.forEach(line => line.classList.toggle('active', line === current));
+    }
+
+    // Filler and long-pause markers from the full-recording analysis
+    setReplayMarkers(markers) {
+        if (!this.replay) return;
+        this.replay.serverMarkers = markers;
+        this.renderReplayMarkers();
+    }
+
+    // Issues from the AI analysis when available, otherwise from local speech
+    // analytics, plus the nudges and evaluations given during practice
+    renderReplayMarkers() {
+        if (!this.replay) return;
+        const { duration, transcript, activity, feedback, serverMarkers, language } = this.replay;
+
+        let issues = serverMarkers;
+        if (!issues) {
+            const { fillers, pauses } = SpeechAnalytics.analyzeSpeech({ segments: transcript, activity, duration, language });
+            issues = [
+                ...fillers.occurrences.map(filler => ({ time: filler.time, type: 'filler', text: filler.type })),
+                ...pauses.occurrences
+                    .filter(pause => pause.duration > 2)
+                    .map(pause => ({ time: pause.start, type: 'long-pause', text: `${pause.duration}s` }))
+            ];
+        }
+
+        this.renderMarkers([...issues, ...feedback], duration);
+    }
+
+    renderMarkers(markers, duration) {
+        const timeline = document.getElementById('markerTimeline');
+
+        timeline.querySelectorAll('.timeline-marker').forEach(marker => marker.remove());
+
+        markers.forEach(({ time, type, text }) => {
+            const marker = document.createElement('button');
+            marker.className = `timeline-marker ${type}`;
+            marker.style.left = `${Math.min(100, (time / duration) * 100)}%`;
+            const label = type === 'filler'
+                ? I18n.t('replay.fillerMarker', { word: text })
+                : type === 'long-pause' ? I18n.t('replay.longPauseMarker', { duration: text }) : text;
+            marker.title = `${time.toFixed(1)}s · ${label}`;
+            marker.addEventListener('click', () => this.seekReplay(time));
+            timeline.appendChild(marker);
+        });
+    }
+
+    displayResults(clarity, confidence, mode) {
+        document.getElementById('evaluationResults').classList.remove('read-aloud');
+
+        // Update scores
+        document.getElementById('clarityScore').textContent = clarity;
+        document.getElementById('confidenceScore').textContent = confidence;
+
+        // Update progress bars
+        document.getElementById('clarityBar').style.width = `${clarity * 10}%`;
+        document.getElementById('confidenceBar').style.width = `${confidence * 10}%`;
+    }
+
+    // Relevance/structure columns only apply to prompted sessions
+    displayPromptScores(relevance, structure) {
+        const table = document.querySelector('.results-table');
+        const hasScores = relevance !== undefined && structure !== undefined;
+
+        table.classList.toggle('with-prompt', hasScores);
+        if (!hasScores) return;
+
+        document.getElementById('relevanceScore').textContent = relevance;
+        document.getElementById('structureScore').textContent = structure;
+        document.getElementById('relevanceBar').style.width = `${relevance * 10}%`;
+        document.getElementById('structureBar').style.width = `${structure * 10}%`;
+    }
+
+    // Per-criterion scores and weighted total from the rubric the server scored with
+    displayRubricBreakdown(evaluation) {
+        const breakdown = document.getElementById('rubricBreakdown');
+        if (!evaluation || !evaluation.rubric) {
+            breakdown.classList.add('hidden');
+            return;
+        }
+
+        const { rubric, scores, total } = evaluation;
+        const { max } = rubric.scale;
+        const totalWeight = rubric.criteria.reduce((sum, criterion) => sum + criterion.weight, 0);
+
+        document.getElementById('rubricBreakdownName').textContent = rubric.name;
+        document.getElementById('rubricTotal').textContent = `${total}/${max}`;
+        document.getElementById('rubricScores').replaceChildren(...rubric.criteria.map(criterion => {
+            const item = document.createElement('li');
+            const share = Math.round((criterion.weight / totalWeight) * 100);
+            item.textContent = `${criterion.name}: ${scores[criterion.key]}/${max} (${share}%)`;
+            return item;
+        }));
+        breakdown.classList.remove('hidden');
+    }
+
+    generateFeedback(clarity, confidence, mode) {
+        const clarityFeedback = document.getElementById('clarityFeedback');
+        const confidenceFeedback = document.getElementById('confidenceFeedback');
+
+        // Tip catalogues for the practice language
+        const clarityTips = I18n.t('feedback.clarityTips');
+        const confidenceTips = I18n.t('feedback.confidenceTips');
+
+        if (mode === 'Only Voice') {
+            confidenceFeedback.textContent = I18n.t('feedback.cameraOff');
+        } else if (mode === 'No Voice') {
+            clarityFeedback.textContent = I18n.t('feedback.noVoiceClarity');
+            confidenceFeedback.textContent = I18n.t('feedback.noVoiceConfidence');
+            return { clarityFeedback: clarityFeedback.textContent, confidenceFeedback: confidenceFeedback.textContent };
+        } else {
+            confidenceFeedback.textContent = confidenceTips[Math.floor(Math.random() * confidenceTips.length)];
+        }
+
+        clarityFeedback.textContent = clarityTips[Math.floor(Math.random() * clarityTips.length)];
+
+        // Prefer tips backed by what was actually measured
+        const analytics = this.speechAnalytics;
+        if (analytics) {
+            const { fillers, pace, pauses } = analytics;
+            const topFiller = Object.entries(fillers.byType).sort((a, b) => b[1] - a[1])[0];
+
+            if (fillers.perMinute >= 3 && topFiller) {
+                clarityFeedback.textContent = I18n.t('feedback.fillers', {
+                    total: fillers.total,
+                    perMinute: fillers.perMinute,
+                    filler: topFiller[0]
+                });
+            } else if (pace.wpm > 170) {
+                clarityFeedback.textContent = I18n.t('feedback.fast', { wpm: pace.wpm });
+            } else if (pace.wpm > 0 && pace.wpm < 110) {
+                clarityFeedback.textContent = I18n.t('feedback.slow', { wpm: pace.wpm });
+            }
+
+            if (mode === 'Human Face + Voice' && pauses.longestSilence >= 3) {
+                confidenceFeedback.textContent = I18n.t('feedback.silence', { seconds: pauses.longestSilence });
+            }
+        }
+
+        // Intonation tips outrank pause advice...
+        if (mode !== 'No Voice') {
+            const [prosodyTip] = ProsodyAnalysis.prosodyFeedback(this.prosodyTracker.summary());
+            if (prosodyTip) {
+                confidenceFeedback.textContent = I18n.t(prosodyTip.key, prosodyTip.params);
+            }
+        }
+
+        // ...and eye contact, head movement and expression outrank both
+        if (mode === 'Human Face + Voice') {
+            const [nonverbalTip] = NonverbalAnalysis.nonverbalFeedback(this.nonverbalTracker.summary());
+            if (nonverbalTip) {
+                confidenceFeedback.textContent = I18n.t(nonverbalTip.key, nonverbalTip.params);
+            }
+        }
+
+        return { clarityFeedback: clarityFeedback.textContent, confidenceFeedback: confidenceFeedback.textContent };
+    }
+
+    // Filler/pace/pause analytics from the transcript and voice-activity timeline
+    updateSpeechAnalytics() {
+        this.speechAnalytics = SpeechAnalytics.analyzeSpeech({
+            segments: this.transcriptBuffer,
+            activity: this.vad ? this.vad.segments : [],
+            duration: this.featureTracker.lastTime || undefined,
+            language: this.language
+        });
+
+        const { wordCount, fillers, pace, pauses } = this.speechAnalytics;
+        const hasWords = wordCount > 0;
+
+        // Pace over the last complete window, for the live coach
+        const fullWindows = pace.timeline.filter(window => window.end - window.start >= 10);
+        this.recentWpm = hasWords && fullWindows.length > 0 ? fullWindows[fullWindows.length - 1].wpm : undefined;
+        const topFillers = Object.entries(fillers.byType)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 2)
+            .map(([type, count]) => `${type} ×${count}`)
+            .join(', ');
+
+        document.getElementById('fillerStatus').textContent = !hasWords
+            ? '-'
+            : fillers.total > 0 ? `${fillers.total} (${topFillers})` : I18n.t('detection.none');
+        document.getElementById('paceStatus').textContent = hasWords
+            ? I18n.t('detection.wpm', { wpm: pace.wpm })
+            : '-';
+        document.getElementById('pauseStatus').textContent = pauses.count > 0
+            ? I18n.t('detection.pauseSummary', { count: pauses.count, seconds: pauses.longestSilence })
+            : I18n.t('detection.none');
+
+        return this.speechAnalytics;
+    }
+
+    // Acoustic features plus speech analytics, sent as `audioFeatures`
+    measureAudioFeatures(range) {
+        if (!range) {
+            return {
+                ...this.featureTracker.features(),
+                ...SpeechAnalytics.summarizeAnalytics(this.updateSpeechAnalytics())
+            };
+        }
+
+        // Shift times so the window starts at 0 and pace windows line up with it
+        const shift = (item) => ({
+            ...item,
+            start: item.start - range.start,
+            end: typeof item.end === 'number' ? item.end - range.start : item.end
+        });
+        const frames = this.featureTracker.frames.filter(frame => frame.time >= range.start && frame.time < range.end);
+        const analytics = SpeechAnalytics.analyzeSpeech({
+            segments: this.transcriptBuffer
+                .filter(segment => segment.start >= range.start && segment.start < range.end)
+                .map(shift),
+            activity: SpeechAnalytics.voiceActivity(frames).map(shift),
+            duration: range.end - range.start,
+            language: this.language
+        });
+
+        return {
+            ...this.featureTracker.features({ from: range.start, to: range.end }),
+            ...SpeechAnalytics.summarizeAnalytics(analytics)
+        };
+    }
+
+    // Eye contact, head pose, blinks and expression from the face-landmark timeline
+    measureNonverbal(range) {
+        const samples = range
+            ? this.nonverbalTracker.samples.filter(sample => sample.time >= range.start && sample.time < range.end)
+            : this.nonverbalTracker.samples;
+        const summary = NonverbalAnalysis.summarizeNonverbal(samples);
+        return { ...summary, nonverbalScore: NonverbalAnalysis.scoreNonverbal(summary) };
+    }
+
+    // Pitch and energy summary for the whole session or one window
+    measureProsody(range) {
+        const frames = range
+            ? this.prosodyTracker.frames.filter(frame => frame.time >= range.start && frame.time < range.end)
+            : this.prosodyTracker.frames;
+        return ProsodyAnalysis.summarizeProsody(frames);
+    }
+
+    resetEvaluationWindows() {
+        this.windowEvaluations = [];
+        this.windowStart = 0;
+        this.windowIndex = 0;
+        this.lastEvaluatedAt = 0;
+        this.renderWindowTimeline();
+    }
+
+    // Auto-evaluate each completed window while practicing
+    checkEvaluationWindow() {
+        const windowSeconds = Number(document.getElementById('autoEvaluateSelect').value);
+        const now = this.featureTracker.lastTime;
+        if (!windowSeconds || this.readAloud || now === null) return;
+
+        if (now - this.windowStart >= windowSeconds) {
+            this.evaluateWindow(now);
+        }
+    }
+
+    evaluateWindow(end) {
+        const range = { index: this.windowIndex++, start: this.windowStart, end: Math.round(end * 10) / 10 };
+        this.windowStart = range.end;
+
+        // Face and voice presence across the window, not just at this instant
+        const features = this.featureTracker.features({ from: range.start, to: range.end });
+        const hasFace = features.facePresence !== null && features.facePresence > 0.2;
+        const hasVoice = features.speechRatio > 0.05;
+
+        if (this.state.backendAvailable) {
+            this.evaluateWithBackend(hasFace, hasVoice, range);
+        } else {
+            this.evaluateLocally(hasFace, hasVoice, range);
+        }
+    }
+
+    renderWindowTimeline() {
+        const section = document.getElementById('windowTimeline');
+        const windows = this.windowEvaluations;
+
+        section.classList.toggle('hidden', windows.length === 0);
+        if (windows.length === 0) return;
+
+        const formatTime = (seconds) =>
+            `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+        drawTrendChart(document.getElementById('windowChart'), {
+            labels: windows.map(window => formatTime(window.end)),
+            series: [
+                { label: I18n.t('results.clarity'), color: 'hsl(260, 100%, 65%)', values: windows.map(window => window.clarity) },
+                { label: I18n.t('results.confidence'), color: 'hsl(180, 100%, 50%)', values: windows.map(window => window.confidence) }
+            ]
+        });
+
+        const latest = windows[windows.length - 1];
+        document.getElementById('windowSummary').textContent = I18n.t('timeline.summary', {
+            count: windows.length,
+            clarity: latest.clarity,
+            confidence: latest.confidence
+        });
+    }
+
+    updateNonverbalMetrics() {
+        const summary = this.nonverbalTracker.summary();
+        const gazeStatus = document.getElementById('gazeStatus');
+        const expressionStatus = document.getElementById('expressionStatus');
+
+        if (summary.faceSamples === 0) {
+            gazeStatus.textContent = '-';
+            expressionStatus.textContent = '-';
+            return;
+        }
+
+        const [dominant] = Object.entries(summary.expressions).sort((a, b) => b[1] - a[1]);
+        const expression = I18n.t(`expression.${dominant ? dominant[0] : 'unknown'}`);
+
+        gazeStatus.textContent = `${Math.round(summary.eyeContact * 100)}%`;
+        expressionStatus.textContent = I18n.t('detection.expressionSummary', { expression, rate: Math.round(summary.blinkRate) });
+    }
+
+    updateSessionStats() {
+        document.getElementById('evaluationCount').textContent = this.state.evaluationCount;
+
+        if (this.state.totalWeight > 0) {
+            const avgClarity = (this.state.weightedClarity / this.state.totalWeight).toFixed(1);
+            const avgConfidence = (this.state.weightedConfidence / this.state.totalWeight).toFixed(1);
+
+            document.getElementById('avgClarity').textContent = avgClarity;
+            document.getElementById('avgConfidence').textContent = avgConfidence;
+        }
+
+        ['exportPdfBtn', 'exportCsvBtn', 'exportJsonBtn'].forEach(id => {
+            document.getElementById(id).disabled = this.sessionEvaluations.length === 0;
+        });
+        if (this.sessionEvaluations.length === 0) document.getElementById('reportNote').classList.add('hidden');
+    }
+
+    // Download the latest practice session as a PDF, CSV or JSON report
+    exportReport(format) {
+        const lastEvaluation = this.sessionEvaluations[this.sessionEvaluations.length - 1];
+        const rubric = lastEvaluation && this.rubrics.find(item => item.id === lastEvaluation.rubricId);
+        const duration = this.state.isRecording || !this.replay
+            ? (Date.now() - this.sessionStartTime) / 1000
+            : this.replay.duration;
+
+        const report = SessionReport.buildReport({
+            learner: this.auth ? this.auth.user.name : null,
+            session: {
+                id: this.sessionId,
+                startedAt: new Date(this.sessionStartTime).toISOString(),
+                duration,
+                prompt: this.practicePrompt ? this.practicePrompt.title : null,
+                rubric: rubric ? rubric.name : null
+            },
+            evaluations: this.sessionEvaluations,
+            transcript: this.transcriptBuffer,
+            trend: this.lastHistory ? this.lastHistory.trend : []
+        });
+
+        const files = {
+            pdf: () => new Blob([SessionReport.toPDF(report, { translate: (key) => I18n.t(key), locale: this.language })], { type: 'application/pdf' }),
+            csv: () => new Blob([SessionReport.toCSV(report)], { type: 'text/csv' }),
+            json: () => new Blob([SessionReport.toJSON(report)], { type: 'application/json' })
+        };
+        const url = URL.createObjectURL(files[format]());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `speakx-session-${report.session.startedAt.slice(0, 10)}.${format}`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        // The PDF's standard fonts cannot show every script; point to the formats that can
+        document.getElementById('reportNote').classList.toggle('hidden', format !== 'pdf' || SessionReport.canRenderPDF(report));
+    }
+
+    async startHistorySession() {
+        this.sessionId = null;
+        if (!this.state.backendAvailable) return;
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/sessions`, {
+                method: 'POST',
+                headers: this.authHeaders({
+                    'Content-Type': 'application/json'
+                }),
+                body: JSON.stringify({
+                    userId: this.userId,
+                    promptId: this.practicePrompt ? this.practicePrompt.id : undefined
+                })
+            });
+            const result = await response.json();
+
+            if (result.success) {
+                this.sessionId = result.session.id;
+            }
+        } catch (error) {
+            console.error('Error creating session:', error);
+        }
+    }
+
+    async finishHistorySession() {
+        if (!this.state.backendAvailable || !this.sessionId) return;
+
+        const sessionId = this.sessionId;
+        this.sessionId = null;
+
+        try {
+            await fetch(`${API_BASE_URL}/api/sessions/${sessionId}`, {
+                method: 'PATCH',
+                headers: this.authHeaders({
+                    'Content-Type': 'application/json'
+                }),
+                body: JSON.stringify({ duration: Math.floor((Date.now() - this.sessionStartTime) / 1000) })
+            });
+        } catch (error) {
+            console.error('Error finishing session:', error);
+        }
+
+        this.loadHistory();
+        this.loadReview();
+    }
+
+    async loadPrompts() {
+        try {
+            // Reading passages in the practice language only
+            const response = await fetch(`${API_BASE_URL}/api/prompts?language=${encodeURIComponent(this.language)}`);
+            const result = await response.json();
+
+            if (result.success) {
+                this.prompts = result.prompts;
+                document.getElementById('promptPicker').classList.remove('hidden');
+                this.renderPromptOptions();
+            }
+        } catch (error) {
+            console.error('Error loading prompts:', error);
+        }
+    }
+
+    renderPromptOptions() {
+        const category = document.getElementById('promptCategory').value;
+        const select = document.getElementById('promptSelect');
+        const prompts = this.prompts.filter(prompt => !category || prompt.category === category);
+
+        select.innerHTML = '';
+        // Read-aloud always needs a passage to read
+        if (!this.readAloud) {
+            select.appendChild(new Option(I18n.t('prompts.free'), ''));
+        }
+        prompts.forEach(prompt => {
+            select.appendChild(new Option(`${prompt.title} · ${prompt.difficulty}`, prompt.id));
+        });
+
+        this.selectPrompt(this.readAloud && prompts.length > 0 ? prompts[0].id : '');
+    }
+
+    // Read-aloud mode limits the picker to reading passages
+    setReadAloud(enabled) {
+        this.readAloud = enabled;
+
+        const category = document.getElementById('promptCategory');
+        category.value = enabled ? 'reading' : '';
+        category.disabled = enabled;
+        document.getElementById('promptPicker').classList.toggle('read-aloud', enabled);
+
+        this.renderPromptOptions();
+    }
+
+    selectPrompt(id) {
+        this.practicePrompt = this.prompts.find(prompt => prompt.id === id) || null;
+        document.getElementById('promptSelect').value = id;
+
+        const card = document.getElementById('promptCard');
+        if (!this.practicePrompt) {
+            card.classList.add('hidden');
+            return;
+        }
+
+        const { text, difficulty, targetDuration, guidance } = this.practicePrompt;
+        const minutes = Math.floor(targetDuration / 60);
+        const seconds = targetDuration % 60;
+
+        document.getElementById('promptText').textContent = text;
+        document.getElementById('promptMeta').textContent = I18n.t('prompts.meta', {
+            difficulty: I18n.t(`prompts.${difficulty}`),
+            time: `${minutes}:${String(seconds).padStart(2, '0')}`
+        });
+        document.getElementById('promptGuidance').textContent = guidance;
+        card.classList.remove('hidden');
+    }
+
+    shufflePrompt() {
+        const options = [...document.getElementById('promptSelect').options].filter(option => option.value);
+        if (options.length === 0) return;
+
+        const option = options[Math.floor(Math.random() * options.length)];
+        this.selectPrompt(option.value);
+    }
+
+    async loadRubrics() {
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/rubrics`, { headers: this.authHeaders() });
+            const result = await response.json();
+
+            if (result.success) {
+                this.rubrics = result.rubrics;
+                document.getElementById('rubricPicker').classList.remove('hidden');
+                this.renderRubricOptions();
+            }
+        } catch (error) {
+            console.error('Error loading rubrics:', error);
+        }
+    }
+
+    renderRubricOptions() {
+        const select = document.getElementById('rubricSelect');
+        select.replaceChildren(...this.rubrics.map(rubric =>
+            new Option(rubric.builtIn ? rubric.name : `${rubric.name} (custom)`, rubric.id)));
+
+        this.selectRubric(this.rubrics.some(rubric => rubric.id === this.rubricId) ? this.rubricId : 'default');
+    }
+
+    selectRubric(id) {
+        this.rubricId = id;
+        localStorage.setItem(RUBRIC_STORAGE_KEY, id);
+        document.getElementById('rubricSelect').value = id;
+    }
+
+    // Your own rubrics open for editing; built-in and other people's open as a copy
+    openRubricDialog() {
+        const rubric = this.rubrics.find(item => item.id === this.rubricId) || this.rubrics[0];
+        const editable = !!(rubric && this.auth && rubric.ownerId === this.auth.user.id);
+        this.editingRubricId = editable ? rubric.id : null;
+
+        document.getElementById('rubricTitle').textContent = editable ? I18n.t('rubric.edit', { name: rubric.name }) : I18n.t('rubric.new');
+        document.getElementById('rubricNameInput').value = !rubric ? '' : editable ? rubric.name : `${rubric.name} (copy)`;
+        document.getElementById('rubricDescription').value = rubric ? rubric.description : '';
+        document.getElementById('rubricMin').value = rubric ? rubric.scale.min : 0;
+        document.getElementById('rubricMax').value = rubric ? rubric.scale.max : 10;
+        document.getElementById('rubricPenalties').value = rubric ? this.formatPenalties(rubric.modePenalties) : '';
+        document.getElementById('rubricError').textContent = this.auth ? '' : I18n.t('rubric.signIn');
+        document.getElementById('deleteRubricBtn').classList.toggle('hidden', !editable);
+
+        document.getElementById('rubricCriteria').replaceChildren();
+        (rubric ? rubric.criteria : []).forEach(criterion => this.addCriterionRow(criterion));
+        document.getElementById('rubricDialog').showModal();
+    }
+
+    // One criterion in the editor; descriptors are "score: text" lines
+    addCriterionRow(criterion = { key: '', name: '', weight: 1, description: '', descriptors: [] }) {
+        const row = document.createElement('fieldset');
+        row.className = 'rubric-criterion';
+
+        const field = (name, element, value, placeholder) => {
+            element.className = 'prompt-select';
+            element.dataset.field = name;
+            element.value = value;
+            element.placeholder = placeholder;
+            row.appendChild(element);
+            return element;
+        };
+
+        field('key', document.createElement('input'), criterion.key, I18n.t('rubric.criterionKey'));
+        field('name', document.createElement('input'), criterion.name, I18n.t('rubric.criterionName'));
+        const weight = field('weight', document.createElement('input'), criterion.weight, I18n.t('rubric.weight'));
+        weight.type = 'number';
+        weight.min = '0';
+        weight.step = 'any';
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'btn btn-secondary btn-small';
+        remove.textContent = I18n.t('common.remove');
+        remove.addEventListener('click', () => row.remove());
+        row.appendChild(remove);
+
+        field('description', document.createElement('input'), criterion.description, I18n.t('rubric.criterionDescription'))
+            .classList.add('wide');
+        const descriptors = field('descriptors', document.createElement('textarea'),
+            criterion.descriptors.map(descriptor => `${descriptor.score}: ${descriptor.text}`).join('\n'),
+            I18n.t('rubric.descriptors'));
+        descriptors.rows = 2;
+        descriptors.classList.add('wide');
+
+        document.getElementById('rubricCriteria').appendChild(row);
+    }
+
+    // { "Only Voice": { confidence: 0.5 } } <-> "Only Voice: confidence=0.5"
+    formatPenalties(modePenalties) {
+        return Object.entries(modePenalties || {})
+            .map(([mode, multipliers]) => `${mode}: ${Object.entries(multipliers).map(([key, factor]) => `${key}=${factor}`).join(', ')}`)
+            .join('\n');
+    }
+
+    parsePenalties(text) {
+        const penalties = {};
+        text.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+            const separator = line.indexOf(':');
+            const mode = (separator < 0 ? line : line.slice(0, separator)).trim();
+            const pairs = separator < 0 ? [] : line.slice(separator + 1).split(',').map(pair => pair.trim()).filter(Boolean);
+            penalties[mode] = Object.fromEntries(pairs.map(pair => {
+                const [key, factor] = pair.split('=').map(part => part.trim());
+                return [key, Number(factor)];
+            }));
+        });
+        return penalties;
+    }
+
+    // Read the editor back into a rubric; the server reports anything invalid
+    readRubricForm() {
+        const rows = [...document.querySelectorAll('#rubricCriteria .rubric-criterion')];
+        const value = (row, name) => row.querySelector(`[data-field="${name}"]`).value.trim();
+
+        return {
+            name: document.getElementById('rubricNameInput').value,
+            description: document.getElementById('rubricDescription').value,
+            scale: {
+                min: Number(document.getElementById('rubricMin').value),
+                max: Number(document.getElementById('rubricMax').value)
+            },
+            criteria: rows.map(row => ({
+                key: value(row, 'key'),
+                name: value(row, 'name'),
+                weight: Number(value(row, 'weight')),
+                description: value(row, 'description'),
+                descriptors: value(row, 'descriptors').split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+                    const separator = line.indexOf(':');
+                    return { score: Number(line.slice(0, separator)), text: line.slice(separator + 1).trim() };
+                })
+            })),
+            modePenalties: this.parsePenalties(document.getElementById('rubricPenalties').value)
+        };
+    }
+
+    async saveRubric(event) {
+        event.preventDefault();
+        const error = document.getElementById('rubricError');
+        if (!this.auth) {
+            error.textContent = I18n.t('rubric.signIn');
+            return;
+        }
+
+        const url = this.editingRubricId
+            ? `${API_BASE_URL}/api/rubrics/${this.editingRubricId}`
+            : `${API_BASE_URL}/api/rubrics`;
+
+        try {
+            const response = await fetch(url, {
+                method: this.editingRubricId ? 'PUT' : 'POST',
+                headers: this.authHeaders({
+                    'Content-Type': 'application/json'
+                }),
+                body: JSON.stringify(this.readRubricForm())
+            });
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error([result.error || 'Could not save the rubric', ...(result.issues || [])].join('. '));
+            }
+
+            document.getElementById('rubricDialog').close();
+            this.rubricId = result.rubric.id;
+            await this.loadRubrics();
+        } catch (requestError) {
+            error.textContent = requestError.message;
+        }
+    }
+
+    async deleteRubric() {
+        const error = document.getElementById('rubricError');
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/rubrics/${this.editingRubricId}`, {
+                method: 'DELETE',
+                headers: this.authHeaders()
+            });
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error || 'Could not delete the rubric');
+            }
+
+            document.getElementById('rubricDialog').close();
+            this.rubricId = 'default';
+            await this.loadRubrics();
+        } catch (requestError) {
+            error.textContent = requestError.message;
+        }
+    }
+
+    setPromptPickerEnabled(enabled) {
+        ['promptSelect', 'shufflePromptBtn', 'readAloudToggle'].forEach(id => {
+            document.getElementById(id).disabled = !enabled;
+        });
+        document.getElementById('promptCategory').disabled = !enabled || this.readAloud;
+    }
+
+    async loadHistory() {
+        if (!this.state.backendAvailable) return;
+
+        const days = Number(document.getElementById('historyRange').value);
+        const from = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+        try {
+            const params = new URLSearchParams({ userId: this.userId, from });
+            const response = await fetch(`${API_BASE_URL}/api/history?${params}`, { headers: this.authHeaders() });
+            const result = await response.json();
+
+            if (result.success) {
+                this.renderHistory(result);
+            }
+        } catch (error) {
+            console.error('Error loading history:', error);
+        }
+    }
+
+    renderHistory(history) {
+        this.lastHistory = history;
+        const summary = document.getElementById('historySummary');
+        const canvas = document.getElementById('historyChart');
+
+        if (!history) {
+            summary.textContent = I18n.t('history.backendOnly');
+            drawTrendChart(canvas, { labels: [], series: [], emptyText: I18n.t('history.noBackend') });
+            return;
+        }
+
+        summary.textContent = I18n.t('history.summary', {
+            sessions: history.totalSessions,
+            evaluations: history.totalEvaluations
+        });
+        drawTrendChart(canvas, {
+            labels: history.trend.map(day => day.date),
+            series: [
+                { label: I18n.t('results.clarity'), color: 'hsl(260, 100%, 65%)', values: history.trend.map(day => day.avgClarity) },
+                { label: I18n.t('results.confidence'), color: 'hsl(180, 100%, 50%)', values: history.trend.map(day => day.avgConfidence) }
+            ],
+            emptyText: I18n.t('history.empty')
+        });
+    }
+
+    loadAuth() {
+        try {
+            return JSON.parse(localStorage.getItem(AUTH_STORAGE_KEY));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Remember the signed-in account; history then belongs to it instead of this browser
+    setAuth(auth) {
+        this.auth = auth;
+        if (auth) {
+            localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify(auth));
+        } else {
+            localStorage.removeItem(AUTH_STORAGE_KEY);
+        }
+        this.userId = auth ? auth.user.id : this.getUserId();
+        this.renderAccount();
+    }
+
+    authHeaders(headers = {}) {
+        return this.auth ? { ...headers, Authorization: `Bearer ${this.auth.token}` } : headers;
+    }
+
+    // Reload the account (coaches or learners change server-side) and drop expired tokens
+    async refreshAccount() {
+        if (!this.auth || !this.state.backendAvailable) {
+            this.loadReview();
+            return;
+        }
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/auth/me`, { headers: this.authHeaders() });
+            if (response.status === 401) {
+                this.setAuth(null);
+                this.loadHistory();
+            } else {
+                const result = await response.json();
+                if (result.success) this.setAuth({ ...this.auth, user: result.user });
+            }
+        } catch (error) {
+            console.error('Error loading account:', error);
+        }
+
+        this.loadReview();
+    }
+
+    renderAccount() {
+        document.getElementById('accountBtn').textContent = this.auth ? `👤 ${this.auth.user.name}` : I18n.t('account.signIn');
+    }
+
+    openAccountDialog() {
+        this.renderAccountDialog(this.auth ? 'profile' : 'login');
+        document.getElementById('accountDialog').showModal();
+    }
+
+    // mode: 'login', 'register' or 'profile'
+    renderAccountDialog(mode) {
+        this.accountMode = mode;
+        const show = (id, visible) => document.getElementById(id).classList.toggle('hidden', !visible);
+        const titles = {
+            login: I18n.t('account.signIn'),
+            register: I18n.t('account.createAnAccount'),
+            profile: this.auth ? this.auth.user.name : ''
+        };
+
+        document.getElementById('accountTitle').textContent = titles[mode];
+        document.getElementById('accountError').textContent = '';
+        document.getElementById('accountSubmit').textContent = I18n.t(mode === 'register' ? 'account.createAccount' : 'account.signIn');
+        document.getElementById('accountSwitch').textContent = I18n.t(mode === 'register' ? 'account.haveAccount' : 'account.createAnAccount');
+        show('accountFields', mode !== 'profile');
+        show('accountName', mode === 'register');
+        show('accountRole', mode === 'register');
+        show('accountSubmit', mode !== 'profile');
+        show('accountSwitch', mode !== 'profile');
+        show('accountProfile', mode === 'profile');
+        show('signOutBtn', mode === 'profile');
+
+        if (mode === 'profile') this.renderProfile();
+    }
+
+    // Learners manage which coaches can review them; coaches see who shared with them
+    renderProfile() {
+        const { user } = this.auth;
+        const isCoach = user.role === 'coach';
+        const people = (isCoach ? user.learners : user.coaches) || [];
+        const list = document.getElementById('coachList');
+
+        document.getElementById('accountSummary').textContent = `${user.email} · ${I18n.t(isCoach ? 'account.coach' : 'account.learner')}`;
+        document.getElementById('addCoachControls').classList.toggle('hidden', isCoach);
+
+        list.replaceChildren();
+        if (people.length === 0) {
+            list.textContent = I18n.t(isCoach ? 'account.noLearners' : 'account.noCoaches');
+            return;
+        }
+
+        people.forEach(person => {
+            const item = document.createElement('div');
+            item.className = 'coach-item';
+            item.textContent = `${person.name} (${person.email})`;
+
+            if (!isCoach) {
+                const remove = document.createElement('button');
+                remove.type = 'button';
+                remove.className = 'btn btn-secondary btn-small';
+                remove.textContent = I18n.t('common.remove');
+                remove.addEventListener('click', () => this.removeCoach(person.id));
+                item.appendChild(remove);
+            }
+            list.appendChild(item);
+        });
+    }
+
+    async submitAccount(event) {
+        event.preventDefault();
+        const error = document.getElementById('accountError');
+        if (!this.state.backendAvailable) {
+            error.textContent = I18n.t('account.needsBackend');
+            return;
+        }
+
+        const register = this.accountMode === 'register';
+        const body = {
+            email: document.getElementById('accountEmail').value,
+            password: document.getElementById('accountPassword').value
+        };
+        if (register) {
+            body.name = document.getElementById('accountName').value;
+            body.role = document.getElementById('accountRole').value;
+        }
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/auth/${register ? 'register' : 'login'}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(body)
+            });
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error || 'Could not sign in');
+            }
+
+            document.getElementById('accountPassword').value = '';
+            document.getElementById('accountDialog').close();
+            this.setAuth({ token: result.token, user: result.user });
+            this.loadHistory();
+            this.loadRubrics();
+            this.refreshAccount();
+        } catch (requestError) {
+            error.textContent = requestError.message;
+        }
+    }
+
+    async signOut() {
+        try {
+            await fetch(`${API_BASE_URL}/api/auth/logout`, { method: 'POST', headers: this.authHeaders() });
+        } catch (error) {
+            console.error('Error signing out:', error);
+        }
+
+        document.getElementById('accountDialog').close();
+        this.setAuth(null);
+        this.loadHistory();
+        this.loadRubrics();
+        this.loadReview();
+    }
+
+    async addCoach() {
+        const input = document.getElementById('coachEmail');
+        const error = document.getElementById('accountError');
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/auth/coaches`, {
+                method: 'POST',
+                headers: this.authHeaders({
+                    'Content-Type': 'application/json'
+                }),
+                body: JSON.stringify({ email: input.value })
+            });
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error || 'Could not add coach');
+            }
+
+            input.value = '';
+            error.textContent = '';
+            this.setAuth({ ...this.auth, user: { ...this.auth.user, coaches: result.coaches } });
+            this.renderProfile();
+        } catch (requestError) {
+            error.textContent = requestError.message;
+        }
+    }
+
+    async removeCoach(coachId) {
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/auth/coaches/${coachId}`, {
+                method: 'DELETE',
+                headers: this.authHeaders()
+            });
+            const result = await response.json();
+            if (result.success) {
+                this.setAuth({ ...this.auth, user: { ...this.auth.user, coaches: result.coaches } });
+                this.renderProfile();
+            }
+        } catch (error) {
+            console.error('Error removing coach:', error);
+        }
+    }
+
+    // Evaluated sessions with coach comments and overrides; coaches pick a learner first
+    loadReview() {
+        const section = document.getElementById('reviewSection');
+        const user = this.auth && this.auth.user;
+        const available = !!user && this.state.backendAvailable;
+
+        section.classList.toggle('hidden', !available);
+        if (!available) return;
+
+        const isCoach = user.role === 'coach';
+        const learnerSelect = document.getElementById('reviewLearner');
+        document.getElementById('reviewTitle').textContent = I18n.t(isCoach ? 'review.coachTitle' : 'review.learnerTitle');
+        learnerSelect.classList.toggle('hidden', !isCoach);
+
+        if (isCoach) {
+            const learners = user.learners || [];
+            const selected = learnerSelect.value;
+            learnerSelect.replaceChildren(...learners.map(learner => new Option(learner.name, learner.id)));
+            if (learners.some(learner => learner.id === selected)) learnerSelect.value = selected;
+
+            if (learners.length === 0) {
+                document.getElementById('reviewSession').replaceChildren();
+                document.getElementById('reviewEvaluations').textContent = I18n.t('review.noLearners');
+                return;
+            }
+        }
+
+        this.loadReviewSessions();
+    }
+
+    async loadReviewSessions() {
+        const isCoach = this.auth.user.role === 'coach';
+        const userId = isCoach ? document.getElementById('reviewLearner').value : this.auth.user.id;
+        const sessionSelect = document.getElementById('reviewSession');
+
+        try {
+            const params = new URLSearchParams({ userId });
+            const response = await fetch(`${API_BASE_URL}/api/sessions?${params}`, { headers: this.authHeaders() });
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error || 'Could not load sessions');
+            }
+
+            // Newest first, and only sessions with something to review
+            const sessions = result.sessions.filter(session => session.evaluationCount > 0).reverse();
+            const selected = sessionSelect.value;
+            sessionSelect.replaceChildren(...sessions.map(session => new Option(
+                `${new Date(session.startedAt).toLocaleString()} · ${session.evaluationCount} evaluation${session.evaluationCount === 1 ? '' : 's'}`,
+                session.id
+            )));
+
+            if (sessions.length === 0) {
+                this.reviewSession = null;
+                document.getElementById('reviewEvaluations').textContent = I18n.t('review.noSessions');
+                return;
+            }
+            if (sessions.some(session => session.id === selected)) sessionSelect.value = selected;
+            this.loadReviewSession(sessionSelect.value);
+        } catch (error) {
+            console.error('Error loading review sessions:', error);
+        }
+    }
+
+    async loadReviewSession(sessionId) {
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/sessions/${sessionId}`, { headers: this.authHeaders() });
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error || 'Could not load session');
+            }
+
+            this.reviewSession = result.session;
+            this.renderReviewEvaluations();
+        } catch (error) {
+            console.error('Error loading review session:', error);
+        }
+    }
+
+    renderReviewEvaluations() {
+        const container = document.getElementById('reviewEvaluations');
+        const isCoach = this.auth.user.role === 'coach';
+        const formatTime = (seconds) => `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+        const make = (tag, className, text) => {
+            const element = document.createElement(tag);
+            if (className) element.className = className;
+            if (text !== undefined) element.textContent = text;
+            return element;
+        };
+
+        container.replaceChildren();
+        this.reviewSession.evaluations.forEach(evaluation => {
+            const card = make('div', 'review-evaluation');
+            const { override } = evaluation;
+
+            // AI scores, with the coach's override alongside
+            const when = evaluation.window
+                ? `${formatTime(evaluation.window.start)}–${formatTime(evaluation.window.end)}`
+                : new Date(evaluation.createdAt).toLocaleTimeString();
+            const score = (key, label) => {
+                const overridden = override && typeof override[key] === 'number';
+                return overridden ? `${label} ${evaluation[key]} → ${override[key]}` : `${label} ${evaluation[key]}`;
+            };
+            card.appendChild(make('div', 'review-scores',
+                `${when} · ${score('clarity', I18n.t('results.clarity'))} · ${score('confidence', I18n.t('results.confidence'))}`));
+            if (override) {
+                card.appendChild(make('div', 'comment-meta', override.note
+                    ? I18n.t('review.reviewedByNote', { coach: override.coachName, note: override.note })
+                    : I18n.t('review.reviewedBy', { coach: override.coachName })));
+            }
+            if (evaluation.clarityFeedback) card.appendChild(make('p', 'review-feedback', evaluation.clarityFeedback));
+            if (evaluation.confidenceFeedback) card.appendChild(make('p', 'review-feedback', evaluation.confidenceFeedback));
+
+            (evaluation.comments || []).forEach(comment => {
+                const item = make('div', 'review-comment');
+                const at = comment.time !== null ? ` · ${I18n.t('review.at', { time: formatTime(comment.time) })}` : '';
+                const role = I18n.t(comment.authorRole === 'coach' ? 'account.coach' : 'account.learner');
+                item.appendChild(make('span', 'comment-meta',
+                    `${comment.authorName} (${role}) · ${new Date(comment.createdAt).toLocaleString(this.language)}${at}`));
+                item.appendChild(make('span', '', comment.text));
+                card.appendChild(item);
+            });
+
+            // New comment, timestamped in seconds into the session
+            const commentForm = make('form', 'review-form');
+            const text = make('input', 'prompt-select');
+            text.placeholder = I18n.t('review.addComment');
+            text.required = true;
+            const time = make('input', 'prompt-select review-number');
+            time.type = 'number';
+            time.min = '0';
+            time.step = '0.1';
+            time.placeholder = I18n.t('review.seconds');
+            time.title = I18n.t('review.secondsTitle');
+            if (evaluation.window) time.value = evaluation.window.start;
+            commentForm.append(text, time, make('button', 'btn btn-secondary btn-small', I18n.t('review.comment')));
+            commentForm.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.postReviewComment(evaluation.id, text.value, time.value === '' ? null : Number(time.value));
+            });
+            card.appendChild(commentForm);
+
+            if (isCoach) {
+                const overrideForm = make('form', 'review-form');
+                const inputs = ['clarity', 'confidence'].map(key => {
+                    const input = make('input', 'prompt-select review-number');
+                    input.type = 'number';
+                    input.min = '0';
+                    input.max = '10';
+                    input.name = key;
+                    input.placeholder = I18n.t(`results.${key}`);
+                    input.title = I18n.t('review.overrideTitle', { score: input.placeholder });
+                    input.value = override && typeof override[key] === 'number' ? override[key] : '';
+                    return input;
+                });
+                const note = make('input', 'prompt-select');
+                note.placeholder = I18n.t('review.why');
+                note.value = override && override.note ? override.note : '';
+                overrideForm.append(...inputs, note, make('button', 'btn btn-secondary btn-small', I18n.t('review.override')));
+
+                if (override) {
+                    const clear = make('button', 'btn btn-secondary btn-small', I18n.t('review.reset'));
+                    clear.type = 'button';
+                    clear.addEventListener('click', () => this.clearReviewOverride(evaluation.id));
+                    overrideForm.appendChild(clear);
+                }
+                overrideForm.addEventListener('submit', (event) => {
+                    event.preventDefault();
+                    const scores = {};
+                    inputs.forEach(input => {
+                        if (input.value !== '') scores[input.name] = Number(input.value);
+                    });
+                    this.saveReviewOverride(evaluation.id, { ...scores, note: note.value });
+                });
+                card.appendChild(overrideForm);
+            }
+
+            container.appendChild(card);
+        });
+    }
+
+    // POST/PUT/DELETE on one evaluation of the reviewed session, then redraw it
+    async updateReviewEvaluation(evaluationId, path, method, body) {
+        try {
+            const response = await fetch(
+                `${API_BASE_URL}/api/sessions/${this.reviewSession.id}/evaluations/${evaluationId}/${path}`, {
+                    method,
+                    headers: this.authHeaders({
+                        'Content-Type': 'application/json'
+                    }),
+                    body: body ? JSON.stringify(body) : undefined
+                });
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error || 'Review update failed');
+            }
+
+            await this.loadReviewSession(this.reviewSession.id);
+            this.loadHistory();
+        } catch (error) {
+            console.error('Review update error:', error);
+            alert(error.message);
+        }
+    }
+
+    postReviewComment(evaluationId, text, time) {
+        return this.updateReviewEvaluation(evaluationId, 'comments', 'POST', { text, time });
+    }
+
+    saveReviewOverride(evaluationId, override) {
+        return this.updateReviewEvaluation(evaluationId, 'override', 'PUT', override);
+    }
+
+    clearReviewOverride(evaluationId) {
+        return this.updateReviewEvaluation(evaluationId, 'override', 'DELETE');
+    }
+
+    startSessionTimer() {
+        this.sessionInterval = setInterval(() => {
+            const elapsed = Math.floor((Date.now() - this.sessionStartTime) / 1000);
+            const minutes = Math.floor(elapsed / 60);
+            const seconds = elapsed % 60;
+
+            document.getElementById('sessionDuration').textContent =
+                `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+
+            this.updateSpeechAnalytics();
+            this.updateNonverbalMetrics();
+            this.checkEvaluationWindow();
+        }, 1000);
+    }
+
+    // `key` names a status string; kept so a language switch can re-render it
+    updateSystemStatus(key, type = 'success', params = {}) {
+        const statusIndicator = document.getElementById('systemStatus');
+        const statusText = statusIndicator.querySelector('.status-text');
+        const statusDot = statusIndicator.querySelector('.status-dot');
+
+        this.systemStatus = { key, type, params };
+        statusText.textContent = I18n.t(key, params);
+
+        const colors = {
+            success: 'hsl(140, 70%, 55%)',
+            warning: 'hsl(45, 100%, 60%)',
+            danger: 'hsl(0, 85%, 60%)'
+        };
+
+        statusDot.style.background = colors[type] || colors.success;
         statusDot.style.boxShadow = `0 0 10px ${colors[type] || colors.success}`;
     }
 }
@@ -606,6 +2919,12 @@ class SpeakingEvaluator {
 // Initialize the application when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     const evaluator = new SpeakingEvaluator();
+
+    // Offline support; service workers only run over http(s)
+    if ('serviceWorker' in navigator && location.protocol.startsWith('http')) {
+        navigator.serviceWorker.register('sw.js')
+            .catch(error => console.error('Service worker registration failed:', error));
+    }
     console.log('🎯 SpeakX Evaluator initialized');
     console.log('💡 Backend integration enabled');
 });
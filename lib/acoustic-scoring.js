@@ -0,0 +1,382 @@
+// Acoustic Scoring Engine
+//
+// Deterministic clarity/confidence scoring from measured signal features.
+// Runs in the browser (fed from the AnalyserNode in setupAudioAnalysis) and
+// headless in Node (fed from decoded WAV fixtures), using the same code path:
+//
+//   const { analyzeSamples, decodeWav, scoreFeatures } = require('./lib/acoustic-scoring');
+//   const { samples, sampleRate } = decodeWav(fs.readFileSync('fixture.wav'));
+//   const features = analyzeSamples(samples, sampleRate);
+//   const { clarity, confidence } = scoreFeatures(features);
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.AcousticScoring = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Frames quieter than this (dBFS) count as silence when there is no voice
+    // activity decision; prosody analysis falls back to it too
+    const SILENCE_THRESHOLD_DB = -45;
+    // Gaps between speech shorter than this are articulation, not pauses
+    const MIN_PAUSE_SECONDS = 0.25;
+    // Pauses longer than this read as hesitation
+    const LONG_PAUSE_SECONDS = 2;
+    // Human voice fundamental range searched by the pitch tracker
+    const MIN_PITCH_HZ = 70;
+    const MAX_PITCH_HZ = 400;
+    // Rise (dB) above the preceding dip that marks a new syllable nucleus
+    const SYLLABLE_RISE_DB = 3;
+    // Level given to digital silence, whose RMS is -Infinity dBFS, wherever a
+    // frame level must stay finite for averaging and smoothing
+    const SILENCE_FLOOR_DB = -120;
+
+    function clamp(value, min, max) {
+        return Math.min(max, Math.max(min, value));
+    }
+
+    function mean(values) {
+        if (values.length === 0) return 0;
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+
+    function variance(values) {
+        if (values.length < 2) return 0;
+        const avg = mean(values);
+        return mean(values.map(value => (value - avg) ** 2));
+    }
+
+    function round(value, digits = 3) {
+        const factor = 10 ** digits;
+        return Math.round(value * factor) / factor;
+    }
+
+    // 1 inside [low, high], falling linearly to 0 over `softness` on either side
+    function band(value, low, high, softness) {
+        if (value >= low && value <= high) return 1;
+        const distance = value < low ? low - value : value - high;
+        return clamp(1 - distance / softness, 0, 1);
+    }
+
+    /**
+     * Root-mean-square level of a time-domain frame in dBFS (-Infinity for silence).
+     */
+    function rmsDb(samples) {
+        let sum = 0;
+        for (let i = 0; i < samples.length; i++) {
+            sum += samples[i] * samples[i];
+        }
+        const rms = Math.sqrt(sum / samples.length);
+        return rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+    }
+
+    /**
+     * Normalized autocorrelation pitch estimate, or null for unvoiced frames.
+     */
+    function estimatePitch(samples, sampleRate) {
+        const minLag = Math.floor(sampleRate / MAX_PITCH_HZ);
+        const maxLag = Math.min(Math.floor(sampleRate / MIN_PITCH_HZ), samples.length - 1);
+        const size = Math.min(samples.length - maxLag, 1024);
+        if (size <= 0) return null;
+
+        let energy = 0;
+        for (let i = 0; i < size; i++) {
+            energy += samples[i] * samples[i];
+        }
+        if (energy === 0) return null;
+
+        let bestLag = -1;
+        let bestCorrelation = 0;
+        for (let lag = minLag; lag <= maxLag; lag++) {
+            let correlation = 0;
+            let lagEnergy = 0;
+            for (let i = 0; i < size; i++) {
+                correlation += samples[i] * samples[i + lag];
+                lagEnergy += samples[i + lag] * samples[i + lag];
+            }
+            const normalized = correlation / Math.sqrt(energy * lagEnergy || 1);
+            if (normalized > bestCorrelation) {
+                bestCorrelation = normalized;
+                bestLag = lag;
+            }
+        }
+
+        // Weak periodicity means noise or unvoiced consonants
+        return bestCorrelation > 0.5 ? sampleRate / bestLag : null;
+    }
+
+    /**
+     * Measure one analysis frame. `speech` is the voice activity detector's
+     * decision (lib/voice-activity.js); without it a fixed level threshold applies.
+     * Pass `pitch` (Hz or null) when the frame's pitch is already known, as from
+     * the live ProsodyTracker, to skip estimating it again.
+     */
+    function analyzeFrame(samples, sampleRate, speech, pitch) {
+        const level = rmsDb(samples);
+        const voiced = typeof speech === 'boolean' ? speech : level > SILENCE_THRESHOLD_DB;
+
+        return {
+            rmsDb: Math.max(level, SILENCE_FLOOR_DB),
+            voiced,
+            pitch: !voiced ? null : pitch !== undefined ? pitch : estimatePitch(samples, sampleRate)
+        };
+    }
+
+    // Count rises in the speech loudness envelope as syllable nuclei
+    function countSyllables(frames) {
+        let count = 0;
+        let dip = Infinity;
+        let rising = false;
+
+        frames.forEach(frame => {
+            if (!frame.voiced) {
+                dip = Infinity;
+                rising = false;
+                return;
+            }
+            if (frame.rmsDb < dip) {
+                dip = frame.rmsDb;
+                rising = false;
+            } else if (!rising && frame.rmsDb - dip >= SYLLABLE_RISE_DB) {
+                count++;
+                rising = true;
+            } else if (rising && frame.rmsDb < dip + SYLLABLE_RISE_DB / 2) {
+                dip = frame.rmsDb;
+                rising = false;
+            }
+        });
+
+        return count;
+    }
+
+    /**
+     * Turn a frame timeline into the feature vector behind the scores.
+     *
+     * @param {Array<{time:number, duration:number, rmsDb:number, voiced:boolean, pitch:?number}>} frames
+     * @param {boolean[]} [faceSamples] face detected / not detected per face-detection tick
+     */
+    function extractFeatures(frames, faceSamples = []) {
+        const totalTime = frames.reduce((sum, frame) => sum + frame.duration, 0);
+        const voicedFrames = frames.filter(frame => frame.voiced);
+        const speechTime = voicedFrames.reduce((sum, frame) => sum + frame.duration, 0);
+
+        // Silence runs between the first and last voiced frame
+        const pauses = [];
+        const firstVoiced = frames.findIndex(frame => frame.voiced);
+        let lastVoiced = -1;
+        for (let i = frames.length - 1; i >= 0; i--) {
+            if (frames[i].voiced) {
+                lastVoiced = i;
+                break;
+            }
+        }
+        let gap = 0;
+        for (let i = firstVoiced + 1; firstVoiced >= 0 && i <= lastVoiced; i++) {
+            if (frames[i].voiced) {
+                if (gap >= MIN_PAUSE_SECONDS) pauses.push(gap);
+                gap = 0;
+            } else {
+                gap += frames[i].duration;
+            }
+        }
+
+        // Frame-to-frame pitch movement in semitones across continuous voicing
+        const pitchDeltas = [];
+        for (let i = 1; i < frames.length; i++) {
+            const previous = frames[i - 1].pitch;
+            const current = frames[i].pitch;
+            if (previous && current) {
+                pitchDeltas.push(Math.abs(12 * Math.log2(current / previous)));
+            }
+        }
+        const pitchJitter = mean(pitchDeltas);
+
+        const faceDetectedCount = faceSamples.filter(Boolean).length;
+
+        return {
+            duration: round(totalTime),
+            speechTime: round(speechTime),
+            speechRatio: round(totalTime > 0 ? speechTime / totalTime : 0),
+            pauseCount: pauses.length,
+            meanPause: round(mean(pauses)),
+            longestPause: round(pauses.length > 0 ? Math.max(...pauses) : 0),
+            longPauseCount: pauses.filter(pause => pause >= LONG_PAUSE_SECONDS).length,
+            loudnessMeanDb: round(mean(voicedFrames.map(frame => frame.rmsDb)), 1),
+            loudnessVariance: round(variance(voicedFrames.map(frame => frame.rmsDb)), 1),
+            pitchMeanHz: round(mean(voicedFrames.filter(frame => frame.pitch).map(frame => frame.pitch)), 1),
+            pitchStability: round(pitchDeltas.length > 0 ? clamp(1 - pitchJitter / 6, 0, 1) : 0),
+            speakingRate: round(speechTime > 0 ? countSyllables(frames) / speechTime : 0, 2),
+            facePresence: faceSamples.length > 0 ? round(faceDetectedCount / faceSamples.length) : null
+        };
+    }
+
+    /**
+     * Reproducible 0-10 clarity and confidence scores from a feature vector.
+     * Silence scores zero on both.
+     */
+    function scoreFeatures(features) {
+        if (features.speechTime < MIN_PAUSE_SECONDS || features.speechRatio < 0.05) {
+            return { clarity: 0, confidence: 0, features };
+        }
+
+        const speechScore = band(features.speechRatio, 0.5, 0.85, 0.45);
+        const rateScore = band(features.speakingRate, 3, 5.5, 2.5);
+        const pauseScore = clamp(1 - features.longPauseCount * 0.15 - Math.max(0, features.meanPause - 1) * 0.2, 0, 1);
+        const loudnessStd = Math.sqrt(features.loudnessVariance);
+        const loudnessScore = band(loudnessStd, 3, 10, 8);
+        // Landmark-based nonverbal score (lib/nonverbal-analysis.js) when measured,
+        // otherwise bare face presence
+        const faceScore = typeof features.nonverbalScore === 'number'
+            ? features.nonverbalScore
+            : features.facePresence === null ? 0 : features.facePresence;
+
+        const clarity = 10 * (0.35 * speechScore + 0.25 * rateScore + 0.2 * pauseScore + 0.2 * loudnessScore);
+        const confidence = 10 * (0.3 * features.pitchStability + 0.25 * speechScore + 0.2 * pauseScore + 0.25 * faceScore);
+
+        return {
+            clarity: Math.round(clamp(clarity, 0, 10)),
+            confidence: Math.round(clamp(confidence, 0, 10)),
+            features
+        };
+    }
+
+    /**
+     * Accumulates frames from a live AnalyserNode and face-detection ticks.
+     */
+    class AcousticFeatureTracker {
+        constructor() {
+            this.reset();
+        }
+
+        reset() {
+            this.frames = [];
+            this.faceSamples = [];
+            this.lastTime = null;
+        }
+
+        // `time` in seconds; `samples` from getFloatTimeDomainData; `speech` from the VAD;
+        // `pitch` optional, see analyzeFrame
+        addFrame(time, samples, sampleRate, speech, pitch) {
+            const duration = this.lastTime === null
+                ? samples.length / sampleRate
+                : Math.max(0, time - this.lastTime);
+            this.lastTime = time;
+
+            this.frames.push({ time, duration, ...analyzeFrame(samples, sampleRate, speech, pitch) });
+        }
+
+        // Stamped with the latest audio frame time so windows can select them
+        addFaceSample(detected) {
+            this.faceSamples.push({ time: this.lastTime === null ? 0 : this.lastTime, detected: !!detected });
+        }
+
+        // Features over the whole session, or only frames within [from, to) seconds
+        features({ from = -Infinity, to = Infinity } = {}) {
+            const inRange = (time) => time >= from && time < to;
+            return extractFeatures(
+                this.frames.filter(frame => inRange(frame.time)),
+                this.faceSamples.filter(sample => inRange(sample.time)).map(sample => sample.detected)
+            );
+        }
+    }
+
+    /**
+     * Headless analysis of a mono PCM buffer, framed like the AnalyserNode:
+     * `frameSize` matches fftSize and `hopSize` one animation frame (60 fps).
+     * Pass a VoiceActivity.VoiceActivityDetector as `detector` to decide speech
+     * the way the browser does.
+     */
+    function analyzeSamples(samples, sampleRate, { frameSize = 2048, hopSize = Math.round(sampleRate / 60), faceSamples = [], detector = null } = {}) {
+        const frames = [];
+        for (let offset = 0; offset + frameSize <= samples.length; offset += hopSize) {
+            const time = offset / sampleRate;
+            const frame = samples.subarray(offset, offset + frameSize);
+            frames.push({
+                time,
+                duration: hopSize / sampleRate,
+                ...analyzeFrame(frame, sampleRate, detector ? detector.process(time, frame, sampleRate).speech : undefined)
+            });
+        }
+        return extractFeatures(frames, faceSamples);
+    }
+
+    /**
+     * Decode a PCM (8/16/24/32-bit) or float32 WAV file into mono samples.
+     */
+    function decodeWav(data) {
+        const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const tag = (offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+
+        if (tag(0) !== 'RIFF' || tag(8) !== 'WAVE') {
+            throw new Error('Not a WAV file');
+        }
+
+        let format = null;
+        let offset = 12;
+        while (offset + 8 <= bytes.length) {
+            const id = tag(offset);
+            const size = view.getUint32(offset + 4, true);
+            const body = offset + 8;
+
+            if (id === 'fmt ') {
+                format = {
+                    audioFormat: view.getUint16(body, true),
+                    channels: view.getUint16(body + 2, true),
+                    sampleRate: view.getUint32(body + 4, true),
+                    bitsPerSample: view.getUint16(body + 14, true)
+                };
+            } else if (id === 'data') {
+                if (!format) throw new Error('WAV data chunk before fmt chunk');
+
+                const { audioFormat, channels, sampleRate, bitsPerSample } = format;
+                const bytesPerSample = bitsPerSample / 8;
+                const frameCount = Math.floor(Math.min(size, bytes.length - body) / (bytesPerSample * channels));
+                const samples = new Float32Array(frameCount);
+
+                const read = (position) => {
+                    if (audioFormat === 3) return view.getFloat32(position, true);
+                    switch (bitsPerSample) {
+                        case 8: return (view.getUint8(position) - 128) / 128;
+                        case 16: return view.getInt16(position, true) / 32768;
+                        case 24: {
+                            const value = view.getUint8(position) | (view.getUint8(position + 1) << 8) | (view.getInt8(position + 2) << 16);
+                            return value / 8388608;
+                        }
+                        case 32: return view.getInt32(position, true) / 2147483648;
+                        default: throw new Error(`Unsupported WAV bit depth: ${bitsPerSample}`);
+                    }
+                };
+
+                for (let i = 0; i < frameCount; i++) {
+                    let sum = 0;
+                    for (let channel = 0; channel < channels; channel++) {
+                        sum += read(body + (i * channels + channel) * bytesPerSample);
+                    }
+                    samples[i] = sum / channels;
+                }
+
+                return { samples, sampleRate };
+            }
+
+            offset = body + size + (size % 2);
+        }
+
+        throw new Error('WAV file has no data chunk');
+    }
+
+    return {
+        SILENCE_THRESHOLD_DB,
+        SILENCE_FLOOR_DB,
+        rmsDb,
+        estimatePitch,
+        analyzeFrame,
+        extractFeatures,
+        scoreFeatures,
+        analyzeSamples,
+        decodeWav,
+        AcousticFeatureTracker
+    };
+});
@@ -0,0 +1,182 @@
+// Device Check
+//
+// Pre-flight checks run before practice starts: which camera and microphone
+// to use, the browser's audio processing, the room's noise floor (the voice
+// activity detector's starting point), lighting and face framing. The scoring
+// helpers are pure functions, so they also run headless in Node:
+//
+//   const { cameras, microphones } = await DeviceCheck.listDevices();
+//   const stream = await navigator.mediaDevices.getUserMedia(DeviceCheck.buildConstraints(settings));
+//   settings.noiseFloorDb = await DeviceCheck.measureNoiseFloor(stream);
+//   const vad = new VoiceActivity.VoiceActivityDetector({ noiseFloorDb: settings.noiseFloorDb });
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.DeviceCheck = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Rooms noisier than this (dBFS) get a warning; local scoring's fixed
+    // silence threshold would count this much noise as speech
+    const LOUD_ROOM_DB = -45;
+    // Mean luma (0-255) outside this range is too dark or overexposed
+    const LIGHTING_RANGE = [60, 200];
+    // Face width as a share of the frame width
+    const FACE_WIDTH_RANGE = [0.15, 0.6];
+    // Face center further than this share of the frame from the middle is off-center
+    const MAX_CENTER_OFFSET = 0.2;
+
+    const DEFAULT_SETTINGS = {
+        cameraId: '',
+        microphoneId: '',
+        echoCancellation: true,
+        noiseSuppression: true,
+        autoGainControl: true,
+        // Measured room noise (dBFS), null until calibrated
+        noiseFloorDb: null
+    };
+
+    function median(values) {
+        if (values.length === 0) return null;
+        const sorted = [...values].sort((a, b) => a - b);
+        return sorted[Math.floor(sorted.length / 2)];
+    }
+
+    function checkNoise(noiseFloorDb) {
+        if (noiseFloorDb === null || noiseFloorDb === undefined) return 'pending';
+        return noiseFloorDb > LOUD_ROOM_DB ? 'loud' : 'ok';
+    }
+
+    // 'dark', 'bright' or 'ok' for a mean luma of 0-255
+    function checkLighting(brightness) {
+        if (brightness < LIGHTING_RANGE[0]) return 'dark';
+        if (brightness > LIGHTING_RANGE[1]) return 'bright';
+        return 'ok';
+    }
+
+    /**
+     * 'none', 'tooFar', 'tooClose', 'offCenter' or 'ok' for a face box
+     * ({ x, y, width, height }, or null without a face) in a frame of the given size.
+     */
+    function checkFraming(box, frameWidth, frameHeight) {
+        if (!box || !frameWidth || !frameHeight) return 'none';
+
+        const share = box.width / frameWidth;
+        if (share < FACE_WIDTH_RANGE[0]) return 'tooFar';
+        if (share > FACE_WIDTH_RANGE[1]) return 'tooClose';
+
+        const offsetX = Math.abs(box.x + box.width / 2 - frameWidth / 2) / frameWidth;
+        const offsetY = Math.abs(box.y + box.height / 2 - frameHeight / 2) / frameHeight;
+        if (offsetX > MAX_CENTER_OFFSET || offsetY > MAX_CENTER_OFFSET) return 'offCenter';
+        return 'ok';
+    }
+
+    /**
+     * Which remediation applies to a getUserMedia failure:
+     * 'permission', 'notFound', 'busy', 'unsupported' or 'unknown'.
+     * Older browsers use the legacy names.
+     */
+    function classifyError(error) {
+        switch (error && error.name) {
+            case 'NotAllowedError':
+            case 'PermissionDeniedError':
+            case 'SecurityError':
+                return 'permission';
+            case 'NotFoundError':
+            case 'DevicesNotFoundError':
+            case 'OverconstrainedError':
+            case 'ConstraintNotSatisfiedError':
+                return 'notFound';
+            case 'NotReadableError':
+            case 'TrackStartError':
+            case 'AbortError':
+                return 'busy';
+            case 'TypeError':
+                return 'unsupported';
+            default:
+                return 'unknown';
+        }
+    }
+
+    function buildConstraints(settings = {}) {
+        const options = { ...DEFAULT_SETTINGS, ...settings };
+        const video = { width: 1280, height: 720 };
+        if (options.cameraId) video.deviceId = { exact: options.cameraId };
+
+        const audio = {
+            echoCancellation: options.echoCancellation,
+            noiseSuppression: options.noiseSuppression,
+            autoGainControl: options.autoGainControl
+        };
+        if (options.microphoneId) audio.deviceId = { exact: options.microphoneId };
+
+        return { video, audio };
+    }
+
+    // Cameras and microphones; labels are empty until the page has media permission
+    async function listDevices() {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        const pick = kind => devices
+            .filter(device => device.kind === kind && device.deviceId)
+            .map(device => ({ deviceId: device.deviceId, label: device.label }));
+        return { cameras: pick('videoinput'), microphones: pick('audioinput') };
+    }
+
+    /**
+     * The room's noise level (dBFS) over `durationMs` of (hopefully) silence:
+     * the median RMS level per frame, so a cough or click does not count.
+     */
+    async function measureNoiseFloor(stream, durationMs = 2000) {
+        const AudioContextClass = self.AudioContext || self.webkitAudioContext;
+        const audioContext = new AudioContextClass();
+        try {
+            const analyser = audioContext.createAnalyser();
+            analyser.fftSize = 2048;
+            audioContext.createMediaStreamSource(new MediaStream(stream.getAudioTracks())).connect(analyser);
+
+            const samples = new Float32Array(analyser.fftSize);
+            const levels = [];
+            const end = performance.now() + durationMs;
+            while (performance.now() < end) {
+                await new Promise(resolve => setTimeout(resolve, 50));
+                analyser.getFloatTimeDomainData(samples);
+                const power = samples.reduce((sum, sample) => sum + sample * sample, 0) / samples.length;
+                levels.push(power > 0 ? 10 * Math.log10(power) : -120);
+            }
+            return Math.round(median(levels));
+        } finally {
+            audioContext.close();
+        }
+    }
+
+    // Mean luma (0-255) of the current video frame, sampled at low resolution
+    function measureBrightness(video, canvas = document.createElement('canvas')) {
+        if (!video.videoWidth) return null;
+
+        canvas.width = 64;
+        canvas.height = 36;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+        const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+        let sum = 0;
+        for (let i = 0; i < data.length; i += 4) {
+            sum += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+        }
+        return Math.round(sum / (data.length / 4));
+    }
+
+    return {
+        DEFAULT_SETTINGS,
+        checkNoise,
+        checkLighting,
+        checkFraming,
+        classifyError,
+        buildConstraints,
+        listDevices,
+        measureNoiseFloor,
+        measureBrightness
+    };
+});
@@ -0,0 +1,61 @@
+// UI Localization
+//
+// String bundles per language (lib/locales/*.js register themselves) and
+// helpers to translate the page. Static elements name their string with
+// data-i18n (text) or data-i18n-placeholder; app.js looks up everything it
+// renders with I18n.t(). Keys missing from a bundle fall back to English.
+//
+//   I18n.t('queue.waiting', { count: 2 })  // "📥 2 recordings waiting to be evaluated"
+const I18n = {
+    LANGUAGES: {
+        en: 'English',
+        hi: 'हिन्दी',
+        es: 'Español',
+        fr: 'Français'
+    },
+    DEFAULT_LANGUAGE: 'en',
+
+    bundles: {},
+    language: 'en',
+
+    register(language, strings) {
+        this.bundles[language] = { ...this.bundles[language], ...strings };
+    },
+
+    // First supported language in `candidates` (codes like "es-MX" match "es")
+    match(candidates) {
+        for (const candidate of candidates) {
+            const code = String(candidate || '').toLowerCase().split('-')[0];
+            if (this.LANGUAGES[code]) return code;
+        }
+        return null;
+    },
+
+    setLanguage(language) {
+        this.language = this.LANGUAGES[language] ? language : this.DEFAULT_LANGUAGE;
+        document.documentElement.lang = this.language;
+        this.translatePage();
+    },
+
+    // Strings may hold {name} placeholders; { one, other } entries pick by params.count
+    t(key, params = {}) {
+        let value = (this.bundles[this.language] || {})[key];
+        if (value === undefined) value = (this.bundles[this.DEFAULT_LANGUAGE] || {})[key];
+        if (value === undefined) return key;
+
+        if (!Array.isArray(value) && typeof value === 'object') {
+            value = params.count === 1 ? value.one : value.other;
+        }
+        if (typeof value !== 'string') return value;
+        return value.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    },
+
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = this.t(element.dataset.i18nPlaceholder);
+        });
+    }
+};
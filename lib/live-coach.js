@@ -0,0 +1,193 @@
+// Live Coach
+//
+// Rule-based real-time nudges during practice ("slow down", "look at the
+// camera"...). Rules are plain data, so they can be tuned, toggled or stored
+// without code changes:
+//
+//   {
+//       id: 'volume-low',
+//       label: 'coach.volumeLow.label',      // UI string keys, passed through
+//       message: 'coach.volumeLow.message',  // the Coach's `translate`
+//       conditions: [['speaking', '==', true], ['levelDb', '<', -40]],
+//       holdSeconds: 2,       // conditions must hold this long
+//       cooldownSeconds: 25   // before the same rule can fire again
+//   }
+//
+// A rule may also carry literal text: the default `translate` returns it as is,
+// and so does I18n.t for anything that is not a key.
+//
+// Each rule fires once per episode (it re-arms when its conditions stop
+// holding), and a global gap and per-minute cap keep nudges from piling up.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LiveCoach = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * Signals each rule can test, as passed to LiveCoach#update:
+     *   time            seconds since practice started
+     *   speaking        voice detected in this frame
+     *   levelDb         frame level in dBFS, as measured by the voice activity detector
+     *   noiseFloorDb    the detector's room-noise estimate in dBFS
+     *   silenceSeconds  time since the voice was last detected (0 before the first word)
+     *   faceVisible     face detected on the last tick
+     *   lookingAtCamera head turned toward the lens on the last tick
+     *   wordsPerMinute  pace over the last complete 10s window (undefined without a transcript)
+     */
+    const DEFAULT_RULES = [
+        {
+            id: 'slow-down',
+            label: 'coach.slowDown.label',
+            message: 'coach.slowDown.message',
+            conditions: [['wordsPerMinute', '>', 170]],
+            holdSeconds: 0,
+            cooldownSeconds: 30
+        },
+        {
+            id: 'look-at-camera',
+            label: 'coach.lookAtCamera.label',
+            message: 'coach.lookAtCamera.message',
+            conditions: [['faceVisible', '==', true], ['lookingAtCamera', '==', false]],
+            holdSeconds: 3,
+            cooldownSeconds: 20
+        },
+        {
+            id: 'face-missing',
+            label: 'coach.faceMissing.label',
+            message: 'coach.faceMissing.message',
+            conditions: [['faceVisible', '==', false]],
+            holdSeconds: 4,
+            cooldownSeconds: 30
+        },
+        {
+            id: 'silence',
+            label: 'coach.silence.label',
+            message: 'coach.silence.message',
+            conditions: [['silenceSeconds', '>=', 5]],
+            holdSeconds: 0,
+            cooldownSeconds: 20
+        },
+        {
+            id: 'volume-low',
+            label: 'coach.volumeLow.label',
+            message: 'coach.volumeLow.message',
+            // Speech this far below full scale is hard to hear back (about -20 dBFS is typical)
+            conditions: [['speaking', '==', true], ['levelDb', '<', -40]],
+            holdSeconds: 2,
+            cooldownSeconds: 25
+        }
+    ];
+
+    const OPERATORS = {
+        '<': (a, b) => a < b,
+        '<=': (a, b) => a <= b,
+        '>': (a, b) => a > b,
+        '>=': (a, b) => a >= b,
+        '==': (a, b) => a === b,
+        '!=': (a, b) => a !== b
+    };
+
+    // Missing signals never match, so rules needing a transcript stay quiet without one
+    function matches(rule, signals) {
+        return rule.conditions.every(([metric, operator, value]) => {
+            const actual = signals[metric];
+            if (actual === undefined || actual === null) return false;
+            return OPERATORS[operator](actual, value);
+        });
+    }
+
+    // "{metric}" placeholders filled from the signals
+    function formatMessage(message, signals) {
+        return message.replace(/\{(\w+)\}/g, (placeholder, metric) => {
+            const value = signals[metric];
+            return typeof value === 'number' ? String(Math.round(value)) : placeholder;
+        });
+    }
+
+    class Coach {
+        // `translate(key)` turns a rule's label or message into display text,
+        // leaving its {metric} placeholders for formatMessage
+        constructor({ rules = DEFAULT_RULES, minGapSeconds = 6, maxPerMinute = 4, translate = text => text, onNudge = () => {} } = {}) {
+            rules.forEach(rule => {
+                rule.conditions.forEach(([, operator]) => {
+                    if (!OPERATORS[operator]) throw new Error(`Unknown operator in rule ${rule.id}: ${operator}`);
+                });
+            });
+
+            this.rules = rules;
+            this.minGapSeconds = minGapSeconds;
+            this.maxPerMinute = maxPerMinute;
+            this.translate = translate;
+            this.onNudge = onNudge;
+            this.disabled = new Set();
+            this.reset();
+        }
+
+        reset() {
+            this.since = {};     // rule id → time its conditions started holding
+            this.latched = {};   // rule id → fired during the current episode
+            this.lastFired = {}; // rule id → time it last fired
+            this.history = [];   // times of recent nudges, for the per-minute cap
+        }
+
+        setEnabled(id, enabled) {
+            if (enabled) {
+                this.disabled.delete(id);
+            } else {
+                this.disabled.add(id);
+            }
+        }
+
+        /**
+         * Evaluate every rule against the latest signals.
+         * Returns the nudge that fired ({ id, message, time }), or null.
+         */
+        update(signals) {
+            const { time } = signals;
+            this.history = this.history.filter(firedAt => time - firedAt < 60);
+
+            const ready = [];
+            this.rules.forEach(rule => {
+                if (this.disabled.has(rule.id) || !matches(rule, signals)) {
+                    delete this.since[rule.id];
+                    delete this.latched[rule.id];
+                    return;
+                }
+
+                if (this.since[rule.id] === undefined) this.since[rule.id] = time;
+
+                const held = time - this.since[rule.id] >= rule.holdSeconds;
+                const cooledDown = this.lastFired[rule.id] === undefined ||
+                    time - this.lastFired[rule.id] >= rule.cooldownSeconds;
+                if (held && cooledDown && !this.latched[rule.id]) ready.push(rule);
+            });
+
+            if (ready.length === 0) return null;
+
+            // Global rate limit across all rules
+            const lastAny = this.history.length > 0 ? this.history[this.history.length - 1] : -Infinity;
+            if (time - lastAny < this.minGapSeconds || this.history.length >= this.maxPerMinute) return null;
+
+            // Rules earlier in the list win ties
+            const rule = ready[0];
+            this.latched[rule.id] = true;
+            this.lastFired[rule.id] = time;
+            this.history.push(time);
+
+            const nudge = { id: rule.id, message: formatMessage(this.translate(rule.message), signals), time };
+            this.onNudge(nudge);
+            return nudge;
+        }
+    }
+
+    return {
+        DEFAULT_RULES,
+        OPERATORS,
+        formatMessage,
+        Coach
+    };
+});
@@ -0,0 +1,298 @@
+// English UI strings (the fallback for every other bundle)
+I18n.register('en', {
+    'common.close': 'Close',
+    'common.delete': 'Delete',
+    'common.remove': 'Remove',
+    'common.language': 'Language',
+
+    'status.aiActive': 'AI-Powered Mode Active',
+    'status.addApiKey': 'Backend Ready (Add API Key)',
+    'status.local': 'Local Mode',
+    'status.recordingAi': 'Recording with AI Analysis...',
+    'status.recordingLocal': 'Recording (Local Mode)...',
+    'status.offlineEvaluated': {
+        one: 'Evaluated {count} offline recording',
+        other: 'Evaluated {count} offline recordings'
+    },
+    'setup.title': 'Check your setup',
+    'setup.camera': 'Camera',
+    'setup.microphone': 'Microphone',
+    'setup.unnamedCamera': 'Camera {index}',
+    'setup.unnamedMicrophone': 'Microphone {index}',
+    'setup.echoCancellation': 'Echo cancellation',
+    'setup.noiseSuppression': 'Noise suppression',
+    'setup.autoGainControl': 'Automatic gain control',
+    'setup.calibrate': 'Measure room noise',
+    'setup.retry': 'Retry',
+    'setup.start': 'Start practice',
+    'setup.noise.pending': 'Room noise not measured yet. Voice detection learns it as you speak.',
+    'setup.noise.measuring': 'Measuring room noise. Stay quiet for {seconds} seconds…',
+    'setup.noise.ok': 'Quiet room ({noise} dBFS). Voice detection starts from this level.',
+    'setup.noise.loud': 'Noisy room ({noise} dBFS). Turn on noise suppression, close windows or move somewhere quieter.',
+    'setup.lighting.checking': 'Checking lighting…',
+    'setup.lighting.ok': 'Lighting looks good.',
+    'setup.lighting.dark': 'Too dark. Turn on a light in front of you or face a window.',
+    'setup.lighting.bright': 'Too bright. Move out of direct sunlight or away from a light shining into the camera.',
+    'setup.framing.checking': 'Checking framing…',
+    'setup.framing.unavailable': 'Framing check starts once face detection has loaded.',
+    'setup.framing.ok': 'Your face is well framed.',
+    'setup.framing.none': 'No face found. Sit facing the camera.',
+    'setup.framing.tooFar': 'Move closer so your face fills more of the frame.',
+    'setup.framing.tooClose': 'Move back a little so your whole face fits.',
+    'setup.framing.offCenter': 'Center your face in the frame.',
+    'setup.error.permission': 'Camera or microphone access is blocked. Click the camera icon in the address bar, allow access for this site, then press Retry.',
+    'setup.error.notFound': 'No camera or microphone found. Plug one in or enable it in your system settings, then press Retry.',
+    'setup.error.busy': 'Your camera or microphone is in use by another app or tab (a video call, for example). Close it, then press Retry.',
+    'setup.error.unsupported': 'This browser cannot use the camera here. Open SpeakX over HTTPS or localhost in an up-to-date browser.',
+    'setup.error.unknown': 'Could not start the camera or microphone ({name}). Press Retry or choose another device.',
+
+    'account.signIn': 'Sign in',
+    'account.createAccount': 'Create account',
+    'account.createAnAccount': 'Create an account',
+    'account.haveAccount': 'I have an account',
+    'account.signOut': 'Sign out',
+    'account.name': 'Your name',
+    'account.email': 'Email',
+    'account.password': 'Password (8+ characters)',
+    'account.roleLearner': "I'm practicing (learner)",
+    'account.roleCoach': 'I coach others (coach)',
+    'account.coachEmail': "Coach's email",
+    'account.shareWithCoach': 'Share with coach',
+    'account.learner': 'Learner',
+    'account.coach': 'Coach',
+    'account.noLearners': 'No learners have shared their sessions with you yet.',
+    'account.noCoaches': 'Share your sessions with a coach to get comments and score reviews.',
+    'account.needsBackend': 'Accounts need the backend server.',
+
+    'rubric.new': 'New rubric',
+    'rubric.edit': 'Edit "{name}"',
+    'rubric.name': 'Rubric name',
+    'rubric.description': 'Description (optional)',
+    'rubric.scoresFrom': 'Scores from',
+    'rubric.to': 'to',
+    'rubric.addCriterion': '+ Add criterion',
+    'rubric.penalties': 'Penalties without camera or microphone, one mode per line (* means every criterion)',
+    'rubric.save': 'Save rubric',
+    'rubric.signIn': 'Sign in to save a custom rubric.',
+    'rubric.criterionKey': 'key (e.g. engagement)',
+    'rubric.criterionName': 'Name',
+    'rubric.weight': 'Weight',
+    'rubric.criterionDescription': 'What does this criterion measure?',
+    'rubric.descriptors': 'Optional level descriptors, e.g. 10: Vivid examples throughout',
+
+    'prompts.allCategories': 'All categories',
+    'prompts.interview': 'Interview questions',
+    'prompts.elevatorPitch': 'Elevator pitches',
+    'prompts.impromptu': 'Impromptu topics',
+    'prompts.reading': 'Reading passages',
+    'prompts.free': 'Free practice (no prompt)',
+    'prompts.random': '🎲 Random',
+    'prompts.readAloud': 'Read aloud: check pronunciation against a reading passage',
+    'prompts.beginner': 'beginner',
+    'prompts.intermediate': 'intermediate',
+    'prompts.advanced': 'advanced',
+    'prompts.meta': '{difficulty} · target {time}',
+
+    'overlay.start': 'Click "Start Practice" to begin',
+    'audio.title': '🎤 Audio Input Monitor',
+    'audio.idle': 'Monitoring when practice starts',
+    'audio.monitoring': 'Monitoring...',
+    'audio.waveform': 'Waveform',
+    'audio.pitch': 'Pitch',
+    'audio.quiet': '0 dB (Quiet)',
+    'audio.loud': '60 dB (Loud)',
+    'delivery.listening': 'Listening',
+    'delivery.varied': 'Varied',
+    'delivery.monotone': 'Monotone',
+    'delivery.animated': 'Animated',
+    'delivery.steady': 'Steady',
+    'delivery.uptalk': 'uptalk',
+    'delivery.vocalFry': 'vocal fry',
+    'transcript.title': '📝 Live Transcript',
+    'transcript.placeholder': 'Your words will appear here as you speak...',
+    'transcript.unavailable': 'Live transcription is not available.',
+
+    'controls.start': 'Start Practice',
+    'controls.stop': 'Stop Practice',
+    'controls.evaluate': 'Evaluate Now',
+    'controls.analyzeRecording': 'Analyze the full recording when I stop',
+    'controls.rubric': 'Scoring rubric',
+    'controls.customize': 'Customize',
+    'controls.autoEvaluate': 'Auto-evaluate',
+    'controls.off': 'Off',
+    'controls.every15': 'Every 15 seconds',
+    'controls.every30': 'Every 30 seconds',
+    'controls.every60': 'Every 60 seconds',
+    'coaching.toggle': 'Live coaching nudges while I speak',
+    'coaching.rules': 'Nudge rules',
+    'coach.slowDown.label': 'Speaking too fast',
+    'coach.slowDown.message': 'Slow down a little ({wordsPerMinute} WPM)',
+    'coach.lookAtCamera.label': 'Looking away',
+    'coach.lookAtCamera.message': 'Look at the camera',
+    'coach.faceMissing.label': 'Out of frame',
+    'coach.faceMissing.message': 'Move back into the frame',
+    'coach.silence.label': 'Long silence',
+    'coach.silence.message': "You've been silent {silenceSeconds}s",
+    'coach.volumeLow.label': 'Volume too low',
+    'coach.volumeLow.message': 'Volume is low, speak up a little',
+
+    'detection.face': 'Face Detection',
+    'detection.detected': 'Detected',
+    'detection.notDetected': 'Not Detected',
+    'detection.eyeContact': 'Eye Contact',
+    'detection.expression': 'Expression',
+    'detection.fillers': 'Filler Words',
+    'detection.pace': 'Pace',
+    'detection.pauses': 'Pauses',
+    'detection.none': 'None',
+    'detection.wpm': '{wpm} WPM',
+    'detection.pauseSummary': '{count} · longest {seconds}s',
+    'detection.expressionSummary': '{expression} · {rate} blinks/min',
+    'expression.neutral': 'Neutral',
+    'expression.happy': 'Happy',
+    'expression.sad': 'Sad',
+    'expression.angry': 'Angry',
+    'expression.fearful': 'Fearful',
+    'expression.disgusted': 'Disgusted',
+    'expression.surprised': 'Surprised',
+    'expression.unknown': 'Unknown',
+
+    'results.title': 'Evaluation Results',
+    'results.clarity': 'Clarity',
+    'results.confidence': 'Confidence',
+    'results.relevance': 'Relevance',
+    'results.structure': 'Structure',
+
+    'readAloud.title': 'Read-Aloud Check',
+    'readAloud.misread': 'Misread',
+    'readAloud.skipped': 'Skipped',
+    'readAloud.notInPassage': 'Not in the passage',
+    'readAloud.heard': 'Heard "{word}"',
+    'readAloud.added': 'Added',
+    'readAloud.checking': 'Checking your reading...',
+    'readAloud.failed': 'Read-aloud check failed: {error}',
+    'readAloud.summary': '{correct} correct · {misread} misread · {skipped} skipped · {added} added.',
+
+    'feedback.title': 'Personalized Feedback',
+    'feedback.clarity': 'Clarity Improvement',
+    'feedback.confidence': 'Confidence Boost',
+    'feedback.placeholder': 'Start practicing to receive feedback...',
+    'feedback.clarityTips': [
+        'Try to articulate each word more clearly and avoid mumbling.',
+        'Speak with more structured sentences to boost clarity.',
+        "Reduce filler words like 'um' and 'uh' for better clarity.",
+        'Practice enunciating consonants more precisely.',
+        'Slow down your speaking pace to improve clarity.',
+        'Focus on completing your thoughts before moving to the next point.'
+    ],
+    'feedback.confidenceTips': [
+        'Maintain eye contact with the camera to project confidence.',
+        'Reduce pauses and hesitations while speaking.',
+        'Speak with a stronger, more assertive tone.',
+        'Keep your posture upright and face the camera directly.',
+        'Practice deep breathing to reduce nervousness in your voice.',
+        'Use hand gestures naturally to enhance your message.'
+    ],
+    'feedback.cameraOff': 'Enable your camera to receive full confidence scoring and feedback.',
+    'feedback.noVoiceClarity': 'Please speak clearly into your microphone to receive clarity feedback.',
+    'feedback.noVoiceConfidence': 'Start speaking and enable your camera for a complete evaluation.',
+    'feedback.fillers': 'You used {total} filler words ({perMinute}/min), mostly "{filler}". Pause silently instead.',
+    'feedback.fast': "At {wpm} words per minute you're speaking fast. Aim for 130-160 so each point lands.",
+    'feedback.slow': 'At {wpm} words per minute your pace is slow. Aim for 130-160 to keep listeners engaged.',
+    'feedback.silence': 'Your longest silence was {seconds}s. Prepare a bridging phrase to recover when you lose your place.',
+    'prosody.monotone': 'Your pitch stayed within {semitones} semitones, which sounds monotone. Lift your voice on key words and let it fall at the end of each point.',
+    'prosody.uptalk': '{rising} of your {phrases} phrases ended on a rise, which makes statements sound like questions. Let your pitch drop at each full stop.',
+    'prosody.vocalFry': 'Your voice dropped into a creaky vocal fry at times. Take a breath before each sentence so you have enough air to finish it.',
+    'prosody.flatEnergy': 'Your loudness varied by only {db} dB. Project more on the words you want listeners to remember.',
+    'nonverbal.lookingAway': 'You looked away from the camera {percent}% of the time. Keep your eyes on the lens, especially when making a key point.',
+    'nonverbal.headMovement': 'Your head moved about {degrees}° between frames. Keep your head still and let your voice carry the emphasis.',
+    'nonverbal.blinking': 'You blinked {rate} times a minute, which can read as nervous. Slow your breathing before you start.',
+    'nonverbal.neutral': 'Your expression stayed neutral almost the whole time. A brief smile at the start and end makes you look more at ease.',
+
+    'replay.title': 'Session Replay',
+    'replay.faceTrack': 'Face in frame',
+    'replay.feedback': 'Feedback',
+    'replay.filler': 'Filler word',
+    'replay.longPause': 'Long pause',
+    'replay.nudge': 'Coaching nudge',
+    'replay.evaluation': 'Evaluation',
+    'replay.analyzing': 'Analyzing full recording...',
+    'replay.analysisFailed': 'Could not analyze the full recording.',
+    'replay.noFace': 'No face {start}s – {end}s',
+    'replay.fillerMarker': 'Filler: "{word}"',
+    'replay.longPauseMarker': 'Long pause {duration}',
+    'replay.evaluationMarker': 'Clarity {clarity}/10 · Confidence {confidence}/10',
+
+    'queue.queued': 'Offline: this recording will be evaluated when you reconnect.',
+    'queue.saveFailed': 'Could not save the recording for later evaluation.',
+    'queue.waiting': {
+        one: '📥 {count} recording waiting to be evaluated',
+        other: '📥 {count} recordings waiting to be evaluated'
+    },
+
+    'stats.duration': 'Session Duration',
+    'stats.evaluations': 'Evaluations',
+    'stats.avgClarity': 'Avg. Clarity',
+    'stats.avgConfidence': 'Avg. Confidence',
+    'stats.export': 'Export session report',
+
+    'report.pdfNote': "This PDF cannot show some of the session's text. Export CSV or JSON to keep all of it.",
+    'report.title': 'SpeakX Session Report',
+    'report.practiced': '{duration} practiced',
+    'report.prompt': 'Prompt: {prompt}',
+    'report.rubric': 'Rubric: {rubric}',
+    'report.unrenderable': 'Some text in this session uses characters this PDF cannot show, and appears as "?". Export the CSV or JSON report to keep the full text.',
+    'report.summary': 'Summary',
+    'report.evaluationCount': 'Evaluations: {count}',
+    'report.avgClarity': 'Avg. clarity: {score}/10',
+    'report.avgConfidence': 'Avg. confidence: {score}/10',
+    'report.avgTotal': 'Avg. rubric total: {score}',
+    'report.sessionChart': 'Scores during this session',
+    'report.trendChart': 'Progress trend (daily averages)',
+    'report.clarity': 'Clarity',
+    'report.confidence': 'Confidence',
+    'report.evaluations': 'Evaluations',
+    'report.noEvaluations': 'No evaluations were recorded in this session.',
+    'report.time': 'Time',
+    'report.mode': 'Mode',
+    'report.total': 'Total',
+    'report.feedback': 'Feedback',
+    'report.evaluation': 'Evaluation {index}',
+    'report.evaluationAt': 'Evaluation {index} at {time}',
+    'report.clarityFeedback': 'Clarity: {feedback}',
+    'report.confidenceFeedback': 'Confidence: {feedback}',
+    'report.transcript': 'Transcript excerpt',
+    'report.noTranscript': 'No transcript was captured.',
+    'report.footer': 'SpeakX session report · {date} · page {page} of {pages}',
+
+    'timeline.title': '⏱️ Session Timeline',
+    'timeline.summary': {
+        one: '{count} window · latest {clarity}/10 clarity, {confidence}/10 confidence',
+        other: '{count} windows · latest {clarity}/10 clarity, {confidence}/10 confidence'
+    },
+    'review.coachTitle': '🧑‍🏫 Coach Review',
+    'review.learnerTitle': '💬 Coach Feedback',
+    'review.noLearners': 'Learners appear here once they share their sessions with you.',
+    'review.noSessions': 'No evaluated sessions yet.',
+    'review.reviewedBy': 'Scores reviewed by {coach}',
+    'review.reviewedByNote': 'Scores reviewed by {coach}: {note}',
+    'review.at': 'at {time}',
+    'review.addComment': 'Add a comment...',
+    'review.seconds': 'sec',
+    'review.secondsTitle': 'Seconds into the session',
+    'review.comment': 'Comment',
+    'review.overrideTitle': '{score} override (0-10)',
+    'review.why': 'Why the change?',
+    'review.override': 'Override',
+    'review.reset': 'Reset',
+
+    'history.title': '📈 Progress History',
+    'history.last7': 'Last 7 days',
+    'history.last30': 'Last 30 days',
+    'history.last90': 'Last 90 days',
+    'history.loading': 'Loading history...',
+    'history.noBackend': 'Backend not available',
+    'history.empty': 'No sessions in this range yet',
+    'history.backendOnly': 'History is saved when the backend is running.',
+    'history.summary': '{sessions} sessions · {evaluations} evaluations'
+});
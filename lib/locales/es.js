@@ -0,0 +1,298 @@
+// Spanish UI strings
+I18n.register('es', {
+    'common.close': 'Cerrar',
+    'common.delete': 'Eliminar',
+    'common.remove': 'Quitar',
+    'common.language': 'Idioma',
+
+    'status.aiActive': 'Modo con IA activo',
+    'status.addApiKey': 'Servidor listo (añade la clave de API)',
+    'status.local': 'Modo local',
+    'status.recordingAi': 'Grabando con análisis de IA...',
+    'status.recordingLocal': 'Grabando (modo local)...',
+    'status.offlineEvaluated': {
+        one: 'Se evaluó {count} grabación sin conexión',
+        other: 'Se evaluaron {count} grabaciones sin conexión'
+    },
+    'setup.title': 'Revisa tu equipo',
+    'setup.camera': 'Cámara',
+    'setup.microphone': 'Micrófono',
+    'setup.unnamedCamera': 'Cámara {index}',
+    'setup.unnamedMicrophone': 'Micrófono {index}',
+    'setup.echoCancellation': 'Cancelación de eco',
+    'setup.noiseSuppression': 'Supresión de ruido',
+    'setup.autoGainControl': 'Control automático de ganancia',
+    'setup.calibrate': 'Medir el ruido de la sala',
+    'setup.retry': 'Reintentar',
+    'setup.start': 'Empezar práctica',
+    'setup.noise.pending': 'Aún no se ha medido el ruido de la sala. La detección de voz lo aprende mientras hablas.',
+    'setup.noise.measuring': 'Midiendo el ruido de la sala. Guarda silencio durante {seconds} segundos…',
+    'setup.noise.ok': 'Sala tranquila ({noise} dBFS). La detección de voz parte de este nivel.',
+    'setup.noise.loud': 'Sala ruidosa ({noise} dBFS). Activa la supresión de ruido, cierra las ventanas o busca un lugar más tranquilo.',
+    'setup.lighting.checking': 'Comprobando la iluminación…',
+    'setup.lighting.ok': 'La iluminación es buena.',
+    'setup.lighting.dark': 'Demasiado oscuro. Enciende una luz delante de ti o ponte frente a una ventana.',
+    'setup.lighting.bright': 'Demasiada luz. Apártate del sol directo o de una luz que apunte a la cámara.',
+    'setup.framing.checking': 'Comprobando el encuadre…',
+    'setup.framing.unavailable': 'El encuadre se comprobará cuando cargue la detección facial.',
+    'setup.framing.ok': 'Tu cara está bien encuadrada.',
+    'setup.framing.none': 'No se encuentra ninguna cara. Siéntate frente a la cámara.',
+    'setup.framing.tooFar': 'Acércate para que tu cara ocupe más del encuadre.',
+    'setup.framing.tooClose': 'Aléjate un poco para que se vea toda la cara.',
+    'setup.framing.offCenter': 'Centra tu cara en el encuadre.',
+    'setup.error.permission': 'El acceso a la cámara o al micrófono está bloqueado. Haz clic en el icono de la cámara en la barra de direcciones, permite el acceso a este sitio y pulsa Reintentar.',
+    'setup.error.notFound': 'No se encuentra ninguna cámara ni micrófono. Conecta uno o actívalo en la configuración del sistema y pulsa Reintentar.',
+    'setup.error.busy': 'Otra aplicación o pestaña (una videollamada, por ejemplo) está usando la cámara o el micrófono. Ciérrala y pulsa Reintentar.',
+    'setup.error.unsupported': 'Este navegador no puede usar la cámara aquí. Abre SpeakX por HTTPS o localhost en un navegador actualizado.',
+    'setup.error.unknown': 'No se pudo iniciar la cámara o el micrófono ({name}). Pulsa Reintentar o elige otro dispositivo.',
+
+    'account.signIn': 'Iniciar sesión',
+    'account.createAccount': 'Crear cuenta',
+    'account.createAnAccount': 'Crear una cuenta',
+    'account.haveAccount': 'Ya tengo una cuenta',
+    'account.signOut': 'Cerrar sesión',
+    'account.name': 'Tu nombre',
+    'account.email': 'Correo electrónico',
+    'account.password': 'Contraseña (8 caracteres o más)',
+    'account.roleLearner': 'Estoy practicando (alumno)',
+    'account.roleCoach': 'Entreno a otros (coach)',
+    'account.coachEmail': 'Correo del coach',
+    'account.shareWithCoach': 'Compartir con el coach',
+    'account.learner': 'Alumno',
+    'account.coach': 'Coach',
+    'account.noLearners': 'Ningún alumno ha compartido sus sesiones contigo todavía.',
+    'account.noCoaches': 'Comparte tus sesiones con un coach para recibir comentarios y revisiones de tus puntuaciones.',
+    'account.needsBackend': 'Las cuentas necesitan el servidor.',
+
+    'rubric.new': 'Nueva rúbrica',
+    'rubric.edit': 'Editar «{name}»',
+    'rubric.name': 'Nombre de la rúbrica',
+    'rubric.description': 'Descripción (opcional)',
+    'rubric.scoresFrom': 'Puntuaciones de',
+    'rubric.to': 'a',
+    'rubric.addCriterion': '+ Añadir criterio',
+    'rubric.penalties': 'Penalizaciones sin cámara o micrófono, un modo por línea (* significa todos los criterios)',
+    'rubric.save': 'Guardar rúbrica',
+    'rubric.signIn': 'Inicia sesión para guardar una rúbrica propia.',
+    'rubric.criterionKey': 'clave (p. ej. engagement)',
+    'rubric.criterionName': 'Nombre',
+    'rubric.weight': 'Peso',
+    'rubric.criterionDescription': '¿Qué mide este criterio?',
+    'rubric.descriptors': 'Descriptores de nivel opcionales, p. ej. 10: Ejemplos vivos en todo momento',
+
+    'prompts.allCategories': 'Todas las categorías',
+    'prompts.interview': 'Preguntas de entrevista',
+    'prompts.elevatorPitch': 'Discursos de ascensor',
+    'prompts.impromptu': 'Temas improvisados',
+    'prompts.reading': 'Textos para leer',
+    'prompts.free': 'Práctica libre (sin tema)',
+    'prompts.random': '🎲 Al azar',
+    'prompts.readAloud': 'Lectura en voz alta: comprobar la pronunciación con un texto',
+    'prompts.beginner': 'principiante',
+    'prompts.intermediate': 'intermedio',
+    'prompts.advanced': 'avanzado',
+    'prompts.meta': '{difficulty} · objetivo {time}',
+
+    'overlay.start': 'Pulsa «Empezar práctica» para comenzar',
+    'audio.title': '🎤 Monitor de audio',
+    'audio.idle': 'Se monitoriza al empezar la práctica',
+    'audio.monitoring': 'Monitorizando...',
+    'audio.waveform': 'Onda',
+    'audio.pitch': 'Tono',
+    'audio.quiet': '0 dB (bajo)',
+    'audio.loud': '60 dB (alto)',
+    'delivery.listening': 'Escuchando',
+    'delivery.varied': 'Variada',
+    'delivery.monotone': 'Monótona',
+    'delivery.animated': 'Animada',
+    'delivery.steady': 'Estable',
+    'delivery.uptalk': 'final ascendente',
+    'delivery.vocalFry': 'voz rasposa',
+    'transcript.title': '📝 Transcripción en directo',
+    'transcript.placeholder': 'Tus palabras aparecerán aquí mientras hablas...',
+    'transcript.unavailable': 'La transcripción en directo no está disponible.',
+
+    'controls.start': 'Empezar práctica',
+    'controls.stop': 'Detener práctica',
+    'controls.evaluate': 'Evaluar ahora',
+    'controls.analyzeRecording': 'Analizar la grabación completa al detener',
+    'controls.rubric': 'Rúbrica de puntuación',
+    'controls.customize': 'Personalizar',
+    'controls.autoEvaluate': 'Evaluación automática',
+    'controls.off': 'Desactivada',
+    'controls.every15': 'Cada 15 segundos',
+    'controls.every30': 'Cada 30 segundos',
+    'controls.every60': 'Cada 60 segundos',
+    'coaching.toggle': 'Consejos en directo mientras hablo',
+    'coaching.rules': 'Reglas de los consejos',
+    'coach.slowDown.label': 'Hablar demasiado rápido',
+    'coach.slowDown.message': 'Habla un poco más despacio ({wordsPerMinute} PPM)',
+    'coach.lookAtCamera.label': 'Mirar hacia otro lado',
+    'coach.lookAtCamera.message': 'Mira a la cámara',
+    'coach.faceMissing.label': 'Fuera de cuadro',
+    'coach.faceMissing.message': 'Vuelve a colocarte en el cuadro',
+    'coach.silence.label': 'Silencio largo',
+    'coach.silence.message': 'Llevas {silenceSeconds}s en silencio',
+    'coach.volumeLow.label': 'Volumen demasiado bajo',
+    'coach.volumeLow.message': 'El volumen es bajo, habla un poco más alto',
+
+    'detection.face': 'Detección facial',
+    'detection.detected': 'Detectada',
+    'detection.notDetected': 'No detectada',
+    'detection.eyeContact': 'Contacto visual',
+    'detection.expression': 'Expresión',
+    'detection.fillers': 'Muletillas',
+    'detection.pace': 'Ritmo',
+    'detection.pauses': 'Pausas',
+    'detection.none': 'Ninguna',
+    'detection.wpm': '{wpm} PPM',
+    'detection.pauseSummary': '{count} · la más larga {seconds} s',
+    'detection.expressionSummary': '{expression} · {rate} parpadeos/min',
+    'expression.neutral': 'Neutral',
+    'expression.happy': 'Alegre',
+    'expression.sad': 'Triste',
+    'expression.angry': 'Enfadado',
+    'expression.fearful': 'Asustado',
+    'expression.disgusted': 'Disgustado',
+    'expression.surprised': 'Sorprendido',
+    'expression.unknown': 'Desconocida',
+
+    'results.title': 'Resultados de la evaluación',
+    'results.clarity': 'Claridad',
+    'results.confidence': 'Seguridad',
+    'results.relevance': 'Pertinencia',
+    'results.structure': 'Estructura',
+
+    'readAloud.title': 'Lectura en voz alta',
+    'readAloud.misread': 'Mal leída',
+    'readAloud.skipped': 'Omitida',
+    'readAloud.notInPassage': 'No está en el texto',
+    'readAloud.heard': 'Se oyó "{word}"',
+    'readAloud.added': 'Añadida',
+    'readAloud.checking': 'Comprobando tu lectura...',
+    'readAloud.failed': 'Error en la comprobación de lectura: {error}',
+    'readAloud.summary': '{correct} correctas · {misread} mal leídas · {skipped} omitidas · {added} añadidas.',
+
+    'feedback.title': 'Consejos personalizados',
+    'feedback.clarity': 'Mejora de la claridad',
+    'feedback.confidence': 'Más seguridad',
+    'feedback.placeholder': 'Empieza a practicar para recibir consejos...',
+    'feedback.clarityTips': [
+        'Intenta articular cada palabra con más claridad y evita murmurar.',
+        'Construye frases más ordenadas para ganar claridad.',
+        'Reduce muletillas como «este» y «eh» para ser más claro.',
+        'Practica una pronunciación más precisa de las consonantes.',
+        'Habla un poco más despacio para mejorar la claridad.',
+        'Termina cada idea antes de pasar a la siguiente.'
+    ],
+    'feedback.confidenceTips': [
+        'Mantén el contacto visual con la cámara para transmitir seguridad.',
+        'Reduce las pausas y las vacilaciones al hablar.',
+        'Habla con un tono más firme y seguro.',
+        'Mantén la espalda recta y mira de frente a la cámara.',
+        'Practica la respiración profunda para calmar los nervios en la voz.',
+        'Usa gestos con las manos de forma natural para reforzar tu mensaje.'
+    ],
+    'feedback.cameraOff': 'Activa la cámara para recibir la puntuación y los consejos completos de seguridad.',
+    'feedback.noVoiceClarity': 'Habla con claridad al micrófono para recibir consejos sobre claridad.',
+    'feedback.noVoiceConfidence': 'Empieza a hablar y activa la cámara para una evaluación completa.',
+    'feedback.fillers': 'Usaste {total} muletillas ({perMinute}/min), sobre todo «{filler}». Mejor haz una pausa en silencio.',
+    'feedback.fast': 'A {wpm} palabras por minuto hablas rápido. Apunta a 130-160 para que cada idea llegue.',
+    'feedback.slow': 'A {wpm} palabras por minuto tu ritmo es lento. Apunta a 130-160 para mantener la atención.',
+    'feedback.silence': 'Tu silencio más largo fue de {seconds}s. Prepara una frase puente para retomar el hilo.',
+    'prosody.monotone': 'Tu tono se mantuvo dentro de {semitones} semitonos, lo que suena monótono. Eleva la voz en las palabras clave y déjala caer al final de cada idea.',
+    'prosody.uptalk': '{rising} de tus {phrases} frases terminaron en subida, lo que hace que las afirmaciones suenen a preguntas. Deja caer el tono en cada punto.',
+    'prosody.vocalFry': 'A veces tu voz se volvió rasposa. Respira antes de cada oración para tener aire suficiente para terminarla.',
+    'prosody.flatEnergy': 'Tu volumen varió solo {db} dB. Proyecta más las palabras que quieres que el público recuerde.',
+    'nonverbal.lookingAway': 'Apartaste la mirada de la cámara el {percent}% del tiempo. Mantén la vista en el objetivo, sobre todo al decir una idea clave.',
+    'nonverbal.headMovement': 'Tu cabeza se movió unos {degrees}° entre fotogramas. Mantén la cabeza quieta y deja que tu voz marque el énfasis.',
+    'nonverbal.blinking': 'Parpadeaste {rate} veces por minuto, lo que puede parecer nerviosismo. Calma tu respiración antes de empezar.',
+    'nonverbal.neutral': 'Tu expresión fue neutra casi todo el tiempo. Una breve sonrisa al principio y al final te hace parecer más relajado.',
+
+    'replay.title': 'Repetición de la sesión',
+    'replay.faceTrack': 'Cara en el encuadre',
+    'replay.feedback': 'Consejos',
+    'replay.filler': 'Muletilla',
+    'replay.longPause': 'Pausa larga',
+    'replay.nudge': 'Consejo en directo',
+    'replay.evaluation': 'Evaluación',
+    'replay.analyzing': 'Analizando la grabación completa...',
+    'replay.analysisFailed': 'No se pudo analizar la grabación completa.',
+    'replay.noFace': 'Sin cara {start} s – {end} s',
+    'replay.fillerMarker': 'Muletilla: "{word}"',
+    'replay.longPauseMarker': 'Pausa larga {duration}',
+    'replay.evaluationMarker': 'Claridad {clarity}/10 · Seguridad {confidence}/10',
+
+    'queue.queued': 'Sin conexión: esta grabación se evaluará cuando vuelvas a conectarte.',
+    'queue.saveFailed': 'No se pudo guardar la grabación para evaluarla más tarde.',
+    'queue.waiting': {
+        one: '📥 {count} grabación pendiente de evaluar',
+        other: '📥 {count} grabaciones pendientes de evaluar'
+    },
+
+    'stats.duration': 'Duración de la sesión',
+    'stats.evaluations': 'Evaluaciones',
+    'stats.avgClarity': 'Claridad media',
+    'stats.avgConfidence': 'Seguridad media',
+    'stats.export': 'Exportar informe de la sesión',
+
+    'report.pdfNote': 'Este PDF no puede mostrar parte del texto de la sesión. Exporta CSV o JSON para conservarlo entero.',
+    'report.title': 'Informe de sesión de SpeakX',
+    'report.practiced': '{duration} de práctica',
+    'report.prompt': 'Tema: {prompt}',
+    'report.rubric': 'Rúbrica: {rubric}',
+    'report.unrenderable': 'Parte del texto de esta sesión usa caracteres que este PDF no puede mostrar y aparece como "?". Exporta el informe CSV o JSON para conservar el texto completo.',
+    'report.summary': 'Resumen',
+    'report.evaluationCount': 'Evaluaciones: {count}',
+    'report.avgClarity': 'Claridad media: {score}/10',
+    'report.avgConfidence': 'Seguridad media: {score}/10',
+    'report.avgTotal': 'Total medio de la rúbrica: {score}',
+    'report.sessionChart': 'Puntuaciones durante esta sesión',
+    'report.trendChart': 'Evolución (medias diarias)',
+    'report.clarity': 'Claridad',
+    'report.confidence': 'Seguridad',
+    'report.evaluations': 'Evaluaciones',
+    'report.noEvaluations': 'No se registraron evaluaciones en esta sesión.',
+    'report.time': 'Tiempo',
+    'report.mode': 'Modo',
+    'report.total': 'Total',
+    'report.feedback': 'Comentarios',
+    'report.evaluation': 'Evaluación {index}',
+    'report.evaluationAt': 'Evaluación {index} en {time}',
+    'report.clarityFeedback': 'Claridad: {feedback}',
+    'report.confidenceFeedback': 'Seguridad: {feedback}',
+    'report.transcript': 'Extracto de la transcripción',
+    'report.noTranscript': 'No se capturó ninguna transcripción.',
+    'report.footer': 'Informe de sesión de SpeakX · {date} · página {page} de {pages}',
+
+    'timeline.title': '⏱️ Cronología de la sesión',
+    'timeline.summary': {
+        one: '{count} ventana · última {clarity}/10 de claridad, {confidence}/10 de seguridad',
+        other: '{count} ventanas · última {clarity}/10 de claridad, {confidence}/10 de seguridad'
+    },
+    'review.coachTitle': '🧑‍🏫 Revisión del coach',
+    'review.learnerTitle': '💬 Comentarios del coach',
+    'review.noLearners': 'Los alumnos aparecerán aquí cuando compartan sus sesiones contigo.',
+    'review.noSessions': 'Todavía no hay sesiones evaluadas.',
+    'review.reviewedBy': 'Puntuaciones revisadas por {coach}',
+    'review.reviewedByNote': 'Puntuaciones revisadas por {coach}: {note}',
+    'review.at': 'en {time}',
+    'review.addComment': 'Añade un comentario...',
+    'review.seconds': 's',
+    'review.secondsTitle': 'Segundos desde el inicio de la sesión',
+    'review.comment': 'Comentar',
+    'review.overrideTitle': 'Corrección de {score} (0-10)',
+    'review.why': '¿Por qué el cambio?',
+    'review.override': 'Corregir',
+    'review.reset': 'Restablecer',
+
+    'history.title': '📈 Historial de progreso',
+    'history.last7': 'Últimos 7 días',
+    'history.last30': 'Últimos 30 días',
+    'history.last90': 'Últimos 90 días',
+    'history.loading': 'Cargando historial...',
+    'history.noBackend': 'Servidor no disponible',
+    'history.empty': 'Aún no hay sesiones en este periodo',
+    'history.backendOnly': 'El historial se guarda cuando el servidor está en marcha.',
+    'history.summary': '{sessions} sesiones · {evaluations} evaluaciones'
+});
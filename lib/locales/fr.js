@@ -0,0 +1,298 @@
+// French UI strings
+I18n.register('fr', {
+    'common.close': 'Fermer',
+    'common.delete': 'Supprimer',
+    'common.remove': 'Retirer',
+    'common.language': 'Langue',
+
+    'status.aiActive': 'Mode IA actif',
+    'status.addApiKey': 'Serveur prêt (ajoutez la clé API)',
+    'status.local': 'Mode local',
+    'status.recordingAi': 'Enregistrement avec analyse IA...',
+    'status.recordingLocal': 'Enregistrement (mode local)...',
+    'status.offlineEvaluated': {
+        one: '{count} enregistrement hors ligne évalué',
+        other: '{count} enregistrements hors ligne évalués'
+    },
+    'setup.title': 'Vérifiez votre installation',
+    'setup.camera': 'Caméra',
+    'setup.microphone': 'Micro',
+    'setup.unnamedCamera': 'Caméra {index}',
+    'setup.unnamedMicrophone': 'Micro {index}',
+    'setup.echoCancellation': "Annulation d'écho",
+    'setup.noiseSuppression': 'Réduction du bruit',
+    'setup.autoGainControl': 'Contrôle automatique du gain',
+    'setup.calibrate': 'Mesurer le bruit de la pièce',
+    'setup.retry': 'Réessayer',
+    'setup.start': "Commencer l'entraînement",
+    'setup.noise.pending': "Bruit de la pièce pas encore mesuré. La détection de la voix l'apprend pendant que vous parlez.",
+    'setup.noise.measuring': 'Mesure du bruit de la pièce. Restez silencieux pendant {seconds} secondes…',
+    'setup.noise.ok': 'Pièce calme ({noise} dBFS). La détection de la voix part de ce niveau.',
+    'setup.noise.loud': 'Pièce bruyante ({noise} dBFS). Activez la réduction du bruit, fermez les fenêtres ou installez-vous dans un endroit plus calme.',
+    'setup.lighting.checking': "Vérification de l'éclairage…",
+    'setup.lighting.ok': "L'éclairage est bon.",
+    'setup.lighting.dark': 'Trop sombre. Allumez une lampe devant vous ou placez-vous face à une fenêtre.',
+    'setup.lighting.bright': "Trop lumineux. Éloignez-vous du soleil direct ou d'une lumière dirigée vers la caméra.",
+    'setup.framing.checking': 'Vérification du cadrage…',
+    'setup.framing.unavailable': 'Le cadrage sera vérifié une fois la détection du visage chargée.',
+    'setup.framing.ok': 'Votre visage est bien cadré.',
+    'setup.framing.none': 'Aucun visage trouvé. Placez-vous face à la caméra.',
+    'setup.framing.tooFar': 'Rapprochez-vous pour que votre visage remplisse mieux le cadre.',
+    'setup.framing.tooClose': 'Reculez un peu pour que tout votre visage soit visible.',
+    'setup.framing.offCenter': 'Centrez votre visage dans le cadre.',
+    'setup.error.permission': "L'accès à la caméra ou au micro est bloqué. Cliquez sur l'icône de caméra dans la barre d'adresse, autorisez ce site, puis appuyez sur Réessayer.",
+    'setup.error.notFound': 'Aucune caméra ni aucun micro trouvé. Branchez-en un ou activez-le dans les réglages du système, puis appuyez sur Réessayer.',
+    'setup.error.busy': 'Votre caméra ou votre micro est utilisé par une autre application ou un autre onglet (un appel vidéo, par exemple). Fermez-le, puis appuyez sur Réessayer.',
+    'setup.error.unsupported': 'Ce navigateur ne peut pas utiliser la caméra ici. Ouvrez SpeakX en HTTPS ou sur localhost dans un navigateur à jour.',
+    'setup.error.unknown': 'Impossible de démarrer la caméra ou le micro ({name}). Appuyez sur Réessayer ou choisissez un autre appareil.',
+
+    'account.signIn': 'Se connecter',
+    'account.createAccount': 'Créer le compte',
+    'account.createAnAccount': 'Créer un compte',
+    'account.haveAccount': "J'ai déjà un compte",
+    'account.signOut': 'Se déconnecter',
+    'account.name': 'Votre nom',
+    'account.email': 'E-mail',
+    'account.password': 'Mot de passe (8 caractères ou plus)',
+    'account.roleLearner': "Je m'entraîne (apprenant)",
+    'account.roleCoach': "J'accompagne d'autres personnes (coach)",
+    'account.coachEmail': 'E-mail du coach',
+    'account.shareWithCoach': 'Partager avec le coach',
+    'account.learner': 'Apprenant',
+    'account.coach': 'Coach',
+    'account.noLearners': "Aucun apprenant n'a encore partagé ses sessions avec vous.",
+    'account.noCoaches': 'Partagez vos sessions avec un coach pour recevoir des commentaires et des révisions de notes.',
+    'account.needsBackend': 'Les comptes nécessitent le serveur.',
+
+    'rubric.new': 'Nouvelle grille',
+    'rubric.edit': 'Modifier « {name} »',
+    'rubric.name': 'Nom de la grille',
+    'rubric.description': 'Description (facultative)',
+    'rubric.scoresFrom': 'Notes de',
+    'rubric.to': 'à',
+    'rubric.addCriterion': '+ Ajouter un critère',
+    'rubric.penalties': 'Pénalités sans caméra ou micro, un mode par ligne (* signifie tous les critères)',
+    'rubric.save': 'Enregistrer la grille',
+    'rubric.signIn': 'Connectez-vous pour enregistrer une grille personnalisée.',
+    'rubric.criterionKey': 'clé (ex. engagement)',
+    'rubric.criterionName': 'Nom',
+    'rubric.weight': 'Poids',
+    'rubric.criterionDescription': 'Que mesure ce critère ?',
+    'rubric.descriptors': 'Descripteurs de niveau facultatifs, ex. 10 : Exemples vivants tout du long',
+
+    'prompts.allCategories': 'Toutes les catégories',
+    'prompts.interview': "Questions d'entretien",
+    'prompts.elevatorPitch': 'Pitchs éclair',
+    'prompts.impromptu': 'Sujets improvisés',
+    'prompts.reading': 'Textes à lire',
+    'prompts.free': 'Entraînement libre (sans sujet)',
+    'prompts.random': '🎲 Au hasard',
+    'prompts.readAloud': 'Lecture à voix haute : vérifier la prononciation sur un texte',
+    'prompts.beginner': 'débutant',
+    'prompts.intermediate': 'intermédiaire',
+    'prompts.advanced': 'avancé',
+    'prompts.meta': '{difficulty} · objectif {time}',
+
+    'overlay.start': 'Cliquez sur « Commencer » pour démarrer',
+    'audio.title': '🎤 Moniteur audio',
+    'audio.idle': "Surveillance dès le début de l'entraînement",
+    'audio.monitoring': 'Surveillance...',
+    'audio.waveform': "Forme d'onde",
+    'audio.pitch': 'Hauteur',
+    'audio.quiet': '0 dB (faible)',
+    'audio.loud': '60 dB (fort)',
+    'delivery.listening': "À l'écoute",
+    'delivery.varied': 'Variée',
+    'delivery.monotone': 'Monotone',
+    'delivery.animated': 'Animée',
+    'delivery.steady': 'Régulière',
+    'delivery.uptalk': 'intonation montante',
+    'delivery.vocalFry': 'voix éraillée',
+    'transcript.title': '📝 Transcription en direct',
+    'transcript.placeholder': 'Vos mots apparaîtront ici pendant que vous parlez...',
+    'transcript.unavailable': "La transcription en direct n'est pas disponible.",
+
+    'controls.start': 'Commencer',
+    'controls.stop': 'Arrêter',
+    'controls.evaluate': 'Évaluer maintenant',
+    'controls.analyzeRecording': "Analyser tout l'enregistrement à l'arrêt",
+    'controls.rubric': 'Grille de notation',
+    'controls.customize': 'Personnaliser',
+    'controls.autoEvaluate': 'Évaluation automatique',
+    'controls.off': 'Désactivée',
+    'controls.every15': 'Toutes les 15 secondes',
+    'controls.every30': 'Toutes les 30 secondes',
+    'controls.every60': 'Toutes les 60 secondes',
+    'coaching.toggle': 'Conseils en direct pendant que je parle',
+    'coaching.rules': 'Règles des conseils',
+    'coach.slowDown.label': 'Débit trop rapide',
+    'coach.slowDown.message': 'Ralentissez un peu ({wordsPerMinute} mots/min)',
+    'coach.lookAtCamera.label': 'Regard ailleurs',
+    'coach.lookAtCamera.message': 'Regardez la caméra',
+    'coach.faceMissing.label': 'Hors du cadre',
+    'coach.faceMissing.message': 'Revenez dans le cadre',
+    'coach.silence.label': 'Long silence',
+    'coach.silence.message': 'Vous êtes silencieux depuis {silenceSeconds} s',
+    'coach.volumeLow.label': 'Volume trop faible',
+    'coach.volumeLow.message': 'Le volume est faible, parlez un peu plus fort',
+
+    'detection.face': 'Détection du visage',
+    'detection.detected': 'Détecté',
+    'detection.notDetected': 'Non détecté',
+    'detection.eyeContact': 'Contact visuel',
+    'detection.expression': 'Expression',
+    'detection.fillers': 'Mots de remplissage',
+    'detection.pace': 'Débit',
+    'detection.pauses': 'Pauses',
+    'detection.none': 'Aucune',
+    'detection.wpm': '{wpm} mots/min',
+    'detection.pauseSummary': '{count} · la plus longue {seconds} s',
+    'detection.expressionSummary': '{expression} · {rate} clignements/min',
+    'expression.neutral': 'Neutre',
+    'expression.happy': 'Joyeux',
+    'expression.sad': 'Triste',
+    'expression.angry': 'En colère',
+    'expression.fearful': 'Inquiet',
+    'expression.disgusted': 'Dégoûté',
+    'expression.surprised': 'Surpris',
+    'expression.unknown': 'Inconnue',
+
+    'results.title': "Résultats de l'évaluation",
+    'results.clarity': 'Clarté',
+    'results.confidence': 'Assurance',
+    'results.relevance': 'Pertinence',
+    'results.structure': 'Structure',
+
+    'readAloud.title': 'Lecture à voix haute',
+    'readAloud.misread': 'Mal lu',
+    'readAloud.skipped': 'Omis',
+    'readAloud.notInPassage': 'Absent du texte',
+    'readAloud.heard': 'Entendu « {word} »',
+    'readAloud.added': 'Ajouté',
+    'readAloud.checking': 'Vérification de votre lecture...',
+    'readAloud.failed': 'Échec de la vérification de lecture : {error}',
+    'readAloud.summary': '{correct} correct(s) · {misread} mal lu(s) · {skipped} omis · {added} ajouté(s).',
+
+    'feedback.title': 'Conseils personnalisés',
+    'feedback.clarity': 'Améliorer la clarté',
+    'feedback.confidence': 'Gagner en assurance',
+    'feedback.placeholder': 'Commencez à vous entraîner pour recevoir des conseils...',
+    'feedback.clarityTips': [
+        "Essayez d'articuler chaque mot plus clairement et évitez de marmonner.",
+        'Structurez davantage vos phrases pour gagner en clarté.',
+        'Limitez les mots de remplissage comme « euh » et « ben » pour être plus clair.',
+        'Entraînez-vous à prononcer les consonnes avec plus de précision.',
+        'Ralentissez votre débit pour améliorer la clarté.',
+        'Terminez chaque idée avant de passer à la suivante.'
+    ],
+    'feedback.confidenceTips': [
+        "Regardez la caméra pour transmettre de l'assurance.",
+        'Réduisez les pauses et les hésitations quand vous parlez.',
+        "Parlez d'un ton plus ferme et plus affirmé.",
+        'Tenez-vous droit et faites face à la caméra.',
+        'Pratiquez la respiration profonde pour calmer la nervosité dans votre voix.',
+        'Utilisez naturellement les gestes des mains pour appuyer votre message.'
+    ],
+    'feedback.cameraOff': "Activez votre caméra pour obtenir la note et les conseils complets sur l'assurance.",
+    'feedback.noVoiceClarity': 'Parlez clairement dans le micro pour recevoir des conseils sur la clarté.',
+    'feedback.noVoiceConfidence': 'Commencez à parler et activez votre caméra pour une évaluation complète.',
+    'feedback.fillers': 'Vous avez utilisé {total} mots de remplissage ({perMinute}/min), surtout « {filler} ». Faites plutôt une pause silencieuse.',
+    'feedback.fast': 'À {wpm} mots par minute, vous parlez vite. Visez 130-160 pour que chaque idée porte.',
+    'feedback.slow': "À {wpm} mots par minute, votre débit est lent. Visez 130-160 pour garder l'attention.",
+    'feedback.silence': 'Votre plus long silence a duré {seconds} s. Préparez une phrase de transition pour reprendre le fil.',
+    'prosody.monotone': 'Votre intonation est restée dans {semitones} demi-tons, ce qui paraît monotone. Montez la voix sur les mots clés et laissez-la descendre à la fin de chaque idée.',
+    'prosody.uptalk': '{rising} de vos {phrases} phrases se sont terminées en montant, ce qui fait sonner les affirmations comme des questions. Laissez votre voix descendre à chaque point.',
+    'prosody.vocalFry': "Votre voix est parfois devenue éraillée. Respirez avant chaque phrase pour avoir assez d'air pour la terminer.",
+    'prosody.flatEnergy': "Votre volume n'a varié que de {db} dB. Projetez davantage les mots que vous voulez faire retenir.",
+    'nonverbal.lookingAway': "Vous avez détourné le regard de la caméra {percent} % du temps. Gardez les yeux sur l'objectif, surtout pour une idée clé.",
+    'nonverbal.headMovement': "Votre tête a bougé d'environ {degrees}° entre les images. Gardez la tête immobile et laissez votre voix porter l'emphase.",
+    'nonverbal.blinking': 'Vous avez cligné des yeux {rate} fois par minute, ce qui peut paraître nerveux. Ralentissez votre respiration avant de commencer.',
+    'nonverbal.neutral': "Votre expression est restée neutre presque tout le temps. Un bref sourire au début et à la fin vous donne l'air plus à l'aise.",
+
+    'replay.title': 'Revoir la session',
+    'replay.faceTrack': 'Visage dans le cadre',
+    'replay.feedback': 'Conseils',
+    'replay.filler': 'Mot de remplissage',
+    'replay.longPause': 'Longue pause',
+    'replay.nudge': 'Conseil en direct',
+    'replay.evaluation': 'Évaluation',
+    'replay.analyzing': "Analyse de l'enregistrement complet...",
+    'replay.analysisFailed': "Impossible d'analyser l'enregistrement complet.",
+    'replay.noFace': 'Pas de visage {start} s – {end} s',
+    'replay.fillerMarker': 'Tic de langage : « {word} »',
+    'replay.longPauseMarker': 'Longue pause {duration}',
+    'replay.evaluationMarker': 'Clarté {clarity}/10 · Assurance {confidence}/10',
+
+    'queue.queued': 'Hors ligne : cet enregistrement sera évalué à votre reconnexion.',
+    'queue.saveFailed': "Impossible d'enregistrer l'enregistrement pour une évaluation ultérieure.",
+    'queue.waiting': {
+        one: '📥 {count} enregistrement en attente d’évaluation',
+        other: '📥 {count} enregistrements en attente d’évaluation'
+    },
+
+    'stats.duration': 'Durée de la session',
+    'stats.evaluations': 'Évaluations',
+    'stats.avgClarity': 'Clarté moy.',
+    'stats.avgConfidence': 'Assurance moy.',
+    'stats.export': 'Exporter le rapport de session',
+
+    'report.pdfNote': 'Ce PDF ne peut pas afficher une partie du texte de la session. Exportez en CSV ou JSON pour tout conserver.',
+    'report.title': 'Rapport de session SpeakX',
+    'report.practiced': "{duration} d'entraînement",
+    'report.prompt': 'Sujet : {prompt}',
+    'report.rubric': 'Grille : {rubric}',
+    'report.unrenderable': 'Une partie du texte de cette session utilise des caractères que ce PDF ne peut pas afficher et apparaît comme « ? ». Exportez le rapport CSV ou JSON pour conserver le texte complet.',
+    'report.summary': 'Résumé',
+    'report.evaluationCount': 'Évaluations : {count}',
+    'report.avgClarity': 'Clarté moy. : {score}/10',
+    'report.avgConfidence': 'Assurance moy. : {score}/10',
+    'report.avgTotal': 'Total moy. de la grille : {score}',
+    'report.sessionChart': 'Scores pendant cette session',
+    'report.trendChart': 'Progression (moyennes quotidiennes)',
+    'report.clarity': 'Clarté',
+    'report.confidence': 'Assurance',
+    'report.evaluations': 'Évaluations',
+    'report.noEvaluations': "Aucune évaluation n'a été enregistrée pendant cette session.",
+    'report.time': 'Temps',
+    'report.mode': 'Mode',
+    'report.total': 'Total',
+    'report.feedback': 'Retours',
+    'report.evaluation': 'Évaluation {index}',
+    'report.evaluationAt': 'Évaluation {index} à {time}',
+    'report.clarityFeedback': 'Clarté : {feedback}',
+    'report.confidenceFeedback': 'Assurance : {feedback}',
+    'report.transcript': 'Extrait de la transcription',
+    'report.noTranscript': "Aucune transcription n'a été enregistrée.",
+    'report.footer': 'Rapport de session SpeakX · {date} · page {page} sur {pages}',
+
+    'timeline.title': '⏱️ Chronologie de la session',
+    'timeline.summary': {
+        one: '{count} fenêtre · dernière {clarity}/10 en clarté, {confidence}/10 en assurance',
+        other: '{count} fenêtres · dernière {clarity}/10 en clarté, {confidence}/10 en assurance'
+    },
+    'review.coachTitle': '🧑‍🏫 Revue du coach',
+    'review.learnerTitle': '💬 Retours du coach',
+    'review.noLearners': 'Les apprenants apparaîtront ici quand ils partageront leurs sessions avec vous.',
+    'review.noSessions': 'Aucune session évaluée pour le moment.',
+    'review.reviewedBy': 'Scores revus par {coach}',
+    'review.reviewedByNote': 'Scores revus par {coach} : {note}',
+    'review.at': 'à {time}',
+    'review.addComment': 'Ajouter un commentaire...',
+    'review.seconds': 's',
+    'review.secondsTitle': 'Secondes depuis le début de la session',
+    'review.comment': 'Commenter',
+    'review.overrideTitle': 'Correction de {score} (0-10)',
+    'review.why': 'Pourquoi ce changement ?',
+    'review.override': 'Corriger',
+    'review.reset': 'Réinitialiser',
+
+    'history.title': '📈 Historique des progrès',
+    'history.last7': '7 derniers jours',
+    'history.last30': '30 derniers jours',
+    'history.last90': '90 derniers jours',
+    'history.loading': "Chargement de l'historique...",
+    'history.noBackend': 'Serveur indisponible',
+    'history.empty': 'Aucune session sur cette période',
+    'history.backendOnly': "L'historique est enregistré lorsque le serveur est en marche.",
+    'history.summary': '{sessions} sessions · {evaluations} évaluations'
+});
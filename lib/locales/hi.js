@@ -0,0 +1,298 @@
+// Hindi UI strings
+I18n.register('hi', {
+    'common.close': 'बंद करें',
+    'common.delete': 'हटाएँ',
+    'common.remove': 'हटाएँ',
+    'common.language': 'भाषा',
+
+    'status.aiActive': 'AI मोड सक्रिय',
+    'status.addApiKey': 'सर्वर तैयार (API कुंजी जोड़ें)',
+    'status.local': 'लोकल मोड',
+    'status.recordingAi': 'AI विश्लेषण के साथ रिकॉर्डिंग...',
+    'status.recordingLocal': 'रिकॉर्डिंग (लोकल मोड)...',
+    'status.offlineEvaluated': {
+        one: '{count} ऑफ़लाइन रिकॉर्डिंग का मूल्यांकन हुआ',
+        other: '{count} ऑफ़लाइन रिकॉर्डिंग का मूल्यांकन हुआ'
+    },
+    'setup.title': 'अपना सेटअप जाँचें',
+    'setup.camera': 'कैमरा',
+    'setup.microphone': 'माइक्रोफ़ोन',
+    'setup.unnamedCamera': 'कैमरा {index}',
+    'setup.unnamedMicrophone': 'माइक्रोफ़ोन {index}',
+    'setup.echoCancellation': 'इको कैंसलेशन',
+    'setup.noiseSuppression': 'शोर कम करना',
+    'setup.autoGainControl': 'ऑटोमैटिक गेन कंट्रोल',
+    'setup.calibrate': 'कमरे का शोर मापें',
+    'setup.retry': 'फिर से कोशिश करें',
+    'setup.start': 'अभ्यास शुरू करें',
+    'setup.noise.pending': 'कमरे का शोर अभी मापा नहीं गया। आवाज़ पहचान बोलते समय इसे खुद सीख लेती है।',
+    'setup.noise.measuring': 'कमरे का शोर माप रहे हैं। {seconds} सेकंड तक शांत रहें…',
+    'setup.noise.ok': 'शांत कमरा ({noise} dBFS)। आवाज़ पहचान इसी स्तर से शुरू होती है।',
+    'setup.noise.loud': 'शोर भरा कमरा ({noise} dBFS)। शोर कम करना चालू करें, खिड़कियाँ बंद करें या किसी शांत जगह जाएँ।',
+    'setup.lighting.checking': 'रोशनी जाँच रहे हैं…',
+    'setup.lighting.ok': 'रोशनी ठीक है।',
+    'setup.lighting.dark': 'बहुत अँधेरा है। सामने एक लाइट जलाएँ या खिड़की की ओर मुँह करें।',
+    'setup.lighting.bright': 'बहुत ज़्यादा रोशनी है। सीधी धूप से या कैमरे पर पड़ रही लाइट से हटें।',
+    'setup.framing.checking': 'फ़्रेमिंग जाँच रहे हैं…',
+    'setup.framing.unavailable': 'चेहरा पहचान लोड होने पर फ़्रेमिंग जाँच शुरू होगी।',
+    'setup.framing.ok': 'आपका चेहरा फ़्रेम में ठीक है।',
+    'setup.framing.none': 'कोई चेहरा नहीं मिला। कैमरे की ओर मुँह करके बैठें।',
+    'setup.framing.tooFar': 'पास आएँ ताकि चेहरा फ़्रेम में बड़ा दिखे।',
+    'setup.framing.tooClose': 'थोड़ा पीछे हटें ताकि पूरा चेहरा दिखे।',
+    'setup.framing.offCenter': 'अपना चेहरा फ़्रेम के बीच में रखें।',
+    'setup.error.permission': "कैमरा या माइक्रोफ़ोन की अनुमति बंद है। एड्रेस बार में कैमरा आइकन पर क्लिक करें, इस साइट को अनुमति दें, फिर 'फिर से कोशिश करें' दबाएँ।",
+    'setup.error.notFound': "कोई कैमरा या माइक्रोफ़ोन नहीं मिला। एक लगाएँ या सिस्टम सेटिंग्स में चालू करें, फिर 'फिर से कोशिश करें' दबाएँ।",
+    'setup.error.busy': "आपका कैमरा या माइक्रोफ़ोन किसी दूसरे ऐप या टैब (जैसे वीडियो कॉल) में चल रहा है। उसे बंद करें, फिर 'फिर से कोशिश करें' दबाएँ।",
+    'setup.error.unsupported': 'यह ब्राउज़र यहाँ कैमरा इस्तेमाल नहीं कर सकता। SpeakX को HTTPS या localhost पर नए ब्राउज़र में खोलें।',
+    'setup.error.unknown': 'कैमरा या माइक्रोफ़ोन शुरू नहीं हो सका ({name})। फिर से कोशिश करें या कोई दूसरा डिवाइस चुनें।',
+
+    'account.signIn': 'साइन इन करें',
+    'account.createAccount': 'खाता बनाएँ',
+    'account.createAnAccount': 'नया खाता बनाएँ',
+    'account.haveAccount': 'मेरा खाता पहले से है',
+    'account.signOut': 'साइन आउट करें',
+    'account.name': 'आपका नाम',
+    'account.email': 'ईमेल',
+    'account.password': 'पासवर्ड (कम से कम 8 अक्षर)',
+    'account.roleLearner': 'मैं अभ्यास कर रहा/रही हूँ (शिक्षार्थी)',
+    'account.roleCoach': 'मैं दूसरों को सिखाता/सिखाती हूँ (कोच)',
+    'account.coachEmail': 'कोच का ईमेल',
+    'account.shareWithCoach': 'कोच के साथ साझा करें',
+    'account.learner': 'शिक्षार्थी',
+    'account.coach': 'कोच',
+    'account.noLearners': 'अभी तक किसी शिक्षार्थी ने अपने सत्र आपके साथ साझा नहीं किए हैं।',
+    'account.noCoaches': 'टिप्पणियाँ और स्कोर की समीक्षा पाने के लिए अपने सत्र किसी कोच के साथ साझा करें।',
+    'account.needsBackend': 'खातों के लिए सर्वर चालू होना ज़रूरी है।',
+
+    'rubric.new': 'नई रूब्रिक',
+    'rubric.edit': '"{name}" संपादित करें',
+    'rubric.name': 'रूब्रिक का नाम',
+    'rubric.description': 'विवरण (वैकल्पिक)',
+    'rubric.scoresFrom': 'स्कोर',
+    'rubric.to': 'से',
+    'rubric.addCriterion': '+ मानदंड जोड़ें',
+    'rubric.penalties': 'कैमरा या माइक्रोफ़ोन के बिना दंड, हर पंक्ति में एक मोड (* का अर्थ है सभी मानदंड)',
+    'rubric.save': 'रूब्रिक सहेजें',
+    'rubric.signIn': 'अपनी रूब्रिक सहेजने के लिए साइन इन करें।',
+    'rubric.criterionKey': 'कुंजी (जैसे engagement)',
+    'rubric.criterionName': 'नाम',
+    'rubric.weight': 'भार',
+    'rubric.criterionDescription': 'यह मानदंड क्या मापता है?',
+    'rubric.descriptors': 'वैकल्पिक स्तर विवरण, जैसे 10: शुरू से अंत तक सजीव उदाहरण',
+
+    'prompts.allCategories': 'सभी श्रेणियाँ',
+    'prompts.interview': 'इंटरव्यू के सवाल',
+    'prompts.elevatorPitch': 'एलिवेटर पिच',
+    'prompts.impromptu': 'तात्कालिक विषय',
+    'prompts.reading': 'पढ़ने के अंश',
+    'prompts.free': 'मुक्त अभ्यास (कोई विषय नहीं)',
+    'prompts.random': '🎲 कोई भी',
+    'prompts.readAloud': 'ज़ोर से पढ़ें: किसी अंश से उच्चारण जाँचें',
+    'prompts.beginner': 'शुरुआती',
+    'prompts.intermediate': 'मध्यम',
+    'prompts.advanced': 'उन्नत',
+    'prompts.meta': '{difficulty} · लक्ष्य {time}',
+
+    'overlay.start': 'शुरू करने के लिए "अभ्यास शुरू करें" पर क्लिक करें',
+    'audio.title': '🎤 ऑडियो इनपुट मॉनिटर',
+    'audio.idle': 'अभ्यास शुरू होने पर निगरानी होगी',
+    'audio.monitoring': 'निगरानी जारी...',
+    'audio.waveform': 'तरंग',
+    'audio.pitch': 'पिच',
+    'audio.quiet': '0 dB (धीमा)',
+    'audio.loud': '60 dB (तेज़)',
+    'delivery.listening': 'सुन रहे हैं',
+    'delivery.varied': 'विविध',
+    'delivery.monotone': 'एक-सुर',
+    'delivery.animated': 'जोशीला',
+    'delivery.steady': 'स्थिर',
+    'delivery.uptalk': 'अंत में ऊँचा स्वर',
+    'delivery.vocalFry': 'कर्कश आवाज़',
+    'transcript.title': '📝 लाइव ट्रांसक्रिप्ट',
+    'transcript.placeholder': 'आप जो बोलेंगे वह यहाँ दिखाई देगा...',
+    'transcript.unavailable': 'लाइव ट्रांसक्रिप्शन उपलब्ध नहीं है।',
+
+    'controls.start': 'अभ्यास शुरू करें',
+    'controls.stop': 'अभ्यास रोकें',
+    'controls.evaluate': 'अभी मूल्यांकन करें',
+    'controls.analyzeRecording': 'रोकने पर पूरी रिकॉर्डिंग का विश्लेषण करें',
+    'controls.rubric': 'स्कोरिंग रूब्रिक',
+    'controls.customize': 'बदलें',
+    'controls.autoEvaluate': 'स्वचालित मूल्यांकन',
+    'controls.off': 'बंद',
+    'controls.every15': 'हर 15 सेकंड',
+    'controls.every30': 'हर 30 सेकंड',
+    'controls.every60': 'हर 60 सेकंड',
+    'coaching.toggle': 'बोलते समय लाइव कोचिंग संकेत',
+    'coaching.rules': 'संकेत के नियम',
+    'coach.slowDown.label': 'बहुत तेज़ बोलना',
+    'coach.slowDown.message': 'थोड़ा धीरे बोलें ({wordsPerMinute} शब्द/मिनट)',
+    'coach.lookAtCamera.label': 'दूसरी ओर देखना',
+    'coach.lookAtCamera.message': 'कैमरे की ओर देखें',
+    'coach.faceMissing.label': 'फ़्रेम से बाहर',
+    'coach.faceMissing.message': 'वापस फ़्रेम में आएँ',
+    'coach.silence.label': 'लंबी चुप्पी',
+    'coach.silence.message': 'आप {silenceSeconds} सेकंड से चुप हैं',
+    'coach.volumeLow.label': 'आवाज़ बहुत धीमी',
+    'coach.volumeLow.message': 'आवाज़ धीमी है, थोड़ा ज़ोर से बोलें',
+
+    'detection.face': 'चेहरा पहचान',
+    'detection.detected': 'पहचाना गया',
+    'detection.notDetected': 'नहीं पहचाना गया',
+    'detection.eyeContact': 'नज़र मिलाना',
+    'detection.expression': 'भाव',
+    'detection.fillers': 'भराव शब्द',
+    'detection.pace': 'गति',
+    'detection.pauses': 'ठहराव',
+    'detection.none': 'कोई नहीं',
+    'detection.wpm': '{wpm} शब्द/मिनट',
+    'detection.pauseSummary': '{count} · सबसे लंबा {seconds} से.',
+    'detection.expressionSummary': '{expression} · {rate} पलकें/मिनट',
+    'expression.neutral': 'सामान्य',
+    'expression.happy': 'खुश',
+    'expression.sad': 'उदास',
+    'expression.angry': 'गुस्से में',
+    'expression.fearful': 'डरा हुआ',
+    'expression.disgusted': 'नाराज़',
+    'expression.surprised': 'हैरान',
+    'expression.unknown': 'अज्ञात',
+
+    'results.title': 'मूल्यांकन के परिणाम',
+    'results.clarity': 'स्पष्टता',
+    'results.confidence': 'आत्मविश्वास',
+    'results.relevance': 'प्रासंगिकता',
+    'results.structure': 'संरचना',
+
+    'readAloud.title': 'ज़ोर से पढ़ने की जाँच',
+    'readAloud.misread': 'गलत पढ़ा',
+    'readAloud.skipped': 'छोड़ा',
+    'readAloud.notInPassage': 'अंश में नहीं',
+    'readAloud.heard': 'सुना गया "{word}"',
+    'readAloud.added': 'जोड़ा',
+    'readAloud.checking': 'आपकी पढ़ाई जाँची जा रही है...',
+    'readAloud.failed': 'पढ़ने की जाँच विफल रही: {error}',
+    'readAloud.summary': '{correct} सही · {misread} गलत पढ़े · {skipped} छोड़े · {added} जोड़े।',
+
+    'feedback.title': 'व्यक्तिगत सुझाव',
+    'feedback.clarity': 'स्पष्टता में सुधार',
+    'feedback.confidence': 'आत्मविश्वास बढ़ाएँ',
+    'feedback.placeholder': 'सुझाव पाने के लिए अभ्यास शुरू करें...',
+    'feedback.clarityTips': [
+        'हर शब्द को और साफ़ बोलने की कोशिश करें और बुदबुदाने से बचें।',
+        'स्पष्टता बढ़ाने के लिए अपने वाक्यों को व्यवस्थित ढंग से बोलें।',
+        "बेहतर स्पष्टता के लिए 'उम्म' और 'मतलब' जैसे भराव शब्द कम करें।",
+        'व्यंजनों का उच्चारण और सटीकता से करने का अभ्यास करें।',
+        'स्पष्टता सुधारने के लिए बोलने की गति थोड़ी धीमी करें।',
+        'अगली बात पर जाने से पहले अपना विचार पूरा करें।'
+    ],
+    'feedback.confidenceTips': [
+        'आत्मविश्वास दिखाने के लिए कैमरे से नज़रें मिलाए रखें।',
+        'बोलते समय रुकावटें और झिझक कम करें।',
+        'ज़्यादा मज़बूत और दृढ़ स्वर में बोलें।',
+        'सीधे बैठें और कैमरे की ओर सीधा देखें।',
+        'आवाज़ की घबराहट कम करने के लिए गहरी साँस लेने का अभ्यास करें।',
+        'अपनी बात को मज़बूत करने के लिए स्वाभाविक रूप से हाथों के इशारों का उपयोग करें।'
+    ],
+    'feedback.cameraOff': 'आत्मविश्वास का पूरा स्कोर और फ़ीडबैक पाने के लिए अपना कैमरा चालू करें।',
+    'feedback.noVoiceClarity': 'स्पष्टता पर फ़ीडबैक पाने के लिए कृपया माइक्रोफ़ोन में साफ़ बोलें।',
+    'feedback.noVoiceConfidence': 'पूरे मूल्यांकन के लिए बोलना शुरू करें और अपना कैमरा चालू करें।',
+    'feedback.fillers': 'आपने {total} भराव शब्द ({perMinute}/मिनट) बोले, ज़्यादातर "{filler}"। इनकी जगह चुपचाप रुकें।',
+    'feedback.fast': '{wpm} शब्द प्रति मिनट पर आप तेज़ बोल रहे हैं। 130-160 का लक्ष्य रखें ताकि हर बात असर करे।',
+    'feedback.slow': '{wpm} शब्द प्रति मिनट पर आपकी गति धीमी है। श्रोताओं को जोड़े रखने के लिए 130-160 का लक्ष्य रखें।',
+    'feedback.silence': 'आपकी सबसे लंबी चुप्पी {seconds} सेकंड की थी। बात भूलने पर सँभलने के लिए एक जोड़ने वाला वाक्य तैयार रखें।',
+    'prosody.monotone': 'आपकी आवाज़ का उतार-चढ़ाव {semitones} सेमीटोन के भीतर रहा, जो एक-सुर लगता है। मुख्य शब्दों पर आवाज़ उठाएँ और हर बात के अंत में उसे नीचे आने दें।',
+    'prosody.uptalk': 'आपके {phrases} वाक्यांशों में से {rising} ऊँचे स्वर पर खत्म हुए, जिससे कथन सवाल जैसे लगते हैं। हर पूर्ण विराम पर स्वर नीचे आने दें।',
+    'prosody.vocalFry': 'कभी-कभी आपकी आवाज़ कर्कश हो गई। हर वाक्य से पहले साँस लें ताकि उसे पूरा करने के लिए पर्याप्त हवा रहे।',
+    'prosody.flatEnergy': 'आपकी आवाज़ की तीव्रता केवल {db} dB बदली। जिन शब्दों को श्रोता याद रखें, उन पर ज़्यादा ज़ोर दें।',
+    'nonverbal.lookingAway': 'आपने {percent}% समय कैमरे से नज़र हटाई। नज़र लेंस पर रखें, ख़ासकर कोई मुख्य बात कहते समय।',
+    'nonverbal.headMovement': 'फ़्रेमों के बीच आपका सिर लगभग {degrees}° हिला। सिर स्थिर रखें और ज़ोर अपनी आवाज़ से दें।',
+    'nonverbal.blinking': 'आपने एक मिनट में {rate} बार पलकें झपकाईं, जो घबराहट जैसा लग सकता है। शुरू करने से पहले साँस धीमी करें।',
+    'nonverbal.neutral': 'आपका चेहरा लगभग पूरे समय भावहीन रहा। शुरुआत और अंत में हल्की मुस्कान से आप ज़्यादा सहज दिखते हैं।',
+
+    'replay.title': 'सत्र रीप्ले',
+    'replay.faceTrack': 'फ़्रेम में चेहरा',
+    'replay.feedback': 'फ़ीडबैक',
+    'replay.filler': 'भराव शब्द',
+    'replay.longPause': 'लंबा ठहराव',
+    'replay.nudge': 'कोचिंग संकेत',
+    'replay.evaluation': 'मूल्यांकन',
+    'replay.analyzing': 'पूरी रिकॉर्डिंग का विश्लेषण हो रहा है...',
+    'replay.analysisFailed': 'पूरी रिकॉर्डिंग का विश्लेषण नहीं हो सका।',
+    'replay.noFace': 'चेहरा नहीं {start} से. – {end} से.',
+    'replay.fillerMarker': 'भराव शब्द: "{word}"',
+    'replay.longPauseMarker': 'लंबा ठहराव {duration}',
+    'replay.evaluationMarker': 'स्पष्टता {clarity}/10 · आत्मविश्वास {confidence}/10',
+
+    'queue.queued': 'ऑफ़लाइन: दोबारा कनेक्ट होने पर इस रिकॉर्डिंग का मूल्यांकन होगा।',
+    'queue.saveFailed': 'बाद में मूल्यांकन के लिए रिकॉर्डिंग सहेजी नहीं जा सकी।',
+    'queue.waiting': {
+        one: '📥 {count} रिकॉर्डिंग मूल्यांकन की प्रतीक्षा में',
+        other: '📥 {count} रिकॉर्डिंग मूल्यांकन की प्रतीक्षा में'
+    },
+
+    'stats.duration': 'सत्र की अवधि',
+    'stats.evaluations': 'मूल्यांकन',
+    'stats.avgClarity': 'औसत स्पष्टता',
+    'stats.avgConfidence': 'औसत आत्मविश्वास',
+    'stats.export': 'सत्र रिपोर्ट डाउनलोड करें',
+
+    'report.pdfNote': 'यह PDF सत्र का कुछ पाठ नहीं दिखा सकता। पूरा पाठ रखने के लिए CSV या JSON डाउनलोड करें।',
+    'report.title': 'SpeakX सत्र रिपोर्ट',
+    'report.practiced': '{duration} अभ्यास',
+    'report.prompt': 'विषय: {prompt}',
+    'report.rubric': 'रूब्रिक: {rubric}',
+    'report.unrenderable': 'इस सत्र के कुछ पाठ में ऐसे अक्षर हैं जिन्हें यह PDF नहीं दिखा सकता, वे "?" के रूप में दिखते हैं। पूरा पाठ रखने के लिए CSV या JSON रिपोर्ट डाउनलोड करें।',
+    'report.summary': 'सारांश',
+    'report.evaluationCount': 'मूल्यांकन: {count}',
+    'report.avgClarity': 'औसत स्पष्टता: {score}/10',
+    'report.avgConfidence': 'औसत आत्मविश्वास: {score}/10',
+    'report.avgTotal': 'औसत रूब्रिक कुल: {score}',
+    'report.sessionChart': 'इस सत्र के दौरान स्कोर',
+    'report.trendChart': 'प्रगति (दैनिक औसत)',
+    'report.clarity': 'स्पष्टता',
+    'report.confidence': 'आत्मविश्वास',
+    'report.evaluations': 'मूल्यांकन',
+    'report.noEvaluations': 'इस सत्र में कोई मूल्यांकन दर्ज नहीं हुआ।',
+    'report.time': 'समय',
+    'report.mode': 'मोड',
+    'report.total': 'कुल',
+    'report.feedback': 'सुझाव',
+    'report.evaluation': 'मूल्यांकन {index}',
+    'report.evaluationAt': 'मूल्यांकन {index}, {time} पर',
+    'report.clarityFeedback': 'स्पष्टता: {feedback}',
+    'report.confidenceFeedback': 'आत्मविश्वास: {feedback}',
+    'report.transcript': 'ट्रांसक्रिप्ट का अंश',
+    'report.noTranscript': 'कोई ट्रांसक्रिप्ट दर्ज नहीं हुई।',
+    'report.footer': 'SpeakX सत्र रिपोर्ट · {date} · पृष्ठ {page} / {pages}',
+
+    'timeline.title': '⏱️ सत्र की समयरेखा',
+    'timeline.summary': {
+        one: '{count} अंतराल · नवीनतम {clarity}/10 स्पष्टता, {confidence}/10 आत्मविश्वास',
+        other: '{count} अंतराल · नवीनतम {clarity}/10 स्पष्टता, {confidence}/10 आत्मविश्वास'
+    },
+    'review.coachTitle': '🧑‍🏫 कोच समीक्षा',
+    'review.learnerTitle': '💬 कोच की राय',
+    'review.noLearners': 'शिक्षार्थी अपने सत्र साझा करेंगे तो यहाँ दिखेंगे।',
+    'review.noSessions': 'अभी तक कोई मूल्यांकित सत्र नहीं है।',
+    'review.reviewedBy': '{coach} ने स्कोर की समीक्षा की',
+    'review.reviewedByNote': '{coach} ने स्कोर की समीक्षा की: {note}',
+    'review.at': '{time} पर',
+    'review.addComment': 'टिप्पणी जोड़ें...',
+    'review.seconds': 'से.',
+    'review.secondsTitle': 'सत्र शुरू होने के बाद के सेकंड',
+    'review.comment': 'टिप्पणी करें',
+    'review.overrideTitle': '{score} में बदलाव (0-10)',
+    'review.why': 'बदलाव क्यों?',
+    'review.override': 'बदलें',
+    'review.reset': 'रीसेट करें',
+
+    'history.title': '📈 प्रगति का इतिहास',
+    'history.last7': 'पिछले 7 दिन',
+    'history.last30': 'पिछले 30 दिन',
+    'history.last90': 'पिछले 90 दिन',
+    'history.loading': 'इतिहास लोड हो रहा है...',
+    'history.noBackend': 'सर्वर उपलब्ध नहीं है',
+    'history.empty': 'इस अवधि में अभी कोई सत्र नहीं',
+    'history.backendOnly': 'सर्वर चालू होने पर इतिहास सहेजा जाता है।',
+    'history.summary': '{sessions} सत्र · {evaluations} मूल्यांकन'
+});
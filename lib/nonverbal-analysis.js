@@ -0,0 +1,258 @@
+// Nonverbal Analysis
+//
+// Eye contact, head-pose stability, blink rate and expression metrics from
+// face-api's 68-point landmarks and expression probabilities. Pure functions,
+// so the same code runs in the browser and headless in Node:
+//
+//   const tracker = new NonverbalAnalysis.NonverbalTracker();
+//   tracker.addSample(time, { points: landmarks.positions, expressions });
+//   tracker.addSample(time, null); // no face this tick
+//   const summary = tracker.summary();
+//
+// The 68-point model has no iris landmarks, so "looking at the camera" is
+// estimated from head pose: a face turned toward the lens within a few
+// degrees counts as eye contact.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.NonverbalAnalysis = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Head turned less than this (degrees) counts as facing the camera
+    const GAZE_YAW_LIMIT = 15;
+    const GAZE_PITCH_LIMIT = 15;
+    // Eye aspect ratio below this is a closed eye
+    const BLINK_EAR_THRESHOLD = 0.2;
+    // Relaxed blink rate range (blinks per minute)
+    const NORMAL_BLINK_RATE = [8, 30];
+    // Frame-to-frame head movement (degrees) that reads as restless
+    const RESTLESS_JITTER_DEGREES = 4;
+    // Nose tip sits about this far from the eye line to the chin when level
+    const NEUTRAL_PITCH_RATIO = 0.38;
+
+    const EXPRESSIONS = ['neutral', 'happy', 'sad', 'angry', 'fearful', 'disgusted', 'surprised'];
+
+    function clamp(value, min, max) {
+        return Math.min(max, Math.max(min, value));
+    }
+
+    function mean(values) {
+        if (values.length === 0) return 0;
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+
+    function round(value, digits = 3) {
+        const factor = 10 ** digits;
+        return Math.round(value * factor) / factor;
+    }
+
+    function distance(a, b) {
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    function midpoint(a, b) {
+        return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    }
+
+    // (|p2-p6| + |p3-p5|) / (2 |p1-p4|) over one eye's six landmarks
+    function eyeAspectRatio(eye) {
+        const width = distance(eye[0], eye[3]);
+        if (width === 0) return 0;
+        return (distance(eye[1], eye[5]) + distance(eye[2], eye[4])) / (2 * width);
+    }
+
+    /**
+     * Approximate head pose in degrees from the landmark geometry.
+     * Yaw is positive when the face turns toward image-right, pitch when it tilts down.
+     */
+    function estimateHeadPose(points) {
+        const leftEye = points[36];
+        const rightEye = points[45];
+        const nose = points[30];
+        const chin = points[8];
+
+        const eyeCenter = midpoint(leftEye, rightEye);
+        const eyeDistance = distance(leftEye, rightEye) || 1;
+
+        // Nose tip drifts sideways from the eye midpoint as the head turns
+        const yawRatio = clamp((nose.x - eyeCenter.x) / (eyeDistance / 2), -1, 1);
+        // ...and up/down along the eye-to-chin line as it tilts
+        const faceHeight = (chin.y - eyeCenter.y) || 1;
+        const pitchRatio = clamp((nose.y - eyeCenter.y) / faceHeight - NEUTRAL_PITCH_RATIO, -1, 1);
+
+        return {
+            yaw: round(Math.asin(yawRatio) * 180 / Math.PI, 1),
+            pitch: round(Math.asin(pitchRatio) * 180 / Math.PI, 1),
+            roll: round(Math.atan2(rightEye.y - leftEye.y, rightEye.x - leftEye.x) * 180 / Math.PI, 1)
+        };
+    }
+
+    /**
+     * Measurements for one detected face.
+     *
+     * @param {Array<{x:number, y:number}>} points 68 landmark positions
+     * @param {Object<string, number>} [expressions] face-api expression probabilities
+     */
+    function measureFace(points, expressions) {
+        const pose = estimateHeadPose(points);
+        const ear = (eyeAspectRatio(points.slice(36, 42)) + eyeAspectRatio(points.slice(42, 48))) / 2;
+
+        let expression = null;
+        if (expressions) {
+            expression = EXPRESSIONS.reduce((best, name) =>
+                (expressions[name] || 0) > (expressions[best] || 0) ? name : best, 'neutral');
+        }
+
+        return {
+            ...pose,
+            eyeAspectRatio: round(ear),
+            eyesClosed: ear < BLINK_EAR_THRESHOLD,
+            lookingAtCamera: Math.abs(pose.yaw) <= GAZE_YAW_LIMIT && Math.abs(pose.pitch) <= GAZE_PITCH_LIMIT,
+            expression,
+            smiling: !!expressions && (expressions.happy || 0) > 0.5
+        };
+    }
+
+    /**
+     * Turn a timeline of face samples into the nonverbal summary.
+     *
+     * @param {Array<{time:number, face:?Object}>} samples `face` from measureFace(), null when no face
+     */
+    function summarizeNonverbal(samples) {
+        const faces = samples.filter(sample => sample.face);
+        const duration = samples.length > 1 ? samples[samples.length - 1].time - samples[0].time : 0;
+        const faceMinutes = duration > 0 ? (duration * faces.length / samples.length) / 60 : 0;
+
+        // Frames without a face count as looking away
+        const lookingAt = faces.filter(sample => sample.face.lookingAtCamera).length;
+        const eyeContact = samples.length > 0 ? lookingAt / samples.length : 0;
+
+        // Head movement between consecutive detections
+        const yawDeltas = [];
+        const pitchDeltas = [];
+        for (let i = 1; i < samples.length; i++) {
+            const previous = samples[i - 1].face;
+            const current = samples[i].face;
+            if (previous && current) {
+                yawDeltas.push(Math.abs(current.yaw - previous.yaw));
+                pitchDeltas.push(Math.abs(current.pitch - previous.pitch));
+            }
+        }
+        const yawJitter = mean(yawDeltas);
+        const pitchJitter = mean(pitchDeltas);
+        const headStability = yawDeltas.length > 0
+            ? clamp(1 - (yawJitter + pitchJitter) / (2 * RESTLESS_JITTER_DEGREES), 0, 1)
+            : 0;
+
+        // A blink is an open → closed transition
+        let blinks = 0;
+        for (let i = 1; i < faces.length; i++) {
+            if (faces[i].face.eyesClosed && !faces[i - 1].face.eyesClosed) blinks++;
+        }
+        const blinkRate = faceMinutes > 0 ? blinks / faceMinutes : 0;
+
+        // Share of face time per dominant expression
+        const expressions = {};
+        const withExpression = faces.filter(sample => sample.face.expression);
+        withExpression.forEach(sample => {
+            expressions[sample.face.expression] = (expressions[sample.face.expression] || 0) + 1;
+        });
+        Object.keys(expressions).forEach(name => {
+            expressions[name] = round(expressions[name] / withExpression.length);
+        });
+        const smileRatio = withExpression.length > 0
+            ? faces.filter(sample => sample.face.smiling).length / withExpression.length
+            : 0;
+
+        return {
+            faceSamples: faces.length,
+            eyeContact: round(eyeContact),
+            lookingAway: round(samples.length > 0 ? 1 - eyeContact : 0),
+            meanYaw: round(mean(faces.map(sample => sample.face.yaw)), 1),
+            meanPitch: round(mean(faces.map(sample => sample.face.pitch)), 1),
+            yawJitter: round(yawJitter, 2),
+            pitchJitter: round(pitchJitter, 2),
+            headStability: round(headStability),
+            blinkCount: blinks,
+            blinkRate: round(blinkRate, 1),
+            expressions,
+            smileRatio: round(smileRatio)
+        };
+    }
+
+    /**
+     * 0-1 nonverbal confidence from eye contact, head stability and blink rate.
+     * Zero when no face was ever seen.
+     */
+    function scoreNonverbal(summary) {
+        if (summary.faceSamples === 0) return 0;
+
+        const [low, high] = NORMAL_BLINK_RATE;
+        const blinkScore = summary.blinkRate >= low && summary.blinkRate <= high
+            ? 1
+            : clamp(1 - Math.abs(summary.blinkRate - (summary.blinkRate < low ? low : high)) / high, 0, 1);
+
+        return round(0.55 * summary.eyeContact + 0.3 * summary.headStability + 0.15 * blinkScore);
+    }
+
+    /**
+     * Feedback backed by the measurements, most important first, as
+     * { key, params } for the nonverbal.* UI strings.
+     */
+    function nonverbalFeedback(summary) {
+        const tips = [];
+        if (summary.faceSamples === 0) return tips;
+
+        if (summary.lookingAway >= 0.3) {
+            tips.push({ key: 'nonverbal.lookingAway', params: { percent: Math.round(summary.lookingAway * 100) } });
+        }
+        if (summary.headStability < 0.5) {
+            tips.push({ key: 'nonverbal.headMovement', params: { degrees: Math.round((summary.yawJitter + summary.pitchJitter) / 2 * 10) / 10 } });
+        }
+        if (summary.blinkRate > NORMAL_BLINK_RATE[1]) {
+            tips.push({ key: 'nonverbal.blinking', params: { rate: Math.round(summary.blinkRate) } });
+        }
+        if (summary.smileRatio < 0.05 && summary.expressions.neutral >= 0.8) {
+            tips.push({ key: 'nonverbal.neutral', params: {} });
+        }
+        return tips;
+    }
+
+    /**
+     * Accumulates face-detection ticks from startFaceDetection.
+     */
+    class NonverbalTracker {
+        constructor() {
+            this.reset();
+        }
+
+        reset() {
+            this.samples = [];
+        }
+
+        // `time` in seconds; `detection` is { points, expressions } or null
+        addSample(time, detection) {
+            this.samples.push({
+                time,
+                face: detection ? measureFace(detection.points, detection.expressions) : null
+            });
+        }
+
+        summary() {
+            return summarizeNonverbal(this.samples);
+        }
+    }
+
+    return {
+        eyeAspectRatio,
+        estimateHeadPose,
+        measureFace,
+        summarizeNonverbal,
+        scoreNonverbal,
+        nonverbalFeedback,
+        NonverbalTracker
+    };
+});
@@ -0,0 +1,70 @@
+// Offline Recording Queue
+//
+// Keeps session recordings made while the backend is unreachable in IndexedDB
+// (Blobs are stored as-is), so they can be evaluated once the app is back
+// online. Entries survive reloads and are removed only after a successful upload.
+//
+//   const queue = new OfflineQueue();
+//   await queue.add({ blob, recordedAt, duration, ... });
+//   for (const item of await queue.list()) { ...; await queue.remove(item.id); }
+class OfflineQueue {
+    constructor({ dbName = 'speakx-offline', storeName = 'recordings' } = {}) {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.db = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Let a later call retry if the database could not be opened
+            this.db.catch(() => { this.db = null; });
+        }
+        return this.db;
+    }
+
+    // Run `action(store)` in a transaction and resolve with its request's result
+    async run(mode, action) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = action(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Resolves with the new entry's id
+    add(entry) {
+        return this.run('readwrite', store => store.add({ ...entry, queuedAt: new Date().toISOString() }));
+    }
+
+    // Oldest first
+    list() {
+        return this.run('readonly', store => store.getAll());
+    }
+
+    count() {
+        return this.run('readonly', store => store.count());
+    }
+
+    update(entry) {
+        return this.run('readwrite', store => store.put(entry));
+    }
+
+    remove(id) {
+        return this.run('readwrite', store => store.delete(id));
+    }
+}
@@ -0,0 +1,359 @@
+// Prosody Analysis
+//
+// YIN pitch tracking on the time-domain buffer, and the intonation measures
+// built on it: pitch range, monotone detection, phrase contours, energy
+// dynamics, and vocal-fry/uptalk heuristics. Runs in the browser (fed from the
+// AnalyserNode in visualizeAudio) and headless in Node:
+//
+//   const { analyzeProsody } = require('./lib/prosody-analysis');
+//   const summary = analyzeProsody(samples, sampleRate, { detector: new VoiceActivityDetector() });
+//
+// Frame levels and the speech/silence decision are shared with scoring, so in
+// the browser it loads after lib/acoustic-scoring.js.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./acoustic-scoring'));
+    } else {
+        root.ProsodyAnalysis = factory(root.AcousticScoring);
+    }
+})(typeof self !== 'undefined' ? self : this, function (AcousticScoring) {
+    'use strict';
+
+    const { rmsDb, SILENCE_THRESHOLD_DB, SILENCE_FLOOR_DB } = AcousticScoring;
+
+    // Pitch search range covering low male to high female/child voices
+    const MIN_PITCH_HZ = 60;
+    const MAX_PITCH_HZ = 500;
+    // YIN absolute threshold on the normalized difference function
+    const YIN_THRESHOLD = 0.15;
+    // Silence longer than this ends a phrase
+    const PHRASE_GAP_SECONDS = 0.25;
+    // Fewer pitched frames than this and a phrase has no usable contour
+    const MIN_PHRASE_FRAMES = 8;
+    // Pitch range (semitones, 10th-90th percentile) below which speech sounds monotone
+    const MONOTONE_RANGE_SEMITONES = 3;
+    // Phrase-final movement (semitones) that counts as rising or falling
+    const CONTOUR_MOVE_SEMITONES = 2;
+    // Pitched frames this far below the speaker's median are creaky voice
+    const FRY_RATIO = 0.65;
+    const FRY_MAX_HZ = 80;
+    // Loudness range (dB, 10th-90th percentile) below which delivery sounds flat
+    const FLAT_ENERGY_DB = 6;
+
+    function mean(values) {
+        if (values.length === 0) return 0;
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+
+    function percentile(values, p) {
+        if (values.length === 0) return 0;
+        const sorted = [...values].sort((a, b) => a - b);
+        const index = Math.min(sorted.length - 1, Math.max(0, Math.round((p / 100) * (sorted.length - 1))));
+        return sorted[index];
+    }
+
+    function median(values) {
+        return percentile(values, 50);
+    }
+
+    function round(value, digits = 2) {
+        const factor = 10 ** digits;
+        return Math.round(value * factor) / factor;
+    }
+
+    function semitones(from, to) {
+        return 12 * Math.log2(to / from);
+    }
+
+    /**
+     * YIN fundamental frequency estimate (de Cheveigné & Kawahara, 2002).
+     * Returns { pitch, periodicity } or null for unvoiced frames; periodicity
+     * is 1 - the normalized difference at the chosen lag.
+     */
+    function yinPitch(samples, sampleRate, { threshold = YIN_THRESHOLD, minHz = MIN_PITCH_HZ, maxHz = MAX_PITCH_HZ } = {}) {
+        const minLag = Math.max(2, Math.floor(sampleRate / maxHz));
+        const maxLag = Math.floor(sampleRate / minHz);
+        const windowSize = Math.min(Math.floor(samples.length / 2), samples.length - maxLag - 1);
+        if (windowSize <= minLag) return null;
+
+        // Difference function d(tau) and its cumulative mean normalization d'(tau)
+        const normalized = new Float32Array(maxLag + 1);
+        normalized[0] = 1;
+        let runningSum = 0;
+        for (let lag = 1; lag <= maxLag; lag++) {
+            let difference = 0;
+            for (let i = 0; i < windowSize; i++) {
+                const delta = samples[i] - samples[i + lag];
+                difference += delta * delta;
+            }
+            runningSum += difference;
+            normalized[lag] = runningSum > 0 ? (difference * lag) / runningSum : 1;
+        }
+
+        // First dip under the threshold, followed down to its local minimum
+        let lag = -1;
+        for (let tau = minLag; tau <= maxLag; tau++) {
+            if (normalized[tau] < threshold) {
+                while (tau + 1 <= maxLag && normalized[tau + 1] < normalized[tau]) tau++;
+                lag = tau;
+                break;
+            }
+        }
+        if (lag === -1) return null;
+
+        // Parabolic interpolation around the minimum for sub-sample accuracy
+        let refined = lag;
+        if (lag > 1 && lag < maxLag) {
+            const a = normalized[lag - 1];
+            const b = normalized[lag];
+            const c = normalized[lag + 1];
+            const denominator = a - 2 * b + c;
+            if (denominator !== 0) refined = lag + (a - c) / (2 * denominator);
+        }
+
+        return { pitch: sampleRate / refined, periodicity: 1 - normalized[lag] };
+    }
+
+    /**
+     * Measure one analysis frame. `speech` is the voice activity detector's
+     * decision, as in AcousticScoring.analyzeFrame; without it a fixed level
+     * threshold applies.
+     */
+    function analyzeFrame(samples, sampleRate, speech) {
+        const level = rmsDb(samples);
+        const voiced = typeof speech === 'boolean' ? speech : level > SILENCE_THRESHOLD_DB;
+        const estimate = voiced ? yinPitch(samples, sampleRate) : null;
+
+        return {
+            rmsDb: Math.max(level, SILENCE_FLOOR_DB),
+            voiced,
+            pitch: estimate ? estimate.pitch : null,
+            periodicity: estimate ? estimate.periodicity : 0
+        };
+    }
+
+    // Voiced runs separated by silence longer than PHRASE_GAP_SECONDS
+    function splitPhrases(frames) {
+        const phrases = [];
+        let current = null;
+        let lastVoicedEnd = -Infinity;
+
+        frames.forEach(frame => {
+            if (!frame.voiced) return;
+            if (!current || frame.time - lastVoicedEnd > PHRASE_GAP_SECONDS) {
+                current = [];
+                phrases.push(current);
+            }
+            current.push(frame);
+            lastVoicedEnd = frame.time + frame.duration;
+        });
+
+        return phrases;
+    }
+
+    // Final movement of a phrase: last fifth against the phrase median
+    function phraseContour(phrase) {
+        const pitched = phrase.filter(frame => frame.pitch);
+        if (pitched.length < MIN_PHRASE_FRAMES) return null;
+
+        const tail = pitched.slice(-Math.max(3, Math.floor(pitched.length / 5)));
+        const movement = semitones(median(pitched.map(frame => frame.pitch)), median(tail.map(frame => frame.pitch)));
+
+        if (movement >= CONTOUR_MOVE_SEMITONES) return 'rising';
+        if (movement <= -CONTOUR_MOVE_SEMITONES) return 'falling';
+        return 'flat';
+    }
+
+    /**
+     * Pitch contour resampled to one median point per `step` seconds, for drawing.
+     */
+    function contourPoints(frames, step = 0.1) {
+        const points = [];
+        let bucket = [];
+        let bucketStart = null;
+
+        frames.forEach(frame => {
+            if (bucketStart === null) bucketStart = frame.time;
+            if (frame.time - bucketStart >= step) {
+                if (bucket.length > 0) points.push({ time: round(bucketStart + step / 2), pitch: round(median(bucket), 1) });
+                bucket = [];
+                bucketStart = frame.time;
+            }
+            if (frame.pitch) bucket.push(frame.pitch);
+        });
+        if (bucket.length > 0) points.push({ time: round(bucketStart + step / 2), pitch: round(median(bucket), 1) });
+
+        return points;
+    }
+
+    /**
+     * Turn a frame timeline into the prosody summary.
+     *
+     * @param {Array<{time:number, duration:number, rmsDb:number, voiced:boolean, pitch:?number}>} frames
+     */
+    function summarizeProsody(frames) {
+        const voiced = frames.filter(frame => frame.voiced);
+        const pitched = voiced.filter(frame => frame.pitch);
+        const pitches = pitched.map(frame => frame.pitch);
+        const medianPitch = median(pitches);
+
+        // Range between the 10th and 90th percentile ignores octave errors at the extremes
+        const low = percentile(pitches, 10);
+        const high = percentile(pitches, 90);
+        const rangeSemitones = pitches.length > 0 ? semitones(low, high) : 0;
+        const semitoneSpread = Math.sqrt(mean(pitches.map(pitch => semitones(medianPitch, pitch) ** 2)));
+
+        // Phrase-final intonation
+        const contours = splitPhrases(frames).map(phraseContour).filter(Boolean);
+        const count = (type) => contours.filter(contour => contour === type).length;
+
+        // Creaky voice: pitched frames far below the speaker's own median
+        const fryLimit = Math.min(FRY_MAX_HZ, medianPitch * FRY_RATIO);
+        const fryFrames = pitched.filter(frame => frame.pitch < fryLimit).length;
+
+        // Loudness movement over voiced speech
+        const levels = voiced.map(frame => frame.rmsDb);
+        const energyRange = percentile(levels, 90) - percentile(levels, 10);
+        const energyDeltas = [];
+        for (let i = 1; i < voiced.length; i++) {
+            energyDeltas.push(Math.abs(voiced[i].rmsDb - voiced[i - 1].rmsDb));
+        }
+
+        return {
+            pitchMedianHz: round(medianPitch, 1),
+            pitchMinHz: round(low, 1),
+            pitchMaxHz: round(high, 1),
+            pitchRangeSemitones: round(rangeSemitones, 1),
+            pitchVariability: round(semitoneSpread, 2),
+            monotone: pitches.length >= MIN_PHRASE_FRAMES && rangeSemitones < MONOTONE_RANGE_SEMITONES,
+            phrases: contours.length,
+            risingPhrases: count('rising'),
+            fallingPhrases: count('falling'),
+            flatPhrases: count('flat'),
+            // Statements that end on a rise sound like questions
+            uptalkRatio: round(contours.length > 0 ? count('rising') / contours.length : 0),
+            vocalFryRatio: round(pitched.length > 0 ? fryFrames / pitched.length : 0),
+            energyRangeDb: round(energyRange, 1),
+            energyVariability: round(mean(energyDeltas), 2),
+            flatEnergy: voiced.length >= MIN_PHRASE_FRAMES && energyRange < FLAT_ENERGY_DB
+        };
+    }
+
+    /**
+     * Delivery for the live audio status, replacing loudness-based "emotion":
+     * { tone, traits } naming delivery.* UI strings, e.g.
+     * { tone: 'varied', traits: ['uptalk'] } for "Varied · uptalk".
+     */
+    function describeDelivery(summary) {
+        if (summary.phrases === 0 && summary.pitchMedianHz === 0) return { tone: 'listening', traits: [] };
+
+        let tone = 'varied';
+        if (summary.monotone) {
+            tone = 'monotone';
+        } else if (summary.pitchRangeSemitones >= 8 && !summary.flatEnergy) {
+            tone = 'animated';
+        } else if (summary.flatEnergy) {
+            tone = 'steady';
+        }
+
+        const traits = [];
+        if (summary.uptalkRatio >= 0.5 && summary.phrases >= 2) traits.push('uptalk');
+        if (summary.vocalFryRatio >= 0.15) traits.push('vocalFry');
+        return { tone, traits };
+    }
+
+    /**
+     * Feedback backed by the measurements, most important first, as
+     * { key, params } for the prosody.* UI strings.
+     */
+    function prosodyFeedback(summary) {
+        const tips = [];
+
+        if (summary.monotone) {
+            tips.push({ key: 'prosody.monotone', params: { semitones: summary.pitchRangeSemitones } });
+        }
+        if (summary.phrases >= 3 && summary.uptalkRatio >= 0.4) {
+            tips.push({ key: 'prosody.uptalk', params: { rising: summary.risingPhrases, phrases: summary.phrases } });
+        }
+        if (summary.vocalFryRatio >= 0.15) {
+            tips.push({ key: 'prosody.vocalFry', params: {} });
+        }
+        if (summary.flatEnergy && !summary.monotone) {
+            tips.push({ key: 'prosody.flatEnergy', params: { db: summary.energyRangeDb } });
+        }
+        return tips;
+    }
+
+    /**
+     * Accumulates frames from a live AnalyserNode.
+     */
+    class ProsodyTracker {
+        constructor({ minInterval = 1 / 30 } = {}) {
+            // YIN is O(n²) per frame, so analyze at most this often (seconds)
+            this.minInterval = minInterval;
+            this.reset();
+        }
+
+        reset() {
+            this.frames = [];
+            this.lastTime = null;
+        }
+
+        // `time` in seconds; `samples` from getFloatTimeDomainData; `speech` from
+        // the VAD. Returns the analyzed frame, or null when it came sooner than `minInterval`
+        addFrame(time, samples, sampleRate, speech) {
+            if (this.lastTime !== null && time - this.lastTime < this.minInterval) return null;
+
+            const duration = this.lastTime === null ? samples.length / sampleRate : time - this.lastTime;
+            this.lastTime = time;
+            const frame = { time, duration, ...analyzeFrame(samples, sampleRate, speech) };
+            this.frames.push(frame);
+            return frame;
+        }
+
+        // Frames from the last `seconds`, or all of them
+        recent(seconds) {
+            if (!seconds || this.lastTime === null) return this.frames;
+            const since = this.lastTime - seconds;
+            return this.frames.filter(frame => frame.time >= since);
+        }
+
+        summary(seconds) {
+            return summarizeProsody(this.recent(seconds));
+        }
+
+        contour(seconds) {
+            return contourPoints(this.recent(seconds));
+        }
+    }
+
+    /**
+     * Headless analysis of a mono PCM buffer, framed like the live tracker.
+     * Pass a VoiceActivity.VoiceActivityDetector as `detector` to decide speech
+     * the way the browser does.
+     */
+    function analyzeProsody(samples, sampleRate, { frameSize = 2048, hopSize = Math.round(sampleRate / 30), detector = null } = {}) {
+        const frames = [];
+        for (let offset = 0; offset + frameSize <= samples.length; offset += hopSize) {
+            const time = offset / sampleRate;
+            const frame = samples.subarray(offset, offset + frameSize);
+            frames.push({
+                time,
+                duration: hopSize / sampleRate,
+                ...analyzeFrame(frame, sampleRate, detector ? detector.process(time, frame, sampleRate).speech : undefined)
+            });
+        }
+        return summarizeProsody(frames);
+    }
+
+    return {
+        yinPitch,
+        analyzeFrame,
+        contourPoints,
+        summarizeProsody,
+        describeDelivery,
+        prosodyFeedback,
+        analyzeProsody,
+        ProsodyTracker
+    };
+});
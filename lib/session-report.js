@@ -0,0 +1,510 @@
+// Session Report
+//
+// Exports one practice session as a formatted PDF, a CSV with one row per
+// evaluation, or a JSON bundle. There are no dependencies: the PDF is written
+// directly (Helvetica text and vector charts), so the same code runs in the
+// browser and in Node. Helvetica only covers Western European text: the PDF
+// says so when a session holds other scripts, and the CSV and JSON keep them.
+//
+//   const report = SessionReport.buildReport({ session, evaluations, transcript, trend });
+//   SessionReport.toPDF(report, { translate: I18n.t.bind(I18n), locale: 'es' });  // Uint8Array
+//   SessionReport.toCSV(report);  // string
+//   SessionReport.toJSON(report); // string
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SessionReport = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const REPORT_VERSION = 1;
+    // Characters of transcript quoted in the PDF
+    const EXCERPT_LENGTH = 1200;
+
+    function round(value, digits = 1) {
+        const factor = 10 ** digits;
+        return Math.round(value * factor) / factor;
+    }
+
+    // Seconds as m:ss
+    function formatTime(seconds) {
+        const total = Math.max(0, Math.round(seconds || 0));
+        return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+    }
+
+    // Mean of `key` weighted by each evaluation's weight, ignoring missing scores
+    function weightedMean(evaluations, key) {
+        const scored = evaluations.filter(evaluation => typeof evaluation[key] === 'number');
+        const totalWeight = scored.reduce((sum, evaluation) => sum + (evaluation.weight || 1), 0);
+        if (totalWeight === 0) return null;
+        return round(scored.reduce((sum, evaluation) => sum + evaluation[key] * (evaluation.weight || 1), 0) / totalWeight);
+    }
+
+    // The first `length` characters, cut back to a word boundary
+    function excerpt(text, length) {
+        if (text.length <= length) return text;
+        const cut = text.slice(0, length);
+        const space = cut.lastIndexOf(' ');
+        return `${space > length / 2 ? cut.slice(0, space) : cut}…`;
+    }
+
+    /**
+     * Collect everything a report shows into one plain object, which is also
+     * the JSON bundle.
+     *   session     { id, startedAt, duration (s), prompt, rubric }
+     *   evaluations as recorded by the app: { time, window, mode, clarity, confidence, ... }
+     *   transcript  [{ start, end, text }] segments
+     *   trend       daily averages from /api/history
+     */
+    function buildReport({ learner = null, session, evaluations = [], transcript = [], trend = [], generatedAt = new Date() }) {
+        const rows = evaluations.map((evaluation, index) => ({
+            index: index + 1,
+            time: typeof evaluation.time === 'number' ? round(evaluation.time) : null,
+            window: evaluation.window || null,
+            mode: evaluation.mode || null,
+            clarity: evaluation.clarity,
+            confidence: evaluation.confidence,
+            relevance: evaluation.relevance ?? null,
+            structure: evaluation.structure ?? null,
+            rubricId: evaluation.rubricId || null,
+            total: evaluation.total ?? null,
+            weight: evaluation.weight || 1,
+            clarityFeedback: evaluation.clarityFeedback || null,
+            confidenceFeedback: evaluation.confidenceFeedback || null,
+            analysis: evaluation.analysis || null
+        }));
+        const text = transcript.map(segment => segment.text).join(' ').replace(/\s+/g, ' ').trim();
+
+        return {
+            version: REPORT_VERSION,
+            generatedAt: new Date(generatedAt).toISOString(),
+            learner,
+            session: {
+                id: session.id || null,
+                startedAt: session.startedAt || null,
+                duration: round(session.duration || 0),
+                prompt: session.prompt || null,
+                rubric: session.rubric || null
+            },
+            summary: {
+                evaluations: rows.length,
+                avgClarity: weightedMean(rows, 'clarity'),
+                avgConfidence: weightedMean(rows, 'confidence'),
+                avgTotal: weightedMean(rows, 'total')
+            },
+            evaluations: rows,
+            transcript: {
+                segments: transcript.map(({ start, end, text: segmentText }) => ({ start, end, text: segmentText })),
+                excerpt: excerpt(text, EXCERPT_LENGTH)
+            },
+            trend: trend.map(({ date, avgClarity, avgConfidence }) => ({ date, avgClarity, avgConfidence }))
+        };
+    }
+
+    function toJSON(report) {
+        return JSON.stringify(report, null, 2);
+    }
+
+    const CSV_COLUMNS = [
+        ['evaluation', row => row.index],
+        ['time_seconds', row => row.time],
+        ['window_start', row => row.window && row.window.start],
+        ['window_end', row => row.window && row.window.end],
+        ['mode', row => row.mode],
+        ['clarity', row => row.clarity],
+        ['confidence', row => row.confidence],
+        ['relevance', row => row.relevance],
+        ['structure', row => row.structure],
+        ['rubric', row => row.rubricId],
+        ['total', row => row.total],
+        ['weight', row => row.weight],
+        ['clarity_feedback', row => row.clarityFeedback],
+        ['confidence_feedback', row => row.confidenceFeedback],
+        ['analysis', row => row.analysis]
+    ];
+
+    // RFC 4180 quoting; text starting like a formula is prefixed so spreadsheets show it as text
+    function csvCell(value) {
+        if (value === null || value === undefined) return '';
+        let text = String(value);
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function toCSV(report) {
+        const lines = [CSV_COLUMNS.map(([name]) => name).join(',')];
+        report.evaluations.forEach(row => {
+            lines.push(CSV_COLUMNS.map(([, value]) => csvCell(value(row))).join(','));
+        });
+        return `${lines.join('\r\n')}\r\n`;
+    }
+
+    // --- PDF ---------------------------------------------------------------
+
+    const PAGE = { width: 595, height: 842, margin: 50 }; // A4, in points
+    const COLORS = {
+        text: [0.12, 0.12, 0.16],
+        muted: [0.45, 0.45, 0.5],
+        grid: [0.86, 0.86, 0.9],
+        clarity: [0.55, 0.3, 1],
+        confidence: [0, 0.68, 0.72]
+    };
+
+    // The standard fonts only cover WinAnsi, so map common typography and
+    // replace each run of anything else with one "?"
+    const REPLACEMENTS = {
+        '‘': "'", '’': "'", '“': '"', '”': '"',
+        '–': '-', '—': '-', '…': '...', '•': '-', '→': '->', 'œ': 'oe', 'Œ': 'OE'
+    };
+
+    function mapTypography(text) {
+        return String(text).normalize('NFC').replace(/[^\x20-\x7e\xa0-\xff]/g, char =>
+            REPLACEMENTS[char] || (/\s/.test(char) ? ' ' : char));
+    }
+
+    // Whether the standard fonts can show all of `text`
+    function canRender(text) {
+        return !/[^\x20-\x7e\xa0-\xff]/.test(mapTypography(text));
+    }
+
+    function toWinAnsi(text) {
+        return mapTypography(text).replace(/[^\x20-\x7e\xa0-\xff]+/g, '?');
+    }
+
+    // English labels, used where `translate` has no string or one the fonts cannot show
+    const LABELS = {
+        'report.title': 'SpeakX Session Report',
+        'report.practiced': '{duration} practiced',
+        'report.prompt': 'Prompt: {prompt}',
+        'report.rubric': 'Rubric: {rubric}',
+        'report.unrenderable': 'Some text in this session uses characters this PDF cannot show, and appears as "?". Export the CSV or JSON report to keep the full text.',
+        'report.summary': 'Summary',
+        'report.evaluationCount': 'Evaluations: {count}',
+        'report.avgClarity': 'Avg. clarity: {score}/10',
+        'report.avgConfidence': 'Avg. confidence: {score}/10',
+        'report.avgTotal': 'Avg. rubric total: {score}',
+        'report.sessionChart': 'Scores during this session',
+        'report.trendChart': 'Progress trend (daily averages)',
+        'report.clarity': 'Clarity',
+        'report.confidence': 'Confidence',
+        'report.evaluations': 'Evaluations',
+        'report.noEvaluations': 'No evaluations were recorded in this session.',
+        'report.time': 'Time',
+        'report.mode': 'Mode',
+        'report.total': 'Total',
+        'report.feedback': 'Feedback',
+        'report.evaluation': 'Evaluation {index}',
+        'report.evaluationAt': 'Evaluation {index} at {time}',
+        'report.clarityFeedback': 'Clarity: {feedback}',
+        'report.confidenceFeedback': 'Confidence: {feedback}',
+        'report.transcript': 'Transcript excerpt',
+        'report.noTranscript': 'No transcript was captured.',
+        'report.footer': 'SpeakX session report · {date} · page {page} of {pages}'
+    };
+
+    function format(template, params = {}) {
+        return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+
+    function escapePdf(text) {
+        return text.replace(/[\\()]/g, '\\$&');
+    }
+
+    // Approximate Helvetica advance widths, good enough for wrapping
+    function textWidth(text, size) {
+        let width = 0;
+        for (const char of text) {
+            if (/[iljtI.,:;'|! ]/.test(char)) width += 0.28;
+            else if (/[mwMW@]/.test(char)) width += 0.85;
+            else if (/[A-Z]/.test(char)) width += 0.68;
+            else width += 0.54;
+        }
+        return width * size;
+    }
+
+    function wrapText(text, size, maxWidth) {
+        const lines = [];
+        let line = '';
+        text.split(' ').forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && textWidth(candidate, size) > maxWidth) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        });
+        lines.push(line);
+        return lines;
+    }
+
+    const rgb = color => color.map(channel => round(channel, 3)).join(' ');
+
+    // Pages of drawing operators laid out top to bottom, with a cursor `y`
+    class PdfDocument {
+        constructor() {
+            this.pages = [];
+            this.newPage();
+        }
+
+        newPage() {
+            this.ops = [];
+            this.pages.push(this.ops);
+            this.y = PAGE.height - PAGE.margin;
+        }
+
+        // Start a new page unless `height` more points fit on this one
+        ensure(height) {
+            if (this.y - height < PAGE.margin) this.newPage();
+        }
+
+        gap(height) {
+            this.y -= height;
+        }
+
+        textAt(text, x, y, { size = 10, bold = false, color = COLORS.text, align = 'left' } = {}) {
+            const value = toWinAnsi(text);
+            const left = align === 'right' ? x - textWidth(value, size) : x;
+            this.ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${rgb(color)} rg ${round(left, 2)} ${round(y, 2)} Td (${escapePdf(value)}) Tj ET`);
+        }
+
+        // Wrapped paragraph at the cursor
+        paragraph(text, { size = 10, bold = false, color = COLORS.text, indent = 0 } = {}) {
+            const lineHeight = size * 1.4;
+            wrapText(toWinAnsi(text), size, PAGE.width - 2 * PAGE.margin - indent).forEach(line => {
+                this.ensure(lineHeight);
+                this.y -= lineHeight;
+                this.textAt(line, PAGE.margin + indent, this.y, { size, bold, color });
+            });
+        }
+
+        heading(text) {
+            this.ensure(40);
+            this.gap(14);
+            this.paragraph(text, { size: 13, bold: true });
+            this.gap(4);
+        }
+
+        line(points, { color = COLORS.grid, width = 1 } = {}) {
+            const path = points.map(([x, y], index) => `${round(x, 2)} ${round(y, 2)} ${index === 0 ? 'm' : 'l'}`).join(' ');
+            this.ops.push(`${rgb(color)} RG ${width} w ${path} S`);
+        }
+
+        dot(x, y, color) {
+            this.ops.push(`${rgb(color)} rg ${round(x - 1.5, 2)} ${round(y - 1.5, 2)} 3 3 re f`);
+        }
+
+        // Line chart of 0-`max` series, like drawTrendChart on screen
+        chart(title, { labels, series, max = 10 }) {
+            const height = 140;
+            this.ensure(height + 40);
+            this.paragraph(title, { size: 11, bold: true });
+            this.gap(12);
+
+            const left = PAGE.margin + 24;
+            const right = PAGE.width - PAGE.margin;
+            const top = this.y;
+            const bottom = top - height;
+            const xFor = index => labels.length === 1 ? (left + right) / 2 : left + (index / (labels.length - 1)) * (right - left);
+            const yFor = value => bottom + (Math.min(max, Math.max(0, value)) / max) * height;
+
+            for (let value = 0; value <= max; value += max / 2) {
+                this.line([[left, yFor(value)], [right, yFor(value)]]);
+                this.textAt(String(value), left - 6, yFor(value) - 3, { size: 8, color: COLORS.muted, align: 'right' });
+            }
+
+            this.textAt(labels[0], left, bottom - 12, { size: 8, color: COLORS.muted });
+            if (labels.length > 1) {
+                this.textAt(labels[labels.length - 1], right, bottom - 12, { size: 8, color: COLORS.muted, align: 'right' });
+            }
+
+            series.forEach(({ label, color, values }, seriesIndex) => {
+                const points = values
+                    .map((value, index) => (value === null || value === undefined ? null : [xFor(index), yFor(value)]))
+                    .filter(Boolean);
+                if (points.length > 1) this.line(points, { color, width: 1.5 });
+                points.forEach(([x, y]) => this.dot(x, y, color));
+
+                // Legend under the chart
+                const legendX = left + seriesIndex * 90 + 110;
+                this.line([[legendX, bottom - 9], [legendX + 12, bottom - 9]], { color, width: 2 });
+                this.textAt(label, legendX + 16, bottom - 12, { size: 8, color: COLORS.muted });
+            });
+
+            this.y = bottom - 24;
+        }
+
+        // `footer(page, pages)` gives each page's footer line
+        toBytes(footer) {
+            // Objects 1-4 are shared; each page adds a page and a content stream
+            const objects = [
+                '<< /Type /Catalog /Pages 2 0 R >>',
+                `<< /Type /Pages /Kids [${this.pages.map((page, index) => `${5 + index * 2} 0 R`).join(' ')}] /Count ${this.pages.length} >>`,
+                '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+                '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+            ];
+
+            this.pages.forEach((ops, index) => {
+                this.ops = ops;
+                this.textAt(footer(index + 1, this.pages.length), PAGE.width / 2 - 80, PAGE.margin / 2,
+                    { size: 8, color: COLORS.muted });
+
+                const content = ops.join('\n');
+                objects.push(
+                    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE.width} ${PAGE.height}] ` +
+                    `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + index * 2} 0 R >>`,
+                    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+                );
+            });
+
+            // Every character is a single byte, so string offsets are byte offsets
+            let output = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+            const offsets = objects.map((object, index) => {
+                const offset = output.length;
+                output += `${index + 1} 0 obj\n${object}\nendobj\n`;
+                return offset;
+            });
+
+            const xref = output.length;
+            output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+            offsets.forEach(offset => {
+                output += `${String(offset).padStart(10, '0')} 00000 n \n`;
+            });
+            output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+            const bytes = new Uint8Array(output.length);
+            for (let index = 0; index < output.length; index++) bytes[index] = output.charCodeAt(index);
+            return bytes;
+        }
+    }
+
+    const scoreText = value => (value === null || value === undefined ? '-' : String(value));
+
+    // Whether the PDF shows all of the report's text (the CSV and JSON always do)
+    function canRenderPDF(report) {
+        const { session, evaluations, transcript } = report;
+        return [
+            report.learner, session.prompt, session.rubric, transcript.excerpt,
+            ...evaluations.flatMap(row => [row.mode, row.clarityFeedback, row.confidenceFeedback, row.analysis])
+        ].every(text => !text || canRender(text));
+    }
+
+    /**
+     * The report as PDF bytes. `translate(key)` gives the learner's string for a
+     * report.* label (English by default) and `locale` formats the start time.
+     */
+    function toPDF(report, { translate, locale } = {}) {
+        const doc = new PdfDocument();
+        const { session, summary, evaluations } = report;
+        const started = session.startedAt ? new Date(session.startedAt) : new Date(report.generatedAt);
+        // The learner's label, or the English one where the fonts cannot show it
+        const label = (key, params) => {
+            const template = translate ? translate(key) : null;
+            return format(typeof template === 'string' && template !== key && canRender(template) ? template : LABELS[key], params);
+        };
+        const startedText = canRender(started.toLocaleString(locale)) ? started.toLocaleString(locale) : started.toLocaleString('en');
+
+        doc.paragraph(label('report.title'), { size: 20, bold: true });
+        doc.gap(4);
+        doc.paragraph(
+            [report.learner, startedText, label('report.practiced', { duration: formatTime(session.duration) })].filter(Boolean).join(' · '),
+            { color: COLORS.muted }
+        );
+        if (session.prompt) doc.paragraph(label('report.prompt', { prompt: session.prompt }), { color: COLORS.muted });
+        if (session.rubric) doc.paragraph(label('report.rubric', { rubric: session.rubric }), { color: COLORS.muted });
+        if (!canRenderPDF(report)) {
+            doc.gap(6);
+            doc.paragraph(label('report.unrenderable'), { size: 9, bold: true });
+        }
+
+        doc.heading(label('report.summary'));
+        const totals = [
+            label('report.evaluationCount', { count: summary.evaluations }),
+            label('report.avgClarity', { score: scoreText(summary.avgClarity) }),
+            label('report.avgConfidence', { score: scoreText(summary.avgConfidence) })
+        ];
+        if (summary.avgTotal !== null) totals.push(label('report.avgTotal', { score: summary.avgTotal }));
+        doc.paragraph(totals.join('     '));
+
+        if (evaluations.length > 0) {
+            doc.gap(12);
+            doc.chart(label('report.sessionChart'), {
+                labels: evaluations.map(row => (row.time === null ? `#${row.index}` : formatTime(row.time))),
+                series: [
+                    { label: label('report.clarity'), color: COLORS.clarity, values: evaluations.map(row => row.clarity) },
+                    { label: label('report.confidence'), color: COLORS.confidence, values: evaluations.map(row => row.confidence) }
+                ]
+            });
+        }
+        if (report.trend.length > 0) {
+            doc.gap(8);
+            doc.chart(label('report.trendChart'), {
+                labels: report.trend.map(day => day.date),
+                series: [
+                    { label: label('report.clarity'), color: COLORS.clarity, values: report.trend.map(day => day.avgClarity) },
+                    { label: label('report.confidence'), color: COLORS.confidence, values: report.trend.map(day => day.avgConfidence) }
+                ]
+            });
+        }
+
+        doc.heading(label('report.evaluations'));
+        if (evaluations.length === 0) {
+            doc.paragraph(label('report.noEvaluations'), { color: COLORS.muted });
+        } else {
+            const columns = [
+                ['#', 0], [label('report.time'), 30], [label('report.mode'), 80],
+                [label('report.clarity'), 250], [label('report.confidence'), 310], [label('report.total'), 390]
+            ];
+            const row = (cells, options) => {
+                doc.ensure(16);
+                doc.gap(16);
+                cells.forEach((cell, index) => doc.textAt(cell, PAGE.margin + columns[index][1], doc.y, options));
+            };
+            row(columns.map(([name]) => name), { size: 9, bold: true, color: COLORS.muted });
+            evaluations.forEach(evaluation => row([
+                String(evaluation.index),
+                evaluation.window
+                    ? `${formatTime(evaluation.window.start)}-${formatTime(evaluation.window.end)}`
+                    : evaluation.time === null ? '-' : formatTime(evaluation.time),
+                evaluation.mode || '-',
+                scoreText(evaluation.clarity),
+                scoreText(evaluation.confidence),
+                scoreText(evaluation.total)
+            ], { size: 9 }));
+        }
+
+        const withFeedback = evaluations.filter(row => row.clarityFeedback || row.confidenceFeedback || row.analysis);
+        if (withFeedback.length > 0) {
+            doc.heading(label('report.feedback'));
+            withFeedback.forEach(row => {
+                doc.gap(4);
+                doc.paragraph(row.time === null
+                    ? label('report.evaluation', { index: row.index })
+                    : label('report.evaluationAt', { index: row.index, time: formatTime(row.time) }), { size: 10, bold: true });
+                if (row.clarityFeedback) doc.paragraph(label('report.clarityFeedback', { feedback: row.clarityFeedback }), { indent: 10 });
+                if (row.confidenceFeedback) doc.paragraph(label('report.confidenceFeedback', { feedback: row.confidenceFeedback }), { indent: 10 });
+                if (row.analysis) doc.paragraph(row.analysis, { indent: 10, color: COLORS.muted });
+            });
+        }
+
+        doc.heading(label('report.transcript'));
+        doc.paragraph(report.transcript.excerpt || label('report.noTranscript'), {
+            color: report.transcript.excerpt ? COLORS.text : COLORS.muted
+        });
+
+        const date = started.toISOString().slice(0, 10);
+        return doc.toBytes((page, pages) => label('report.footer', { date, page, pages }));
+    }
+
+    return {
+        REPORT_VERSION,
+        buildReport,
+        toJSON,
+        toCSV,
+        toPDF,
+        canRenderPDF,
+        formatTime
+    };
+});
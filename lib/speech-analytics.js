@@ -0,0 +1,266 @@
+// Speech Analytics
+//
+// Filler words, pace and pauses from a timestamped transcript plus the
+// voice-activity timeline recorded in visualizeAudio. Pure functions, so the
+// same code runs in the browser and headless in Node:
+//
+//   const { voiceActivity, analyzeSpeech } = require('./lib/speech-analytics');
+//   const activity = voiceActivity(tracker.frames);
+//   const analytics = analyzeSpeech({ segments, activity, duration: 60, language: 'es' });
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SpeechAnalytics = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Fillers per practice language. Two-word phrases are matched first so
+    // "you know" is not also counted as two words; aliases are spellings that
+    // count as the same filler type. Hindi lists Devanagari and the common
+    // romanized spellings, since speakers mix both.
+    const FILLERS = {
+        en: {
+            phrases: ['you know', 'i mean', 'sort of', 'kind of'],
+            words: ['um', 'umm', 'uh', 'uhh', 'er', 'erm', 'ah', 'hmm', 'like', 'basically', 'actually', 'literally'],
+            aliases: { umm: 'um', uhh: 'uh', erm: 'er' }
+        },
+        es: {
+            phrases: ['o sea', 'en plan', 'a ver'],
+            words: ['eh', 'ehh', 'em', 'emm', 'mmm', 'este', 'pues', 'bueno', 'tipo', 'vale'],
+            aliases: { ehh: 'eh', emm: 'em' }
+        },
+        fr: {
+            phrases: ['en fait', 'du coup', 'tu vois', 'tu sais'],
+            words: ['euh', 'euhh', 'heu', 'hum', 'bah', 'ben', 'bref', 'genre', 'voilà', 'quoi'],
+            aliases: { euhh: 'euh', heu: 'euh' }
+        },
+        hi: {
+            phrases: ['मेरा मतलब', 'है ना'],
+            words: ['उम', 'अं', 'हम्म', 'मतलब', 'यानी', 'um', 'uh', 'matlab', 'yaani'],
+            aliases: { matlab: 'मतलब', yaani: 'यानी' }
+        }
+    };
+    const DEFAULT_LANGUAGE = 'en';
+    // Silence shorter than this is articulation, not a pause
+    const MIN_PAUSE_SECONDS = 0.25;
+    // Pause length buckets (seconds) for the distribution
+    const PAUSE_BUCKETS = [
+        { label: '0.25-0.5s', max: 0.5 },
+        { label: '0.5-1s', max: 1 },
+        { label: '1-2s', max: 2 },
+        { label: '2s+', max: Infinity }
+    ];
+    // Width of each words-per-minute window
+    const PACE_WINDOW_SECONDS = 10;
+    // Assumed speaking time per word when a segment has no end time
+    const SECONDS_PER_WORD = 0.4;
+
+    function round(value, digits = 1) {
+        const factor = 10 ** digits;
+        return Math.round(value * factor) / factor;
+    }
+
+    // Lowercase and strip punctuation, keeping letters of every script and
+    // their combining marks (Devanagari vowel signs, accents)
+    function normalizeWord(word) {
+        return word
+            .normalize('NFC')
+            .toLowerCase()
+            .replace(/[’‘]/g, "'")
+            .replace(/[^\p{L}\p{M}\p{N}']+/gu, '')
+            .replace(/^'+|'+$/g, '');
+    }
+
+    function fillersFor(language) {
+        return FILLERS[language] || FILLERS[DEFAULT_LANGUAGE];
+    }
+
+    /**
+     * Speech runs from a frame timeline: [{ start, end }] in seconds.
+     *
+     * @param {Array<{time:number, duration:number, voiced:boolean}>} frames
+     */
+    function voiceActivity(frames, { minPause = MIN_PAUSE_SECONDS } = {}) {
+        const runs = [];
+        let current = null;
+
+        frames.forEach(frame => {
+            if (!frame.voiced) return;
+            const start = frame.time;
+            const end = frame.time + frame.duration;
+
+            // Bridge gaps too short to count as a pause
+            if (current && start - current.end < minPause) {
+                current.end = end;
+            } else {
+                current = { start, end };
+                runs.push(current);
+            }
+        });
+
+        return runs.map(run => ({ start: round(run.start, 3), end: round(run.end, 3) }));
+    }
+
+    /**
+     * Spread each segment's words evenly across its time span.
+     *
+     * @param {Array<{start:number, end?:number, text:string}>} segments
+     * @returns {Array<{time:number, word:string}>}
+     */
+    function timeWords(segments) {
+        const words = [];
+
+        segments.forEach((segment, index) => {
+            const tokens = segment.text.split(/\s+/).map(normalizeWord).filter(Boolean);
+            if (tokens.length === 0) return;
+
+            const next = segments[index + 1];
+            let end = segment.end;
+            if (typeof end !== 'number' || end <= segment.start) {
+                end = segment.start + tokens.length * SECONDS_PER_WORD;
+                if (next && next.start > segment.start) end = Math.min(end, next.start);
+            }
+
+            const step = (end - segment.start) / tokens.length;
+            tokens.forEach((word, i) => words.push({ time: segment.start + step * (i + 0.5), word }));
+        });
+
+        return words;
+    }
+
+    /**
+     * Filler words found in a timed word list, with their times, using the
+     * fillers of the practice `language` (English when unknown).
+     */
+    function findFillers(words, language = DEFAULT_LANGUAGE) {
+        const { phrases, words: fillerWords, aliases } = fillersFor(language);
+        const fillers = [];
+
+        for (let i = 0; i < words.length; i++) {
+            const pair = i + 1 < words.length ? `${words[i].word} ${words[i + 1].word}` : null;
+            if (pair && phrases.includes(pair)) {
+                fillers.push({ time: round(words[i].time, 2), type: pair });
+                i++;
+            } else if (fillerWords.includes(words[i].word)) {
+                const word = words[i].word;
+                fillers.push({ time: round(words[i].time, 2), type: aliases[word] || word });
+            }
+        }
+
+        return fillers;
+    }
+
+    // Silences between speech runs
+    function findPauses(activity, minPause) {
+        const pauses = [];
+        for (let i = 1; i < activity.length; i++) {
+            const length = activity[i].start - activity[i - 1].end;
+            if (length >= minPause) {
+                pauses.push({ start: round(activity[i - 1].end, 2), duration: round(length, 2) });
+            }
+        }
+        return pauses;
+    }
+
+    /**
+     * Filler, pace and pause analytics for one practice session.
+     *
+     * @param {Object} input
+     * @param {Array<{start:number, end?:number, text:string}>} input.segments timestamped transcript
+     * @param {Array<{start:number, end:number}>} input.activity speech runs from voiceActivity()
+     * @param {number} [input.duration] session length in seconds
+     * @param {string} [input.language] practice language code, for the filler list
+     */
+    function analyzeSpeech({ segments = [], activity = [], duration, language = DEFAULT_LANGUAGE, minPause = MIN_PAUSE_SECONDS } = {}) {
+        const words = timeWords(segments);
+        const lastActivity = activity.length > 0 ? activity[activity.length - 1].end : 0;
+        const lastWord = words.length > 0 ? words[words.length - 1].time : 0;
+        const totalTime = duration || Math.max(lastActivity, lastWord);
+        const speechTime = activity.reduce((sum, run) => sum + (run.end - run.start), 0);
+        const minutes = totalTime / 60;
+
+        // Fillers by type
+        const fillers = findFillers(words, language);
+        const byType = {};
+        fillers.forEach(filler => {
+            byType[filler.type] = (byType[filler.type] || 0) + 1;
+        });
+
+        // Words per minute in fixed windows across the session
+        const timeline = [];
+        for (let start = 0; start < totalTime; start += PACE_WINDOW_SECONDS) {
+            const end = Math.min(start + PACE_WINDOW_SECONDS, totalTime);
+            const count = words.filter(word => word.time >= start && word.time < end).length;
+            timeline.push({ start, end: round(end, 2), wpm: Math.round(count / ((end - start) / 60)) });
+        }
+        const windowRates = timeline.filter(window => window.wpm > 0).map(window => window.wpm);
+
+        // Pause distribution from the activity timeline
+        const pauses = findPauses(activity, minPause);
+        const distribution = {};
+        PAUSE_BUCKETS.forEach(bucket => { distribution[bucket.label] = 0; });
+        pauses.forEach(pause => {
+            const bucket = PAUSE_BUCKETS.find(item => pause.duration < item.max);
+            distribution[bucket.label]++;
+        });
+        const longest = pauses.reduce((max, pause) => (pause.duration > max.duration ? pause : max), { start: null, duration: 0 });
+
+        return {
+            duration: round(totalTime, 2),
+            wordCount: words.length,
+            fillers: {
+                total: fillers.length,
+                perMinute: minutes > 0 ? round(fillers.length / minutes) : 0,
+                byType,
+                occurrences: fillers
+            },
+            pace: {
+                // Over the whole session, and over speaking time only
+                wpm: minutes > 0 ? Math.round(words.length / minutes) : 0,
+                articulationWpm: speechTime > 0 ? Math.round(words.length / (speechTime / 60)) : 0,
+                minWpm: windowRates.length > 0 ? Math.min(...windowRates) : 0,
+                maxWpm: windowRates.length > 0 ? Math.max(...windowRates) : 0,
+                timeline
+            },
+            pauses: {
+                count: pauses.length,
+                meanDuration: pauses.length > 0 ? round(pauses.reduce((sum, pause) => sum + pause.duration, 0) / pauses.length, 2) : 0,
+                longestSilence: longest.duration,
+                longestSilenceAt: longest.start,
+                distribution,
+                occurrences: pauses
+            }
+        };
+    }
+
+    /**
+     * Compact numbers for the model prompt (no per-event lists).
+     */
+    function summarizeAnalytics(analytics) {
+        return {
+            wordCount: analytics.wordCount,
+            wordsPerMinute: analytics.pace.wpm,
+            articulationWpm: analytics.pace.articulationWpm,
+            wpmRange: [analytics.pace.minWpm, analytics.pace.maxWpm],
+            fillerCount: analytics.fillers.total,
+            fillersPerMinute: analytics.fillers.perMinute,
+            fillersByType: analytics.fillers.byType,
+            pauseCount: analytics.pauses.count,
+            meanPause: analytics.pauses.meanDuration,
+            longestSilence: analytics.pauses.longestSilence,
+            pauseDistribution: analytics.pauses.distribution
+        };
+    }
+
+    return {
+        FILLERS,
+        normalizeWord,
+        voiceActivity,
+        timeWords,
+        findFillers,
+        analyzeSpeech,
+        summarizeAnalytics
+    };
+});
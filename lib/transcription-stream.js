@@ -0,0 +1,96 @@
+// Live Transcription Stream
+//
+// Records the microphone in short self-contained windows (a fresh MediaRecorder
+// per window, so every upload has its own container header) and posts each one
+// to /api/transcribe, with any extra form `fields` (e.g. the language).
+// Returned segments are already on the session timeline.
+class TranscriptionStream {
+    constructor({ stream, endpoint, fields = {}, windowMs = 5000, onSegments, onError }) {
+        this.stream = new MediaStream(stream.getAudioTracks());
+        this.endpoint = endpoint;
+        this.fields = fields;
+        this.windowMs = windowMs;
+        this.onSegments = onSegments || (() => {});
+        this.onError = onError || (() => {});
+
+        this.recorder = null;
+        this.windowTimer = null;
+        this.startedAt = null;
+        this.active = false;
+        this.pending = new Set();
+    }
+
+    start() {
+        this.active = true;
+        this.startedAt = Date.now();
+        this.recordWindow();
+    }
+
+    // Finish the current window; its upload still completes in the background
+    stop() {
+        this.active = false;
+
+        if (this.windowTimer) {
+            clearTimeout(this.windowTimer);
+            this.windowTimer = null;
+        }
+
+        if (this.recorder && this.recorder.state !== 'inactive') {
+            this.recorder.stop();
+        }
+    }
+
+    // Resolves once every in-flight upload has settled
+    async flush() {
+        await Promise.allSettled([...this.pending]);
+    }
+
+    recordWindow() {
+        if (!this.active) return;
+
+        const chunks = [];
+        const offset = (Date.now() - this.startedAt) / 1000;
+        const recorder = new MediaRecorder(this.stream);
+
+        recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) {
+                chunks.push(event.data);
+            }
+        };
+
+        recorder.onstop = () => {
+            if (chunks.length > 0) {
+                this.upload(new Blob(chunks, { type: recorder.mimeType || 'audio/webm' }), offset);
+            }
+            this.recordWindow();
+        };
+
+        this.recorder = recorder;
+        recorder.start();
+        this.windowTimer = setTimeout(() => {
+            if (recorder.state !== 'inactive') recorder.stop();
+        }, this.windowMs);
+    }
+
+    upload(blob, offset) {
+        const formData = new FormData();
+        formData.append('audio', blob, 'chunk.webm');
+        formData.append('offset', offset.toFixed(3));
+        Object.entries(this.fields).forEach(([name, value]) => formData.append(name, value));
+
+        const request = fetch(this.endpoint, { method: 'POST', body: formData })
+            .then(response => response.json())
+            .then(result => {
+                if (!result.success) {
+                    throw new Error(result.error || 'Transcription failed');
+                }
+                if (result.segments.length > 0) {
+                    this.onSegments(result.segments);
+                }
+            })
+            .catch(error => this.onError(error))
+            .finally(() => this.pending.delete(request));
+
+        this.pending.add(request);
+    }
+}
@@ -0,0 +1,87 @@
+// Trend Chart
+//
+// Minimal canvas line chart for 0-10 score series, styled to match the app.
+//
+//   drawTrendChart(canvas, {
+//       labels: ['2025-12-01', '2025-12-02'],
+//       series: [{ label: 'Clarity', color: 'hsl(260, 100%, 65%)', values: [6, 7.5] }]
+//   });
+function drawTrendChart(canvas, { labels, series, max = 10, emptyText = 'No data yet' }) {
+    const ctx = canvas.getContext('2d');
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.offsetWidth;
+    const height = canvas.offsetHeight;
+
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const padding = { top: 12, right: 12, bottom: 24, left: 28 };
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+
+    ctx.font = '11px "JetBrains Mono", monospace';
+    ctx.fillStyle = 'hsl(0, 0%, 50%)';
+
+    if (labels.length === 0) {
+        ctx.textAlign = 'center';
+        ctx.fillText(emptyText, width / 2, height / 2);
+        return;
+    }
+
+    // Horizontal grid lines with score labels
+    ctx.strokeStyle = 'hsla(240, 15%, 30%, 0.5)';
+    ctx.lineWidth = 1;
+    ctx.textAlign = 'right';
+    for (let value = 0; value <= max; value += max / 2) {
+        const y = padding.top + plotHeight - (value / max) * plotHeight;
+        ctx.beginPath();
+        ctx.moveTo(padding.left, y);
+        ctx.lineTo(width - padding.right, y);
+        ctx.stroke();
+        ctx.fillText(String(value), padding.left - 6, y + 4);
+    }
+
+    const xFor = (index) => labels.length === 1
+        ? padding.left + plotWidth / 2
+        : padding.left + (index / (labels.length - 1)) * plotWidth;
+    const yFor = (value) => padding.top + plotHeight - (Math.min(max, Math.max(0, value)) / max) * plotHeight;
+
+    // First and last labels along the x axis
+    ctx.textAlign = 'left';
+    ctx.fillText(labels[0], padding.left, height - 6);
+    if (labels.length > 1) {
+        ctx.textAlign = 'right';
+        ctx.fillText(labels[labels.length - 1], width - padding.right, height - 6);
+    }
+
+    series.forEach(({ color, values }) => {
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = 2;
+        ctx.shadowBlur = 8;
+        ctx.shadowColor = color;
+
+        ctx.beginPath();
+        let started = false;
+        values.forEach((value, index) => {
+            if (value === null || value === undefined) return;
+            if (started) {
+                ctx.lineTo(xFor(index), yFor(value));
+            } else {
+                ctx.moveTo(xFor(index), yFor(value));
+                started = true;
+            }
+        });
+        ctx.stroke();
+        ctx.shadowBlur = 0;
+
+        values.forEach((value, index) => {
+            if (value === null || value === undefined) return;
+            ctx.beginPath();
+            ctx.arc(xFor(index), yFor(value), 3, 0, 2 * Math.PI);
+            ctx.fill();
+        });
+    });
+}
@@ -0,0 +1,279 @@
+// Voice Activity Detection
+//
+// Decides frame by frame whether someone is speaking, from the frame's RMS
+// energy in dBFS, its spectral flatness (speech is harmonic, fans and key
+// clicks are noise-like) and the share of its energy in the speech band. The
+// energy test is relative to a noise floor that adapts during non-speech, and
+// decisions are smoothed: speech must hold briefly before it starts, and a
+// hangover carries it across the short dips between syllables. Pure code, so
+// the same detector runs on the AnalyserNode in visualizeAudio and on decoded
+// WAV fixtures in Node:
+//
+//   const { decodeWav } = require('./lib/acoustic-scoring');
+//   const { detectVoiceActivity } = require('./lib/voice-activity');
+//   const { samples, sampleRate } = decodeWav(fs.readFileSync('fixture.wav'));
+//   const { segments } = detectVoiceActivity(samples, sampleRate);
+//   // [{ start: 0.41, end: 2.87 }, ...] in seconds
+//
+// Uses AcousticScoring's level measurement, so in the browser it loads after
+// lib/acoustic-scoring.js.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./acoustic-scoring'));
+    } else {
+        root.VoiceActivity = factory(root.AcousticScoring);
+    }
+})(typeof self !== 'undefined' ? self : this, function (AcousticScoring) {
+    'use strict';
+
+    // Frame levels are measured as for scoring, so both see the same dBFS
+    const { rmsDb, SILENCE_FLOOR_DB } = AcousticScoring;
+
+    // The noise floor is kept within this range (dBFS)
+    const NOISE_FLOOR_RANGE = [-90, -25];
+    // Speech must be this much louder than the noise floor
+    const SPEECH_MARGIN_DB = 10;
+    // Nothing quieter than this (dBFS) is speech, however quiet the room
+    const MIN_SPEECH_DB = -65;
+    // Spectral flatness above this is noise-like: fans, hiss, key clicks
+    const MAX_FLATNESS = 0.35;
+    // Share of 80-8000 Hz energy that must fall in the speech band. The band
+    // starts at 200 Hz so a low voice's second harmonic still counts, while
+    // hum and rumble stay below it.
+    const MIN_SPEECH_BAND_RATIO = 0.3;
+    const ANALYSIS_BAND_HZ = [80, 8000];
+    const SPEECH_BAND_HZ = [200, 4000];
+    // Speech-like frames must last this long before speech starts, which drops clicks
+    const ONSET_SECONDS = 0.08;
+    // Speech continues this long after the last speech-like frame. It is kept
+    // under the 0.25 s minimum pause, so real pauses still show up.
+    const HANGOVER_SECONDS = 0.2;
+    // Time constants (s) for the noise floor following the level up and down.
+    // It also creeps up during speech, so a noise that starts mid-session (a
+    // fan switched on) is absorbed instead of reading as endless speech.
+    const NOISE_RISE_SECONDS = 2;
+    const NOISE_RISE_SPEECH_SECONDS = 8;
+    const NOISE_FALL_SECONDS = 0.2;
+    // Longest FFT taken from a frame
+    const MAX_FFT_SIZE = 2048;
+
+    function round(value, digits = 3) {
+        const factor = 10 ** digits;
+        return Math.round(value * factor) / factor;
+    }
+
+    function clamp(value, min, max) {
+        return Math.min(max, Math.max(min, value));
+    }
+
+    // Hann window, twiddle factors and bit-reversed order per FFT size
+    const fftTables = new Map();
+
+    function tablesFor(size) {
+        if (!fftTables.has(size)) {
+            const window = new Float64Array(size);
+            const cos = new Float64Array(size / 2);
+            const sin = new Float64Array(size / 2);
+            const reverse = new Uint32Array(size);
+            const bits = Math.log2(size);
+
+            for (let i = 0; i < size; i++) {
+                window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (size - 1));
+                let reversed = 0;
+                for (let bit = 0; bit < bits; bit++) {
+                    reversed = (reversed << 1) | ((i >> bit) & 1);
+                }
+                reverse[i] = reversed;
+            }
+            for (let i = 0; i < size / 2; i++) {
+                cos[i] = Math.cos((2 * Math.PI * i) / size);
+                sin[i] = Math.sin((2 * Math.PI * i) / size);
+            }
+            fftTables.set(size, { window, cos, sin, reverse });
+        }
+        return fftTables.get(size);
+    }
+
+    /**
+     * Power spectrum (bins 0..size/2) of the latest power-of-two run of
+     * `samples`, Hann windowed.
+     */
+    function powerSpectrum(samples) {
+        let size = 1;
+        while (size * 2 <= Math.min(samples.length, MAX_FFT_SIZE)) size *= 2;
+        if (size < 2) return { power: new Float64Array(1), size: 1 };
+
+        const { window, cos, sin, reverse } = tablesFor(size);
+        const offset = samples.length - size;
+        const re = new Float64Array(size);
+        const im = new Float64Array(size);
+        for (let i = 0; i < size; i++) {
+            re[reverse[i]] = samples[offset + i] * window[i];
+        }
+
+        // Iterative radix-2 Cooley-Tukey
+        for (let length = 2; length <= size; length *= 2) {
+            const half = length / 2;
+            const step = size / length;
+            for (let start = 0; start < size; start += length) {
+                for (let j = 0; j < half; j++) {
+                    const wr = cos[j * step];
+                    const wi = -sin[j * step];
+                    const a = start + j;
+                    const b = a + half;
+                    const tr = re[b] * wr - im[b] * wi;
+                    const ti = re[b] * wi + im[b] * wr;
+                    re[b] = re[a] - tr;
+                    im[b] = im[a] - ti;
+                    re[a] += tr;
+                    im[a] += ti;
+                }
+            }
+        }
+
+        const power = new Float64Array(size / 2 + 1);
+        for (let k = 0; k <= size / 2; k++) {
+            power[k] = re[k] * re[k] + im[k] * im[k];
+        }
+        return { power, size };
+    }
+
+    /**
+     * The measurements behind each decision:
+     *   energyDb         RMS level in dBFS (SILENCE_FLOOR_DB for digital silence)
+     *   flatness         geometric / arithmetic mean of the 80-8000 Hz power spectrum, 0 (tonal) to 1 (white noise)
+     *   speechBandRatio  share of that energy between 200 and 4000 Hz
+     */
+    function analyzeFrame(samples, sampleRate) {
+        const energyDb = Math.max(rmsDb(samples), SILENCE_FLOOR_DB);
+        const { power, size } = powerSpectrum(samples);
+        const binHz = sampleRate / size;
+
+        const first = Math.max(1, Math.ceil(ANALYSIS_BAND_HZ[0] / binHz));
+        const last = Math.min(power.length - 1, Math.floor(ANALYSIS_BAND_HZ[1] / binHz));
+        let total = 0;
+        let speechBand = 0;
+        let logSum = 0;
+        let count = 0;
+        for (let k = first; k <= last; k++) {
+            const value = power[k] + 1e-12;
+            total += value;
+            logSum += Math.log(value);
+            count++;
+            const hz = k * binHz;
+            if (hz >= SPEECH_BAND_HZ[0] && hz <= SPEECH_BAND_HZ[1]) speechBand += value;
+        }
+
+        return {
+            energyDb,
+            flatness: count > 0 ? Math.exp(logSum / count) / (total / count) : 1,
+            speechBandRatio: total > 0 ? speechBand / total : 0
+        };
+    }
+
+    /**
+     * Streaming detector: feed it frames in time order with process().
+     * `segments` is the speech timeline so far, [{ start, end }] in seconds;
+     * the last segment grows while speech continues.
+     */
+    class VoiceActivityDetector {
+        constructor({ noiseFloorDb = null } = {}) {
+            this.reset(noiseFloorDb);
+        }
+
+        // Start over from a measured room noise level (dBFS). Without one the
+        // first frame's level is used: if that is already speech, the floor
+        // drops to the room's level at the first pause.
+        reset(noiseFloorDb = null) {
+            this.noiseFloorDb = noiseFloorDb === null || noiseFloorDb === undefined
+                ? null
+                : clamp(noiseFloorDb, NOISE_FLOOR_RANGE[0], NOISE_FLOOR_RANGE[1]);
+            this.speaking = false;
+            this.onsetStart = null;
+            this.lastSpeechEnd = null;
+            this.lastTime = null;
+            this.segments = [];
+        }
+
+        /**
+         * One frame at `time` seconds. Returns the smoothed decision with the
+         * frame's measurements and the noise floor after it.
+         */
+        process(time, samples, sampleRate) {
+            const duration = this.lastTime === null ? samples.length / sampleRate : Math.max(0, time - this.lastTime);
+            this.lastTime = time;
+
+            const frame = analyzeFrame(samples, sampleRate);
+            if (this.noiseFloorDb === null) {
+                this.noiseFloorDb = clamp(frame.energyDb, NOISE_FLOOR_RANGE[0], NOISE_FLOOR_RANGE[1]);
+            }
+            const speechLike = frame.energyDb > Math.max(MIN_SPEECH_DB, this.noiseFloorDb + SPEECH_MARGIN_DB)
+                && frame.flatness < MAX_FLATNESS
+                && frame.speechBandRatio > MIN_SPEECH_BAND_RATIO;
+
+            if (speechLike) {
+                if (this.onsetStart === null) this.onsetStart = time;
+
+                if (this.speaking) {
+                    this.segments[this.segments.length - 1].end = time + duration;
+                } else if (time + duration - this.onsetStart >= ONSET_SECONDS) {
+                    this.speaking = true;
+                    this.segments.push({ start: this.onsetStart, end: time + duration });
+                }
+                if (this.speaking) this.lastSpeechEnd = time + duration;
+            } else {
+                this.onsetStart = null;
+                if (this.speaking && time - this.lastSpeechEnd > HANGOVER_SECONDS) {
+                    this.speaking = false;
+                }
+            }
+
+            // Quickly down, slowly up, and slower still while speaking
+            let tau = NOISE_FALL_SECONDS;
+            if (frame.energyDb > this.noiseFloorDb) {
+                tau = speechLike ? NOISE_RISE_SPEECH_SECONDS : NOISE_RISE_SECONDS;
+            }
+            this.noiseFloorDb = clamp(
+                this.noiseFloorDb + (1 - Math.exp(-duration / tau)) * (frame.energyDb - this.noiseFloorDb),
+                NOISE_FLOOR_RANGE[0], NOISE_FLOOR_RANGE[1]
+            );
+
+            return { speech: this.speaking, ...frame, noiseFloorDb: this.noiseFloorDb };
+        }
+    }
+
+    /**
+     * Headless detection over a mono PCM buffer, framed like the AnalyserNode:
+     * `frameSize` matches fftSize and `hopSize` one animation frame (60 fps).
+     */
+    function detectVoiceActivity(samples, sampleRate, { frameSize = 2048, hopSize = Math.round(sampleRate / 60), noiseFloorDb = null } = {}) {
+        const detector = new VoiceActivityDetector({ noiseFloorDb });
+        const frames = [];
+        for (let offset = 0; offset + frameSize <= samples.length; offset += hopSize) {
+            const time = offset / sampleRate;
+            const result = detector.process(time, samples.subarray(offset, offset + frameSize), sampleRate);
+            frames.push({
+                time: round(time),
+                speech: result.speech,
+                energyDb: round(result.energyDb, 1),
+                flatness: round(result.flatness),
+                speechBandRatio: round(result.speechBandRatio)
+            });
+        }
+
+        const segments = detector.segments.map(segment => ({ start: round(segment.start), end: round(segment.end) }));
+        return {
+            frames,
+            segments,
+            speechTime: round(segments.reduce((sum, segment) => sum + segment.end - segment.start, 0)),
+            noiseFloorDb: round(detector.noiseFloorDb, 1)
+        };
+    }
+
+    return {
+        powerSpectrum,
+        analyzeFrame,
+        VoiceActivityDetector,
+        detectVoiceActivity
+    };
+});
@@ -0,0 +1,37 @@
+// Download face-api and the three face models into vendor/face-api/, so the
+// frontend (and its service worker) can work without the CDN.
+//
+//   node scripts/fetch-face-api.js
+//
+// FACE_API_VERSION pins a release (default: latest).
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const version = process.env.FACE_API_VERSION;
+const CDN_URL = `https://cdn.jsdelivr.net/npm/@vladmandic/face-api${version ? `@${version}` : ''}/`;
+const TARGET_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'vendor', 'face-api');
+
+const FILES = [
+    'dist/face-api.min.js',
+    'model/tiny_face_detector_model-weights_manifest.json',
+    'model/tiny_face_detector_model.bin',
+    'model/face_landmark_68_model-weights_manifest.json',
+    'model/face_landmark_68_model.bin',
+    'model/face_expression_model-weights_manifest.json',
+    'model/face_expression_model.bin'
+];
+
+for (const file of FILES) {
+    const response = await fetch(CDN_URL + file);
+    if (!response.ok) {
+        console.error(`❌ ${file}: HTTP ${response.status}`);
+        process.exit(1);
+    }
+
+    // dist/face-api.min.js is served as vendor/face-api/face-api.min.js
+    const target = path.join(TARGET_DIR, file.replace(/^dist\//, ''));
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, Buffer.from(await response.arrayBuffer()));
+    console.log(`✅ ${path.relative(process.cwd(), target)}`);
+}
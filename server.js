@@ -1,8 +1,47 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import multer from 'multer';
+import { createProvider } from './server/providers/index.js';
+import { createTranscriber, normalizeSegments } from './server/transcription.js';
+import { createSessionsRouter } from './server/sessions.js';
+import { authenticate, createAuthRouter, seedAdmins } from './server/auth.js';
+import { createApiKeysRouter } from './server/api-keys.js';
+import { createWebhooksRouter, emitEvent, resumeDeliveries } from './server/webhooks.js';
+import { ApiError, apiErrorHandler, createApiV1Router } from './server/api-v1.js';
+import { rateLimit, generateMetered, createUsageRouter } from './server/usage.js';
+import {
+    ModelResponseError,
+    evaluationSchema,
+    audioEvaluationSchema,
+    feedbackSchema,
+    readAloudSchema,
+    readPartialFields
+} from './server/validation.js';
+import {
+    DEFAULT_RUBRIC_ID,
+    getRubric,
+    rubricCriteria,
+    rubricSections,
+    rubricSchema,
+    scoreWithRubric,
+    penalizedScore,
+    toTenPointScale,
+    rubricSummary,
+    createRubricsRouter
+} from './server/rubrics.js';
+import { listPrompts, getPrompt, describePrompt, PROMPT_CATEGORIES, PROMPT_DIFFICULTIES } from './server/prompts.js';
+import { alignWords } from './server/alignment.js';
+import {
+    resolveLanguage,
+    negotiateLanguage,
+    listLanguages,
+    languageInstruction,
+    catalogue,
+    message,
+    randomTip,
+    LANGUAGE_CODES
+} from './server/i18n.js';
 
 // Load environment variables
 dotenv.config();
@@ -12,32 +51,43 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Configure multer for handling multipart/form-data
-const upload = multer({ storage: multer.memoryStorage() });
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 25 * 1024 * 1024 }
+});
+
+// Behind a reverse proxy, set TRUST_PROXY_HOPS so rate limits see the real client IP
+if (process.env.TRUST_PROXY_HOPS) {
+    app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS));
+}
 
-// Initialize Gemini AI
-let genAI;
-let model;
+// Initialize LLM provider (LLM_PROVIDER=gemini | openai | mock)
+let llm = null;
 
 try {
-    if (!process.env.GEMINI_API_KEY) {
-        console.warn('⚠️  WARNING: GEMINI_API_KEY not found in .env file');
-        console.warn('⚠️  Please add your API key to the .env file');
-    } else {
-        genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-        model = genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
-        console.log('✅ Gemini AI initialized successfully');
+    llm = createProvider(process.env);
+    if (llm) {
+        console.log(`✅ LLM provider initialized: ${llm.name} (${llm.model})`);
     }
 } catch (error) {
-    console.error('❌ Error initializing Gemini AI:', error.message);
+    console.error('❌ Error initializing LLM provider:', error.message);
 }
 
+// Initialize speech-to-text backend
+const transcriber = createTranscriber({
+    backend: process.env.TRANSCRIPTION_BACKEND || 'llm',
+    provider: llm,
+    whisperUrl: process.env.WHISPER_URL
+});
+
 // Middleware
 app.use(cors({
     origin: process.env.FRONTEND_URL || '*',
     credentials: true
 }));
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+// Recordings arrive as multipart uploads, so JSON bodies stay small
+app.use(express.json({ limit: '1mb' }));
+app.use(express.urlencoded({ extended: true, limit: '1mb' }));
 
 // Logging middleware
 app.use((req, res, next) => {
@@ -45,12 +95,26 @@ app.use((req, res, next) => {
     next();
 });
 
+// Versioned integration API, authenticated by API key rather than sign-in.
+// Its error handler also catches body parser failures for /api/v1 requests.
+app.use('/api/v1', createApiV1Router({
+    evaluateSpeech: (req, { body }) => evaluateTranscript(req, body),
+    analyzeAudio: (req, { body }) => analyzeRecording(req, body.audio, body),
+    transcribeAudio: (req, { body }) => transcribeRecording(req, body.audio, body),
+    getFeedback: async (req, { body }) => ({ feedback: await suggestFeedback(req, body) })
+}, { upload }));
+app.use('/api/v1', apiErrorHandler);
+
+// Signed-in user from the bearer token, if any
+app.use('/api', authenticate);
+
 // Health check endpoint
 app.get('/health', (req, res) => {
     res.json({
         status: 'ok',
         timestamp: new Date().toISOString(),
-        geminiConfigured: !!process.env.GEMINI_API_KEY
+        geminiConfigured: !!process.env.GEMINI_API_KEY,
+        provider: llm ? llm.name : null
     });
 });
 
@@ -59,260 +123,667 @@ app.get('/api/status', (req, res) => {
     res.json({
         success: true,
         message: 'SpeakX Evaluator API is running',
-        geminiAvailable: !!genAI,
+        aiAvailable: !!llm,
+        provider: llm ? llm.name : null,
+        geminiAvailable: !!llm && llm.name === 'gemini',
+        transcriptionAvailable: !!transcriber,
+        // Default practice language from Accept-Language
+        language: negotiateLanguage(req),
+        languages: listLanguages(),
         version: '1.0.0'
     });
 });
 
-// Evaluate speech with Gemini AI
-app.post('/api/evaluate', async (req, res) => {
-    try {
-        const { transcript, hasFace, hasVoice, audioFeatures } = req.body;
+// Build the evaluation prompt and response schema for a transcript evaluation.
+// Throws an ApiError when the request cannot be evaluated.
+async function prepareEvaluation(req, body) {
+    const { transcript, hasFace, hasVoice, audioFeatures, nonverbalFeatures, prosodyFeatures } = body;
 
-        // Validate input
-        if (!transcript && !hasVoice) {
-            return res.status(400).json({
-                success: false,
-                error: 'No speech data provided'
-            });
-        }
+    // Validate input
+    if (!transcript && !hasVoice) {
+        throw new ApiError(400, 'NO_SPEECH', 'No speech data provided');
+    }
 
-        // Check if Gemini is configured
-        if (!genAI || !model) {
-            return res.status(503).json({
-                success: false,
-                error: 'Gemini AI not configured. Please add GEMINI_API_KEY to .env file'
-            });
-        }
+    // Check if an LLM provider is configured
+    if (!llm) {
+        throw new ApiError(503, 'AI_UNAVAILABLE',
+            'AI provider not configured. Set LLM_PROVIDER (and GEMINI_API_KEY for Gemini) in .env file');
+    }
 
-        // Determine mode
-        let mode = 'No Voice';
-        if (hasFace && hasVoice) {
-            mode = 'Human Face + Voice';
-        } else if (!hasFace && hasVoice) {
-            mode = 'Only Voice';
-        }
+    const language = requestLanguage(req, body.language);
+    const { practicePrompt, rubric, criteria, sections } = await scoringContext(body.promptId, body.rubricId);
+
+    // Determine mode
+    const mode = determineMode(hasFace, hasVoice);
 
-        // Build evaluation prompt
-        const prompt = `You are an expert communication skills evaluator. Analyze the following speaking performance and provide scores.
+    // Build evaluation prompt
+    const prompt = `You are an expert communication skills evaluator. Analyze the following speaking performance and provide scores.
 
 **Speaking Context:**
 - Mode: ${mode}
 - Transcript: ${transcript || 'No clear speech detected'}
 - Audio Features: ${JSON.stringify(audioFeatures || {})}
-
+- Nonverbal Features: ${JSON.stringify(nonverbalFeatures || {})}
+- Prosody Features: ${JSON.stringify(prosodyFeatures || {})}
+${practicePromptContext(practicePrompt)}${languageInstruction(language)}
 **Evaluation Rules:**
-1. If both face and voice are present → evaluate normally
-2. If voice is present but face is not → deduct confidence by 50%
-3. If both are absent → Clarity = 0, Confidence = 0
+${sections.rules}
 
 **Task:**
-Evaluate the speech on:
-1. **Clarity (0-10)**: How clear, articulate, and well-structured is the speech?
-2. **Confidence (0-10)**: How confident and assertive is the delivery?
+Evaluate the speech with the "${rubric.name}" rubric:
+${sections.criteria}
+
+The audio features are measured, not estimated: wordsPerMinute (130-160 is comfortable), fillersPerMinute and fillersByType, pauseCount, meanPause and longestSilence (seconds). When they point to a problem, cite the numbers in your feedback.
+The nonverbal features come from face landmarks: eyeContact and lookingAway (share of the session, 0-1), headStability (0-1), blinkRate (per minute, 8-30 is relaxed) and expressions (share of time per expression). Base the confidence score and feedback on them, e.g. "you looked away 40% of the time".
+The prosody features come from pitch tracking: pitchRangeSemitones (under 3 is monotone), risingPhrases/uptalkRatio (statements ending on a rise), vocalFryRatio and energyRangeDb (loudness dynamics). Use them for tone and assertiveness.
 
 Provide your response in this exact JSON format:
-{
-  "clarity": <number 0-10>,
-  "confidence": <number 0-10>,
+{${sections.fields}
   "clarityFeedback": "<one specific suggestion to improve clarity>",
   "confidenceFeedback": "<one specific suggestion to improve confidence>",
   "analysis": "<brief 2-3 sentence overall analysis>"
 }`;
 
-        // Call Gemini API
-        const result = await model.generateContent(prompt);
-        const response = await result.response;
-        const text = response.text();
-
-        // Parse JSON from response
-        let evaluation;
-        try {
-            // Extract JSON from markdown code blocks if present
-            const jsonMatch = text.match(/```json\n?([\s\S]*?)\n?```/) || text.match(/\{[\s\S]*\}/);
-            const jsonText = jsonMatch ? (jsonMatch[1] || jsonMatch[0]) : text;
-            evaluation = JSON.parse(jsonText);
-        } catch (parseError) {
-            console.error('Error parsing Gemini response:', parseError);
-            throw new Error('Invalid response format from AI');
-        }
+    const schema = rubricSchema(evaluationSchema, rubric, criteria);
+    return { mode, prompt, schema, rubric, criteria, practicePrompt, language };
+}
 
-        // Apply mode-based adjustments
-        if (mode === 'Only Voice') {
-            evaluation.confidence = Math.round(evaluation.confidence * 0.5);
-            evaluation.confidenceFeedback = 'Enable your camera to receive full confidence scoring and feedback.';
-        } else if (mode === 'No Voice') {
-            evaluation.clarity = 0;
-            evaluation.confidence = 0;
-            evaluation.clarityFeedback = 'Please speak clearly into your microphone to receive clarity feedback.';
-            evaluation.confidenceFeedback = 'Start speaking and enable your camera for a complete evaluation.';
-        }
+// Evaluate a transcript and captured features: { mode, language, evaluation }
+async function evaluateTranscript(req, body) {
+    const { mode, prompt, schema, rubric, criteria, practicePrompt, language } = await prepareEvaluation(req, body);
 
-        // Return evaluation
-        res.json({
+    // Call the LLM provider and validate the reply against the rubric's schema
+    const evaluation = await generateMetered(req, llm, prompt, schema, { task: 'evaluate' });
+
+    // Evaluation with the rubric's penalties and weighted total
+    return {
+        mode,
+        language,
+        evaluation: applyModeRules(evaluation, mode, rubric, criteria, !!practicePrompt, language)
+    };
+}
+
+// Evaluate speech with the LLM provider
+app.post('/api/evaluate', rateLimit, async (req, res) => {
+    try {
+        res.json({ success: true, ...await evaluateTranscript(req, req.body) });
+    } catch (error) {
+        console.error('Error in /api/evaluate:', error);
+        sendError(res, error, 'Failed to evaluate speech');
+    }
+});
+
+// The same evaluation streamed as Server-Sent Events while the model writes:
+//   score   { key, value, tenPoint }  a criterion score as soon as it is complete
+//   text    { field, text }           analysis or feedback so far
+//   result  the /api/evaluate response body, once validated
+//   error   { success: false, error, code }
+// Closing the connection cancels the model call.
+app.post('/api/evaluate/stream', rateLimit, async (req, res) => {
+    let prepared;
+    try {
+        prepared = await prepareEvaluation(req, req.body);
+    } catch (error) {
+        console.error('Error in /api/evaluate/stream:', error);
+        return sendError(res, error, 'Failed to evaluate speech');
+    }
+    const { mode, prompt, schema, rubric, criteria, practicePrompt, language } = prepared;
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+    });
+
+    // Only send what changed since the last chunk
+    const sent = {};
+    const textFields = streamedTextFields(mode);
+    const onText = (text) => {
+        const partial = readPartialFields(text, { numbers: criteria.map(({ key }) => key), strings: textFields });
+
+        Object.entries(partial.numbers).forEach(([key, value]) => {
+            if (key in sent) return;
+            sent[key] = value;
+            const score = penalizedScore(key, value, mode, rubric);
+            send('score', { key, value: score, tenPoint: toTenPointScale(score, rubric.scale) });
+        });
+        Object.entries(partial.strings).forEach(([field, value]) => {
+            if (!value || sent[field] === value) return;
+            sent[field] = value;
+            send('text', { field, text: value });
+        });
+    };
+
+    try {
+        const evaluation = await generateMetered(req, llm, prompt, schema, {
+            task: 'evaluate',
+            signal: controller.signal,
+            onText
+        });
+        send('result', {
             success: true,
             mode,
-            evaluation: {
-                clarity: Math.min(10, Math.max(0, evaluation.clarity)),
-                confidence: Math.min(10, Math.max(0, evaluation.confidence)),
-                clarityFeedback: evaluation.clarityFeedback,
-                confidenceFeedback: evaluation.confidenceFeedback,
-                analysis: evaluation.analysis
-            }
+            language,
+            evaluation: applyModeRules(evaluation, mode, rubric, criteria, !!practicePrompt, language)
+        });
+    } catch (error) {
+        if (controller.signal.aborted) return;
+        console.error('Error in /api/evaluate/stream:', error);
+        send('error', { success: false, error: error.message || 'Failed to evaluate speech', code: error.code });
+    }
+    res.end();
+});
+
+// Evaluate a full recording with the LLM provider: { mode, language, evaluation, markers }.
+// `fields` are the typed form fields (hasFace, hasVoice, *Features, promptId, rubricId, language).
+async function analyzeRecording(req, file, fields) {
+    if (!file) {
+        throw new ApiError(400, 'VALIDATION_FAILED', 'No audio file provided');
+    }
+
+    if (!llm) {
+        throw new ApiError(503, 'AI_UNAVAILABLE', 'AI provider not configured');
+    }
+
+    if (!llm.supportsAudio) {
+        throw new ApiError(503, 'AUDIO_UNSUPPORTED', `AI provider "${llm.name}" does not support audio analysis`);
+    }
+
+    const { audioFeatures, nonverbalFeatures, prosodyFeatures } = fields;
+    const mode = determineMode(fields.hasFace, fields.hasVoice);
+    const language = requestLanguage(req, fields.language);
+    const { practicePrompt, rubric, criteria, sections } = await scoringContext(fields.promptId, fields.rubricId);
+
+    const mimeType = file.mimetype || 'audio/webm';
+
+    const prompt = `You are an expert communication skills evaluator. Listen to this full recording of a speaking practice session and evaluate it.
+
+**Speaking Context:**
+- Mode: ${mode}
+- Audio Features: ${JSON.stringify(audioFeatures || {})}
+- Nonverbal Features (from face landmarks): ${JSON.stringify(nonverbalFeatures || {})}
+- Prosody Features (from pitch tracking): ${JSON.stringify(prosodyFeatures || {})}
+${practicePromptContext(practicePrompt)}${languageInstruction(language)}
+**Evaluation Rules:**
+${sections.rules}
+
+**Task:**
+Evaluate the speech with the "${rubric.name}" rubric:
+${sections.criteria}
+
+Also mark every filler word (um, uh, like, you know... or their equivalents in the speaker's language) and every pause longer than 2 seconds, with its time in seconds from the start of the recording.
+
+Provide your response in this exact JSON format:
+{${sections.fields}
+  "clarityFeedback": "<one specific suggestion to improve clarity>",
+  "confidenceFeedback": "<one specific suggestion to improve confidence>",
+  "analysis": "<brief 2-3 sentence overall analysis>",
+  "markers": [
+    { "time": <seconds>, "type": "filler" | "long-pause", "text": "<filler word, or pause length like '3.5s'>" }
+  ]
+}`;
+
+    // Send the recording along with the prompt
+    const schema = rubricSchema(audioEvaluationSchema, rubric, criteria);
+    const evaluation = await generateMetered(req, llm, prompt, schema, {
+        task: 'analyze-audio',
+        audio: { data: file.buffer, mimeType }
+    });
+
+    return {
+        mode,
+        language,
+        evaluation: applyModeRules(evaluation, mode, rubric, criteria, !!practicePrompt, language),
+        markers: normalizeMarkers(evaluation.markers)
+    };
+}
+
+// Analyze a full recording with the LLM provider (for advanced features)
+app.post('/api/analyze-audio', rateLimit, upload.single('audio'), async (req, res) => {
+    try {
+        // Multipart fields arrive as strings
+        const result = await analyzeRecording(req, req.file, {
+            hasFace: req.body.hasFace === 'true',
+            hasVoice: req.body.hasVoice !== 'false',
+            audioFeatures: parseJsonField(req.body.audioFeatures),
+            nonverbalFeatures: parseJsonField(req.body.nonverbalFeatures),
+            prosodyFeatures: parseJsonField(req.body.prosodyFeatures),
+            promptId: req.body.promptId,
+            rubricId: req.body.rubricId,
+            language: req.body.language
         });
+        res.json({ success: true, ...result });
 
     } catch (error) {
-        console.error('Error in /api/evaluate:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message || 'Failed to evaluate speech'
+        console.error('Error in /api/analyze-audio:', error);
+        sendError(res, error, 'Failed to analyze audio');
+    }
+});
+
+// Transcribe a recording into timestamped segments: { backend, language, segments }.
+// `offset` is the clip's position within the practice session, in seconds.
+async function transcribeRecording(req, file, { language: requested, offset = 0 }) {
+    if (!file) {
+        throw new ApiError(400, 'VALIDATION_FAILED', 'No audio file provided');
+    }
+
+    if (!transcriber) {
+        throw new ApiError(503, 'TRANSCRIPTION_UNAVAILABLE', 'Transcription backend not configured');
+    }
+
+    const language = requestLanguage(req, requested);
+    const mimeType = file.mimetype || 'audio/webm';
+
+    const segments = await transcriber.transcribe(file.buffer, mimeType, { language, req });
+
+    return {
+        backend: transcriber.name,
+        language,
+        segments: normalizeSegments(segments, offset)
+    };
+}
+
+// Transcribe a recorded audio clip into timestamped segments
+app.post('/api/transcribe', rateLimit, upload.single('audio'), async (req, res) => {
+    try {
+        const result = await transcribeRecording(req, req.file, {
+            language: req.body.language,
+            offset: Math.max(0, Number(req.body.offset) || 0)
         });
+        res.json({ success: true, ...result });
+
+    } catch (error) {
+        console.error('Error in /api/transcribe:', error);
+        sendError(res, error, 'Failed to transcribe audio');
     }
 });
 
-// Analyze audio with Gemini (for advanced features)
-app.post('/api/analyze-audio', upload.single('audio'), async (req, res) => {
+// Read-aloud pronunciation check: align what was read against a reference passage
+app.post('/api/read-aloud', rateLimit, upload.single('audio'), async (req, res) => {
     try {
-        if (!req.file) {
-            return res.status(400).json({
-                success: false,
-                error: 'No audio file provided'
-            });
+        const { promptId } = req.body;
+        const language = requestLanguage(req, req.body.language);
+        let reference = typeof req.body.reference === 'string' ? req.body.reference.trim() : '';
+        // The recording is transcribed in the passage's language, which may
+        // differ from the language feedback is written in
+        let passageLanguage = language;
+
+        if (promptId) {
+            const passage = getPrompt(promptId);
+            if (!passage || passage.category !== 'reading') {
+                return res.status(400).json({
+                    success: false,
+                    error: `promptId must be a reading passage: ${promptId}`
+                });
+            }
+            reference = passage.text;
+            passageLanguage = passage.language || passageLanguage;
         }
 
-        if (!genAI || !model) {
-            return res.status(503).json({
+        if (!reference) {
+            return res.status(400).json({
                 success: false,
-                error: 'Gemini AI not configured'
+                error: 'A reading promptId or reference text is required'
             });
         }
 
-        // Convert audio buffer to base64
-        const audioBase64 = req.file.buffer.toString('base64');
-        const mimeType = req.file.mimetype || 'audio/webm';
-
-        const prompt = `Analyze this audio recording of someone speaking. Evaluate:
-1. Speech clarity and articulation
-2. Confidence and tone
-3. Pace and rhythm
-4. Any filler words or hesitations
-
-Provide scores (0-10) for clarity and confidence, plus specific feedback.`;
-
-        // Use Gemini with audio
-        const result = await model.generateContent([
-            prompt,
-            {
-                inlineData: {
-                    data: audioBase64,
-                    mimeType: mimeType
-                }
+        // Use the live transcript when there is one, otherwise transcribe the recording
+        let transcript = typeof req.body.transcript === 'string' ? req.body.transcript.trim() : '';
+        if (!transcript) {
+            if (!req.file) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Provide a transcript or an audio recording'
+                });
+            }
+            if (!transcriber) {
+                return res.status(503).json({
+                    success: false,
+                    error: 'Transcription backend not configured'
+                });
             }
-        ]);
+            const segments = await transcriber.transcribe(req.file.buffer, req.file.mimetype || 'audio/webm', { language: passageLanguage, req });
+            transcript = normalizeSegments(segments, 0).map(segment => segment.text).join(' ');
+        }
+
+        const alignment = alignWords(reference, transcript);
+        let feedback = getFallbackReadAloudFeedback(alignment, language);
+
+        if (llm) {
+            const prompt = `You are a pronunciation coach for language learners. The learner read a passage aloud and the speech-to-text transcript was aligned word by word against it.
 
-        const response = await result.response;
-        const text = response.text();
+**Reference passage:**
+"${reference}"
+
+**What was heard:**
+"${transcript}"
+
+**Alignment:**
+- Accuracy: ${alignment.accuracy}% of reference words read correctly
+- Substitutions (expected → heard): ${describeAlignmentErrors(alignment, 'substitution')}
+- Omissions (skipped words): ${describeAlignmentErrors(alignment, 'omission')}
+- Insertions (extra words): ${describeAlignmentErrors(alignment, 'insertion')}
+
+Substitutions usually point to a mispronounced word. Base your feedback on the specific words above.
+${languageInstruction(language)}
+Provide your response in this exact JSON format:
+{
+  "pronunciationFeedback": "<one specific suggestion about the words that were misread>",
+  "fluencyFeedback": "<one specific suggestion about skipped or added words and reading flow>",
+  "analysis": "<brief 2-3 sentence overall analysis>"
+}`;
+
+            try {
+                feedback = await generateMetered(req, llm, prompt, readAloudSchema, { task: 'read-aloud' });
+            } catch (error) {
+                console.error('Read-aloud feedback failed, using alignment-based feedback:', error.message);
+            }
+        }
 
         res.json({
             success: true,
-            analysis: text
+            mode: 'Read Aloud',
+            reference,
+            transcript,
+            alignment,
+            feedback
         });
 
     } catch (error) {
-        console.error('Error in /api/analyze-audio:', error);
-        res.status(500).json({
+        console.error('Error in /api/read-aloud:', error);
+        sendError(res, error, 'Failed to check read-aloud');
+    }
+});
+
+// Practice prompt library
+app.get('/api/prompts', (req, res) => {
+    const { category, difficulty, language } = req.query;
+
+    if (category && !PROMPT_CATEGORIES.includes(category)) {
+        return res.status(400).json({
+            success: false,
+            error: `category must be one of: ${PROMPT_CATEGORIES.join(', ')}`
+        });
+    }
+    if (difficulty && !PROMPT_DIFFICULTIES.includes(difficulty)) {
+        return res.status(400).json({
+            success: false,
+            error: `difficulty must be one of: ${PROMPT_DIFFICULTIES.join(', ')}`
+        });
+    }
+    if (language && !LANGUAGE_CODES.includes(language)) {
+        return res.status(400).json({
             success: false,
-            error: error.message || 'Failed to analyze audio'
+            error: `language must be one of: ${LANGUAGE_CODES.join(', ')}`
         });
     }
+
+    res.json({
+        success: true,
+        categories: PROMPT_CATEGORIES,
+        prompts: listPrompts({ category, difficulty, language })
+    });
 });
 
-// Get feedback suggestions
-app.post('/api/feedback', async (req, res) => {
-    try {
-        const { clarity, confidence, mode } = req.body;
+app.get('/api/prompts/:id', (req, res) => {
+    const prompt = getPrompt(req.params.id);
 
-        if (!genAI || !model) {
-            // Fallback to predefined feedback
-            return res.json({
-                success: true,
-                feedback: getFallbackFeedback(clarity, confidence, mode)
-            });
-        }
+    if (!prompt) {
+        return res.status(404).json({
+            success: false,
+            error: 'Prompt not found'
+        });
+    }
+    res.json({ success: true, prompt });
+});
+
+// Tips for a pair of scores; falls back to the tip catalogue when the model is
+// unavailable or fails, so only an unsupported language is an error
+async function suggestFeedback(req, { clarity, confidence, mode, language: requested }) {
+    const language = requestLanguage(req, requested);
+
+    if (!llm) {
+        // Fallback to predefined feedback
+        return getFallbackFeedback(clarity, confidence, mode, language);
+    }
 
-        const prompt = `As a communication coach, provide specific, actionable feedback for someone with these scores:
+    const prompt = `As a communication coach, provide specific, actionable feedback for someone with these scores:
 - Clarity: ${clarity}/10
 - Confidence: ${confidence}/10
 - Mode: ${mode}
-
+${languageInstruction(language)}
 Provide exactly 2 suggestions in JSON format:
 {
   "clarityTip": "<one specific tip to improve clarity>",
   "confidenceTip": "<one specific tip to improve confidence>"
 }`;
 
-        const result = await model.generateContent(prompt);
-        const response = await result.response;
-        const text = response.text();
-
-        // Parse response
-        const jsonMatch = text.match(/```json\n?([\s\S]*?)\n?```/) || text.match(/\{[\s\S]*\}/);
-        const jsonText = jsonMatch ? (jsonMatch[1] || jsonMatch[0]) : text;
-        const feedback = JSON.parse(jsonText);
-
-        res.json({
-            success: true,
-            feedback
-        });
+    try {
+        return await generateMetered(req, llm, prompt, feedbackSchema, { task: 'feedback' });
+    } catch (error) {
+        console.error('Feedback failed, using catalogue tips:', error.message);
+        return getFallbackFeedback(clarity, confidence, mode, language);
+    }
+}
 
+// Get feedback suggestions
+app.post('/api/feedback', rateLimit, async (req, res) => {
+    try {
+        res.json({ success: true, feedback: await suggestFeedback(req, req.body) });
     } catch (error) {
-        console.error('Error in /api/feedback:', error);
-        res.json({
-            success: true,
-            feedback: getFallbackFeedback(req.body.clarity, req.body.confidence, req.body.mode)
-        });
+        sendError(res, error, 'Failed to get feedback');
     }
 });
 
-// Fallback feedback when Gemini is not available
-function getFallbackFeedback(clarity, confidence, mode) {
-    const clarityTips = [
-        "Try to articulate each word more clearly and avoid mumbling.",
-        "Speak with more structured sentences to boost clarity.",
-        "Reduce filler words like 'um' and 'uh' for better clarity.",
-        "Practice enunciating consonants more precisely.",
-        "Slow down your speaking pace to improve clarity.",
-        "Focus on completing your thoughts before moving to the next point."
-    ];
-
-    const confidenceTips = [
-        "Maintain eye contact with the camera to project confidence.",
-        "Reduce pauses and hesitations while speaking.",
-        "Speak with a stronger, more assertive tone.",
-        "Keep your posture upright and face the camera directly.",
-        "Practice deep breathing to reduce nervousness in your voice.",
-        "Use hand gestures naturally to enhance your message."
-    ];
-
-    let confidenceTip = confidenceTips[Math.floor(Math.random() * confidenceTips.length)];
+// Accounts, scoring rubrics, session history and coach review
+app.use('/api', createAuthRouter());
+app.use('/api', createRubricsRouter());
+app.use('/api', createSessionsRouter({ notify: emitEvent }));
+
+// Push notifications of session events to registered URLs
+app.use('/api', createWebhooksRouter());
+
+// Model usage against the daily quota
+app.use('/api', createUsageRouter());
+
+// Admin: API keys for /api/v1 integrations
+app.use('/api', createApiKeysRouter());
+
+// Evaluation mode from what was captured
+function determineMode(hasFace, hasVoice) {
+    if (hasFace && hasVoice) {
+        return 'Human Face + Voice';
+    } else if (!hasFace && hasVoice) {
+        return 'Only Voice';
+    }
+    return 'No Voice';
+}
+
+// The request's practice language; throws for an unsupported one
+function requestLanguage(req, value) {
+    const { language, error } = resolveLanguage(req, value);
+    if (error) {
+        throw new ApiError(400, 'UNSUPPORTED_LANGUAGE', error);
+    }
+    return language;
+}
+
+// Practice prompt the speaker was answering (if any) and the scoring rubric,
+// with the rubric's criteria and prompt sections
+async function scoringContext(promptId, rubricId) {
+    const practicePrompt = promptId ? getPrompt(promptId) : null;
+    if (promptId && !practicePrompt) {
+        throw new ApiError(400, 'UNKNOWN_PROMPT', `Unknown promptId: ${promptId}`);
+    }
 
+    // Criteria, weights, scale and mode penalties
+    const rubric = await getRubric(rubricId || DEFAULT_RUBRIC_ID);
+    if (!rubric) {
+        throw new ApiError(400, 'UNKNOWN_RUBRIC', `Unknown rubricId: ${rubricId}`);
+    }
+    const criteria = rubricCriteria(rubric, { withPrompt: !!practicePrompt });
+    return { practicePrompt, rubric, criteria, sections: rubricSections(rubric, criteria) };
+}
+
+// Evaluation prompt text describing the practice prompt, if any
+function practicePromptContext(practicePrompt) {
+    return practicePrompt ? `\n${describePrompt(practicePrompt)}\n` : '';
+}
+
+// Feedback the model writes that applyModeRules keeps, so it is worth streaming
+function streamedTextFields(mode) {
+    if (mode === 'No Voice') return ['analysis'];
+    if (mode === 'Only Voice') return ['analysis', 'clarityFeedback'];
+    return ['analysis', 'clarityFeedback', 'confidenceFeedback'];
+}
+
+// Apply the rubric's mode penalties and weighted total. `scores` and `total`
+// stay on the rubric's scale; clarity, confidence (and relevance/structure for
+// practice prompts) are also given on 0-10 for the score bars and history.
+function applyModeRules(evaluation, mode, rubric, criteria, withPrompt, language) {
+    const { scores, total } = scoreWithRubric(evaluation, mode, rubric, criteria);
+    const result = {
+        clarity: toTenPointScale(scores.clarity, rubric.scale),
+        confidence: toTenPointScale(scores.confidence, rubric.scale),
+        clarityFeedback: evaluation.clarityFeedback,
+        confidenceFeedback: evaluation.confidenceFeedback,
+        analysis: evaluation.analysis,
+        scores,
+        total,
+        rubric: rubricSummary(rubric)
+    };
+
+    const { modeFeedback } = catalogue(language);
     if (mode === 'Only Voice') {
-        confidenceTip = "Enable your camera to receive full confidence scoring and feedback.";
+        result.confidenceFeedback = modeFeedback.cameraOff;
     } else if (mode === 'No Voice') {
+        result.clarityFeedback = modeFeedback.noVoiceClarity;
+        result.confidenceFeedback = modeFeedback.noVoiceConfidence;
+    }
+
+    // Prompt-based criteria
+    if (withPrompt) {
+        result.relevance = toTenPointScale(scores.relevance, rubric.scale);
+        result.structure = toTenPointScale(scores.structure, rubric.scale);
+    }
+
+    return result;
+}
+
+// Timestamped issue markers (already schema-validated) for the playback timeline
+function normalizeMarkers(markers) {
+    return markers
+        .map(marker => ({ ...marker, time: Math.round(marker.time * 10) / 10 }))
+        .sort((a, b) => a.time - b.time);
+}
+
+// Error response; API errors, quota and model validation failures carry a code,
+// and model validation failures the issues found
+function sendError(res, error, fallbackMessage) {
+    const body = {
+        success: false,
+        error: error.message || fallbackMessage
+    };
+
+    if (error.code) {
+        body.code = error.code;
+    }
+    if (error instanceof ModelResponseError) {
+        body.issues = error.issues;
+    }
+
+    res.status(error.status || 500).json(body);
+}
+
+// JSON sent as a multipart form field
+function parseJsonField(value) {
+    if (!value) return null;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return null;
+    }
+}
+
+// "expected → heard" list of one kind of alignment error, for prompts and feedback
+function describeAlignmentErrors(alignment, type, limit = 10) {
+    const words = alignment.words
+        .filter(word => word.type === type)
+        .slice(0, limit)
+        .map(word => {
+            if (type === 'substitution') return `"${word.reference}" → "${word.spoken}"`;
+            return `"${type === 'omission' ? word.reference : word.spoken}"`;
+        });
+
+    return words.length > 0 ? words.join(', ') : 'none';
+}
+
+// Read-aloud feedback built from the alignment alone, when no AI provider is
+// available, in the language's catalogue wording
+function getFallbackReadAloudFeedback(alignment, language) {
+    const { accuracy, counts } = alignment;
+
+    const pronunciationFeedback = counts.substitutions > 0
+        ? message(language, 'readAloud.misread', { words: describeAlignmentErrors(alignment, 'substitution', 3) })
+        : message(language, 'readAloud.allRecognised');
+
+    let fluencyFeedback = message(language, 'readAloud.followed');
+    if (counts.omissions > 0) {
+        fluencyFeedback = message(language, 'readAloud.skipped', {
+            count: counts.omissions,
+            words: describeAlignmentErrors(alignment, 'omission', 3)
+        });
+    } else if (counts.insertions > 0) {
+        fluencyFeedback = message(language, 'readAloud.added', { count: counts.insertions });
+    }
+
+    return {
+        pronunciationFeedback,
+        fluencyFeedback,
+        analysis: message(language, 'readAloud.analysis', { accuracy, ...counts })
+    };
+}
+
+// Fallback feedback when no AI provider is available, from the language's tip catalogue
+function getFallbackFeedback(clarity, confidence, mode, language) {
+    const { modeFeedback } = catalogue(language);
+
+    if (mode === 'No Voice') {
         return {
-            clarityTip: "Please speak clearly into your microphone to receive clarity feedback.",
-            confidenceTip: "Start speaking and enable your camera for a complete evaluation."
+            clarityTip: modeFeedback.noVoiceClarity,
+            confidenceTip: modeFeedback.noVoiceConfidence
         };
     }
 
     return {
-        clarityTip: clarityTips[Math.floor(Math.random() * clarityTips.length)],
-        confidenceTip
+        clarityTip: randomTip(language, 'clarityTips'),
+        confidenceTip: mode === 'Only Voice' ? modeFeedback.cameraOff : randomTip(language, 'confidenceTips')
     };
 }
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+    // Bodies or uploads over the size limits
+    if (err.type === 'entity.too.large' || err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({
+            success: false,
+            error: 'Request is too large'
+        });
+    }
+
+    // Rate limits and other errors that know their status
+    if (err.status && err.code) {
+        return sendError(res, err);
+    }
+
     console.error('Server error:', err);
     res.status(500).json({
         success: false,
@@ -333,12 +804,45 @@ app.listen(PORT, () => {
     console.log('🚀 SpeakX Evaluator Backend Server');
     console.log(`📡 Server running on http://localhost:${PORT}`);
     console.log(`🌍 CORS enabled for: ${process.env.FRONTEND_URL || '*'}`);
-    console.log(`🤖 Gemini AI: ${genAI ? '✅ Configured' : '❌ Not configured'}`);
+    console.log(`🤖 AI provider: ${llm ? `✅ ${llm.name} (${llm.model})` : '❌ Not configured'}`);
+    console.log(`📝 Transcription: ${transcriber ? `✅ ${transcriber.name}` : '❌ Not configured'}`);
     console.log('\n📋 Available endpoints:');
     console.log(`   GET  /health - Health check`);
     console.log(`   GET  /api/status - API status`);
     console.log(`   POST /api/evaluate - Evaluate speech`);
+    console.log(`   POST /api/evaluate/stream - Evaluate speech, streamed as Server-Sent Events`);
     console.log(`   POST /api/analyze-audio - Analyze audio file`);
+    console.log(`   POST /api/transcribe - Transcribe audio clip`);
+    console.log(`   POST /api/read-aloud - Read-aloud pronunciation check`);
     console.log(`   POST /api/feedback - Get feedback suggestions`);
-    console.log('\n💡 Add your Gemini API key to .env file to enable AI features\n');
+    console.log(`   GET  /api/prompts - Practice prompt library`);
+    console.log(`   GET  /api/rubrics - Scoring rubrics (POST/PUT/DELETE to manage)`);
+    console.log(`   POST /api/sessions - Start a practice session`);
+    console.log(`   POST /api/sessions/:id/evaluations - Save an evaluation`);
+    console.log(`   GET  /api/sessions - List sessions by date range`);
+    console.log(`   GET  /api/history - Progress trend by day`);
+    console.log(`   POST /api/auth/register - Create a learner or coach account`);
+    console.log(`   POST /api/auth/login - Sign in`);
+    console.log(`   GET  /api/coach/learners - Coach: assigned learners`);
+    console.log(`   POST /api/sessions/:id/evaluations/:evaluationId/comments - Comment on an evaluation`);
+    console.log(`   PUT  /api/sessions/:id/evaluations/:evaluationId/override - Coach: override scores`);
+    console.log(`   GET  /api/usage/me - Your AI usage today`);
+    console.log(`   GET  /api/usage - Admin: AI usage by day and client`);
+    console.log(`   POST /api/api-keys - Admin: issue an integration API key`);
+    console.log(`   POST /api/webhooks - Register a webhook for session events`);
+    console.log(`   GET  /api/webhooks/:id/deliveries - Webhook delivery log (POST .../:deliveryId/replay to resend)`);
+    console.log(`   GET  /api/v1/openapi.json - Integration API (X-API-Key): evaluate, analyze-audio, transcribe, feedback, prompts`);
+    console.log('\n💡 Set LLM_PROVIDER in .env (gemini, openai or mock) to enable AI features\n');
+
+    seedAdmins()
+        .then(unknown => {
+            if (unknown.length > 0) console.warn(`⚠️  ADMIN_USER_IDS lists unknown accounts: ${unknown.join(', ')}`);
+        })
+        .catch(error => console.error('❌ Could not set admin accounts:', error.message));
+
+    resumeDeliveries()
+        .then(count => {
+            if (count > 0) console.log(`🔔 Resumed ${count} pending webhook deliveries`);
+        })
+        .catch(error => console.error('❌ Could not resume webhook deliveries:', error.message));
 });
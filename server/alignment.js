@@ -0,0 +1,102 @@
+// Word-level alignment for read-aloud mode
+//
+// Aligns what the speaker said against the reference passage with a
+// Levenshtein alignment over words, classifying every position as correct,
+// substitution (different word read), omission (reference word skipped) or
+// insertion (extra word spoken).
+
+// Lowercase and strip punctuation so "Hello," matches "hello". Combining
+// marks stay: Devanagari vowel signs and the virama tell words apart
+export function normalizeWord(word) {
+    return word
+        .normalize('NFC')
+        .toLowerCase()
+        .replace(/[’‘]/g, "'")
+        .replace(/[^\p{L}\p{M}\p{N}']+/gu, '')
+        .replace(/^'+|'+$/g, '');
+}
+
+// Split text into words, keeping the original spelling for display
+export function tokenize(text) {
+    return String(text || '')
+        .split(/\s+/)
+        .map(word => ({ text: word, norm: normalizeWord(word) }))
+        .filter(word => word.norm.length > 0);
+}
+
+/**
+ * Align spoken words against reference words.
+ *
+ * @returns {{
+ *   accuracy: number, wordErrorRate: number,
+ *   counts: { correct: number, substitutions: number, omissions: number, insertions: number },
+ *   words: Array<{ type: string, reference?: string, spoken?: string, index?: number }>
+ * }}
+ */
+export function alignWords(referenceText, spokenText) {
+    const reference = tokenize(referenceText);
+    const spoken = tokenize(spokenText);
+    const rows = reference.length + 1;
+    const cols = spoken.length + 1;
+
+    // distance[i][j]: edits to turn reference[0..i) into spoken[0..j)
+    const distance = Array.from({ length: rows }, () => new Array(cols).fill(0));
+    for (let i = 0; i < rows; i++) distance[i][0] = i;
+    for (let j = 0; j < cols; j++) distance[0][j] = j;
+
+    for (let i = 1; i < rows; i++) {
+        for (let j = 1; j < cols; j++) {
+            const substitution = reference[i - 1].norm === spoken[j - 1].norm ? 0 : 1;
+            distance[i][j] = Math.min(
+                distance[i - 1][j - 1] + substitution,
+                distance[i - 1][j] + 1,
+                distance[i][j - 1] + 1
+            );
+        }
+    }
+
+    // Walk back from the corner, preferring diagonal moves
+    const words = [];
+    let i = reference.length;
+    let j = spoken.length;
+    while (i > 0 || j > 0) {
+        if (i > 0 && j > 0) {
+            const same = reference[i - 1].norm === spoken[j - 1].norm;
+            if (distance[i][j] === distance[i - 1][j - 1] + (same ? 0 : 1)) {
+                words.push({
+                    type: same ? 'correct' : 'substitution',
+                    reference: reference[i - 1].text,
+                    spoken: spoken[j - 1].text,
+                    index: i - 1
+                });
+                i--;
+                j--;
+                continue;
+            }
+        }
+        if (i > 0 && distance[i][j] === distance[i - 1][j] + 1) {
+            words.push({ type: 'omission', reference: reference[i - 1].text, index: i - 1 });
+            i--;
+        } else {
+            words.push({ type: 'insertion', spoken: spoken[j - 1].text });
+            j--;
+        }
+    }
+    words.reverse();
+
+    const count = (type) => words.filter(word => word.type === type).length;
+    const counts = {
+        correct: count('correct'),
+        substitutions: count('substitution'),
+        omissions: count('omission'),
+        insertions: count('insertion')
+    };
+    const errors = counts.substitutions + counts.omissions + counts.insertions;
+
+    return {
+        accuracy: reference.length > 0 ? Math.round((counts.correct / reference.length) * 100) : 0,
+        wordErrorRate: reference.length > 0 ? Math.round((errors / reference.length) * 1000) / 1000 : 0,
+        counts,
+        words
+    };
+}
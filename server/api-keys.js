@@ -0,0 +1,115 @@
+// Integration API keys
+//
+// Each integration (an LMS, a grading pipeline) gets its own key for the
+// /api/v1 surface, so its usage is metered separately and it can be revoked
+// without touching the others. Admins issue keys; the secret is shown once
+// and only its hash is kept in api-keys.json, as with sign-in tokens.
+import express from 'express';
+import crypto from 'crypto';
+import { JsonStore, createId } from './store.js';
+import { requireAdmin } from './auth.js';
+
+export const apiKeyStore = new JsonStore('api-keys.json', { keys: [] });
+
+const KEY_PREFIX = 'spx_';
+// Characters of the key kept in the clear, so admins can tell keys apart
+const VISIBLE_LENGTH = 12;
+// lastUsedAt is written at most this often per key (ms)
+const LAST_USED_RESOLUTION = 60 * 1000;
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+export function publicApiKey(apiKey) {
+    return {
+        id: apiKey.id,
+        name: apiKey.name,
+        prefix: apiKey.prefix,
+        createdBy: apiKey.createdBy,
+        createdAt: apiKey.createdAt,
+        lastUsedAt: apiKey.lastUsedAt,
+        revokedAt: apiKey.revokedAt
+    };
+}
+
+/**
+ * The active key matching the secret `key`, or null. Records when it was last used.
+ */
+export async function findApiKey(key) {
+    if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) return null;
+
+    const keyHash = hashKey(key);
+    const { keys } = await apiKeyStore.read();
+    const apiKey = keys.find(item => item.keyHash === keyHash && !item.revokedAt);
+    if (!apiKey) return null;
+
+    if (!apiKey.lastUsedAt || Date.now() - Date.parse(apiKey.lastUsedAt) > LAST_USED_RESOLUTION) {
+        await apiKeyStore.update(() => {
+            apiKey.lastUsedAt = new Date().toISOString();
+        });
+    }
+    return apiKey;
+}
+
+export function createApiKeysRouter() {
+    const router = express.Router();
+
+    router.get('/api-keys', requireAdmin, async (req, res, next) => {
+        try {
+            const { keys } = await apiKeyStore.read();
+            res.json({ success: true, keys: keys.map(publicApiKey) });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Issue a key for an integration; the response is the only time it is shown
+    router.post('/api-keys', requireAdmin, async (req, res, next) => {
+        try {
+            const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+            if (!name || name.length > 100) {
+                return res.status(400).json({ success: false, error: 'name is required (up to 100 characters)' });
+            }
+
+            const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+            const apiKey = {
+                id: createId(),
+                name,
+                prefix: key.slice(0, VISIBLE_LENGTH),
+                keyHash: hashKey(key),
+                createdBy: req.user.id,
+                createdAt: new Date().toISOString(),
+                lastUsedAt: null,
+                revokedAt: null
+            };
+            await apiKeyStore.update(data => {
+                data.keys.push(apiKey);
+            });
+
+            res.status(201).json({ success: true, apiKey: publicApiKey(apiKey), key });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Revoked keys stay listed so usage reports can still name them
+    router.delete('/api-keys/:id', requireAdmin, async (req, res, next) => {
+        try {
+            const apiKey = await apiKeyStore.update(data => {
+                const item = data.keys.find(key => key.id === req.params.id);
+                if (item && !item.revokedAt) item.revokedAt = new Date().toISOString();
+                return item;
+            });
+
+            if (!apiKey) {
+                return res.status(404).json({ success: false, error: 'API key not found' });
+            }
+            res.json({ success: true, apiKey: publicApiKey(apiKey) });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+}
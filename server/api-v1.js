@@ -0,0 +1,144 @@
+// Versioned integration API (/api/v1)
+//
+// Routes are registered from the OpenAPI document: every operation becomes a
+// route with the document's request validation in front of the handler named
+// by its operationId. Integrations authenticate with an API key in X-API-Key,
+// successes are plain JSON resources, and every failure is
+// { error: { code, message, issues? } } with a code from ERROR_CODES.
+import express from 'express';
+import { openApiDocument, ERROR_CODES } from './openapi.js';
+import { compileOperation, resolveRef } from './request-validation.js';
+import { findApiKey } from './api-keys.js';
+import { rateLimit } from './usage.js';
+import { listPrompts, getPrompt, PROMPT_CATEGORIES } from './prompts.js';
+
+/**
+ * A request the API refuses, with the HTTP status and a code from ERROR_CODES.
+ */
+export class ApiError extends Error {
+    constructor(status, code, message, { issues } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        if (issues) this.issues = issues;
+    }
+}
+
+// Any error as an ApiError; unknown failures are not described to the client
+function toApiError(error) {
+    if (error instanceof ApiError) return error;
+    if (error.type === 'entity.too.large' || error.code === 'LIMIT_FILE_SIZE') {
+        return new ApiError(413, 'PAYLOAD_TOO_LARGE', 'Request is too large');
+    }
+    if (error.type === 'entity.parse.failed') {
+        return new ApiError(400, 'INVALID_JSON', 'Request body is not valid JSON');
+    }
+    if (error.name === 'MulterError') {
+        return new ApiError(400, 'VALIDATION_FAILED', error.message, { issues: [`body.${error.field}: ${error.message}`] });
+    }
+    // QuotaExceededError, RateLimitError and ModelResponseError carry their own
+    if (error.status && error.code in ERROR_CODES) {
+        return new ApiError(error.status, error.code, error.message, { issues: error.issues });
+    }
+    return new ApiError(500, 'INTERNAL_ERROR', 'Internal server error');
+}
+
+/**
+ * Error handler for /api/v1. server.js mounts it after the router, so it also
+ * sees body parser failures raised before the router runs.
+ */
+export function apiErrorHandler(err, req, res, next) {
+    const error = toApiError(err);
+    if (error.status >= 500 && error.code === 'INTERNAL_ERROR') {
+        console.error(`Error in ${req.method} ${req.originalUrl}:`, err);
+    }
+
+    const body = { code: error.code, message: error.message };
+    if (error.issues) body.issues = error.issues;
+    res.status(error.status).json({ error: body });
+}
+
+// The integration's key from X-API-Key, as req.apiKey
+async function requireApiKey(req, res, next) {
+    try {
+        const key = req.get('X-API-Key');
+        if (!key) {
+            throw new ApiError(401, 'API_KEY_REQUIRED', 'Send an API key in the X-API-Key header');
+        }
+        req.apiKey = await findApiKey(key);
+        if (!req.apiKey) {
+            throw new ApiError(401, 'INVALID_API_KEY', 'Invalid or revoked API key');
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+// Name of the operation's file upload field, if it takes one
+function uploadField(operation) {
+    if (!operation.requestBody) return null;
+    const media = resolveRef(openApiDocument, operation.requestBody).content['multipart/form-data'];
+    if (!media) return null;
+
+    const { properties = {} } = resolveRef(openApiDocument, media.schema);
+    const field = Object.keys(properties).find(key => resolveRef(openApiDocument, properties[key]).format === 'binary');
+    return field || null;
+}
+
+/**
+ * Router for /api/v1. `operations` maps the model-backed operationIds to
+ * async (req, { params, query, body }) => response body, where the values
+ * are already validated; ApiErrors they throw become error envelopes.
+ * `upload` is the multer instance for recordings.
+ */
+export function createApiV1Router(operations, { upload }) {
+    const router = express.Router();
+
+    const handlers = {
+        getOpenApiDocument: () => openApiDocument,
+        listPrompts: (req, { query }) => ({ categories: PROMPT_CATEGORIES, prompts: listPrompts(query) }),
+        getPrompt: (req, { params }) => {
+            const prompt = getPrompt(params.id);
+            if (!prompt) throw new ApiError(404, 'NOT_FOUND', 'Prompt not found');
+            return prompt;
+        },
+        ...operations
+    };
+
+    Object.entries(openApiDocument.paths).forEach(([path, methods]) => {
+        Object.entries(methods).forEach(([method, operation]) => {
+            const handler = handlers[operation.operationId];
+            if (!handler) {
+                throw new Error(`No handler for API operation ${operation.operationId}`);
+            }
+
+            // Check the key before accepting an upload
+            const middleware = [];
+            const security = operation.security || openApiDocument.security;
+            if (security.length > 0) middleware.push(requireApiKey, rateLimit);
+            const field = uploadField(operation);
+            if (field) middleware.push(upload.single(field));
+
+            const validateRequest = compileOperation(openApiDocument, operation);
+            router[method](path.replace(/\{(\w+)\}/g, ':$1'), ...middleware, async (req, res, next) => {
+                try {
+                    const { params, query, body, issues } = validateRequest(req);
+                    if (issues.length > 0) {
+                        throw new ApiError(400, 'VALIDATION_FAILED', 'The request does not match the API schema', { issues });
+                    }
+                    res.json(await handler(req, { params, query, body }));
+                } catch (error) {
+                    next(error);
+                }
+            });
+        });
+    });
+
+    router.use((req, res, next) => {
+        next(new ApiError(404, 'NOT_FOUND', 'Endpoint not found'));
+    });
+
+    return router;
+}
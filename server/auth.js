@@ -0,0 +1,307 @@
+// Accounts and access control
+//
+// Local accounts with scrypt-hashed passwords and opaque bearer tokens, kept
+// in auth.json. Learners own their practice sessions and choose which coaches
+// may review them. Requests without a token still work for anonymous practice
+// under the browser's own userId, as before accounts existed.
+import express from 'express';
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { JsonStore, createId } from './store.js';
+
+export const authStore = new JsonStore('auth.json', { users: [], tokens: [] });
+
+export const ROLES = ['learner', 'coach'];
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+// Sign-in tokens expire after this many days
+const TOKEN_TTL_DAYS = 30;
+
+export async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const key = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt}$${key.toString('hex')}`;
+}
+
+export async function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const key = await scrypt(password, salt, KEY_LENGTH);
+    const expected = Buffer.from(hash, 'hex');
+    return expected.length === key.length && crypto.timingSafeEqual(expected, key);
+}
+
+// Only the hash is stored, so a copy of auth.json cannot be used to sign in
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function normalizeEmail(email) {
+    return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+// Admin is a flag on the stored account, never something a user registers with
+export function isAdmin(user) {
+    return !!user && user.admin === true;
+}
+
+/**
+ * Make exactly the accounts listed in ADMIN_USER_IDS admins. Run once at
+ * startup; ids are assigned by the server, so unlike an email nobody can pick
+ * theirs. Returns the listed ids that match no account.
+ */
+export async function seedAdmins(value = process.env.ADMIN_USER_IDS || '') {
+    const ids = value.split(',').map(id => id.trim()).filter(Boolean);
+    return authStore.update(data => {
+        data.users.forEach(user => {
+            user.admin = ids.includes(user.id);
+        });
+        return ids.filter(id => !data.users.some(user => user.id === id));
+    });
+}
+
+export function publicUser(user) {
+    return {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        admin: isAdmin(user),
+        createdAt: user.createdAt
+    };
+}
+
+// Issue a new token for `user`, dropping any that have expired
+async function issueToken(user) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+    await authStore.update(data => {
+        const now = new Date().toISOString();
+        data.tokens = data.tokens.filter(item => item.expiresAt > now);
+        data.tokens.push({ tokenHash: hashToken(token), userId: user.id, createdAt: now, expiresAt });
+    });
+
+    return { token, expiresAt };
+}
+
+/**
+ * Attach the signed-in user as `req.user` (null when there is no token).
+ * A token that is unknown or expired is rejected rather than ignored, so the
+ * client knows to sign in again.
+ */
+export async function authenticate(req, res, next) {
+    req.user = null;
+    const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+    if (!match) return next();
+
+    try {
+        const { users, tokens } = await authStore.read();
+        const tokenHash = hashToken(match[1]);
+        const now = new Date().toISOString();
+        const token = tokens.find(item => item.tokenHash === tokenHash && item.expiresAt > now);
+        const user = token && users.find(item => item.id === token.userId);
+
+        if (!user) {
+            return res.status(401).json({ success: false, error: 'Invalid or expired token' });
+        }
+        req.user = user;
+        req.tokenHash = tokenHash;
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+export function requireAuth(req, res, next) {
+    if (!req.user) {
+        return res.status(401).json({ success: false, error: 'Sign in required' });
+    }
+    next();
+}
+
+export function requireRole(role) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ success: false, error: 'Sign in required' });
+        }
+        if (req.user.role !== role) {
+            return res.status(403).json({ success: false, error: `Only a ${role} can do this` });
+        }
+        next();
+    };
+}
+
+export function requireAdmin(req, res, next) {
+    if (!req.user) {
+        return res.status(401).json({ success: false, error: 'Sign in required' });
+    }
+    if (!isAdmin(req.user)) {
+        return res.status(403).json({ success: false, error: 'Only an admin can do this' });
+    }
+    next();
+}
+
+/**
+ * How `user` (null when anonymous) may use the history stored under `userId`:
+ * 'owner', 'coach' (assigned coach, read and review only) or null.
+ * Ids that are not accounts are anonymous browser ids, owned by whoever holds them.
+ */
+export async function accessLevel(user, userId) {
+    if (user && user.id === userId) return 'owner';
+
+    const { users } = await authStore.read();
+    const account = users.find(item => item.id === userId);
+    if (!account) return 'owner';
+
+    if (user && user.role === 'coach' && (account.coachIds || []).includes(user.id)) return 'coach';
+    return null;
+}
+
+// Learners who have added `coach` as one of their coaches
+export async function listLearners(coach) {
+    const { users } = await authStore.read();
+    return users
+        .filter(user => user.role === 'learner' && (user.coachIds || []).includes(coach.id))
+        .map(publicUser);
+}
+
+async function listCoaches(learner) {
+    const { users } = await authStore.read();
+    return users
+        .filter(user => (learner.coachIds || []).includes(user.id))
+        .map(publicUser);
+}
+
+export function createAuthRouter() {
+    const router = express.Router();
+
+    // Create an account and sign in
+    router.post('/auth/register', async (req, res, next) => {
+        try {
+            const email = normalizeEmail(req.body.email);
+            const { password, role = 'learner' } = req.body;
+            const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+
+            if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+                return res.status(400).json({ success: false, error: 'A valid email is required' });
+            }
+            if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+                return res.status(400).json({
+                    success: false,
+                    error: `password must be at least ${MIN_PASSWORD_LENGTH} characters`
+                });
+            }
+            if (!ROLES.includes(role)) {
+                return res.status(400).json({ success: false, error: `role must be one of: ${ROLES.join(', ')}` });
+            }
+            if (!name || name.length > 100) {
+                return res.status(400).json({ success: false, error: 'name is required (up to 100 characters)' });
+            }
+
+            const user = {
+                id: createId(),
+                email,
+                name,
+                role,
+                passwordHash: await hashPassword(password),
+                coachIds: [],
+                createdAt: new Date().toISOString()
+            };
+
+            const created = await authStore.update(data => {
+                if (data.users.some(item => item.email === email)) return false;
+                data.users.push(user);
+                return true;
+            });
+            if (!created) {
+                return res.status(409).json({ success: false, error: 'An account with this email already exists' });
+            }
+
+            const { token, expiresAt } = await issueToken(user);
+            res.status(201).json({ success: true, user: publicUser(user), token, expiresAt });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    router.post('/auth/login', async (req, res, next) => {
+        try {
+            const email = normalizeEmail(req.body.email);
+            const { password } = req.body;
+            const { users } = await authStore.read();
+            const user = users.find(item => item.email === email);
+
+            if (!user || typeof password !== 'string' || !(await verifyPassword(password, user.passwordHash))) {
+                return res.status(401).json({ success: false, error: 'Invalid email or password' });
+            }
+
+            const { token, expiresAt } = await issueToken(user);
+            res.json({ success: true, user: publicUser(user), token, expiresAt });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    router.post('/auth/logout', requireAuth, async (req, res, next) => {
+        try {
+            await authStore.update(data => {
+                data.tokens = data.tokens.filter(item => item.tokenHash !== req.tokenHash);
+            });
+            res.json({ success: true });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // The signed-in user, with their coaches (learners) or learners (coaches)
+    router.get('/auth/me', requireAuth, async (req, res, next) => {
+        try {
+            const user = publicUser(req.user);
+            if (req.user.role === 'coach') {
+                user.learners = await listLearners(req.user);
+            } else {
+                user.coaches = await listCoaches(req.user);
+            }
+            res.json({ success: true, user });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Learners choose which coaches may review their sessions
+    router.post('/auth/coaches', requireRole('learner'), async (req, res, next) => {
+        try {
+            const email = normalizeEmail(req.body.email);
+            const { users } = await authStore.read();
+            const coach = users.find(item => item.email === email && item.role === 'coach');
+
+            if (!coach) {
+                return res.status(404).json({ success: false, error: 'No coach account with this email' });
+            }
+
+            await authStore.update(() => {
+                req.user.coachIds = [...new Set([...(req.user.coachIds || []), coach.id])];
+            });
+            res.status(201).json({ success: true, coaches: await listCoaches(req.user) });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    router.delete('/auth/coaches/:coachId', requireRole('learner'), async (req, res, next) => {
+        try {
+            await authStore.update(() => {
+                req.user.coachIds = (req.user.coachIds || []).filter(id => id !== req.params.coachId);
+            });
+            res.json({ success: true, coaches: await listCoaches(req.user) });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+}
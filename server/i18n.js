@@ -0,0 +1,85 @@
+// Practice languages
+//
+// The language a learner practices in drives transcription, the language the
+// model evaluates and answers in, and the fallback tips. Requests name it with
+// a `language` field; without one it is negotiated from Accept-Language.
+import fs from 'fs';
+import Accepts from '../index.js';
+
+export const LANGUAGES = {
+    en: { name: 'English', nativeName: 'English' },
+    hi: { name: 'Hindi', nativeName: 'हिन्दी' },
+    es: { name: 'Spanish', nativeName: 'Español' },
+    fr: { name: 'French', nativeName: 'Français' }
+};
+
+export const LANGUAGE_CODES = Object.keys(LANGUAGES);
+export const DEFAULT_LANGUAGE = 'en';
+
+// Tip catalogues and fixed feedback, one file per language
+const catalogues = Object.fromEntries(LANGUAGE_CODES.map(code => [
+    code,
+    JSON.parse(fs.readFileSync(new URL(`./locales/${code}.json`, import.meta.url), 'utf8'))
+]));
+
+/**
+ * Best supported language for the request's Accept-Language header.
+ */
+export function negotiateLanguage(req) {
+    return Accepts(req).languages(LANGUAGE_CODES) || DEFAULT_LANGUAGE;
+}
+
+/**
+ * The request's practice language: `value` when given, otherwise negotiated.
+ * Returns { language } or { error } for an unsupported value.
+ */
+export function resolveLanguage(req, value) {
+    if (value === undefined || value === null || value === '') {
+        return { language: negotiateLanguage(req) };
+    }
+    if (!LANGUAGE_CODES.includes(value)) {
+        return { error: `language must be one of: ${LANGUAGE_CODES.join(', ')}` };
+    }
+    return { language: value };
+}
+
+export function listLanguages() {
+    return LANGUAGE_CODES.map(code => ({ code, ...LANGUAGES[code] }));
+}
+
+export function catalogue(language) {
+    return catalogues[language] || catalogues[DEFAULT_LANGUAGE];
+}
+
+/**
+ * A fixed message from the language's catalogue by dotted key, falling back to
+ * English. Strings hold {name} placeholders; { one, other } entries pick by
+ * params.count, as in the browser's I18n.t.
+ */
+export function message(language, key, params = {}) {
+    const lookup = (strings) => key.split('.').reduce((node, part) => (node ? node[part] : undefined), strings);
+    let value = lookup(catalogue(language));
+    if (value === undefined) value = lookup(catalogue(DEFAULT_LANGUAGE));
+    if (value === undefined) return key;
+
+    if (typeof value === 'object') {
+        value = params.count === 1 ? value.one : value.other;
+    }
+    return value.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+export function randomTip(language, kind) {
+    const tips = catalogue(language)[kind];
+    return tips[Math.floor(Math.random() * tips.length)];
+}
+
+// Prompt section telling the model which language it is judging and answering in
+export function languageInstruction(language) {
+    if (language === DEFAULT_LANGUAGE) return '';
+
+    const { name, nativeName } = LANGUAGES[language];
+    return `
+**Language:**
+The speaker is practicing in ${name} (${nativeName}). Judge clarity, grammar, word choice and fillers by the norms of spoken ${name}, not English. Write every feedback and analysis string in ${name}; keep the JSON keys in English.
+`;
+}
@@ -0,0 +1,366 @@
+// OpenAPI document for the /api/v1 integration surface
+//
+// The single description of the public API: served at /api/v1/openapi.json,
+// and the v1 router registers its routes and validates requests from it
+// (see request-validation.js). Enumerations come from the modules that own
+// them, so a new language or prompt category shows up here by itself.
+import { LANGUAGE_CODES } from './i18n.js';
+import { MODES } from './rubrics.js';
+import { PROMPT_CATEGORIES, PROMPT_DIFFICULTIES } from './prompts.js';
+
+export const API_VERSION = '1.0.0';
+
+// Every `error.code` a v1 response can carry
+export const ERROR_CODES = {
+    VALIDATION_FAILED: 'The request does not match the schema; `issues` lists each problem',
+    INVALID_JSON: 'The request body is not valid JSON',
+    PAYLOAD_TOO_LARGE: 'The body or upload is over the size limit',
+    NO_SPEECH: 'Neither a transcript nor voice was captured',
+    UNKNOWN_PROMPT: 'promptId does not name a practice prompt',
+    UNKNOWN_RUBRIC: 'rubricId does not name a scoring rubric',
+    UNSUPPORTED_LANGUAGE: 'language is not a supported practice language',
+    API_KEY_REQUIRED: 'The X-API-Key header is missing',
+    INVALID_API_KEY: 'The API key is unknown or revoked',
+    NOT_FOUND: 'The resource or endpoint does not exist',
+    RATE_LIMITED: 'Too many requests this minute; see Retry-After',
+    QUOTA_EXCEEDED: 'The daily AI quota for this key is used up',
+    AI_UNAVAILABLE: 'No AI provider is configured',
+    AUDIO_UNSUPPORTED: 'The AI provider cannot analyze audio',
+    TRANSCRIPTION_UNAVAILABLE: 'No transcription backend is configured',
+    INVALID_MODEL_RESPONSE: 'The model did not return a usable evaluation; `issues` lists what was wrong',
+    INTERNAL_ERROR: 'Unexpected server error'
+};
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const json = schema => ({ 'application/json': { schema } });
+
+// Error responses by status, shared by the operations below
+const ERROR_RESPONSES = {
+    400: 'BadRequest',
+    401: 'Unauthorized',
+    404: 'NotFound',
+    413: 'PayloadTooLarge',
+    429: 'TooManyRequests',
+    502: 'BadGateway',
+    503: 'ServiceUnavailable'
+};
+
+function errors(...statuses) {
+    return Object.fromEntries(statuses.map(status => [
+        String(status),
+        { $ref: `#/components/responses/${ERROR_RESPONSES[status]}` }
+    ]));
+}
+
+function errorResponse(description) {
+    return { description, content: json(ref('Error')) };
+}
+
+// Fields shared by transcript and recording evaluation
+const evaluationFields = {
+    hasFace: { type: 'boolean', default: false, description: 'A face was visible on camera' },
+    hasVoice: { type: 'boolean', default: true, description: 'The speaker was heard' },
+    audioFeatures: ref('AudioFeatures'),
+    nonverbalFeatures: ref('NonverbalFeatures'),
+    prosodyFeatures: ref('ProsodyFeatures'),
+    promptId: { type: 'string', description: 'Practice prompt the speaker answered; adds relevance and structure scores' },
+    rubricId: { type: 'string', default: 'default', description: 'Scoring rubric' },
+    language: ref('Language')
+};
+
+const featureObject = description => ({ type: 'object', additionalProperties: true, description });
+
+export const openApiDocument = {
+    openapi: '3.0.3',
+    info: {
+        title: 'SpeakX Evaluator API',
+        version: API_VERSION,
+        description: [
+            'Speaking practice evaluation for integrations.',
+            '',
+            'Every request except this document needs an `X-API-Key` header with a key issued by an admin.',
+            'Requests are rate limited per key (RateLimit-* headers) and AI calls count against a daily quota per key.',
+            'Errors always have the shape `{ "error": { "code", "message", "issues"? } }`; branch on `code`, not on `message`.'
+        ].join('\n')
+    },
+    servers: [{ url: '/api/v1' }],
+    security: [{ apiKey: [] }],
+    paths: {
+        '/openapi.json': {
+            get: {
+                operationId: 'getOpenApiDocument',
+                summary: 'This document',
+                security: [],
+                responses: {
+                    200: { description: 'OpenAPI 3 document', content: json({ type: 'object' }) }
+                }
+            }
+        },
+        '/evaluate': {
+            post: {
+                operationId: 'evaluateSpeech',
+                summary: 'Evaluate a transcript and captured features',
+                requestBody: { required: true, content: json(ref('EvaluateRequest')) },
+                responses: {
+                    200: { description: 'Scores and feedback', content: json(ref('EvaluateResponse')) },
+                    ...errors(400, 401, 413, 429, 502, 503)
+                }
+            }
+        },
+        '/analyze-audio': {
+            post: {
+                operationId: 'analyzeAudio',
+                summary: 'Evaluate a full recording, with filler and pause markers',
+                requestBody: {
+                    required: true,
+                    content: { 'multipart/form-data': { schema: ref('AnalyzeAudioRequest') } }
+                },
+                responses: {
+                    200: { description: 'Scores, feedback and markers', content: json(ref('AnalyzeAudioResponse')) },
+                    ...errors(400, 401, 413, 429, 502, 503)
+                }
+            }
+        },
+        '/transcribe': {
+            post: {
+                operationId: 'transcribeAudio',
+                summary: 'Transcribe a recording into timestamped segments',
+                requestBody: {
+                    required: true,
+                    content: { 'multipart/form-data': { schema: ref('TranscribeRequest') } }
+                },
+                responses: {
+                    200: { description: 'Transcript segments', content: json(ref('TranscribeResponse')) },
+                    ...errors(400, 401, 413, 429, 503)
+                }
+            }
+        },
+        '/feedback': {
+            post: {
+                operationId: 'getFeedback',
+                summary: 'Improvement tips for a pair of scores',
+                description: 'Falls back to built-in tips when the AI provider is unavailable.',
+                requestBody: { required: true, content: json(ref('FeedbackRequest')) },
+                responses: {
+                    200: { description: 'Tips', content: json(ref('FeedbackResponse')) },
+                    ...errors(400, 401, 429)
+                }
+            }
+        },
+        '/prompts': {
+            get: {
+                operationId: 'listPrompts',
+                summary: 'Practice prompt library',
+                parameters: [
+                    { name: 'category', in: 'query', schema: { type: 'string', enum: PROMPT_CATEGORIES } },
+                    { name: 'difficulty', in: 'query', schema: { type: 'string', enum: PROMPT_DIFFICULTIES } },
+                    {
+                        name: 'language',
+                        in: 'query',
+                        description: 'Leave out reading passages in other languages',
+                        schema: { type: 'string', enum: LANGUAGE_CODES }
+                    }
+                ],
+                responses: {
+                    200: { description: 'Matching prompts', content: json(ref('PromptList')) },
+                    ...errors(400, 401, 429)
+                }
+            }
+        },
+        '/prompts/{id}': {
+            get: {
+                operationId: 'getPrompt',
+                summary: 'One practice prompt',
+                parameters: [
+                    { name: 'id', in: 'path', required: true, schema: { type: 'string' } }
+                ],
+                responses: {
+                    200: { description: 'The prompt', content: json(ref('Prompt')) },
+                    ...errors(401, 404, 429)
+                }
+            }
+        }
+    },
+    components: {
+        securitySchemes: {
+            apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+        },
+        responses: {
+            BadRequest: errorResponse('Invalid request (VALIDATION_FAILED, INVALID_JSON, NO_SPEECH, UNKNOWN_PROMPT, UNKNOWN_RUBRIC, UNSUPPORTED_LANGUAGE)'),
+            Unauthorized: errorResponse('Missing or invalid API key (API_KEY_REQUIRED, INVALID_API_KEY)'),
+            NotFound: errorResponse('Not found (NOT_FOUND)'),
+            PayloadTooLarge: errorResponse('Body over 1 MB or upload over 25 MB (PAYLOAD_TOO_LARGE)'),
+            TooManyRequests: errorResponse('Rate limit or daily quota reached (RATE_LIMITED, QUOTA_EXCEEDED)'),
+            BadGateway: errorResponse('The model returned an unusable response (INVALID_MODEL_RESPONSE)'),
+            ServiceUnavailable: errorResponse('A backend is not configured (AI_UNAVAILABLE, AUDIO_UNSUPPORTED, TRANSCRIPTION_UNAVAILABLE)')
+        },
+        schemas: {
+            Error: {
+                type: 'object',
+                required: ['error'],
+                properties: {
+                    error: {
+                        type: 'object',
+                        required: ['code', 'message'],
+                        properties: {
+                            code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+                            message: { type: 'string', description: 'For people; may change between releases' },
+                            issues: { type: 'array', items: { type: 'string' }, description: '"path: problem" for each invalid value' }
+                        }
+                    }
+                }
+            },
+            Language: { type: 'string', enum: LANGUAGE_CODES, description: 'Practice language; negotiated from Accept-Language when omitted' },
+            Mode: { type: 'string', enum: MODES },
+            AudioFeatures: featureObject('Measured speech analytics: wordsPerMinute, fillersPerMinute, fillersByType, pauseCount, meanPause, longestSilence'),
+            NonverbalFeatures: featureObject('Face landmark metrics: eyeContact, lookingAway, headStability, blinkRate, expressions'),
+            ProsodyFeatures: featureObject('Pitch tracking metrics: pitchRangeSemitones, risingPhrases, uptalkRatio, vocalFryRatio, energyRangeDb'),
+            EvaluateRequest: {
+                type: 'object',
+                additionalProperties: false,
+                properties: {
+                    transcript: { type: 'string', maxLength: 20000, description: 'What was said; required unless hasVoice is true' },
+                    ...evaluationFields
+                }
+            },
+            AnalyzeAudioRequest: {
+                type: 'object',
+                additionalProperties: false,
+                required: ['audio'],
+                description: 'Feature fields are JSON-encoded form fields.',
+                properties: {
+                    audio: { type: 'string', format: 'binary', description: 'The recording (webm, wav, mp3...), up to 25 MB' },
+                    ...evaluationFields
+                }
+            },
+            TranscribeRequest: {
+                type: 'object',
+                additionalProperties: false,
+                required: ['audio'],
+                properties: {
+                    audio: { type: 'string', format: 'binary', description: 'The recording, up to 25 MB' },
+                    language: ref('Language'),
+                    offset: { type: 'number', minimum: 0, default: 0, description: 'Seconds added to every timestamp' }
+                }
+            },
+            FeedbackRequest: {
+                type: 'object',
+                additionalProperties: false,
+                required: ['clarity', 'confidence'],
+                properties: {
+                    clarity: { type: 'number', minimum: 0, maximum: 10 },
+                    confidence: { type: 'number', minimum: 0, maximum: 10 },
+                    mode: { type: 'string', enum: MODES, default: MODES[0] },
+                    language: ref('Language')
+                }
+            },
+            RubricSummary: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string' },
+                    scale: {
+                        type: 'object',
+                        properties: { min: { type: 'number' }, max: { type: 'number' } }
+                    },
+                    criteria: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: { key: { type: 'string' }, name: { type: 'string' }, weight: { type: 'number' } }
+                        }
+                    }
+                }
+            },
+            Evaluation: {
+                type: 'object',
+                properties: {
+                    clarity: { type: 'number', description: '0-10' },
+                    confidence: { type: 'number', description: '0-10' },
+                    relevance: { type: 'number', description: '0-10, with a promptId' },
+                    structure: { type: 'number', description: '0-10, with a promptId' },
+                    clarityFeedback: { type: 'string' },
+                    confidenceFeedback: { type: 'string' },
+                    analysis: { type: 'string' },
+                    scores: {
+                        type: 'object',
+                        additionalProperties: { type: 'number' },
+                        description: 'Each rubric criterion on the rubric scale'
+                    },
+                    total: { type: 'number', description: 'Weighted total on the rubric scale' },
+                    rubric: ref('RubricSummary')
+                }
+            },
+            EvaluateResponse: {
+                type: 'object',
+                properties: {
+                    mode: ref('Mode'),
+                    language: ref('Language'),
+                    evaluation: ref('Evaluation')
+                }
+            },
+            Marker: {
+                type: 'object',
+                properties: {
+                    time: { type: 'number', description: 'Seconds from the start of the recording' },
+                    type: { type: 'string', enum: ['filler', 'long-pause'] },
+                    text: { type: 'string' }
+                }
+            },
+            AnalyzeAudioResponse: {
+                type: 'object',
+                properties: {
+                    mode: ref('Mode'),
+                    language: ref('Language'),
+                    evaluation: ref('Evaluation'),
+                    markers: { type: 'array', items: ref('Marker') }
+                }
+            },
+            Segment: {
+                type: 'object',
+                properties: {
+                    start: { type: 'number' },
+                    end: { type: 'number' },
+                    text: { type: 'string' }
+                }
+            },
+            TranscribeResponse: {
+                type: 'object',
+                properties: {
+                    backend: { type: 'string' },
+                    language: ref('Language'),
+                    segments: { type: 'array', items: ref('Segment') }
+                }
+            },
+            FeedbackResponse: {
+                type: 'object',
+                properties: {
+                    feedback: {
+                        type: 'object',
+                        properties: { clarityTip: { type: 'string' }, confidenceTip: { type: 'string' } }
+                    }
+                }
+            },
+            Prompt: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string' },
+                    category: { type: 'string', enum: PROMPT_CATEGORIES },
+                    language: { type: 'string', enum: LANGUAGE_CODES, description: 'Language of a reading passage' },
+                    title: { type: 'string' },
+                    text: { type: 'string' },
+                    difficulty: { type: 'string', enum: PROMPT_DIFFICULTIES },
+                    targetDuration: { type: 'number', description: 'Seconds' },
+                    guidance: { type: 'string' }
+                }
+            },
+            PromptList: {
+                type: 'object',
+                properties: {
+                    categories: { type: 'array', items: { type: 'string' } },
+                    prompts: { type: 'array', items: ref('Prompt') }
+                }
+            }
+        }
+    }
+};
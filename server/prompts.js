@@ -0,0 +1,36 @@
+// Practice prompt library
+//
+// Interview questions, elevator pitches, impromptu topics and reading passages,
+// each with a difficulty and target duration. The chosen prompt is passed to
+// evaluation so the model can score relevance and structure against it.
+// Reading passages are written in one practice language (`language`); the
+// other prompts can be answered in any.
+import fs from 'fs';
+
+export const PROMPT_CATEGORIES = ['interview', 'elevator-pitch', 'impromptu', 'reading'];
+export const PROMPT_DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+
+const library = JSON.parse(fs.readFileSync(new URL('./prompt-library.json', import.meta.url), 'utf8'));
+
+// With `language`, reading passages in other languages are left out
+export function listPrompts({ category, difficulty, language } = {}) {
+    return library
+        .filter(prompt => !category || prompt.category === category)
+        .filter(prompt => !difficulty || prompt.difficulty === difficulty)
+        .filter(prompt => !language || !prompt.language || prompt.language === language);
+}
+
+export function getPrompt(id) {
+    return library.find(prompt => prompt.id === id) || null;
+}
+
+// Prompt section describing what the speaker was asked to do
+export function describePrompt(prompt) {
+    const task = prompt.category === 'reading'
+        ? `Read the following passage aloud:\n"${prompt.text}"`
+        : `Respond to: "${prompt.text}"`;
+
+    return `**Practice Prompt (${prompt.category}, ${prompt.difficulty}, target ${prompt.targetDuration}s):**
+${task}
+Guidance given to the speaker: ${prompt.guidance}`;
+}
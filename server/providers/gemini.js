@@ -0,0 +1,36 @@
+// Google Gemini provider
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+function contentParts(prompt, audio) {
+    return audio
+        ? [prompt, { inlineData: { data: audio.data.toString('base64'), mimeType: audio.mimeType } }]
+        : prompt;
+}
+
+export function createGeminiProvider({ apiKey, model = 'gemini-1.5-flash' }) {
+    if (!apiKey) {
+        console.warn('⚠️  WARNING: GEMINI_API_KEY not found in .env file');
+        console.warn('⚠️  Please add your API key to the .env file');
+        return null;
+    }
+
+    const genAI = new GoogleGenerativeAI(apiKey);
+    const generativeModel = genAI.getGenerativeModel({ model });
+
+    return {
+        name: 'gemini',
+        model,
+        supportsAudio: true,
+        async generate(prompt, { audio, signal } = {}) {
+            const result = await generativeModel.generateContent(contentParts(prompt, audio), { signal });
+            const response = await result.response;
+            return response.text();
+        },
+        async *generateStream(prompt, { audio, signal } = {}) {
+            const result = await generativeModel.generateContentStream(contentParts(prompt, audio), { signal });
+            for await (const chunk of result.stream) {
+                yield chunk.text();
+            }
+        }
+    };
+}
@@ -0,0 +1,46 @@
+// LLM provider selection
+//
+// Every AI route talks to a provider with the same shape:
+//   {
+//     name, model, supportsAudio,
+//     generate(prompt, { task, audio: { data: Buffer, mimeType }, signal }) -> Promise<string>
+//     generateStream(prompt, { task, audio, signal }) -> AsyncIterable<string>  (text chunks)
+//   }
+// `task` names the calling route ('evaluate', 'feedback', ...); real providers
+// ignore it, the mock provider uses it to pick a canned response. `signal` is
+// an AbortSignal that cancels the call.
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAIProvider } from './openai.js';
+import { createMockProvider } from './mock.js';
+
+const PROVIDERS = {
+    gemini: (env) => createGeminiProvider({
+        apiKey: env.GEMINI_API_KEY,
+        model: env.GEMINI_MODEL
+    }),
+    openai: (env) => createOpenAIProvider({
+        baseUrl: env.OPENAI_BASE_URL,
+        apiKey: env.OPENAI_API_KEY,
+        model: env.OPENAI_MODEL
+    }),
+    mock: (env) => createMockProvider({
+        responsesFile: env.MOCK_RESPONSES_FILE,
+        streamDelayMs: Number(env.MOCK_STREAM_DELAY_MS ?? 40)
+    })
+};
+
+/**
+ * Create the provider named by LLM_PROVIDER (defaults to gemini).
+ * Returns null when it is not configured.
+ */
+export function createProvider(env = process.env) {
+    const name = env.LLM_PROVIDER || 'gemini';
+    const factory = PROVIDERS[name];
+
+    if (!factory) {
+        console.warn(`⚠️  Unknown LLM_PROVIDER "${name}", AI features disabled`);
+        return null;
+    }
+
+    return factory(env);
+}
@@ -0,0 +1,45 @@
+// Deterministic mock provider
+//
+// Replays canned responses without any network access. Responses are grouped
+// by task (evaluate, feedback, analyze-audio, transcribe, ...); when a task has
+// several, the one returned is picked from a hash of the prompt, so the same
+// request always gets the same answer. Point MOCK_RESPONSES_FILE at your own
+// JSON file to script other scenarios. Streaming replays the same response in
+// small chunks, MOCK_STREAM_DELAY_MS apart (default 40).
+import fs from 'fs';
+import crypto from 'crypto';
+
+const DEFAULT_RESPONSES_FILE = new URL('./mock-responses.json', import.meta.url);
+
+const STREAM_CHUNK_LENGTH = 24;
+
+export function createMockProvider({ responsesFile, streamDelayMs = 40 } = {}) {
+    const responses = JSON.parse(fs.readFileSync(responsesFile || DEFAULT_RESPONSES_FILE, 'utf8'));
+
+    return {
+        name: 'mock',
+        model: 'mock',
+        supportsAudio: true,
+        async *generateStream(prompt, options = {}) {
+            const text = await this.generate(prompt, options);
+            for (let index = 0; index < text.length; index += STREAM_CHUNK_LENGTH) {
+                await new Promise(resolve => setTimeout(resolve, streamDelayMs));
+                if (options.signal) options.signal.throwIfAborted();
+                yield text.slice(index, index + STREAM_CHUNK_LENGTH);
+            }
+        },
+        async generate(prompt, { task = 'default', audio } = {}) {
+            const candidates = responses[task] || responses.default;
+            if (!candidates || candidates.length === 0) {
+                throw new Error(`Mock provider has no canned response for task "${task}"`);
+            }
+
+            const hash = crypto.createHash('sha256').update(prompt);
+            if (audio) hash.update(audio.data);
+            const index = hash.digest().readUInt32BE(0) % candidates.length;
+
+            const response = candidates[index];
+            return typeof response === 'string' ? response : '```json\n' + JSON.stringify(response, null, 2) + '\n```';
+        }
+    };
+}
@@ -0,0 +1,80 @@
+// OpenAI-compatible chat completions provider
+//
+// Works with any server implementing POST /chat/completions, including local
+// ones such as llama.cpp (`llama-server`) and Ollama (`http://localhost:11434/v1`).
+
+export function createOpenAIProvider({ baseUrl = 'http://localhost:11434/v1', apiKey, model }) {
+    if (!model) {
+        console.warn('⚠️  WARNING: OPENAI_MODEL not set, OpenAI-compatible provider disabled');
+        return null;
+    }
+
+    const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+    async function complete(prompt, { audio, signal, stream }) {
+        if (audio) {
+            throw new Error('OpenAI-compatible provider does not support audio input');
+        }
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (apiKey) {
+            headers.Authorization = `Bearer ${apiKey}`;
+        }
+
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                model,
+                messages: [{ role: 'user', content: prompt }],
+                temperature: 0.2,
+                stream
+            }),
+            signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`OpenAI-compatible server responded with ${response.status}`);
+        }
+        return response;
+    }
+
+    return {
+        name: 'openai',
+        model,
+        // Chat completion servers do not accept browser-recorded webm audio
+        supportsAudio: false,
+        async generate(prompt, { audio, signal } = {}) {
+            const response = await complete(prompt, { audio, signal, stream: false });
+            const data = await response.json();
+            const content = data.choices && data.choices[0] && data.choices[0].message
+                ? data.choices[0].message.content
+                : null;
+
+            if (typeof content !== 'string') {
+                throw new Error('OpenAI-compatible server returned no message content');
+            }
+            return content;
+        },
+        // Streamed completions arrive as SSE lines: `data: {chunk}` ... `data: [DONE]`
+        async *generateStream(prompt, { audio, signal } = {}) {
+            const response = await complete(prompt, { audio, signal, stream: true });
+            const decoder = new TextDecoder();
+            let buffer = '';
+
+            for await (const bytes of response.body) {
+                buffer += decoder.decode(bytes, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+
+                for (const line of lines) {
+                    const data = line.replace(/^data:\s*/, '').trim();
+                    if (!line.startsWith('data:') || !data || data === '[DONE]') continue;
+
+                    const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+                    if (delta) yield delta;
+                }
+            }
+        }
+    };
+}
@@ -0,0 +1,224 @@
+// Request validation from the OpenAPI document
+//
+// Each /api/v1 operation's parameters and request body are checked against the
+// schemas in the published document, so what the server accepts cannot drift
+// from what integrators read. Only the JSON Schema the document uses is
+// supported: $ref, type, nullable, enum, minimum/maximum, minLength/maxLength,
+// pattern, format: binary, items, minItems/maxItems, properties, required,
+// additionalProperties and default.
+
+const TYPE_NAMES = {
+    string: 'a string',
+    number: 'a number',
+    integer: 'an integer',
+    boolean: 'a boolean',
+    object: 'an object',
+    array: 'an array'
+};
+
+// Follow local references ("#/components/schemas/...") within the document
+export function resolveRef(document, node) {
+    let resolved = node;
+    while (resolved && resolved.$ref) {
+        resolved = resolved.$ref
+            .replace(/^#\//, '')
+            .split('/')
+            .reduce((parent, key) => parent[key], document);
+    }
+    return resolved;
+}
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return typeof value === 'object' && value !== null && !Array.isArray(value);
+        default:
+            return typeof value === type;
+    }
+}
+
+// Query, path and multipart values are strings: "7" → 7, "true" → true,
+// '{"wordsPerMinute":140}' → object. Anything else is left for the type check.
+function fromString(value, type) {
+    if (typeof value !== 'string') return value;
+
+    switch (type) {
+        case 'number':
+        case 'integer':
+            return value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : value;
+        case 'boolean':
+            if (value === 'true') return true;
+            if (value === 'false') return false;
+            return value;
+        case 'object':
+        case 'array':
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                return value;
+            }
+        default:
+            return value;
+    }
+}
+
+/**
+ * Validate `value` against a JSON Schema node of `document`.
+ * Returns { value, issues } with defaults applied; issues are "path: problem"
+ * strings, as in validation.js.
+ */
+export function validateSchema(document, value, node, path = '$') {
+    const schema = resolveRef(document, node);
+
+    if (value === undefined) {
+        return { value: schema.default !== undefined ? structuredClone(schema.default) : undefined, issues: [] };
+    }
+    if (value === null) {
+        return { value, issues: schema.nullable ? [] : [`${path}: must not be null`] };
+    }
+
+    // Uploaded files, as multer provides them
+    if (schema.format === 'binary') {
+        const isFile = typeof value === 'object' && Buffer.isBuffer(value.buffer);
+        return { value, issues: isFile ? [] : [`${path}: must be a file upload`] };
+    }
+
+    if (schema.type && !matchesType(value, schema.type)) {
+        return { value, issues: [`${path}: expected ${TYPE_NAMES[schema.type]}`] };
+    }
+
+    const issues = [];
+    if (schema.enum && !schema.enum.includes(value)) {
+        issues.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            issues.push(`${path}: must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            issues.push(`${path}: must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            issues.push(schema.minLength === 1
+                ? `${path}: must not be empty`
+                : `${path}: must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            issues.push(`${path}: must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            issues.push(`${path}: must match ${schema.pattern}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            issues.push(`${path}: must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            issues.push(`${path}: must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            const items = value.map((item, index) => {
+                const element = validateSchema(document, item, schema.items, `${path}[${index}]`);
+                issues.push(...element.issues);
+                return element.value;
+            });
+            return { value: items, issues };
+        }
+        return { value, issues };
+    }
+
+    if (matchesType(value, 'object') && (schema.properties || schema.additionalProperties !== undefined)) {
+        const properties = schema.properties || {};
+        const required = schema.required || [];
+        const result = {};
+
+        Object.entries(properties).forEach(([key, propertySchema]) => {
+            if (value[key] === undefined && required.includes(key)) {
+                issues.push(`${path}.${key}: is required`);
+                return;
+            }
+            const property = validateSchema(document, value[key], propertySchema, `${path}.${key}`);
+            issues.push(...property.issues);
+            if (property.value !== undefined) result[key] = property.value;
+        });
+
+        Object.keys(value).filter(key => !(key in properties)).forEach(key => {
+            if (schema.additionalProperties === false) {
+                issues.push(`${path}.${key}: is not allowed`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                const property = validateSchema(document, value[key], schema.additionalProperties, `${path}.${key}`);
+                issues.push(...property.issues);
+                result[key] = property.value;
+            } else {
+                result[key] = value[key];
+            }
+        });
+        return { value: result, issues };
+    }
+
+    return { value, issues };
+}
+
+// Form fields converted to their schema types, with the uploaded file under its field name
+function formFields(document, req, schema) {
+    const fields = { ...req.body };
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+        fields[key] = fromString(fields[key], resolveRef(document, propertySchema).type);
+    });
+    if (req.file) fields[req.file.fieldname] = req.file;
+    return fields;
+}
+
+/**
+ * Validator for one operation of `document`: a function of the request giving
+ * { params, query, body, issues } with values converted and defaults applied.
+ * Paths in issues start with where the value came from (path., query., body.).
+ */
+export function compileOperation(document, operation) {
+    const parameters = (operation.parameters || []).map(parameter => resolveRef(document, parameter));
+    const requestBody = operation.requestBody ? resolveRef(document, operation.requestBody) : null;
+    const [mediaType, media] = requestBody ? Object.entries(requestBody.content)[0] : [];
+    const bodySchema = media ? resolveRef(document, media.schema) : null;
+
+    return (req) => {
+        const issues = [];
+        const result = { params: {}, query: {}, body: undefined, issues };
+
+        parameters.forEach(parameter => {
+            const source = parameter.in === 'path' ? req.params : req.query;
+            const target = parameter.in === 'path' ? result.params : result.query;
+            const path = `${parameter.in}.${parameter.name}`;
+            const schema = resolveRef(document, parameter.schema);
+            const raw = source[parameter.name] === '' ? undefined : source[parameter.name];
+
+            if (raw === undefined && parameter.required) {
+                issues.push(`${path}: is required`);
+                return;
+            }
+            const checked = validateSchema(document, fromString(raw, schema.type), schema, path);
+            issues.push(...checked.issues);
+            if (checked.value !== undefined) target[parameter.name] = checked.value;
+        });
+
+        if (bodySchema) {
+            const body = mediaType === 'multipart/form-data' ? formFields(document, req, bodySchema) : req.body;
+            const checked = validateSchema(document, body === undefined ? {} : body, bodySchema, 'body');
+            issues.push(...checked.issues);
+            result.body = checked.value;
+        }
+
+        return result;
+    };
+}
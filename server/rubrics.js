@@ -0,0 +1,366 @@
+// Scoring rubrics
+//
+// A rubric is data: named criteria with weights, a score scale, descriptors
+// of what each level looks like and per-mode penalties. Built-in rubrics ship
+// in rubric-library.json; custom ones are stored in rubrics.json and managed
+// through the CRUD routes. The evaluation routes build their prompt, response
+// schema and weighted total from the selected rubric.
+import express from 'express';
+import fs from 'fs';
+import { JsonStore, createId } from './store.js';
+import { number, object } from './validation.js';
+import { requireAuth } from './auth.js';
+
+export const MODES = ['Human Face + Voice', 'Only Voice', 'No Voice'];
+export const DEFAULT_RUBRIC_ID = 'default';
+// Every rubric scores these; they drive the score bars and session history
+export const REQUIRED_CRITERIA = ['clarity', 'confidence'];
+
+const MAX_CRITERIA = 10;
+const MAX_SCALE = 100;
+// Response fields a criterion key must not shadow
+const RESERVED_KEYS = ['analysis', 'clarityFeedback', 'confidenceFeedback', 'markers', 'scores', 'total', 'rubric'];
+
+// Keys are looked up in plain objects, where "constructor" or "toString" would
+// find Object.prototype's methods
+function isReservedKey(key) {
+    return RESERVED_KEYS.includes(key) || key in Object.prototype;
+}
+
+// Scored (but not weighted into the total) when the session follows a practice prompt
+const PROMPT_CRITERIA = [
+    {
+        key: 'relevance',
+        name: 'Relevance',
+        weight: 0,
+        description: 'How well does the speech address the practice prompt?',
+        descriptors: []
+    },
+    {
+        key: 'structure',
+        name: 'Structure',
+        weight: 0,
+        description: 'How well is it organized for this task (clear opening, body and close; or a faithful, complete reading)?',
+        descriptors: []
+    }
+];
+
+const library = JSON.parse(fs.readFileSync(new URL('./rubric-library.json', import.meta.url), 'utf8'))
+    .map(rubric => ({ ...rubric, builtIn: true }));
+
+export const rubricStore = new JsonStore('rubrics.json', { rubrics: [] });
+
+export async function listRubrics() {
+    const { rubrics } = await rubricStore.read();
+    return [...library, ...rubrics];
+}
+
+// The built-in rubrics and, for a signed-in user, their own
+export async function listVisibleRubrics(user) {
+    const { rubrics } = await rubricStore.read();
+    return [...library, ...(user ? rubrics.filter(rubric => rubric.ownerId === user.id) : [])];
+}
+
+export async function getRubric(id = DEFAULT_RUBRIC_ID) {
+    return (await listRubrics()).find(rubric => rubric.id === id) || null;
+}
+
+function round(value, digits = 1) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+function isText(value, maxLength) {
+    return typeof value === 'string' && value.trim().length > 0 && value.trim().length <= maxLength;
+}
+
+/**
+ * Check a rubric from a request body.
+ * Returns { rubric } with only the known fields, or { errors }.
+ */
+export function validateRubric(input) {
+    const errors = [];
+    if (!input || typeof input !== 'object') return { errors: ['rubric must be an object'] };
+
+    if (!isText(input.name, 100)) errors.push('name is required (up to 100 characters)');
+    if (input.description !== undefined && typeof input.description !== 'string') {
+        errors.push('description must be a string');
+    }
+
+    const scale = input.scale === undefined ? { min: 0, max: 10 } : input.scale;
+    const scaleValid = scale && Number.isInteger(scale.min) && Number.isInteger(scale.max) &&
+        scale.min >= 0 && scale.max > scale.min && scale.max <= MAX_SCALE;
+    if (!scaleValid) errors.push(`scale must be { min, max } integers with 0 <= min < max <= ${MAX_SCALE}`);
+
+    const criteria = Array.isArray(input.criteria) ? input.criteria : [];
+    if (criteria.length === 0 || criteria.length > MAX_CRITERIA) {
+        errors.push(`criteria must list 1-${MAX_CRITERIA} criteria`);
+    }
+
+    const keys = new Set();
+    criteria.forEach((criterion, index) => {
+        const path = `criteria[${index}]`;
+        if (!criterion || typeof criterion !== 'object') {
+            errors.push(`${path} must be an object`);
+            return;
+        }
+        if (typeof criterion.key !== 'string' || !/^[a-z][a-zA-Z0-9]{0,31}$/.test(criterion.key)) {
+            errors.push(`${path}.key must be a camelCase identifier`);
+        } else if (isReservedKey(criterion.key)) {
+            errors.push(`${path}.key "${criterion.key}" is reserved`);
+        } else if (keys.has(criterion.key)) {
+            errors.push(`${path}.key "${criterion.key}" is used twice`);
+        }
+        keys.add(criterion.key);
+
+        if (!isText(criterion.name, 60)) errors.push(`${path}.name is required`);
+        if (!isText(criterion.description, 500)) errors.push(`${path}.description is required`);
+        if (!(typeof criterion.weight === 'number' && Number.isFinite(criterion.weight) && criterion.weight >= 0)) {
+            errors.push(`${path}.weight must be a number >= 0`);
+        }
+
+        const descriptors = criterion.descriptors === undefined ? [] : criterion.descriptors;
+        if (!Array.isArray(descriptors)) {
+            errors.push(`${path}.descriptors must be an array`);
+        } else if (scaleValid) {
+            descriptors.forEach((descriptor, i) => {
+                const inScale = descriptor && typeof descriptor.score === 'number' &&
+                    descriptor.score >= scale.min && descriptor.score <= scale.max;
+                if (!inScale || !isText(descriptor.text, 300)) {
+                    errors.push(`${path}.descriptors[${i}] must be { score within the scale, text }`);
+                }
+            });
+        }
+    });
+
+    REQUIRED_CRITERIA.forEach(key => {
+        if (!keys.has(key)) errors.push(`criteria must include "${key}"`);
+    });
+    if (criteria.every(criterion => !(criterion && criterion.weight > 0))) {
+        errors.push('at least one criterion needs a weight above 0');
+    }
+
+    // { mode: { criterionKey | "*": multiplier 0-1 } }
+    const modePenalties = input.modePenalties === undefined ? {} : input.modePenalties;
+    if (!modePenalties || typeof modePenalties !== 'object' || Array.isArray(modePenalties)) {
+        errors.push('modePenalties must be an object');
+    } else {
+        Object.entries(modePenalties).forEach(([mode, multipliers]) => {
+            if (!MODES.includes(mode)) {
+                errors.push(`modePenalties: unknown mode "${mode}" (use ${MODES.join(', ')})`);
+                return;
+            }
+            if (!multipliers || typeof multipliers !== 'object' || Array.isArray(multipliers)) {
+                errors.push(`modePenalties.${mode} must be an object of multipliers`);
+                return;
+            }
+            Object.entries(multipliers).forEach(([key, factor]) => {
+                if (key !== '*' && !keys.has(key)) errors.push(`modePenalties.${mode}: unknown criterion "${key}"`);
+                if (!(typeof factor === 'number' && factor >= 0 && factor <= 1)) {
+                    errors.push(`modePenalties.${mode}.${key} must be a multiplier between 0 and 1`);
+                }
+            });
+        });
+    }
+
+    if (errors.length > 0) return { errors };
+
+    return {
+        rubric: {
+            name: input.name.trim(),
+            description: (input.description || '').trim(),
+            scale: { min: scale.min, max: scale.max },
+            criteria: criteria.map(criterion => ({
+                key: criterion.key,
+                name: criterion.name.trim(),
+                weight: criterion.weight,
+                description: criterion.description.trim(),
+                descriptors: (criterion.descriptors || [])
+                    .map(descriptor => ({ score: descriptor.score, text: descriptor.text.trim() }))
+                    .sort((a, b) => b.score - a.score)
+            })),
+            modePenalties
+        }
+    };
+}
+
+// Criteria to score: the rubric's, plus the prompt-based ones it does not already cover
+export function rubricCriteria(rubric, { withPrompt = false } = {}) {
+    if (!withPrompt) return rubric.criteria;
+    const keys = new Set(rubric.criteria.map(criterion => criterion.key));
+    return [...rubric.criteria, ...PROMPT_CRITERIA.filter(criterion => !keys.has(criterion.key))];
+}
+
+/**
+ * Prompt text for a rubric: `criteria` (numbered, with descriptors), `rules`
+ * (the mode penalties, applied by the server afterwards) and `fields` (score
+ * lines for the JSON response format).
+ */
+export function rubricSections(rubric, criteria) {
+    const { min, max } = rubric.scale;
+    const names = Object.fromEntries(criteria.map(criterion => [criterion.key, criterion.name]));
+
+    const criteriaText = criteria.map((criterion, index) => {
+        const descriptors = criterion.descriptors.map(descriptor => `\n   - ${descriptor.score}: ${descriptor.text}`).join('');
+        return `${index + 1}. **${criterion.name} (${min}-${max})**: ${criterion.description}${descriptors}`;
+    }).join('\n');
+
+    const penalties = Object.entries(rubric.modePenalties || {}).map(([mode, multipliers]) => {
+        const parts = Object.entries(multipliers).map(([key, factor]) =>
+            factor === 0
+                ? `${key === '*' ? 'every score' : names[key]} is ${min}`
+                : `${key === '*' ? 'every score' : names[key]} × ${factor}`);
+        return `- ${mode}: ${parts.join(', ')}`;
+    });
+    const rules = penalties.length > 0
+        ? `Score what you observe. These penalties for a missing camera or microphone are applied automatically afterwards, so do not apply them yourself:\n${penalties.join('\n')}`
+        : 'Score what you observe.';
+
+    const fields = criteria.map(criterion => `\n  "${criterion.key}": <number ${min}-${max}>,`).join('');
+
+    return { criteria: criteriaText, rules, fields };
+}
+
+// Response schema: `base` with one score per criterion on the rubric's scale
+export function rubricSchema(base, rubric, criteria) {
+    const scores = Object.fromEntries(criteria.map(criterion =>
+        [criterion.key, number({ min: rubric.scale.min, max: rubric.scale.max })]));
+    return object({ ...base.properties, ...scores });
+}
+
+// One criterion's score, clamped to the scale with the mode penalty applied
+export function penalizedScore(key, value, mode, rubric) {
+    const { min, max } = rubric.scale;
+    const modePenalties = rubric.modePenalties || {};
+    const penalties = Object.hasOwn(modePenalties, mode) ? modePenalties[mode] : {};
+    const clamped = Math.min(max, Math.max(min, value));
+    const factor = Object.hasOwn(penalties, key) ? penalties[key] : penalties['*'] ?? 1;
+    return factor === 1 ? clamped : Math.round(min + (clamped - min) * factor);
+}
+
+/**
+ * Apply the mode penalties and compute the weighted total.
+ * `scores` and `total` are on the rubric's scale.
+ */
+export function scoreWithRubric(evaluation, mode, rubric, criteria) {
+    const scores = {};
+    criteria.forEach(({ key }) => {
+        scores[key] = penalizedScore(key, evaluation[key], mode, rubric);
+    });
+
+    const weighted = rubric.criteria.filter(criterion => criterion.weight > 0);
+    const totalWeight = weighted.reduce((sum, criterion) => sum + criterion.weight, 0);
+    const total = weighted.reduce((sum, criterion) => sum + scores[criterion.key] * criterion.weight, 0) / totalWeight;
+
+    return { scores, total: round(total) };
+}
+
+// A score on the rubric's scale as 0-10, for the fields the app always shows
+export function toTenPointScale(value, scale) {
+    return round(((value - scale.min) / (scale.max - scale.min)) * 10);
+}
+
+// What clients see of the rubric used for an evaluation
+export function rubricSummary(rubric) {
+    return {
+        id: rubric.id,
+        name: rubric.name,
+        scale: rubric.scale,
+        criteria: rubric.criteria.map(({ key, name, weight }) => ({ key, name, weight }))
+    };
+}
+
+export function createRubricsRouter() {
+    const router = express.Router();
+
+    // Custom rubrics can only be changed by whoever created them
+    const loadOwnRubric = async (req, res) => {
+        const rubric = await getRubric(req.params.id);
+        if (!rubric) {
+            res.status(404).json({ success: false, error: 'Rubric not found' });
+            return null;
+        }
+        if (rubric.builtIn || rubric.ownerId !== req.user.id) {
+            res.status(403).json({
+                success: false,
+                error: rubric.builtIn ? 'Built-in rubrics cannot be changed' : 'Only the creator can change this rubric'
+            });
+            return null;
+        }
+        return rubric;
+    };
+
+    // Other people's custom rubrics are not listed; an evaluation that used
+    // one can still fetch it by id
+    router.get('/rubrics', async (req, res, next) => {
+        try {
+            res.json({ success: true, rubrics: await listVisibleRubrics(req.user) });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    router.get('/rubrics/:id', async (req, res, next) => {
+        try {
+            const rubric = await getRubric(req.params.id);
+            if (!rubric) {
+                return res.status(404).json({ success: false, error: 'Rubric not found' });
+            }
+            res.json({ success: true, rubric });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    router.post('/rubrics', requireAuth, async (req, res, next) => {
+        try {
+            const { rubric, errors } = validateRubric(req.body);
+            if (errors) {
+                return res.status(400).json({ success: false, error: 'Invalid rubric', issues: errors });
+            }
+
+            const now = new Date().toISOString();
+            const created = { id: createId(), ...rubric, ownerId: req.user.id, createdAt: now, updatedAt: now };
+            await rubricStore.update(data => data.rubrics.push(created));
+
+            res.status(201).json({ success: true, rubric: created });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    router.put('/rubrics/:id', requireAuth, async (req, res, next) => {
+        try {
+            if (!(await loadOwnRubric(req, res))) return;
+
+            const { rubric, errors } = validateRubric(req.body);
+            if (errors) {
+                return res.status(400).json({ success: false, error: 'Invalid rubric', issues: errors });
+            }
+
+            const updated = await rubricStore.update(data => {
+                const found = data.rubrics.find(item => item.id === req.params.id);
+                Object.assign(found, rubric, { updatedAt: new Date().toISOString() });
+                return found;
+            });
+            res.json({ success: true, rubric: updated });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    router.delete('/rubrics/:id', requireAuth, async (req, res, next) => {
+        try {
+            if (!(await loadOwnRubric(req, res))) return;
+
+            await rubricStore.update(data => {
+                data.rubrics = data.rubrics.filter(item => item.id !== req.params.id);
+            });
+            res.json({ success: true });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,498 @@
+// Practice session history
+//
+// Persists sessions and their evaluations so learners can track progress
+// across visits. Sessions are grouped by `userId`: the signed-in account, or
+// a client-provided browser id for anonymous practice. Assigned coaches can
+// read a learner's sessions, comment on evaluations and override scores.
+import express from 'express';
+import { JsonStore, createId } from './store.js';
+import { accessLevel, listLearners, requireAuth, requireRole } from './auth.js';
+
+export const sessionStore = new JsonStore('sessions.json', { sessions: [] });
+
+export const SCORE_FIELDS = ['clarity', 'confidence', 'relevance', 'structure'];
+const MAX_COMMENT_LENGTH = 2000;
+
+// A coach's override wins over the AI score
+export function effectiveScore(evaluation, key) {
+    const override = evaluation.override && evaluation.override[key];
+    return typeof override === 'number' ? override : evaluation[key];
+}
+
+// Evaluations are weighted by the seconds of practice they cover (1 when unknown)
+function weightedAverage(evaluations, key) {
+    const totalWeight = evaluations.reduce((sum, evaluation) => sum + (evaluation.weight || 1), 0);
+    if (totalWeight === 0) return null;
+    const avg = evaluations.reduce((sum, evaluation) => sum + effectiveScore(evaluation, key) * (evaluation.weight || 1), 0) / totalWeight;
+    return Math.round(avg * 10) / 10;
+}
+
+function isScore(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 10;
+}
+
+// Optional { index, start, end } auto-evaluation window, in seconds from the session start
+function isWindow(value) {
+    return !!value && typeof value === 'object' &&
+        Number.isInteger(value.index) && value.index >= 0 &&
+        typeof value.start === 'number' && typeof value.end === 'number' &&
+        value.start >= 0 && value.end > value.start;
+}
+
+// Optional rubric result: the rubric's weighted total and per-criterion scores, on its own scale
+function isRubricResult(rubricId, scores, total) {
+    return typeof rubricId === 'string' && rubricId.length > 0 &&
+        typeof total === 'number' && Number.isFinite(total) &&
+        !!scores && typeof scores === 'object' && !Array.isArray(scores) &&
+        Object.values(scores).every(value => typeof value === 'number' && Number.isFinite(value));
+}
+
+// Parse an optional ISO date query parameter; `undefined` when absent, `null` when invalid
+function parseDate(value) {
+    if (value === undefined || value === '') return undefined;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+export function summarizeSession(session) {
+    return {
+        id: session.id,
+        userId: session.userId,
+        promptId: session.promptId || null,
+        startedAt: session.startedAt,
+        endedAt: session.endedAt,
+        duration: session.duration,
+        evaluationCount: session.evaluations.length,
+        avgClarity: weightedAverage(session.evaluations, 'clarity'),
+        avgConfidence: weightedAverage(session.evaluations, 'confidence')
+    };
+}
+
+/**
+ * When an evaluation's speech was recorded: the client's recordedAt (sent for
+ * recordings that waited in the offline queue), otherwise when its session
+ * started. Trends are dated and filtered by this, not by when it was saved.
+ */
+export function recordedAt(session, evaluation) {
+    return evaluation.recordedAt || session.startedAt;
+}
+
+function inRange(date, from, to) {
+    const time = new Date(date);
+    return (!from || time >= from) && (!to || time <= to);
+}
+
+// Sessions for one user, optionally limited to a [from, to] date range: those
+// that started in it or hold an evaluation recorded in it
+export async function querySessions({ userId, from, to }) {
+    const { sessions } = await sessionStore.read();
+
+    return sessions
+        .filter(session => session.userId === userId)
+        .filter(session => inRange(session.startedAt, from, to) ||
+            session.evaluations.some(evaluation => inRange(recordedAt(session, evaluation), from, to)))
+        .sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+}
+
+// Per-day weighted averages across the evaluations in the given sessions,
+// by the day they were recorded; with from/to, only those recorded in range
+export function buildTrend(sessions, { from, to } = {}) {
+    const days = new Map();
+
+    sessions.forEach(session => {
+        session.evaluations.forEach(evaluation => {
+            const recorded = recordedAt(session, evaluation);
+            if (!inRange(recorded, from, to)) return;
+
+            const date = recorded.slice(0, 10);
+            if (!days.has(date)) {
+                days.set(date, { date, sessions: new Set(), evaluations: [] });
+            }
+            const day = days.get(date);
+            day.sessions.add(session.id);
+            day.evaluations.push(evaluation);
+        });
+    });
+
+    return [...days.values()]
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .map(day => ({
+            date: day.date,
+            sessions: day.sessions.size,
+            evaluations: day.evaluations.length,
+            avgClarity: weightedAverage(day.evaluations, 'clarity'),
+            avgConfidence: weightedAverage(day.evaluations, 'confidence')
+        }));
+}
+
+/**
+ * `notify(userId, type, data)` is told when an evaluation is saved
+ * ('evaluation.completed', { sessionId, evaluation }) and when a session is
+ * first marked finished ('session.finished', { session }).
+ */
+export function createSessionsRouter({ notify = () => {} } = {}) {
+    const router = express.Router();
+
+    const denyAccess = (req, res) => res.status(req.user ? 403 : 401).json({
+        success: false,
+        error: req.user ? 'You do not have access to this learner' : 'Sign in required'
+    });
+
+    // Load a session the requester can use, or send the error and return null.
+    // `allowed` lists the access levels that may continue.
+    const loadSession = async (req, res, allowed) => {
+        const { sessions } = await sessionStore.read();
+        const session = sessions.find(item => item.id === req.params.id);
+
+        if (!session) {
+            res.status(404).json({ success: false, error: 'Session not found' });
+            return null;
+        }
+        const level = await accessLevel(req.user, session.userId);
+        if (!allowed.includes(level)) {
+            denyAccess(req, res);
+            return null;
+        }
+        return { session, level };
+    };
+
+    const findEvaluation = (session, req, res) => {
+        const evaluation = session.evaluations.find(item => item.id === req.params.evaluationId);
+        if (!evaluation) {
+            res.status(404).json({ success: false, error: 'Evaluation not found' });
+        }
+        return evaluation;
+    };
+
+    // Validate the userId/from/to query shared by the listing routes;
+    // signed-in users default to their own history
+    const parseHistoryQuery = async (req, res) => {
+        const userId = req.query.userId || (req.user && req.user.id);
+        const from = parseDate(req.query.from);
+        const to = parseDate(req.query.to);
+
+        if (!userId) {
+            res.status(400).json({ success: false, error: 'userId is required' });
+            return null;
+        }
+        if (from === null || to === null) {
+            res.status(400).json({ success: false, error: 'from/to must be valid dates' });
+            return null;
+        }
+        if (!(await accessLevel(req.user, userId))) {
+            denyAccess(req, res);
+            return null;
+        }
+        return { userId, from, to };
+    };
+
+    // Start a new practice session
+    router.post('/sessions', async (req, res, next) => {
+        try {
+            const { promptId, startedAt } = req.body;
+            const userId = req.user ? req.user.id : req.body.userId;
+            if (!userId || typeof userId !== 'string') {
+                return res.status(400).json({ success: false, error: 'userId is required' });
+            }
+            // Recordings uploaded after the fact keep the time they were made
+            // (a client clock running ahead is clamped to now)
+            const now = new Date();
+            const started = startedAt === undefined ? now : new Date(startedAt);
+            if (Number.isNaN(started.getTime())) {
+                return res.status(400).json({ success: false, error: 'startedAt must be a date' });
+            }
+            if ((await accessLevel(req.user, userId)) !== 'owner') {
+                return denyAccess(req, res);
+            }
+
+            const session = {
+                id: createId(),
+                userId,
+                promptId: promptId || null,
+                startedAt: (started > now ? now : started).toISOString(),
+                endedAt: null,
+                duration: 0,
+                evaluations: []
+            };
+            await sessionStore.update(data => data.sessions.push(session));
+
+            res.status(201).json({ success: true, session: summarizeSession(session) });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Mark a session as finished
+    router.patch('/sessions/:id', async (req, res, next) => {
+        try {
+            if (!(await loadSession(req, res, ['owner']))) return;
+            const duration = Number(req.body.duration);
+            let finished = false;
+
+            const session = await sessionStore.update(data => {
+                const found = data.sessions.find(item => item.id === req.params.id);
+                if (found) {
+                    finished = !found.endedAt;
+                    found.endedAt = new Date().toISOString();
+                    if (Number.isFinite(duration) && duration >= 0) found.duration = duration;
+                }
+                return found;
+            });
+
+            if (!session) {
+                return res.status(404).json({ success: false, error: 'Session not found' });
+            }
+            if (finished) {
+                notify(session.userId, 'session.finished', { session: summarizeSession(session) });
+            }
+            res.json({ success: true, session: summarizeSession(session) });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Record an evaluation in a session
+    router.post('/sessions/:id/evaluations', async (req, res, next) => {
+        try {
+            const {
+                clarity, confidence, relevance, structure,
+                mode, clarityFeedback, confidenceFeedback, analysis, features,
+                window, weight, rubricId, scores, total, recordedAt: recordedAtInput
+            } = req.body;
+
+            if (!(await loadSession(req, res, ['owner']))) return;
+
+            if (!isScore(clarity) || !isScore(confidence)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'clarity and confidence must be numbers between 0 and 10'
+                });
+            }
+            if ((relevance !== undefined && !isScore(relevance)) || (structure !== undefined && !isScore(structure))) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'relevance and structure must be numbers between 0 and 10'
+                });
+            }
+            if (window !== undefined && !isWindow(window)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'window must be { index, start, end } with end after start'
+                });
+            }
+            if (weight !== undefined && !(typeof weight === 'number' && Number.isFinite(weight) && weight > 0)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'weight must be a positive number'
+                });
+            }
+            if (rubricId !== undefined && !isRubricResult(rubricId, scores, total)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'rubricId needs a numeric total and scores object'
+                });
+            }
+            // As with startedAt, a client clock running ahead is clamped to now
+            const now = new Date();
+            const recorded = parseDate(recordedAtInput);
+            if (recorded === null) {
+                return res.status(400).json({ success: false, error: 'recordedAt must be a date' });
+            }
+
+            const evaluation = {
+                id: createId(),
+                createdAt: now.toISOString(),
+                recordedAt: recorded ? (recorded > now ? now : recorded).toISOString() : null,
+                clarity,
+                confidence,
+                relevance: relevance ?? null,
+                structure: structure ?? null,
+                mode: mode || null,
+                clarityFeedback: clarityFeedback || null,
+                confidenceFeedback: confidenceFeedback || null,
+                analysis: analysis || null,
+                features: features || null,
+                window: window ? { index: window.index, start: window.start, end: window.end } : null,
+                weight: weight ?? 1,
+                rubricId: rubricId ?? null,
+                scores: rubricId ? scores : null,
+                total: rubricId ? total : null
+            };
+
+            const session = await sessionStore.update(data => {
+                const found = data.sessions.find(item => item.id === req.params.id);
+                if (found) found.evaluations.push(evaluation);
+                return found;
+            });
+
+            if (!session) {
+                return res.status(404).json({ success: false, error: 'Session not found' });
+            }
+            notify(session.userId, 'evaluation.completed', { sessionId: session.id, evaluation });
+            res.status(201).json({ success: true, evaluation });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // List a user's sessions, optionally within a date range
+    router.get('/sessions', async (req, res, next) => {
+        try {
+            const query = await parseHistoryQuery(req, res);
+            if (!query) return;
+
+            const sessions = await querySessions(query);
+            res.json({ success: true, sessions: sessions.map(summarizeSession) });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Full session including every evaluation
+    router.get('/sessions/:id', async (req, res, next) => {
+        try {
+            const found = await loadSession(req, res, ['owner', 'coach']);
+            if (!found) return;
+
+            const { session } = found;
+            res.json({ success: true, session: { ...summarizeSession(session), evaluations: session.evaluations } });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Daily clarity/confidence trend for the history charts
+    router.get('/history', async (req, res, next) => {
+        try {
+            const query = await parseHistoryQuery(req, res);
+            if (!query) return;
+
+            const sessions = await querySessions(query);
+            const trend = buildTrend(sessions, query);
+            res.json({
+                success: true,
+                totalSessions: sessions.length,
+                totalEvaluations: trend.reduce((sum, day) => sum + day.evaluations, 0),
+                trend
+            });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Comment on an evaluation; `time` is seconds into the session recording
+    router.post('/sessions/:id/evaluations/:evaluationId/comments', requireAuth, async (req, res, next) => {
+        try {
+            const found = await loadSession(req, res, ['owner', 'coach']);
+            if (!found || !findEvaluation(found.session, req, res)) return;
+
+            const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+            const { time } = req.body;
+            if (!text || text.length > MAX_COMMENT_LENGTH) {
+                return res.status(400).json({
+                    success: false,
+                    error: `text is required (up to ${MAX_COMMENT_LENGTH} characters)`
+                });
+            }
+            if (time !== undefined && time !== null && !(typeof time === 'number' && Number.isFinite(time) && time >= 0)) {
+                return res.status(400).json({ success: false, error: 'time must be a number of seconds' });
+            }
+
+            const comment = {
+                id: createId(),
+                authorId: req.user.id,
+                authorName: req.user.name,
+                authorRole: found.level === 'coach' ? 'coach' : req.user.role,
+                text,
+                time: time ?? null,
+                createdAt: new Date().toISOString()
+            };
+
+            await sessionStore.update(() => {
+                const evaluation = found.session.evaluations.find(item => item.id === req.params.evaluationId);
+                evaluation.comments = [...(evaluation.comments || []), comment];
+            });
+            res.status(201).json({ success: true, comment });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Coach score override; the AI scores are kept alongside it
+    router.put('/sessions/:id/evaluations/:evaluationId/override', requireRole('coach'), async (req, res, next) => {
+        try {
+            const found = await loadSession(req, res, ['coach']);
+            if (!found || !findEvaluation(found.session, req, res)) return;
+
+            const scores = {};
+            for (const field of SCORE_FIELDS) {
+                const value = req.body[field];
+                if (value === undefined || value === null) continue;
+                if (!isScore(value)) {
+                    return res.status(400).json({ success: false, error: `${field} must be a number between 0 and 10` });
+                }
+                scores[field] = value;
+            }
+            if (Object.keys(scores).length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Provide at least one of: ${SCORE_FIELDS.join(', ')}`
+                });
+            }
+
+            const override = {
+                ...scores,
+                note: typeof req.body.note === 'string' ? req.body.note.trim() || null : null,
+                coachId: req.user.id,
+                coachName: req.user.name,
+                updatedAt: new Date().toISOString()
+            };
+
+            await sessionStore.update(() => {
+                const evaluation = found.session.evaluations.find(item => item.id === req.params.evaluationId);
+                evaluation.override = override;
+            });
+            res.json({ success: true, override });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    router.delete('/sessions/:id/evaluations/:evaluationId/override', requireRole('coach'), async (req, res, next) => {
+        try {
+            const found = await loadSession(req, res, ['coach']);
+            if (!found || !findEvaluation(found.session, req, res)) return;
+
+            await sessionStore.update(() => {
+                const evaluation = found.session.evaluations.find(item => item.id === req.params.evaluationId);
+                delete evaluation.override;
+            });
+            res.json({ success: true });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // A coach's learners with a summary of their practice
+    router.get('/coach/learners', requireRole('coach'), async (req, res, next) => {
+        try {
+            const { sessions } = await sessionStore.read();
+            const learners = (await listLearners(req.user)).map(learner => {
+                const own = sessions.filter(session => session.userId === learner.id);
+                const evaluations = own.flatMap(session => session.evaluations);
+                return {
+                    ...learner,
+                    sessionCount: own.length,
+                    lastSessionAt: own.length > 0 ? own.map(session => session.startedAt).sort().pop() : null,
+                    avgClarity: weightedAverage(evaluations, 'clarity'),
+                    avgConfidence: weightedAverage(evaluations, 'confidence')
+                };
+            });
+            res.json({ success: true, learners });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,63 @@
+// JSON file store
+//
+// Small persistence layer for server-side data. Each store is one JSON file
+// under DATA_DIR; all writes go through a queue so concurrent requests never
+// interleave, and files are replaced atomically (write temp file + rename).
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+export const DATA_DIR = path.resolve(process.env.DATA_DIR || 'data');
+
+export function createId() {
+    return crypto.randomUUID();
+}
+
+export class JsonStore {
+    constructor(fileName, defaults = {}) {
+        this.filePath = path.join(DATA_DIR, fileName);
+        this.defaults = defaults;
+        this.data = null;
+        this.queue = Promise.resolve();
+    }
+
+    async load() {
+        try {
+            this.data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            this.data = {};
+        }
+
+        // New collections added after the file was first written
+        for (const [key, value] of Object.entries(this.defaults)) {
+            if (!(key in this.data)) {
+                this.data[key] = structuredClone(value);
+            }
+        }
+        return this.data;
+    }
+
+    async read() {
+        return this.data || this.load();
+    }
+
+    // Run `mutator(data)` and persist the result; resolves with its return value
+    update(mutator) {
+        const run = this.queue.then(async () => {
+            const data = await this.read();
+            const result = await mutator(data);
+            await this.persist();
+            return result;
+        });
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    async persist() {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(this.data, null, 2));
+        await fs.rename(tempPath, this.filePath);
+    }
+}
@@ -0,0 +1,112 @@
+// Speech-to-text backends for /api/transcribe
+//
+// Every backend exposes the same shape:
+//   { name, transcribe(audioBuffer, mimeType, { language, req }) -> Promise<[{ start, end, text }]> }
+// where start/end are seconds relative to the beginning of the clip,
+// language is a practice language code (English when omitted) and req is the
+// request, whose client the model call is metered against.
+import { transcriptSchema } from './validation.js';
+import { generateMetered } from './usage.js';
+import { LANGUAGES, DEFAULT_LANGUAGE } from './i18n.js';
+
+const LLM_TRANSCRIBE_PROMPT = `Transcribe this audio recording of someone speaking.
+Return ONLY a JSON array of segments in this exact format, with times in seconds from the start of the clip:
+[
+  { "start": <number>, "end": <number>, "text": "<spoken words>" }
+]
+Keep filler words (um, uh, like) exactly as spoken. If nothing is spoken, return [].`;
+
+function transcribePrompt(language) {
+    if (!language || language === DEFAULT_LANGUAGE) return LLM_TRANSCRIBE_PROMPT;
+
+    const { name } = LANGUAGES[language];
+    return `${LLM_TRANSCRIBE_PROMPT}
+The speaker is speaking ${name}. Write the words in ${name}, in its usual script, and do not translate them.`;
+}
+
+// Multimodal transcription through the configured LLM provider (Gemini audio),
+// counted against the client's quota and cached like the other model calls
+function createLlmTranscriber({ provider }) {
+    if (!provider || !provider.supportsAudio) return null;
+
+    return {
+        name: `llm:${provider.name}`,
+        async transcribe(audio, mimeType, { language, req } = {}) {
+            return generateMetered(req, provider, transcribePrompt(language), transcriptSchema, {
+                task: 'transcribe',
+                audio: { data: audio, mimeType }
+            });
+        }
+    };
+}
+
+// Local whisper.cpp server (examples/server), e.g. `./server -m ggml-base.bin --port 8080`.
+// Languages other than English need a multilingual model (not *.en.bin).
+function createWhisperTranscriber({ whisperUrl }) {
+    const url = whisperUrl || 'http://localhost:8080/inference';
+
+    return {
+        name: 'whisper',
+        async transcribe(audio, mimeType, { language = DEFAULT_LANGUAGE } = {}) {
+            const form = new FormData();
+            form.append('file', new Blob([audio], { type: mimeType }), 'chunk.webm');
+            form.append('response_format', 'verbose_json');
+            form.append('temperature', '0');
+            form.append('language', language);
+
+            const response = await fetch(url, { method: 'POST', body: form });
+            if (!response.ok) {
+                throw new Error(`whisper.cpp server responded with ${response.status}`);
+            }
+
+            const data = await response.json();
+            if (Array.isArray(data.segments)) {
+                return data.segments;
+            }
+            // Plain `json` responses carry no timing, treat the clip as one segment
+            return data.text ? [{ start: 0, end: 0, text: data.text }] : [];
+        }
+    };
+}
+
+const BACKENDS = {
+    llm: createLlmTranscriber,
+    whisper: createWhisperTranscriber
+};
+
+/**
+ * Create the transcriber selected by TRANSCRIPTION_BACKEND.
+ * Returns null when the backend is disabled or cannot be configured.
+ */
+export function createTranscriber({ backend = 'llm', ...options } = {}) {
+    if (backend === 'none') return null;
+
+    const factory = BACKENDS[backend];
+    if (!factory) {
+        console.warn(`⚠️  Unknown TRANSCRIPTION_BACKEND "${backend}", transcription disabled`);
+        return null;
+    }
+
+    return factory(options);
+}
+
+/**
+ * Clean up raw backend segments and shift them onto the session timeline.
+ * `offset` is the position (in seconds) of the clip within the session.
+ */
+export function normalizeSegments(segments, offset = 0) {
+    if (!Array.isArray(segments)) return [];
+
+    return segments
+        .map(segment => ({
+            start: Number(segment.start) || 0,
+            end: Number(segment.end) || Number(segment.start) || 0,
+            text: String(segment.text || '').trim()
+        }))
+        .filter(segment => segment.text.length > 0)
+        .map(segment => ({
+            start: Math.round((segment.start + offset) * 1000) / 1000,
+            end: Math.round((Math.max(segment.end, segment.start) + offset) * 1000) / 1000,
+            text: segment.text
+        }));
+}
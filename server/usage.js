@@ -0,0 +1,241 @@
+// Model usage: rate limiting, daily quota and response cache
+//
+// Every model-backed route is rate limited per client, and every model call
+// goes through generateMetered(), which serves repeated requests from a
+// content-hash cache and counts real calls against the client's daily quota.
+// A client is the integration's API key, the signed-in account, or the IP
+// address for anonymous use.
+//
+//   RATE_LIMIT_PER_MINUTE  requests per client per minute (default 30, 0 = off)
+//   DAILY_QUOTA            model calls per client per UTC day (default 200, 0 = off)
+//   CACHE_TTL_HOURS        how long cached responses are reused (default 24, 0 = off)
+import express from 'express';
+import crypto from 'crypto';
+import { JsonStore } from './store.js';
+import { generateValidated } from './validation.js';
+import { authStore, requireAdmin } from './auth.js';
+import { apiKeyStore } from './api-keys.js';
+
+// { days: { "2025-12-03": { clientKey: { calls, cached, tasks: { evaluate: 3 } } } } }
+export const usageStore = new JsonStore('usage.json', { days: {} });
+// { entries: { hash: { task, value, createdAt } } }
+export const cacheStore = new JsonStore('llm-cache.json', { entries: {} });
+
+const USAGE_RETENTION_DAYS = 90;
+const MAX_CACHE_ENTRIES = 1000;
+
+const setting = (name, fallback) => Number(process.env[name] ?? fallback);
+
+/**
+ * The client has used its model calls for today.
+ */
+export class QuotaExceededError extends Error {
+    constructor(quota) {
+        super(`Daily quota of ${quota} AI requests used up. It resets at midnight UTC.`);
+        this.name = 'QuotaExceededError';
+        this.code = 'QUOTA_EXCEEDED';
+        this.status = 429;
+    }
+}
+
+/**
+ * The client has made too many requests this minute.
+ */
+export class RateLimitError extends Error {
+    constructor(retryAfter) {
+        super(`Too many requests. Try again in ${retryAfter}s.`);
+        this.name = 'RateLimitError';
+        this.code = 'RATE_LIMITED';
+        this.status = 429;
+        this.retryAfter = retryAfter;
+    }
+}
+
+export function clientKey(req) {
+    if (req.apiKey) return `key:${req.apiKey.id}`;
+    return req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+}
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+// Fixed one-minute windows per client, kept in memory
+const windows = new Map();
+
+export function rateLimit(req, res, next) {
+    const limit = setting('RATE_LIMIT_PER_MINUTE', 30);
+    if (!limit) return next();
+
+    const key = clientKey(req);
+    const now = Date.now();
+    let window = windows.get(key);
+    if (!window || now - window.start >= 60 * 1000) {
+        window = { start: now, count: 0 };
+        windows.set(key, window);
+    }
+    window.count++;
+
+    // Forget clients whose window has passed
+    if (windows.size > 1000) {
+        windows.forEach((item, itemKey) => {
+            if (now - item.start >= 60 * 1000) windows.delete(itemKey);
+        });
+    }
+
+    const retryAfter = Math.ceil((window.start + 60 * 1000 - now) / 1000);
+    res.set('RateLimit-Limit', String(limit));
+    res.set('RateLimit-Remaining', String(Math.max(0, limit - window.count)));
+    res.set('RateLimit-Reset', String(retryAfter));
+
+    if (window.count > limit) {
+        res.set('Retry-After', String(retryAfter));
+        return next(new RateLimitError(retryAfter));
+    }
+    next();
+}
+
+// Same provider, model, task, prompt and audio → same key
+function cacheKey(llm, prompt, { task, audio }) {
+    const hash = crypto.createHash('sha256');
+    hash.update(JSON.stringify([llm.name, llm.model, task || null, prompt]));
+    if (audio) hash.update(audio.data);
+    return hash.digest('hex');
+}
+
+function ledgerEntry(data, key) {
+    const day = (data.days[today()] = data.days[today()] || {});
+    return (day[key] = day[key] || { calls: 0, cached: 0, tasks: {} });
+}
+
+/**
+ * generateValidated() with a response cache and the client's daily quota.
+ * Cache hits are free; a miss counts as one call before the model is asked,
+ * so failed calls (which still spend provider quota) count too.
+ */
+export async function generateMetered(req, llm, prompt, schema, options = {}) {
+    const ttlHours = setting('CACHE_TTL_HOURS', 24);
+    const key = clientKey(req);
+    const hash = cacheKey(llm, prompt, options);
+
+    if (ttlHours > 0) {
+        const { entries } = await cacheStore.read();
+        const hit = entries[hash];
+        if (hit && Date.now() - Date.parse(hit.createdAt) < ttlHours * 60 * 60 * 1000) {
+            await usageStore.update(data => {
+                ledgerEntry(data, key).cached++;
+            });
+            return structuredClone(hit.value);
+        }
+    }
+
+    const quota = setting('DAILY_QUOTA', 200);
+    await usageStore.update(data => {
+        const entry = ledgerEntry(data, key);
+        if (quota && entry.calls >= quota) throw new QuotaExceededError(quota);
+
+        entry.calls++;
+        entry.tasks[options.task || 'other'] = (entry.tasks[options.task || 'other'] || 0) + 1;
+
+        // Drop days past the retention period
+        const oldest = new Date(Date.now() - USAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        Object.keys(data.days).filter(day => day < oldest).forEach(day => delete data.days[day]);
+    });
+
+    const value = await generateValidated(llm, prompt, schema, options);
+
+    if (ttlHours > 0) {
+        await cacheStore.update(data => {
+            data.entries[hash] = { task: options.task || null, value, createdAt: new Date().toISOString() };
+
+            // Evict the oldest entries beyond the cap
+            const hashes = Object.keys(data.entries);
+            if (hashes.length > MAX_CACHE_ENTRIES) {
+                hashes
+                    .sort((a, b) => data.entries[a].createdAt.localeCompare(data.entries[b].createdAt))
+                    .slice(0, hashes.length - MAX_CACHE_ENTRIES)
+                    .forEach(oldHash => delete data.entries[oldHash]);
+            }
+        });
+    }
+
+    return value;
+}
+
+function summarize(entries) {
+    return entries.reduce((total, entry) => ({
+        calls: total.calls + entry.calls,
+        cached: total.cached + entry.cached
+    }), { calls: 0, cached: 0 });
+}
+
+export function createUsageRouter() {
+    const router = express.Router();
+
+    // The caller's own consumption today
+    router.get('/usage/me', async (req, res, next) => {
+        try {
+            const { days } = await usageStore.read();
+            const entry = (days[today()] || {})[clientKey(req)] || { calls: 0, cached: 0, tasks: {} };
+            const quota = setting('DAILY_QUOTA', 200);
+
+            res.json({
+                success: true,
+                date: today(),
+                usage: entry,
+                quota: quota || null,
+                remaining: quota ? Math.max(0, quota - entry.calls) : null
+            });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Admin: consumption per day and client over the last `days` days
+    router.get('/usage', requireAdmin, async (req, res, next) => {
+        try {
+            const count = Number(req.query.days ?? 7);
+            if (!Number.isInteger(count) || count < 1 || count > USAGE_RETENTION_DAYS) {
+                return res.status(400).json({
+                    success: false,
+                    error: `days must be an integer from 1 to ${USAGE_RETENTION_DAYS}`
+                });
+            }
+
+            const [{ days }, { users }, { entries }, { keys }] = await Promise.all([
+                usageStore.read(), authStore.read(), cacheStore.read(), apiKeyStore.read()
+            ]);
+            const from = new Date(Date.now() - (count - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+            const emails = Object.fromEntries(users.map(user => [`user:${user.id}`, user.email]));
+            const integrations = Object.fromEntries(keys.map(key => [`key:${key.id}`, key.name]));
+
+            const report = Object.keys(days)
+                .filter(day => day >= from)
+                .sort()
+                .map(day => {
+                    const clients = Object.entries(days[day])
+                        .map(([client, entry]) => ({
+                            client,
+                            email: emails[client] || null,
+                            integration: integrations[client] || null,
+                            ...entry
+                        }))
+                        .sort((a, b) => b.calls - a.calls);
+                    return { date: day, ...summarize(clients), clients };
+                });
+
+            res.json({
+                success: true,
+                quota: setting('DAILY_QUOTA', 200) || null,
+                rateLimitPerMinute: setting('RATE_LIMIT_PER_MINUTE', 30) || null,
+                cacheEntries: Object.keys(entries).length,
+                totals: summarize(report),
+                days: report
+            });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,264 @@
+// Model response validation
+//
+// Declared schemas for the JSON payloads we ask the model for, plus a
+// generate → parse → validate loop that sends a correction prompt when the
+// model returns something malformed. Routes only ever see coerced, complete
+// objects or a typed ModelResponseError.
+
+/**
+ * The model did not produce a usable response, even after correction retries.
+ */
+export class ModelResponseError extends Error {
+    constructor(message, { issues = [], raw = '' } = {}) {
+        super(message);
+        this.name = 'ModelResponseError';
+        this.code = 'INVALID_MODEL_RESPONSE';
+        this.status = 502;
+        this.issues = issues;
+        this.raw = raw;
+    }
+}
+
+// Schema node helpers
+export const number = (options = {}) => ({ type: 'number', ...options });
+export const string = (options = {}) => ({ type: 'string', ...options });
+export const oneOf = (values, options = {}) => ({ type: 'enum', values, ...options });
+export const object = (properties, options = {}) => ({ type: 'object', properties, ...options });
+export const arrayOf = (items, options = {}) => ({ type: 'array', items, ...options });
+
+const score = () => number({ min: 0, max: 10 });
+const sentence = () => string({ minLength: 1 });
+
+export const evaluationSchema = object({
+    clarity: score(),
+    confidence: score(),
+    clarityFeedback: sentence(),
+    confidenceFeedback: sentence(),
+    analysis: sentence()
+});
+
+export const audioEvaluationSchema = object({
+    ...evaluationSchema.properties,
+    markers: arrayOf(object({
+        time: number({ min: 0, clamp: false }),
+        type: oneOf(['filler', 'long-pause']),
+        text: string({ required: false, default: '' })
+    }), { required: false, default: [], dropInvalidItems: true })
+});
+
+export const feedbackSchema = object({
+    clarityTip: sentence(),
+    confidenceTip: sentence()
+});
+
+export const readAloudSchema = object({
+    pronunciationFeedback: sentence(),
+    fluencyFeedback: sentence(),
+    analysis: sentence()
+});
+
+export const transcriptSchema = arrayOf(object({
+    start: number({ min: 0, clamp: false }),
+    end: number({ min: 0, clamp: false, required: false }),
+    text: string()
+}), { dropInvalidItems: true });
+
+// "7", " 7.5 ", "7/10" → number
+function coerceNumber(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string') {
+        const match = value.trim().match(/^(-?\d+(?:\.\d+)?)(?:\s*\/\s*\d+)?$/);
+        if (match) return Number(match[1]);
+    }
+    return NaN;
+}
+
+/**
+ * Validate and coerce `value` against a schema node.
+ * Returns { value, issues } where issues is a list of "path: problem" strings.
+ */
+export function validate(value, schema, path = '$') {
+    const issues = [];
+
+    if (value === undefined || value === null) {
+        if (schema.required === false) {
+            return { value: schema.default !== undefined ? structuredClone(schema.default) : null, issues };
+        }
+        return { value: undefined, issues: [`${path}: is required`] };
+    }
+
+    switch (schema.type) {
+        case 'number': {
+            let result = coerceNumber(value);
+            if (!Number.isFinite(result)) {
+                return { value: undefined, issues: [`${path}: expected a number, got ${JSON.stringify(value)}`] };
+            }
+            const outOfRange = (schema.min !== undefined && result < schema.min) ||
+                (schema.max !== undefined && result > schema.max);
+            if (outOfRange) {
+                if (schema.clamp === false) {
+                    return { value: undefined, issues: [`${path}: ${result} is out of range`] };
+                }
+                result = Math.min(schema.max ?? result, Math.max(schema.min ?? result, result));
+            }
+            return { value: result, issues };
+        }
+
+        case 'string': {
+            if (typeof value === 'object') {
+                return { value: undefined, issues: [`${path}: expected a string`] };
+            }
+            const result = String(value).trim();
+            if (schema.minLength && result.length < schema.minLength) {
+                return { value: undefined, issues: [`${path}: must not be empty`] };
+            }
+            return { value: result, issues };
+        }
+
+        case 'enum': {
+            const result = String(value).trim().toLowerCase();
+            if (!schema.values.includes(result)) {
+                return { value: undefined, issues: [`${path}: must be one of ${schema.values.join(', ')}`] };
+            }
+            return { value: result, issues };
+        }
+
+        case 'object': {
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                return { value: undefined, issues: [`${path}: expected an object`] };
+            }
+            const result = {};
+            for (const [key, propertySchema] of Object.entries(schema.properties)) {
+                const property = validate(value[key], propertySchema, `${path}.${key}`);
+                issues.push(...property.issues);
+                result[key] = property.value;
+            }
+            return { value: issues.length === 0 ? result : undefined, issues };
+        }
+
+        case 'array': {
+            if (!Array.isArray(value)) {
+                return { value: undefined, issues: [`${path}: expected an array`] };
+            }
+            const result = [];
+            value.forEach((item, index) => {
+                const element = validate(item, schema.items, `${path}[${index}]`);
+                if (element.issues.length === 0) {
+                    result.push(element.value);
+                } else if (!schema.dropInvalidItems) {
+                    issues.push(...element.issues);
+                }
+            });
+            return { value: issues.length === 0 ? result : undefined, issues };
+        }
+
+        default:
+            throw new Error(`Unknown schema type: ${schema.type}`);
+    }
+}
+
+/**
+ * Pull the JSON payload out of a model reply: a fenced code block if there is
+ * one, otherwise the outermost {...} or [...] span.
+ */
+export function extractJson(text) {
+    const fenced = text.match(/```(?:json)?\s*\n?([\s\S]*?)\n?```/);
+    if (fenced) return JSON.parse(fenced[1]);
+
+    const starts = [text.indexOf('{'), text.indexOf('[')].filter(index => index >= 0);
+    if (starts.length === 0) return JSON.parse(text);
+
+    const start = Math.min(...starts);
+    const end = text.lastIndexOf(text[start] === '{' ? '}' : ']');
+    return JSON.parse(text.slice(start, end + 1));
+}
+
+// Parse + validate one raw reply; returns { value } or { issues }
+function check(text, schema) {
+    let parsed;
+    try {
+        parsed = extractJson(text);
+    } catch (error) {
+        return { issues: [`response is not valid JSON (${error.message})`] };
+    }
+    const { value, issues } = validate(parsed, schema);
+    return issues.length > 0 ? { issues } : { value };
+}
+
+function correctionPrompt(prompt, text, issues) {
+    return `${prompt}
+
+Your previous response could not be used:
+${issues.map(issue => `- ${issue}`).join('\n')}
+
+Previous response:
+${text}
+
+Respond again with ONLY the corrected JSON in the exact format requested, with every field present.`;
+}
+
+/**
+ * Fields that can already be read from JSON the model is still writing:
+ * numbers once they are complete, strings as far as they have got.
+ */
+export function readPartialFields(text, { numbers = [], strings = [] } = {}) {
+    const result = { numbers: {}, strings: {} };
+
+    numbers.forEach(key => {
+        const match = text.match(new RegExp(`"${key}"\\s*:\\s*(-?\\d+(?:\\.\\d+)?)\\s*[,}\\n]`));
+        if (match) result.numbers[key] = Number(match[1]);
+    });
+
+    strings.forEach(key => {
+        const match = text.match(new RegExp(`"${key}"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)`));
+        if (!match) return;
+        try {
+            result.strings[key] = JSON.parse(`"${match[1]}"`);
+        } catch (error) {
+            // Cut inside an escape sequence; the next chunk completes it
+        }
+    });
+
+    return result;
+}
+
+// Read a provider's text stream, reporting the text so far after each chunk
+async function collectStream(stream, onText) {
+    let text = '';
+    for await (const chunk of stream) {
+        text += chunk;
+        onText(text);
+    }
+    return text;
+}
+
+/**
+ * Ask the provider for JSON matching `schema`, retrying with correction
+ * prompts. Throws ModelResponseError when every attempt is unusable.
+ * With `onText`, the first attempt is streamed (when the provider can) and
+ * `onText(textSoFar)` is called as it arrives; `signal` aborts the call.
+ */
+export async function generateValidated(llm, prompt, schema, {
+    task, audio, signal, onText, retries = Number(process.env.LLM_MAX_RETRIES ?? 1)
+} = {}) {
+    let currentPrompt = prompt;
+    let text = '';
+    let issues = [];
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+        if (signal) signal.throwIfAborted();
+        text = attempt === 0 && onText && llm.generateStream
+            ? await collectStream(llm.generateStream(currentPrompt, { task, audio, signal }), onText)
+            : await llm.generate(currentPrompt, { task, audio, signal });
+        const result = check(text, schema);
+        if (result.value !== undefined) {
+            return result.value;
+        }
+
+        issues = result.issues;
+        console.warn(`⚠️  Invalid ${task || 'model'} response (attempt ${attempt + 1}):`, issues.join('; '));
+        currentPrompt = correctionPrompt(prompt, text, issues);
+    }
+
+    throw new ModelResponseError('Invalid response format from AI', { issues, raw: text });
+}
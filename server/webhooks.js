@@ -0,0 +1,543 @@
+// Webhook notifications
+//
+// Accounts register endpoint URLs for the events they want pushed, instead of
+// polling the session routes:
+//
+//   evaluation.completed  an evaluation was saved to one of the account's sessions
+//   session.finished      one of the account's sessions was marked finished
+//   goal.reached          an evaluation reached one of the endpoint's `goals`
+//                         (e.g. { "clarity": 8 }) for the first time
+//
+// Each delivery is a POST of { id, type, createdAt, data }, signed with the
+// endpoint's secret: X-SpeakX-Signature is "sha256=" + the hex
+// HMAC-SHA256 of `${X-SpeakX-Timestamp}.${body}`. An attempt fails without a
+// 2xx answer in time, and is retried with exponential backoff. Every attempt
+// is kept in the delivery log, and any delivery can be replayed.
+//
+// Webhook URLs must not lead back into the server's network: hosts resolving
+// to loopback, private, link-local or unique-local addresses are refused at
+// registration and again on every connection, so a DNS change cannot point a
+// registered URL inward.
+//
+//   WEBHOOK_MAX_ATTEMPTS     attempts per delivery (default 6)
+//   WEBHOOK_RETRY_SECONDS    delay before the first retry, doubled for each one after (default 30)
+//   WEBHOOK_TIMEOUT_SECONDS  how long an endpoint has to answer (default 10)
+//   WEBHOOK_ALLOW_HOSTS      hosts exempt from the address check, e.g. localhost for a test receiver
+import express from 'express';
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import http from 'http';
+import https from 'https';
+import { JsonStore, createId } from './store.js';
+import { requireAuth } from './auth.js';
+import { querySessions, effectiveScore, SCORE_FIELDS } from './sessions.js';
+
+export const WEBHOOK_EVENTS = ['evaluation.completed', 'session.finished', 'goal.reached'];
+
+// { endpoints: [{ id, userId, url, events, goals, secret, ... }], deliveries: [...] }
+export const webhookStore = new JsonStore('webhooks.json', { endpoints: [], deliveries: [] });
+
+const USER_AGENT = 'SpeakX-Webhooks/1.0';
+// Finished deliveries beyond this many are dropped, oldest first
+const MAX_DELIVERIES = 2000;
+const MAX_URL_LENGTH = 2000;
+const MAX_DESCRIPTION_LENGTH = 200;
+
+const setting = (name, fallback) => Number(process.env[name] ?? fallback);
+
+// Addresses a webhook may not reach. IPv4-mapped IPv6 addresses match the IPv4 ranges.
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([prefix, bits]) => PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+function isPrivateAddress(address) {
+    return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// Hosts listed in WEBHOOK_ALLOW_HOSTS may resolve to private addresses
+function isAllowedHost(hostname) {
+    const hosts = (process.env.WEBHOOK_ALLOW_HOSTS || '')
+        .split(',')
+        .map(host => host.trim().toLowerCase())
+        .filter(Boolean);
+    return hosts.includes(hostname.toLowerCase().replace(/^\[|\]$/g, ''));
+}
+
+/**
+ * Why a webhook may not be sent to `url` (a URL object), or null when it may.
+ */
+async function checkDestination(url) {
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    if (isAllowedHost(hostname)) return null;
+
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(hostname, { all: true });
+    } catch (error) {
+        return `url host ${hostname} could not be resolved`;
+    }
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+        return 'url must not point to a loopback, private or link-local address';
+    }
+    return null;
+}
+
+// dns.lookup that refuses private addresses, used for every webhook
+// connection so the address checked is the address connected to
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+
+        const addresses = Array.isArray(address) ? address : [{ address }];
+        if (!isAllowedHost(hostname) && addresses.some(item => isPrivateAddress(item.address))) {
+            return callback(new Error(`${hostname} resolves to a private address`));
+        }
+        callback(null, address, family);
+    });
+}
+
+// POST `body` and resolve with the response status. Redirects are not followed.
+function post(url, headers, body, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        const client = url.protocol === 'https:' ? https : http;
+        const request = client.request(url, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            lookup: publicLookup
+        }, response => {
+            clearTimeout(timer);
+            response.resume();
+            resolve(response.statusCode);
+        });
+
+        const timer = setTimeout(() => {
+            const error = new Error(`No answer within ${timeoutMs / 1000}s`);
+            error.name = 'TimeoutError';
+            request.destroy(error);
+        }, timeoutMs);
+        request.on('error', error => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        request.end(body);
+    });
+}
+
+/**
+ * The X-SpeakX-Signature value for a body sent at `timestamp` (Unix seconds).
+ * Receivers recompute it with their secret and compare in constant time.
+ */
+export function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// The endpoint without its secret, which is only shown when it is created
+function publicEndpoint(endpoint) {
+    const { secret, ...rest } = endpoint;
+    return rest;
+}
+
+// Delay before the next attempt after `attempts` failed ones: base, 2× base, 4× base...
+function retryDelay(attempts) {
+    return setting('WEBHOOK_RETRY_SECONDS', 30) * 1000 * 2 ** (attempts - 1);
+}
+
+// Timers of scheduled attempts, so a delivery is never attempted twice at once
+const timers = new Map();
+
+function schedule(delivery) {
+    clearTimeout(timers.get(delivery.id));
+    const delay = Math.max(0, Date.parse(delivery.nextAttemptAt) - Date.now());
+    const timer = setTimeout(() => {
+        timers.delete(delivery.id);
+        attemptDelivery(delivery.id).catch(error => console.error('Webhook delivery failed:', error));
+    }, delay);
+    // Pending deliveries must not keep the process alive; they resume on restart
+    timer.unref();
+    timers.set(delivery.id, timer);
+}
+
+// POST one delivery and record the attempt; schedules the retry when it fails
+async function attemptDelivery(deliveryId) {
+    const { endpoints, deliveries } = await webhookStore.read();
+    const delivery = deliveries.find(item => item.id === deliveryId);
+    if (!delivery || delivery.status !== 'pending') return;
+    const endpoint = endpoints.find(item => item.id === delivery.endpointId);
+
+    const started = Date.now();
+    const attempt = { at: new Date(started).toISOString(), status: null, error: null, durationMs: 0 };
+
+    // Refused destinations fail for good rather than being retried
+    let refused = null;
+    if (!endpoint || !endpoint.active) {
+        refused = 'Webhook is disabled';
+    } else {
+        refused = await checkDestination(new URL(endpoint.url));
+    }
+
+    if (refused) {
+        attempt.error = refused;
+    } else {
+        const body = JSON.stringify(delivery.event);
+        const timestamp = Math.floor(started / 1000);
+
+        try {
+            // A redirect is an answer from the wrong place, not a success
+            attempt.status = await post(new URL(endpoint.url), {
+                'Content-Type': 'application/json',
+                'User-Agent': USER_AGENT,
+                'X-SpeakX-Event': delivery.event.type,
+                'X-SpeakX-Delivery': delivery.id,
+                'X-SpeakX-Timestamp': String(timestamp),
+                'X-SpeakX-Signature': signPayload(endpoint.secret, timestamp, body)
+            }, body, setting('WEBHOOK_TIMEOUT_SECONDS', 10) * 1000);
+            if (attempt.status < 200 || attempt.status >= 300) {
+                attempt.error = `Endpoint answered ${attempt.status}`;
+            }
+        } catch (error) {
+            attempt.error = error.message;
+        }
+    }
+    attempt.durationMs = Date.now() - started;
+
+    const maxAttempts = setting('WEBHOOK_MAX_ATTEMPTS', 6);
+    const updated = await webhookStore.update(data => {
+        const item = data.deliveries.find(entry => entry.id === deliveryId);
+        if (!item) return null;
+
+        item.attempts.push(attempt);
+        if (!attempt.error) {
+            item.status = 'succeeded';
+            item.nextAttemptAt = null;
+        } else if (item.attempts.length >= maxAttempts || refused) {
+            item.status = 'failed';
+            item.nextAttemptAt = null;
+        } else {
+            item.nextAttemptAt = new Date(Date.now() + retryDelay(item.attempts.length)).toISOString();
+        }
+        return item;
+    });
+
+    if (updated && updated.status === 'pending') schedule(updated);
+}
+
+// Log a delivery of `event` to each endpoint and send them right away
+async function enqueue(endpoints, event, replayOf = null) {
+    const now = new Date().toISOString();
+    const created = endpoints.map(endpoint => ({
+        id: createId(),
+        endpointId: endpoint.id,
+        event,
+        status: 'pending',
+        attempts: [],
+        nextAttemptAt: now,
+        replayOf,
+        createdAt: now
+    }));
+
+    await webhookStore.update(data => {
+        data.deliveries.push(...created);
+
+        const excess = data.deliveries.length - MAX_DELIVERIES;
+        if (excess > 0) {
+            let dropped = 0;
+            data.deliveries = data.deliveries.filter(item => item.status === 'pending' || dropped++ >= excess);
+        }
+    });
+
+    created.forEach(schedule);
+    return created;
+}
+
+function createEvent(type, data) {
+    return { id: createId(), type, createdAt: new Date().toISOString(), data };
+}
+
+// goal.reached for each goal that `evaluation` reaches and no earlier evaluation did
+async function emitGoals(endpoints, userId, { sessionId, evaluation }) {
+    const subscribed = endpoints.filter(endpoint => endpoint.events.includes('goal.reached'));
+    if (subscribed.length === 0) return;
+
+    const sessions = await querySessions({ userId });
+    const earlier = sessions
+        .flatMap(session => session.evaluations)
+        .filter(item => item.id !== evaluation.id);
+
+    for (const endpoint of subscribed) {
+        for (const [metric, target] of Object.entries(endpoint.goals || {})) {
+            const score = effectiveScore(evaluation, metric);
+            if (typeof score !== 'number' || score < target) continue;
+            if (earlier.some(item => effectiveScore(item, metric) >= target)) continue;
+
+            await enqueue([endpoint], createEvent('goal.reached', {
+                userId, sessionId, evaluationId: evaluation.id, metric, target, score
+            }));
+        }
+    }
+}
+
+/**
+ * Notify the account's endpoints of an event. evaluation.completed data is
+ * { sessionId, evaluation } and also checks goals; session.finished data is
+ * { session }. Never throws: a failed notification must not fail the request
+ * that caused it.
+ */
+export async function emitEvent(userId, type, data) {
+    try {
+        const { endpoints } = await webhookStore.read();
+        const own = endpoints.filter(endpoint => endpoint.userId === userId && endpoint.active);
+        if (own.length === 0) return;
+
+        const subscribed = own.filter(endpoint => endpoint.events.includes(type));
+        if (subscribed.length > 0) {
+            await enqueue(subscribed, createEvent(type, { userId, ...data }));
+        }
+        if (type === 'evaluation.completed') {
+            await emitGoals(own, userId, data);
+        }
+    } catch (error) {
+        console.error(`Could not queue ${type} webhooks:`, error);
+    }
+}
+
+/**
+ * Schedule the deliveries still pending from before a restart.
+ * Resolves with how many there are.
+ */
+export async function resumeDeliveries() {
+    const { deliveries } = await webhookStore.read();
+    const pending = deliveries.filter(delivery => delivery.status === 'pending');
+    pending.forEach(schedule);
+    return pending.length;
+}
+
+/**
+ * Check the registration fields of `input`. With `partial`, absent fields are
+ * left out instead of required. Resolves with { value } or { error }.
+ */
+async function validateEndpoint(input, { partial = false } = {}) {
+    const value = {};
+
+    if (input.url !== undefined || !partial) {
+        let url = null;
+        try {
+            url = typeof input.url === 'string' && input.url.length <= MAX_URL_LENGTH ? new URL(input.url) : null;
+        } catch (error) {
+            url = null;
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+            return { error: 'url must be an http or https URL' };
+        }
+        const refused = await checkDestination(url);
+        if (refused) {
+            return { error: refused };
+        }
+        value.url = url.toString();
+    }
+
+    if (input.events !== undefined || !partial) {
+        const { events } = input;
+        if (!Array.isArray(events) || events.length === 0 || !events.every(event => WEBHOOK_EVENTS.includes(event))) {
+            return { error: `events must be a list of: ${WEBHOOK_EVENTS.join(', ')}` };
+        }
+        value.events = [...new Set(events)];
+    }
+
+    if (input.goals !== undefined) {
+        const { goals } = input;
+        const valid = !!goals && typeof goals === 'object' && !Array.isArray(goals) &&
+            Object.entries(goals).every(([metric, target]) => SCORE_FIELDS.includes(metric) &&
+                typeof target === 'number' && Number.isFinite(target) && target >= 0 && target <= 10);
+        if (!valid) {
+            return { error: `goals must map ${SCORE_FIELDS.join(', ')} to target scores from 0 to 10` };
+        }
+        value.goals = goals;
+    }
+
+    if (input.description !== undefined) {
+        if (typeof input.description !== 'string' || input.description.length > MAX_DESCRIPTION_LENGTH) {
+            return { error: `description must be text of up to ${MAX_DESCRIPTION_LENGTH} characters` };
+        }
+        value.description = input.description.trim();
+    }
+
+    if (input.active !== undefined) {
+        if (typeof input.active !== 'boolean') {
+            return { error: 'active must be true or false' };
+        }
+        value.active = input.active;
+    }
+
+    return { value };
+}
+
+// goal.reached needs something to reach
+function missingGoals(endpoint) {
+    return endpoint.events.includes('goal.reached') && Object.keys(endpoint.goals || {}).length === 0;
+}
+
+export function createWebhooksRouter() {
+    const router = express.Router();
+
+    // The caller's endpoint, or the 404 sent and null
+    const loadEndpoint = async (req, res) => {
+        const { endpoints } = await webhookStore.read();
+        const endpoint = endpoints.find(item => item.id === req.params.id && item.userId === req.user.id);
+        if (!endpoint) {
+            res.status(404).json({ success: false, error: 'Webhook not found' });
+            return null;
+        }
+        return endpoint;
+    };
+
+    router.get('/webhooks', requireAuth, async (req, res, next) => {
+        try {
+            const { endpoints } = await webhookStore.read();
+            res.json({
+                success: true,
+                events: WEBHOOK_EVENTS,
+                webhooks: endpoints.filter(endpoint => endpoint.userId === req.user.id).map(publicEndpoint)
+            });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Register an endpoint; the signing secret is only returned here
+    router.post('/webhooks', requireAuth, async (req, res, next) => {
+        try {
+            const { value, error } = await validateEndpoint(req.body);
+            if (error) {
+                return res.status(400).json({ success: false, error });
+            }
+
+            const now = new Date().toISOString();
+            const endpoint = {
+                id: createId(),
+                userId: req.user.id,
+                url: value.url,
+                events: value.events,
+                goals: value.goals || {},
+                description: value.description || '',
+                active: value.active ?? true,
+                secret: `whsec_${crypto.randomBytes(24).toString('hex')}`,
+                createdAt: now,
+                updatedAt: now
+            };
+            if (missingGoals(endpoint)) {
+                return res.status(400).json({ success: false, error: 'goal.reached needs goals, e.g. { "clarity": 8 }' });
+            }
+
+            await webhookStore.update(data => {
+                data.endpoints.push(endpoint);
+            });
+            res.status(201).json({ success: true, webhook: publicEndpoint(endpoint), secret: endpoint.secret });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Change the URL, events, goals, description or pause it with active: false
+    router.patch('/webhooks/:id', requireAuth, async (req, res, next) => {
+        try {
+            const endpoint = await loadEndpoint(req, res);
+            if (!endpoint) return;
+
+            const { value, error } = await validateEndpoint(req.body, { partial: true });
+            if (error) {
+                return res.status(400).json({ success: false, error });
+            }
+            if (missingGoals({ ...endpoint, ...value })) {
+                return res.status(400).json({ success: false, error: 'goal.reached needs goals, e.g. { "clarity": 8 }' });
+            }
+
+            await webhookStore.update(() => {
+                Object.assign(endpoint, value, { updatedAt: new Date().toISOString() });
+            });
+            res.json({ success: true, webhook: publicEndpoint(endpoint) });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Remove an endpoint with its delivery log
+    router.delete('/webhooks/:id', requireAuth, async (req, res, next) => {
+        try {
+            const endpoint = await loadEndpoint(req, res);
+            if (!endpoint) return;
+
+            await webhookStore.update(data => {
+                data.endpoints = data.endpoints.filter(item => item.id !== endpoint.id);
+                data.deliveries = data.deliveries.filter(delivery => {
+                    if (delivery.endpointId !== endpoint.id) return true;
+                    clearTimeout(timers.get(delivery.id));
+                    timers.delete(delivery.id);
+                    return false;
+                });
+            });
+            res.json({ success: true });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Delivery log, newest first; ?status=pending|succeeded|failed and ?limit=1-200
+    router.get('/webhooks/:id/deliveries', requireAuth, async (req, res, next) => {
+        try {
+            const endpoint = await loadEndpoint(req, res);
+            if (!endpoint) return;
+
+            const { status } = req.query;
+            const limit = Number(req.query.limit ?? 50);
+            if (status && !['pending', 'succeeded', 'failed'].includes(status)) {
+                return res.status(400).json({ success: false, error: 'status must be one of: pending, succeeded, failed' });
+            }
+            if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+                return res.status(400).json({ success: false, error: 'limit must be an integer from 1 to 200' });
+            }
+
+            const { deliveries } = await webhookStore.read();
+            res.json({
+                success: true,
+                deliveries: deliveries
+                    .filter(delivery => delivery.endpointId === endpoint.id)
+                    .filter(delivery => !status || delivery.status === status)
+                    .reverse()
+                    .slice(0, limit)
+            });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Send a logged delivery again, as a new delivery of the same event (same
+    // event id, so receivers can tell it is a repeat)
+    router.post('/webhooks/:id/deliveries/:deliveryId/replay', requireAuth, async (req, res, next) => {
+        try {
+            const endpoint = await loadEndpoint(req, res);
+            if (!endpoint) return;
+
+            const { deliveries } = await webhookStore.read();
+            const original = deliveries.find(item => item.id === req.params.deliveryId && item.endpointId === endpoint.id);
+            if (!original) {
+                return res.status(404).json({ success: false, error: 'Delivery not found' });
+            }
+            if (!endpoint.active) {
+                return res.status(409).json({ success: false, error: 'Webhook is disabled' });
+            }
+
+            const [delivery] = await enqueue([endpoint], original.event, original.id);
+            res.status(202).json({ success: true, delivery });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,96 @@
+// SpeakX Service Worker
+//
+// Precaches the app shell so the evaluator opens and runs in local mode
+// without a connection. Same-origin files are served cache-first and refreshed
+// in the background; API calls always go to the network (the page queues
+// recordings itself when they fail). Bump CACHE_VERSION when the shell changes.
+const CACHE_VERSION = 'speakx-v6';
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'style.css',
+    'app.js',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'lib/i18n.js',
+    'lib/locales/en.js',
+    'lib/locales/hi.js',
+    'lib/locales/es.js',
+    'lib/locales/fr.js',
+    'lib/transcription-stream.js',
+    'lib/acoustic-scoring.js',
+    'lib/voice-activity.js',
+    'lib/speech-analytics.js',
+    'lib/nonverbal-analysis.js',
+    'lib/prosody-analysis.js',
+    'lib/live-coach.js',
+    'lib/trend-chart.js',
+    'lib/session-report.js',
+    'lib/offline-queue.js',
+    'lib/device-check.js'
+];
+
+// Bundled by scripts/fetch-face-api.js; cached when present
+const FACE_API_ASSETS = [
+    'vendor/face-api/face-api.min.js',
+    'vendor/face-api/model/tiny_face_detector_model-weights_manifest.json',
+    'vendor/face-api/model/tiny_face_detector_model.bin',
+    'vendor/face-api/model/face_landmark_68_model-weights_manifest.json',
+    'vendor/face-api/model/face_landmark_68_model.bin',
+    'vendor/face-api/model/face_expression_model-weights_manifest.json',
+    'vendor/face-api/model/face_expression_model.bin'
+];
+
+// Third-party files worth keeping for offline use (fonts, the face-api CDN fallback)
+const RUNTIME_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com', 'cdn.jsdelivr.net'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_VERSION);
+        await cache.addAll(APP_SHELL);
+        await Promise.all(FACE_API_ASSETS.map(url =>
+            cache.add(url).catch(() => console.warn(`[sw] Not bundled, skipping: ${url}`))));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys.filter(key => key !== CACHE_VERSION).map(key => caches.delete(key)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+    if (!sameOrigin && !RUNTIME_HOSTS.includes(url.hostname)) return;
+
+    event.respondWith(cacheFirst(event, request, sameOrigin));
+});
+
+async function cacheFirst(event, request, sameOrigin) {
+    const cache = await caches.open(CACHE_VERSION);
+    // app.js is loaded with a cache-busting query string
+    const cached = await cache.match(request, { ignoreSearch: sameOrigin });
+
+    const network = fetch(request).then((response) => {
+        // Opaque responses (no-cors CDN scripts) have status 0 but are usable
+        if (response.ok || response.type === 'opaque') {
+            cache.put(request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        // Refresh in the background for the next load
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+    return network;
+}
@@ -0,0 +1,137 @@
+'use strict';
+
+const assert = require('assert');
+const AcousticScoring = require('../lib/acoustic-scoring');
+const { VoiceActivityDetector } = require('../lib/voice-activity');
+const { SAMPLE_RATE, voice, noise, encodeWav, speechFixture } = require('./support/wav');
+
+describe('AcousticScoring', function () {
+    describe('decodeWav', function () {
+        it('should decode 16-bit PCM to samples in -1..1', function () {
+            const { samples, sampleRate } = AcousticScoring.decodeWav(encodeWav(Float32Array.of(0, 0.5, -0.5, 1)));
+
+            assert.strictEqual(sampleRate, SAMPLE_RATE);
+            assert.strictEqual(samples.length, 4);
+            assert.ok(Math.abs(samples[1] - 0.5) < 1e-3);
+            assert.ok(Math.abs(samples[2] + 0.5) < 1e-3);
+        });
+
+        it('should mix stereo down to mono', function () {
+            const { samples } = AcousticScoring.decodeWav(encodeWav(Float32Array.of(0.25, -0.25), { channels: 2 }));
+
+            assert.strictEqual(samples.length, 2);
+            assert.ok(Math.abs(samples[0] - 0.25) < 1e-3);
+        });
+
+        it('should reject files that are not WAV', function () {
+            assert.throws(() => AcousticScoring.decodeWav(Buffer.from('not a wav file at all')), /Not a WAV file/);
+        });
+    });
+
+    describe('rmsDb', function () {
+        it('should give 0 dBFS for a full-scale square wave', function () {
+            assert.strictEqual(AcousticScoring.rmsDb(Float32Array.of(1, -1, 1, -1)), 0);
+        });
+
+        it('should give -Infinity for digital silence', function () {
+            assert.strictEqual(AcousticScoring.rmsDb(new Float32Array(64)), -Infinity);
+        });
+    });
+
+    describe('estimatePitch', function () {
+        it('should find the fundamental of a voiced frame', function () {
+            const pitch = AcousticScoring.estimatePitch(voice(0.2, { pitch: 200 }).subarray(0, 2048), SAMPLE_RATE);
+            assert.ok(Math.abs(pitch - 200) < 5, `pitch ${pitch}`);
+        });
+
+        it('should return null for noise', function () {
+            assert.strictEqual(AcousticScoring.estimatePitch(noise(0.2, 0.1).subarray(0, 2048), SAMPLE_RATE), null);
+        });
+    });
+
+    describe('analyzeFrame', function () {
+        it('should use a pitch it is given instead of estimating one', function () {
+            const frame = voice(0.2, { pitch: 200 }).subarray(0, 2048);
+
+            assert.strictEqual(AcousticScoring.analyzeFrame(frame, SAMPLE_RATE, true, 180).pitch, 180);
+            assert.strictEqual(AcousticScoring.analyzeFrame(frame, SAMPLE_RATE, true, null).pitch, null);
+            assert.strictEqual(AcousticScoring.analyzeFrame(frame, SAMPLE_RATE, false, 180).pitch, null);
+        });
+    });
+
+    describe('analyzeSamples', function () {
+        const { samples, sampleRate } = AcousticScoring.decodeWav(speechFixture());
+
+        it('should measure speech time, the pause and pitch', function () {
+            const features = AcousticScoring.analyzeSamples(samples, sampleRate, { detector: new VoiceActivityDetector() });
+
+            assert.ok(Math.abs(features.duration - 4.5) < 0.2, `duration ${features.duration}`);
+            assert.ok(features.speechTime > 2.8 && features.speechTime < 3.6, `speechTime ${features.speechTime}`);
+            assert.strictEqual(features.pauseCount, 1);
+            assert.strictEqual(features.longPauseCount, 0);
+            assert.ok(Math.abs(features.pitchMeanHz - 150) < 5, `pitchMeanHz ${features.pitchMeanHz}`);
+            assert.ok(features.speakingRate > 2.5 && features.speakingRate < 5, `speakingRate ${features.speakingRate}`);
+            assert.strictEqual(features.facePresence, null);
+        });
+
+        it('should give the same features on every run', function () {
+            const first = AcousticScoring.analyzeSamples(samples, sampleRate);
+            const second = AcousticScoring.analyzeSamples(samples, sampleRate);
+            assert.deepStrictEqual(first, second);
+        });
+    });
+
+    describe('scoreFeatures', function () {
+        it('should score steady speech highly', function () {
+            const { samples, sampleRate } = AcousticScoring.decodeWav(speechFixture());
+            const { clarity, confidence } = AcousticScoring.scoreFeatures(
+                AcousticScoring.analyzeSamples(samples, sampleRate, { detector: new VoiceActivityDetector() })
+            );
+
+            assert.ok(clarity >= 7, `clarity ${clarity}`);
+            assert.ok(confidence >= 6, `confidence ${confidence}`);
+        });
+
+        it('should score silence zero on both', function () {
+            const { clarity, confidence } = AcousticScoring.scoreFeatures(
+                AcousticScoring.analyzeSamples(new Float32Array(2 * SAMPLE_RATE), SAMPLE_RATE)
+            );
+
+            assert.strictEqual(clarity, 0);
+            assert.strictEqual(confidence, 0);
+        });
+
+        it('should use the nonverbal score when one is measured', function () {
+            const features = {
+                speechTime: 3,
+                speechRatio: 0.7,
+                speakingRate: 4,
+                longPauseCount: 0,
+                meanPause: 0.4,
+                loudnessVariance: 25,
+                pitchStability: 0.8,
+                facePresence: 1
+            };
+
+            const present = AcousticScoring.scoreFeatures({ ...features, nonverbalScore: 1 });
+            const absent = AcousticScoring.scoreFeatures({ ...features, nonverbalScore: 0 });
+            assert.ok(present.confidence > absent.confidence);
+            assert.strictEqual(present.clarity, absent.clarity);
+        });
+    });
+
+    describe('AcousticFeatureTracker', function () {
+        it('should select frames and face samples by time window', function () {
+            const tracker = new AcousticScoring.AcousticFeatureTracker();
+            const frame = voice(0.2).subarray(0, 2048);
+            for (let i = 0; i < 120; i++) {
+                tracker.addFrame(i / 60, frame, SAMPLE_RATE, true);
+                if (i % 10 === 0) tracker.addFaceSample(i < 60);
+            }
+
+            assert.strictEqual(tracker.features().facePresence, 0.5);
+            assert.strictEqual(tracker.features({ from: 0, to: 1 }).facePresence, 1);
+            assert.ok(Math.abs(tracker.features({ from: 1 }).duration - 1) < 0.05);
+        });
+    });
+});
@@ -0,0 +1,50 @@
+'use strict';
+
+const assert = require('assert');
+
+describe('alignment', function () {
+    let alignment;
+
+    before(async function () {
+        alignment = await import('../server/alignment.js');
+    });
+
+    describe('normalizeWord', function () {
+        it('should strip punctuation and case', function () {
+            assert.strictEqual(alignment.normalizeWord('“Hello,'), 'hello');
+            assert.strictEqual(alignment.normalizeWord('Don’t'), "don't");
+        });
+
+        it('should keep combining marks', function () {
+            assert.strictEqual(alignment.normalizeWord('किताब।'), 'किताब');
+            assert.strictEqual(alignment.normalizeWord('été'), 'été');
+        });
+    });
+
+    describe('alignWords', function () {
+        it('should score a passage read exactly as correct', function () {
+            const { accuracy, counts } = alignment.alignWords('The cat sat on the mat.', 'the cat sat on the mat');
+            assert.strictEqual(accuracy, 100);
+            assert.strictEqual(counts.correct, 6);
+        });
+
+        it('should find misread Hindi words that differ only in vowel signs', function () {
+            const { accuracy, counts, words } = alignment.alignWords(
+                'मैंने दिन भर एक किताब पढ़ी।',
+                'मैंने दीन भर एक कातिब पढ़ी'
+            );
+
+            assert.strictEqual(counts.substitutions, 2);
+            assert.strictEqual(accuracy, 67);
+            assert.deepStrictEqual(
+                words.filter(word => word.type === 'substitution').map(word => [word.reference, word.spoken]),
+                [['दिन', 'दीन'], ['किताब', 'कातिब']]
+            );
+        });
+
+        it('should find skipped and added words', function () {
+            const { counts } = alignment.alignWords('आज मौसम बहुत अच्छा है', 'आज मौसम अच्छा है ना');
+            assert.deepStrictEqual(counts, { correct: 4, substitutions: 0, omissions: 1, insertions: 1 });
+        });
+    });
+});
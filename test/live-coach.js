@@ -0,0 +1,39 @@
+'use strict';
+
+const assert = require('assert');
+const { Coach } = require('../lib/live-coach');
+
+// Signals for a speaker in frame, looking at the camera, at `levelDb` dBFS
+function speaking(time, levelDb) {
+    return { time, speaking: true, levelDb, noiseFloorDb: -70, silenceSeconds: 0, faceVisible: true, lookingAtCamera: true };
+}
+
+function run(coach, levelDb, seconds) {
+    const nudges = [];
+    for (let time = 0; time <= seconds; time += 0.1) {
+        const nudge = coach.update(speaking(time, levelDb));
+        if (nudge) nudges.push(nudge);
+    }
+    return nudges;
+}
+
+describe('LiveCoach', function () {
+    describe('volume-low rule', function () {
+        it('should nudge speech held under -40 dBFS for two seconds', function () {
+            const nudges = run(new Coach(), -48, 3);
+
+            assert.strictEqual(nudges.length, 1);
+            assert.strictEqual(nudges[0].id, 'volume-low');
+            assert.ok(nudges[0].time >= 2);
+        });
+
+        it('should stay quiet at a normal speaking level', function () {
+            assert.deepStrictEqual(run(new Coach(), -22, 5), []);
+        });
+
+        it('should pass the message through translate', function () {
+            const [nudge] = run(new Coach({ translate: key => `[${key}]` }), -48, 3);
+            assert.strictEqual(nudge.message, '[coach.volumeLow.message]');
+        });
+    });
+});
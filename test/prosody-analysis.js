@@ -0,0 +1,54 @@
+'use strict';
+
+const assert = require('assert');
+const { decodeWav, SILENCE_FLOOR_DB } = require('../lib/acoustic-scoring');
+const { VoiceActivityDetector } = require('../lib/voice-activity');
+const ProsodyAnalysis = require('../lib/prosody-analysis');
+const { SAMPLE_RATE, voice, noise, speechFixture } = require('./support/wav');
+
+describe('ProsodyAnalysis', function () {
+    describe('analyzeFrame', function () {
+        it('should track the pitch of a voiced frame', function () {
+            const frame = ProsodyAnalysis.analyzeFrame(voice(0.2, { pitch: 200 }).subarray(0, 2048), SAMPLE_RATE);
+            assert.strictEqual(frame.voiced, true);
+            assert.ok(Math.abs(frame.pitch - 200) < 5, `pitch ${frame.pitch}`);
+        });
+
+        it('should follow the voice activity decision when given one', function () {
+            const samples = voice(0.2).subarray(0, 2048);
+
+            const silent = ProsodyAnalysis.analyzeFrame(samples, SAMPLE_RATE, false);
+            assert.strictEqual(silent.voiced, false);
+            assert.strictEqual(silent.pitch, null);
+            // Quiet enough for the fixed threshold, but the detector heard speech
+            assert.strictEqual(ProsodyAnalysis.analyzeFrame(noise(0.2).subarray(0, 2048), SAMPLE_RATE, true).voiced, true);
+        });
+
+        it('should measure digital silence at the scoring floor', function () {
+            assert.strictEqual(ProsodyAnalysis.analyzeFrame(new Float32Array(2048), SAMPLE_RATE).rmsDb, SILENCE_FLOOR_DB);
+        });
+    });
+
+    describe('analyzeProsody', function () {
+        it('should split phrases at the pauses the detector finds', function () {
+            const { samples, sampleRate } = decodeWav(speechFixture());
+            const summary = ProsodyAnalysis.analyzeProsody(samples, sampleRate, { detector: new VoiceActivityDetector() });
+
+            assert.strictEqual(summary.phrases, 2);
+            assert.ok(Math.abs(summary.pitchMedianHz - 150) < 5, `pitchMedianHz ${summary.pitchMedianHz}`);
+            assert.strictEqual(summary.monotone, true);
+        });
+    });
+
+    describe('ProsodyTracker', function () {
+        it('should analyze at most once per minInterval', function () {
+            const tracker = new ProsodyAnalysis.ProsodyTracker({ minInterval: 1 / 30 });
+            const frame = voice(0.2).subarray(0, 2048);
+
+            assert.ok(tracker.addFrame(0, frame, SAMPLE_RATE, true));
+            assert.strictEqual(tracker.addFrame(1 / 60, frame, SAMPLE_RATE, true), null);
+            assert.strictEqual(tracker.addFrame(2 / 60, frame, SAMPLE_RATE, false).voiced, false);
+            assert.strictEqual(tracker.frames.length, 2);
+        });
+    });
+});
@@ -0,0 +1,75 @@
+'use strict';
+
+const assert = require('assert');
+const SessionReport = require('../lib/session-report');
+
+// Text drawn on the PDF's pages, in order
+function pdfText(bytes) {
+    return (Buffer.from(bytes).toString('latin1').match(/\((.*?)\) Tj/g) || []).map(op => op.slice(1, -4));
+}
+
+function report({ prompt = 'Describe your weekend', transcript = 'I went hiking' } = {}) {
+    return SessionReport.buildReport({
+        session: { startedAt: '2026-10-19T10:00:00Z', duration: 65, prompt },
+        evaluations: [{ time: 30, clarity: 7, confidence: 6, clarityFeedback: 'Clear and well paced.' }],
+        transcript: [{ start: 0, end: 3, text: transcript }]
+    });
+}
+
+const SPANISH = {
+    'report.title': 'Informe de sesión de SpeakX',
+    'report.prompt': 'Tema: {prompt}'
+};
+const HINDI = {
+    'report.title': 'SpeakX सत्र रिपोर्ट',
+    'report.prompt': 'विषय: {prompt}'
+};
+
+describe('SessionReport', function () {
+    describe('toPDF', function () {
+        it('should use English labels by default', function () {
+            const text = pdfText(SessionReport.toPDF(report()));
+            assert.strictEqual(text[0], 'SpeakX Session Report');
+            assert.ok(text.includes('Prompt: Describe your weekend'));
+        });
+
+        it('should use translated labels the fonts can show', function () {
+            const text = pdfText(SessionReport.toPDF(report(), { translate: key => SPANISH[key] || key }));
+            assert.strictEqual(text[0], 'Informe de sesión de SpeakX');
+            assert.ok(text.includes('Tema: Describe your weekend'));
+            // Keys without a translation keep the English label
+            assert.ok(text.includes('Summary'));
+        });
+
+        it('should fall back to English for labels in other scripts', function () {
+            const text = pdfText(SessionReport.toPDF(report(), { translate: key => HINDI[key] || key }));
+            assert.strictEqual(text[0], 'SpeakX Session Report');
+        });
+
+        it('should say when the session text cannot be shown', function () {
+            const hindi = report({ transcript: 'मैंने किताब पढ़ी' });
+            const text = pdfText(SessionReport.toPDF(hindi)).join(' ');
+
+            assert.strictEqual(SessionReport.canRenderPDF(hindi), false);
+            assert.ok(/Export the CSV or JSON report/.test(text));
+            assert.ok(text.includes('? ? ?'));
+            assert.ok(!/Export the CSV or JSON report/.test(pdfText(SessionReport.toPDF(report())).join(' ')));
+        });
+    });
+
+    describe('canRenderPDF', function () {
+        it('should accept Western European text and typography', function () {
+            assert.strictEqual(SessionReport.canRenderPDF(report({ prompt: '“Ça va?” — ¿Qué tal? œuvre' })), true);
+        });
+    });
+
+    describe('toCSV', function () {
+        it('should keep text the PDF cannot show', function () {
+            const csv = SessionReport.toCSV(SessionReport.buildReport({
+                session: {},
+                evaluations: [{ clarity: 7, confidence: 6, clarityFeedback: 'उच्चारण साफ़ था' }]
+            }));
+            assert.ok(csv.includes('उच्चारण साफ़ था'));
+        });
+    });
+});
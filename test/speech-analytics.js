@@ -0,0 +1,50 @@
+'use strict';
+
+const assert = require('assert');
+const SpeechAnalytics = require('../lib/speech-analytics');
+
+// One 6-second segment, so words are spread across a tenth of a minute
+function analyze(text, language) {
+    return SpeechAnalytics.analyzeSpeech({ segments: [{ start: 0, end: 6, text }], duration: 6, language });
+}
+
+describe('SpeechAnalytics', function () {
+    describe('normalizeWord', function () {
+        it('should keep accented letters', function () {
+            assert.strictEqual(SpeechAnalytics.normalizeWord('Está,'), 'está');
+            assert.strictEqual(SpeechAnalytics.normalizeWord('«voilà»'), 'voilà');
+        });
+
+        it('should keep Devanagari vowel signs and the virama', function () {
+            assert.strictEqual(SpeechAnalytics.normalizeWord('किताब।'), 'किताब');
+            assert.strictEqual(SpeechAnalytics.normalizeWord('हम्म'), 'हम्म');
+        });
+
+        it('should compose decomposed accents', function () {
+            assert.strictEqual(SpeechAnalytics.normalizeWord('e\u0301te\u0301'), '\u00e9t\u00e9');
+        });
+    });
+
+    describe('analyzeSpeech', function () {
+        it('should count words in every script', function () {
+            assert.strictEqual(analyze('मैं आज बाज़ार गया था', 'hi').wordCount, 5);
+            assert.strictEqual(analyze('¿Dónde está la estación?', 'es').wordCount, 4);
+            assert.strictEqual(analyze('मैं आज बाज़ार गया था', 'hi').pace.wpm, 50);
+        });
+
+        it('should count the fillers of the practice language', function () {
+            assert.deepStrictEqual(analyze('eh pues o sea no sé este', 'es').fillers.byType, { eh: 1, pues: 1, 'o sea': 1, este: 1 });
+            assert.deepStrictEqual(analyze('euh en fait je heu sais pas', 'fr').fillers.byType, { euh: 2, 'en fait': 1 });
+            assert.deepStrictEqual(analyze('मतलब मैं matlab यानी कल है ना', 'hi').fillers.byType, { मतलब: 2, यानी: 1, 'है ना': 1 });
+        });
+
+        it('should not count another language\'s fillers', function () {
+            assert.strictEqual(analyze('um este is like euh', 'fr').fillers.total, 1);
+        });
+
+        it('should fall back to English fillers', function () {
+            assert.deepStrictEqual(analyze('um you know it was like fine').fillers.byType, { um: 1, 'you know': 1, like: 1 });
+            assert.strictEqual(analyze('um so', 'de').fillers.total, 1);
+        });
+    });
+});
@@ -0,0 +1,96 @@
+// Generated WAV fixtures
+//
+// Small synthetic recordings built at test time, so the specs do not depend on
+// binary files: a harmonic "voice" whose loudness rises and falls four times a
+// second like syllables, near-silent room tone and white noise, encoded as
+// 16-bit PCM WAV and decoded again through AcousticScoring.decodeWav.
+'use strict';
+
+const SAMPLE_RATE = 16000;
+
+// Deterministic noise, so every run sees the same fixture
+function random(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+}
+
+function voice(seconds, { pitch = 150, level = 0.12, syllableRate = 4 } = {}) {
+    const samples = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+    for (let i = 0; i < samples.length; i++) {
+        const time = i / SAMPLE_RATE;
+        let value = 0;
+        for (let harmonic = 1; harmonic <= 12; harmonic++) {
+            value += Math.sin(2 * Math.PI * pitch * harmonic * time) / harmonic;
+        }
+        const envelope = 0.55 - 0.45 * Math.cos(2 * Math.PI * syllableRate * time);
+        samples[i] = level * envelope * value;
+    }
+    return samples;
+}
+
+// Uniform noise at `level`: room tone when quiet, a fan or hiss when loud
+function noise(seconds, level = 0.0005, seed = 1) {
+    const next = random(seed);
+    const samples = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = level * (next() * 2 - 1);
+    }
+    return samples;
+}
+
+function concat(...parts) {
+    const samples = new Float32Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        samples.set(part, offset);
+        offset += part.length;
+    });
+    return samples;
+}
+
+/**
+ * 16-bit PCM WAV file of `samples` (-1..1), each written to every channel.
+ */
+function encodeWav(samples, { sampleRate = SAMPLE_RATE, channels = 1 } = {}) {
+    const dataSize = samples.length * channels * 2;
+    const buffer = Buffer.alloc(44 + dataSize);
+
+    buffer.write('RIFF', 0, 'ascii');
+    buffer.writeUInt32LE(36 + dataSize, 4);
+    buffer.write('WAVE', 8, 'ascii');
+    buffer.write('fmt ', 12, 'ascii');
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(1, 20);
+    buffer.writeUInt16LE(channels, 22);
+    buffer.writeUInt32LE(sampleRate, 24);
+    buffer.writeUInt32LE(sampleRate * channels * 2, 28);
+    buffer.writeUInt16LE(channels * 2, 32);
+    buffer.writeUInt16LE(16, 34);
+    buffer.write('data', 36, 'ascii');
+    buffer.writeUInt32LE(dataSize, 40);
+
+    samples.forEach((sample, i) => {
+        const value = Math.round(Math.max(-1, Math.min(1, sample)) * 32767);
+        for (let channel = 0; channel < channels; channel++) {
+            buffer.writeInt16LE(value, 44 + (i * channels + channel) * 2);
+        }
+    });
+    return buffer;
+}
+
+// Two 1.5 s utterances separated by a 0.6 s pause, with room tone either side
+function speechFixture() {
+    return encodeWav(concat(noise(0.5), voice(1.5), noise(0.6, 0.0005, 2), voice(1.5), noise(0.5, 0.0005, 3)));
+}
+
+module.exports = {
+    SAMPLE_RATE,
+    voice,
+    noise,
+    concat,
+    encodeWav,
+    speechFixture
+};
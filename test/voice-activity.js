@@ -0,0 +1,94 @@
+'use strict';
+
+const assert = require('assert');
+const { decodeWav, SILENCE_FLOOR_DB } = require('../lib/acoustic-scoring');
+const VoiceActivity = require('../lib/voice-activity');
+const { SAMPLE_RATE, voice, noise, concat, encodeWav, speechFixture } = require('./support/wav');
+
+describe('VoiceActivity', function () {
+    describe('analyzeFrame', function () {
+        it('should find voiced frames tonal and in the speech band', function () {
+            const frame = VoiceActivity.analyzeFrame(voice(0.2).subarray(0, 2048), SAMPLE_RATE);
+
+            assert.ok(frame.flatness < 0.35, `flatness ${frame.flatness}`);
+            assert.ok(frame.speechBandRatio > 0.3, `speechBandRatio ${frame.speechBandRatio}`);
+        });
+
+        it('should measure digital silence at the scoring floor', function () {
+            const frame = VoiceActivity.analyzeFrame(new Float32Array(2048), SAMPLE_RATE);
+            assert.strictEqual(frame.energyDb, SILENCE_FLOOR_DB);
+        });
+
+        it('should find white noise flat', function () {
+            const frame = VoiceActivity.analyzeFrame(noise(0.2, 0.1).subarray(0, 2048), SAMPLE_RATE);
+            assert.ok(frame.flatness > 0.35, `flatness ${frame.flatness}`);
+        });
+    });
+
+    describe('detectVoiceActivity', function () {
+        const { samples, sampleRate } = decodeWav(speechFixture());
+        const result = VoiceActivity.detectVoiceActivity(samples, sampleRate);
+
+        it('should find one segment per utterance', function () {
+            assert.strictEqual(result.segments.length, 2);
+        });
+
+        it('should place segments around the utterances', function () {
+            // Utterances span 0.5-2.0 s and 2.6-4.1 s; a frame reaches 0.128 s ahead
+            const [first, second] = result.segments;
+            assert.ok(Math.abs(first.start - 0.5) < 0.15, `first starts at ${first.start}`);
+            assert.ok(Math.abs(first.end - 2.0) < 0.15, `first ends at ${first.end}`);
+            assert.ok(Math.abs(second.start - 2.6) < 0.15, `second starts at ${second.start}`);
+            assert.ok(Math.abs(second.end - 4.1) < 0.15, `second ends at ${second.end}`);
+        });
+
+        it('should keep the noise floor at the room tone', function () {
+            assert.ok(result.noiseFloorDb < -60, `noiseFloorDb ${result.noiseFloorDb}`);
+        });
+
+        it('should find no speech in silence', function () {
+            const silent = VoiceActivity.detectVoiceActivity(new Float32Array(SAMPLE_RATE), SAMPLE_RATE);
+            assert.deepStrictEqual(silent.segments, []);
+            assert.strictEqual(silent.speechTime, 0);
+        });
+
+        it('should find no speech in loud noise', function () {
+            const { samples: hiss } = decodeWav(encodeWav(noise(2, 0.2)));
+            assert.deepStrictEqual(VoiceActivity.detectVoiceActivity(hiss, SAMPLE_RATE).segments, []);
+        });
+
+        it('should drop clicks shorter than the onset time', function () {
+            const clicks = concat(noise(0.5), voice(0.03), noise(0.5, 0.0005, 2));
+            assert.deepStrictEqual(VoiceActivity.detectVoiceActivity(clicks, SAMPLE_RATE, { frameSize: 256 }).segments, []);
+        });
+    });
+
+    describe('VoiceActivityDetector', function () {
+        it('should carry speech across short dips', function () {
+            const detector = new VoiceActivity.VoiceActivityDetector({ noiseFloorDb: -70 });
+            const speech = voice(0.2).subarray(0, 1024);
+            const quiet = noise(0.1).subarray(0, 1024);
+            const frameTime = 1024 / SAMPLE_RATE;
+
+            let time = 0;
+            for (let i = 0; i < 10; i++, time += frameTime) detector.process(time, speech, SAMPLE_RATE);
+            // 0.128 s of quiet is within the hangover
+            let decision = null;
+            for (let i = 0; i < 2; i++, time += frameTime) decision = detector.process(time, quiet, SAMPLE_RATE);
+            assert.strictEqual(decision.speech, true);
+
+            for (let i = 0; i < 10; i++, time += frameTime) decision = detector.process(time, quiet, SAMPLE_RATE);
+            assert.strictEqual(decision.speech, false);
+            assert.strictEqual(detector.segments.length, 1);
+        });
+
+        it('should start over on reset', function () {
+            const detector = new VoiceActivity.VoiceActivityDetector();
+            detector.process(0, voice(0.2).subarray(0, 2048), SAMPLE_RATE);
+            detector.reset(-60);
+
+            assert.strictEqual(detector.noiseFloorDb, -60);
+            assert.deepStrictEqual(detector.segments, []);
+        });
+    });
+});
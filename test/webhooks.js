@@ -0,0 +1,250 @@
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+// Settings the webhook module reads; DATA_DIR must be set before it is imported
+const ENV = {
+    DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'speakx-webhooks-')),
+    WEBHOOK_ALLOW_HOSTS: '127.0.0.1',
+    WEBHOOK_RETRY_SECONDS: '0.05',
+    WEBHOOK_MAX_ATTEMPTS: '3',
+    WEBHOOK_TIMEOUT_SECONDS: '2'
+};
+const USER_ID = 'learner-1';
+
+function listen(server) {
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+}
+
+function close(server) {
+    return new Promise(resolve => server.close(() => resolve()));
+}
+
+async function waitFor(check, timeoutMs = 3000) {
+    const started = Date.now();
+    for (;;) {
+        const result = await check();
+        if (result) return result;
+        if (Date.now() - started > timeoutMs) throw new Error('Timed out waiting');
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+// A receiver that records each request and answers with the next queued status (200 once empty)
+function createReceiver() {
+    const receiver = { requests: [], statuses: [] };
+    receiver.server = http.createServer((req, res) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            receiver.requests.push({ headers: req.headers, body });
+            res.statusCode = receiver.statuses.length > 0 ? receiver.statuses.shift() : 200;
+            res.end();
+        });
+    });
+    return receiver;
+}
+
+describe('webhooks', function () {
+    const saved = {};
+    let webhooks;
+    let api;
+    let apiServer;
+    let receiver;
+    let receiverUrl;
+
+    before(async function () {
+        Object.keys(ENV).forEach(name => {
+            saved[name] = process.env[name];
+            process.env[name] = ENV[name];
+        });
+        webhooks = await import('../server/webhooks.js');
+
+        // The router behind a signed-in learner, as authenticate would leave it
+        const app = express();
+        app.use(express.json());
+        app.use((req, res, next) => {
+            req.user = { id: USER_ID, role: 'learner' };
+            next();
+        });
+        app.use('/api', webhooks.createWebhooksRouter());
+        apiServer = http.createServer(app);
+        api = await listen(apiServer);
+
+        receiver = createReceiver();
+        receiverUrl = `${await listen(receiver.server)}/hooks`;
+    });
+
+    after(async function () {
+        await close(apiServer);
+        await close(receiver.server);
+        Object.keys(ENV).forEach(name => {
+            if (saved[name] === undefined) delete process.env[name];
+            else process.env[name] = saved[name];
+        });
+        fs.rmSync(ENV.DATA_DIR, { recursive: true, force: true });
+    });
+
+    beforeEach(function () {
+        receiver.requests = [];
+        receiver.statuses = [];
+    });
+
+    // Each test starts without endpoints, so only its own receive events
+    afterEach(async function () {
+        const { webhooks: endpoints } = (await request('GET', '/webhooks')).body;
+        for (const endpoint of endpoints) {
+            await request('DELETE', `/webhooks/${endpoint.id}`);
+        }
+    });
+
+    async function request(method, route, body) {
+        const response = await fetch(`${api}/api${route}`, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    async function register(events = ['session.finished']) {
+        const { status, body } = await request('POST', '/webhooks', { url: receiverUrl, events });
+        assert.strictEqual(status, 201);
+        return body;
+    }
+
+    async function deliveries(webhookId) {
+        return (await request('GET', `/webhooks/${webhookId}/deliveries`)).body.deliveries;
+    }
+
+    describe('signPayload', function () {
+        it('should sign the timestamp and body with HMAC-SHA256', function () {
+            const expected = crypto.createHmac('sha256', 'whsec_test').update('1700000000.{"a":1}').digest('hex');
+            assert.strictEqual(webhooks.signPayload('whsec_test', 1700000000, '{"a":1}'), `sha256=${expected}`);
+        });
+    });
+
+    describe('registration', function () {
+        it('should return the secret only when created', async function () {
+            const { webhook, secret } = await register();
+
+            assert.ok(/^whsec_[0-9a-f]{48}$/.test(secret));
+            assert.strictEqual(webhook.secret, undefined);
+            const listed = (await request('GET', '/webhooks')).body.webhooks;
+            assert.ok(listed.every(item => item.secret === undefined));
+        });
+
+        it('should refuse private addresses outside WEBHOOK_ALLOW_HOSTS', async function () {
+            for (const url of ['http://10.0.0.1/hooks', 'http://169.254.169.254/latest', 'http://[::1]/hooks']) {
+                const { status, body } = await request('POST', '/webhooks', { url, events: ['session.finished'] });
+                assert.strictEqual(status, 400, url);
+                assert.ok(/private/.test(body.error), body.error);
+            }
+        });
+    });
+
+    describe('delivery', function () {
+        it('should send signed events the receiver can verify', async function () {
+            const { webhook, secret } = await register();
+            await webhooks.emitEvent(USER_ID, 'session.finished', { session: { id: 'session-1' } });
+
+            const [received] = await waitFor(() => receiver.requests.length >= 1 && receiver.requests);
+            const timestamp = received.headers['x-speakx-timestamp'];
+            assert.strictEqual(received.headers['x-speakx-signature'], webhooks.signPayload(secret, timestamp, received.body));
+            assert.strictEqual(received.headers['x-speakx-event'], 'session.finished');
+            assert.strictEqual(received.headers['user-agent'], 'SpeakX-Webhooks/1.0');
+
+            const event = JSON.parse(received.body);
+            assert.strictEqual(event.type, 'session.finished');
+            assert.deepStrictEqual(event.data, { userId: USER_ID, session: { id: 'session-1' } });
+
+            const [delivery] = await waitFor(async () => {
+                const log = await deliveries(webhook.id);
+                return log[0] && log[0].status === 'succeeded' && log;
+            });
+            assert.strictEqual(delivery.id, received.headers['x-speakx-delivery']);
+        });
+
+        it('should not send events the endpoint did not subscribe to', async function () {
+            const { webhook } = await register(['session.finished']);
+            await webhooks.emitEvent(USER_ID, 'evaluation.completed', { sessionId: 'session-1', evaluation: { id: 'evaluation-1' } });
+            await webhooks.emitEvent('someone-else', 'session.finished', { session: { id: 'session-2' } });
+
+            await new Promise(resolve => setTimeout(resolve, 100));
+            assert.deepStrictEqual(await deliveries(webhook.id), []);
+        });
+
+        it('should retry failed attempts until the receiver accepts', async function () {
+            const { webhook } = await register();
+            receiver.statuses = [500, 503];
+            await webhooks.emitEvent(USER_ID, 'session.finished', { session: { id: 'session-1' } });
+
+            const [delivery] = await waitFor(async () => {
+                const log = await deliveries(webhook.id);
+                return log[0] && log[0].status === 'succeeded' && log;
+            });
+            assert.deepStrictEqual(delivery.attempts.map(attempt => attempt.status), [500, 503, 200]);
+            assert.strictEqual(delivery.attempts[0].error, 'Endpoint answered 500');
+            assert.strictEqual(delivery.attempts[2].error, null);
+
+            // Every attempt is the same delivery of the same event
+            assert.strictEqual(new Set(receiver.requests.map(item => item.headers['x-speakx-delivery'])).size, 1);
+            assert.strictEqual(new Set(receiver.requests.map(item => JSON.parse(item.body).id)).size, 1);
+        });
+
+        it('should give up after WEBHOOK_MAX_ATTEMPTS', async function () {
+            const { webhook } = await register();
+            receiver.statuses = [500, 500, 500, 500];
+            await webhooks.emitEvent(USER_ID, 'session.finished', { session: { id: 'session-1' } });
+
+            const [delivery] = await waitFor(async () => {
+                const log = await deliveries(webhook.id);
+                return log[0] && log[0].status === 'failed' && log;
+            });
+            assert.strictEqual(delivery.attempts.length, 3);
+            assert.strictEqual(delivery.nextAttemptAt, null);
+        });
+    });
+
+    describe('replay', function () {
+        it('should resend a delivery with the same event', async function () {
+            const { webhook } = await register();
+            receiver.statuses = [500, 500, 500];
+            await webhooks.emitEvent(USER_ID, 'session.finished', { session: { id: 'session-1' } });
+            const [original] = await waitFor(async () => {
+                const log = await deliveries(webhook.id);
+                return log[0] && log[0].status === 'failed' && log;
+            });
+
+            const { status, body } = await request('POST', `/webhooks/${webhook.id}/deliveries/${original.id}/replay`);
+            assert.strictEqual(status, 202);
+            assert.strictEqual(body.delivery.replayOf, original.id);
+            assert.notStrictEqual(body.delivery.id, original.id);
+
+            const replayed = await waitFor(() => receiver.requests.length >= 4 && receiver.requests[3]);
+            assert.strictEqual(JSON.parse(replayed.body).id, original.event.id);
+            assert.strictEqual(replayed.headers['x-speakx-delivery'], body.delivery.id);
+            await waitFor(async () => (await deliveries(webhook.id))[0].status === 'succeeded');
+        });
+
+        it('should not replay another endpoint\'s delivery', async function () {
+            const first = await register();
+            const second = await register();
+            await webhooks.emitEvent(USER_ID, 'session.finished', { session: { id: 'session-1' } });
+            const [delivery] = await waitFor(async () => {
+                const log = await deliveries(first.webhook.id);
+                return log[0] && log[0].status === 'succeeded' && log;
+            });
+
+            const { status } = await request('POST', `/webhooks/${second.webhook.id}/deliveries/${delivery.id}/replay`);
+            assert.strictEqual(status, 404);
+        });
+    });
+});